@@ -0,0 +1,67 @@
+// browser/artifact-cache.js
+"use strict";
+
+/**
+ * IndexedDB cache for fetched proving artifacts (wasm, zkey), keyed by URL.
+ * A transfer zkey is tens of MB, so wallets should not download it per proof.
+ *
+ *   const cache = createArtifactCache();          // null where IndexedDB is missing
+ *   await cache.put(url, arrayBuffer);
+ *   const bytes = await cache.get(url);           // ArrayBuffer or undefined
+ *
+ * Entries never expire: serve artifacts from versioned URLs (or clear() the
+ * cache) when the circuits are rebuilt.
+ */
+
+const DEFAULT_DB_NAME = "cipherpay-artifacts";
+const STORE = "artifacts";
+
+/** Promise for an IDBRequest's result */
+function done(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function createArtifactCache({ indexedDB = globalThis.indexedDB, dbName = DEFAULT_DB_NAME } = {}) {
+  if (!indexedDB) return null;
+
+  let dbPromise = null;
+  function open() {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      dbPromise = done(request);
+    }
+    return dbPromise;
+  }
+
+  async function store(mode) {
+    const db = await open();
+    return db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  return {
+    async get(url) {
+      return done((await store("readonly")).get(url));
+    },
+
+    async put(url, buffer) {
+      await done((await store("readwrite")).put(buffer, url));
+    },
+
+    async delete(url) {
+      await done((await store("readwrite")).delete(url));
+    },
+
+    async clear() {
+      await done((await store("readwrite")).clear());
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_DB_NAME,
+  createArtifactCache,
+};
@@ -0,0 +1,63 @@
+// browser/index.d.ts
+
+import type { CircuitName, CircuitInputs, CircuitPublicSignals } from "../types/circuits";
+import type { Groth16Proof } from "../index";
+
+/** URL (fetched, then cached) or the artifact's bytes */
+export type ArtifactSource = string | ArrayBuffer | Uint8Array;
+
+export type ProvePhase = "fetch" | "witness" | "msm" | "done";
+
+/** Where fetched artifacts are kept, keyed by URL */
+export interface ArtifactCache {
+  get(url: string): Promise<ArrayBuffer | undefined>;
+  put(url: string, buffer: ArrayBuffer): Promise<void>;
+  /** Called for a URL artifact the worker fails to load (not for input errors) */
+  delete?(url: string): Promise<void>;
+}
+
+export interface IndexedDBArtifactCache extends ArtifactCache {
+  delete(url: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+/** Web Worker, or a worker_threads-style worker with on()/postMessage()/terminate() */
+export type ProverWorker = Pick<Worker, "postMessage" | "terminate" | "addEventListener"> | {
+  on(event: "message" | "error", listener: (value: any) => void): unknown;
+  postMessage(message: unknown): void;
+  terminate(): unknown;
+};
+
+export interface ProverOptions {
+  worker: () => ProverWorker;
+  /** Build directory URL; artifacts use setup.js's layout below it */
+  baseUrl?: string;
+  /** Defaults to IndexedDB where available; false disables caching */
+  cache?: ArtifactCache | false;
+  fetch?: typeof fetch;
+}
+
+export interface BrowserProveOptions {
+  wasm?: ArtifactSource;
+  zkey?: ArtifactSource;
+  onProgress?: (event: { circuit: CircuitName; phase: ProvePhase }) => void;
+  /** Aborting rejects with an AbortError DOMException and stops the worker */
+  signal?: AbortSignal;
+}
+
+export interface BrowserProver {
+  prove<C extends CircuitName>(
+    circuit: C,
+    input: CircuitInputs[C],
+    opts?: BrowserProveOptions
+  ): Promise<{ proof: Groth16Proof; publicSignals: CircuitPublicSignals[C] }>;
+  terminate(): void;
+}
+
+export function artifactPaths(circuit: CircuitName): { wasm: string; zkey: string };
+export function loadArtifact(
+  source: ArtifactSource,
+  opts?: { cache?: ArtifactCache | null; fetch?: typeof fetch; signal?: AbortSignal }
+): Promise<Uint8Array>;
+export function createArtifactCache(opts?: { indexedDB?: IDBFactory; dbName?: string }): IndexedDBArtifactCache | null;
+export function createProver(opts: ProverOptions): BrowserProver;
@@ -0,0 +1,194 @@
+// browser/index.js
+"use strict";
+
+/**
+ * Browser prover: Groth16 proofs in a Web Worker, without `fs` or build/
+ * paths. Artifacts come from URLs (fetched once, then cached in IndexedDB)
+ * or from ArrayBuffers the caller already holds.
+ *
+ *   const { createProver } = require("cipherpay-circuits/browser");
+ *
+ *   const prover = createProver({
+ *     worker: () => new Worker(new URL("cipherpay-circuits/browser/prover-worker.js", import.meta.url)),
+ *     baseUrl: "https://cdn.example.com/circuits/v2",   // setup.js layout under this URL
+ *   });
+ *
+ *   const controller = new AbortController();
+ *   const { proof, publicSignals } = await prover.prove("transfer", input, {
+ *     onProgress: ({ phase }) => render(phase),         // fetch, witness, msm, done
+ *     signal: controller.signal,                        // controller.abort() cancels
+ *   });
+ *
+ * Pass { wasm, zkey } (URL, ArrayBuffer or Uint8Array) to override one build's
+ * artifacts. Jobs run one at a time per prover. Cancelling a running job
+ * terminates its worker; the next job starts a fresh one.
+ *
+ * Nothing checks downloaded bytes before the worker uses them, so when the
+ * worker fails to load an artifact (a wasm that does not compile, a zkey
+ * groth16.prove rejects) that URL is evicted from the cache: a truncated or
+ * corrupted download is fetched again by the next job instead of failing
+ * every proof until the cache is cleared. Input errors, such as a witness
+ * "Assert Failed", and worker crashes keep the cache.
+ */
+
+const { createArtifactCache } = require("./artifact-cache");
+
+/** setup.js's artifact layout for a build key, relative to the build directory */
+function artifactPaths(circuit) {
+  return {
+    wasm: `${circuit}/${circuit}_js/${circuit}.wasm`,
+    zkey: `${circuit}/${circuit}_final.zkey`,
+  };
+}
+
+function abortError() {
+  return new DOMException("proof cancelled", "AbortError");
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+/**
+ * Bytes of an artifact given as a URL, ArrayBuffer or typed array.
+ * URLs are looked up in `cache` first and stored there after fetching.
+ */
+async function loadArtifact(source, { cache = null, fetch: fetchFn = globalThis.fetch, signal } = {}) {
+  if (source instanceof ArrayBuffer) return new Uint8Array(source);
+  if (ArrayBuffer.isView(source)) return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+  if (typeof source !== "string") throw new Error("artifact must be a URL, ArrayBuffer or Uint8Array");
+
+  const cached = cache && (await cache.get(source));
+  if (cached) return new Uint8Array(cached);
+
+  const res = await fetchFn(source, { signal });
+  if (!res.ok) throw new Error(`fetching ${source} failed: ${res.status} ${res.statusText}`);
+  const buffer = await res.arrayBuffer();
+  if (cache) await cache.put(source, buffer);
+  return new Uint8Array(buffer);
+}
+
+/** Same listener / terminate surface for a Web Worker and a worker_threads Worker */
+function wrapWorker(worker) {
+  let onMessage = () => {};
+  let onError = () => {};
+  if (typeof worker.on === "function") {
+    worker.on("message", (data) => onMessage(data));
+    worker.on("error", (e) => onError(e));
+  } else {
+    worker.addEventListener("message", (e) => onMessage(e.data));
+    worker.addEventListener("error", (e) => onError(e.error || new Error(e.message || "prover worker failed")));
+  }
+  return {
+    post: (message) => worker.postMessage(message),
+    listen(message, error) {
+      onMessage = message;
+      onError = error;
+    },
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * Prover running each job in a worker from `worker()`.
+ * opts: { worker, baseUrl, cache, fetch }; `cache` defaults to IndexedDB where
+ * available, `false` disables it, or pass any { get(url), put(url, buffer),
+ * delete(url) } (without delete(), failed artifacts stay cached).
+ */
+function createProver({ worker, baseUrl, cache, fetch: fetchFn = globalThis.fetch } = {}) {
+  if (typeof worker !== "function") {
+    throw new Error("createProver needs a worker factory, e.g. () => new Worker(url)");
+  }
+  const store = cache === undefined ? createArtifactCache() : cache || null;
+
+  let current = null; // wrapped worker, spawned on first use
+  let nextId = 1;
+  let queue = Promise.resolve();
+
+  function artifactSource(circuit, kind, given) {
+    if (given != null) return given;
+    if (!baseUrl) throw new Error(`no ${kind} for ${circuit}: pass { ${kind} } or createProver({ baseUrl })`);
+    return `${baseUrl.replace(/\/+$/, "")}/${artifactPaths(circuit)[kind]}`;
+  }
+
+  /** Drop an artifact the worker failed to load from the cache; eviction errors are ignored */
+  async function evict(source) {
+    if (typeof store?.delete !== "function" || typeof source !== "string") return;
+    await Promise.resolve(store.delete(source)).catch(() => {});
+  }
+
+  async function run(circuit, input, { wasm, zkey, onProgress = () => {}, signal } = {}) {
+    throwIfAborted(signal);
+    const sources = { wasm: artifactSource(circuit, "wasm", wasm), zkey: artifactSource(circuit, "zkey", zkey) };
+    onProgress({ circuit, phase: "fetch" });
+    const load = (source) => loadArtifact(source, { cache: store, fetch: fetchFn, signal });
+    const [wasmBytes, zkeyBytes] = await Promise.all([load(sources.wasm), load(sources.zkey)]);
+    throwIfAborted(signal);
+
+    if (!current) current = wrapWorker(worker());
+    const w = current;
+    const id = nextId++;
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        w.listen(() => {}, () => {});
+        signal?.removeEventListener("abort", cancel);
+      };
+      const stop = () => {
+        // A crashed or cancelled worker cannot be reused
+        w.terminate();
+        if (current === w) current = null;
+        finish();
+      };
+      const cancel = () => {
+        stop();
+        reject(abortError());
+      };
+
+      w.listen(
+        (msg) => {
+          if (msg.id !== id) return;
+          if (msg.type === "phase") {
+            onProgress({ circuit, phase: msg.phase });
+          } else if (msg.type === "result") {
+            finish();
+            onProgress({ circuit, phase: "done" });
+            resolve({ proof: msg.proof, publicSignals: msg.publicSignals });
+          } else if (msg.type === "error") {
+            finish();
+            const err = Object.assign(new Error(`${circuit}: ${msg.message}`), msg.artifact && { artifact: msg.artifact });
+            evict(sources[msg.artifact]).then(() => reject(err));
+          }
+        },
+        (e) => {
+          stop();
+          reject(e);
+        }
+      );
+      signal?.addEventListener("abort", cancel);
+      w.post({ id, input, wasm: wasmBytes, zkey: zkeyBytes });
+    });
+  }
+
+  return {
+    /** Queue a proof of `input` for build key `circuit`; resolves to snarkjs' { proof, publicSignals } */
+    prove(circuit, input, opts) {
+      const job = queue.then(() => run(circuit, input, opts));
+      queue = job.catch(() => {});
+      return job;
+    },
+
+    /** Stop the worker; a later prove() starts a new one */
+    terminate() {
+      if (current) current.terminate();
+      current = null;
+    },
+  };
+}
+
+module.exports = {
+  artifactPaths,
+  loadArtifact,
+  createArtifactCache,
+  createProver,
+};
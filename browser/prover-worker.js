@@ -0,0 +1,74 @@
+// browser/prover-worker.js
+"use strict";
+
+/**
+ * Web Worker side of the browser prover (browser/index.js). Bundle this file
+ * as a worker entry; it listens on `self` when loaded as a Web Worker in a
+ * browser. prover-worker.node.js runs the same handler under Node.
+ *
+ * Protocol, one job at a time:
+ *   in:  { id, input, wasm: Uint8Array, zkey: Uint8Array }
+ *   out: { id, type: "phase", phase: "witness" | "msm" }
+ *        { id, type: "result", proof, publicSignals }
+ *        { id, type: "error", message, artifact? }
+ *
+ * groth16.fullProve is witness calculation followed by groth16.prove (the
+ * multi-scalar multiplications); they run as two steps so each phase can be
+ * reported.
+ *
+ * `artifact` ("wasm" or "zkey") is set when the artifact itself failed to
+ * load: a wasm that does not compile, or a zkey groth16.prove cannot use.
+ * Input errors (a witness "Assert Failed", missing signals) leave it unset.
+ */
+
+const snarkjs = require("snarkjs");
+
+function artifactError(artifact, e) {
+  return Object.assign(e instanceof Error ? e : new Error(String(e)), { artifact });
+}
+
+async function runJob({ input, wasm, zkey }, phase) {
+  phase("witness");
+  const wtns = { type: "mem" };
+  try {
+    await snarkjs.wtns.calculate(input, wasm, wtns);
+  } catch (e) {
+    throw e?.name === "CompileError" ? artifactError("wasm", e) : e;
+  }
+
+  // The witness came from this wasm, so a failure here is the zkey's
+  phase("msm");
+  try {
+    const { proof, publicSignals } = await snarkjs.groth16.prove(zkey, wtns);
+    return { proof, publicSignals };
+  } catch (e) {
+    throw artifactError("zkey", e);
+  }
+}
+
+/** Serve jobs: `receive(handler)` subscribes to messages, `post(message)` replies */
+function listen(receive, post) {
+  receive(async (job) => {
+    const { id } = job;
+    try {
+      const result = await runJob(job, (phase) => post({ id, type: "phase", phase }));
+      post({ id, type: "result", ...result });
+    } catch (e) {
+      post({ id, type: "error", message: e.message || String(e), ...(e.artifact && { artifact: e.artifact }) });
+    }
+  });
+}
+
+// Browser Web Worker global scope (not the page; Node uses prover-worker.node.js)
+const isNode = typeof process !== "undefined" && Boolean(process.versions?.node);
+if (!isNode && typeof self !== "undefined" && typeof window === "undefined" && typeof self.postMessage === "function") {
+  listen(
+    (handler) => self.addEventListener("message", (e) => handler(e.data)),
+    (message) => self.postMessage(message)
+  );
+}
+
+module.exports = {
+  runJob,
+  listen,
+};
@@ -0,0 +1,30 @@
+// browser/prover-worker.node.js
+"use strict";
+
+/**
+ * prover-worker.js under Node, for headless tests and server-side use of the
+ * browser prover. Start it with the `web-worker` package (a dependency; the
+ * Worker that snarkjs' curve library uses on Node, built on worker_threads):
+ *
+ *   const Worker = require("web-worker");
+ *   createProver({ worker: () => new Worker(require.resolve("cipherpay-circuits/browser/prover-worker.node.js")) });
+ *
+ * ffjavascript cannot start its own threads from inside a Node worker, so the
+ * bn128 curve is built single-threaded before the first job; snarkjs reuses
+ * the cached instance. Browsers run the multi-threaded default.
+ */
+
+const path = require("path");
+const { listen } = require("./prover-worker");
+
+// snarkjs' own copy of ffjavascript, which owns the globalThis.curve_bn128 cache
+const { buildBn128 } = require(require.resolve("ffjavascript", { paths: [path.dirname(require.resolve("snarkjs"))] }));
+
+const curveReady = buildBn128(true).then((curve) => {
+  globalThis.curve_bn128 = curve;
+});
+
+listen(
+  (handler) => self.addEventListener("message", (e) => curveReady.then(() => handler(e.data))),
+  (message) => self.postMessage(message)
+);
@@ -0,0 +1,90 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "../merkle/merkle.circom";                   // MerkleProof(depth)
+include "../note_commitment/note_commitment.circom"; // NoteCommitmentFromWallet
+
+/*
+ * CipherPay viewing keys and audit disclosure
+ *
+ *   viewingKey = Poseidon(VIEWING_KEY_TAG, walletPrivKey)
+ *   auditTag   = Poseidon(viewingKey, commitment)
+ *
+ * A wallet hands its viewingKey to an auditor. The viewing key cannot be
+ * used to derive cipherPayPubKey or any nullifier, so it grants no spending
+ * power and does not link notes to their spends.
+ */
+
+// "vk" in ASCII; domain-separates the viewing key from other Poseidon uses
+function VIEWING_KEY_TAG() { return 0x766b; }
+
+template ViewingKey() {
+    signal input walletPrivKey;
+    signal output viewingKey;
+
+    component H = Poseidon(2);
+    H.inputs[0] <== VIEWING_KEY_TAG();
+    H.inputs[1] <== walletPrivKey;
+    viewingKey <== H.out;
+}
+
+// Audit disclosure for one note
+// Proves that `commitment` is in the tree under `merkleRoot`, carries `amount`
+// of `tokenId`, and is owned by the identity whose viewing key produces
+// `auditTag`. Without that viewing key the proof reveals no owner, and no
+// nullifier or key material is output, so the note stays spendable.
+// Public signals order (outputs first, then public inputs):
+// [ merkleRoot, auditTag, commitment, amount, tokenId ]
+template Audit(depth) {
+    // === Private inputs ===
+    signal input walletPubKey;                // owner L1 public key
+    signal input walletPrivKey;               // owner L1 private key (never output)
+    signal input encPubKey[2];                // owner encryption key (in its cipherPayPubKey)
+    signal input randomness;                  // note randomness
+    signal input memo;                        // note memo
+    signal input pathElements[depth];         // Merkle auth path (bottom -> top)
+    signal input pathIndices[depth];          // 0 => (left=cur,right=sib), 1 => (left=sib,right=cur)
+
+    // === Public inputs (disclosed note) ===
+    signal input commitment;
+    signal input amount;
+    signal input tokenId;
+
+    // === Public outputs ===
+    signal output merkleRoot;                 // root the note is proven against
+    signal output auditTag;                   // Poseidon(viewingKey, commitment)
+
+    // -- Step 1: the disclosed fields open the commitment under the owner's key --
+    component note = NoteCommitmentFromWallet();
+    note.amount        <== amount;
+    note.walletPubKey  <== walletPubKey;
+    note.walletPrivKey <== walletPrivKey;
+    note.encPubKey[0]  <== encPubKey[0];
+    note.encPubKey[1]  <== encPubKey[1];
+    note.randomness    <== randomness;
+    note.tokenId       <== tokenId;
+    note.memo          <== memo;
+    note.commitment === commitment;
+
+    // -- Step 2: Merkle inclusion proof (commitment ∈ tree) --
+    component mp = MerkleProof(depth);
+    mp.leaf <== commitment;
+    for (var i = 0; i < depth; i++) {
+        mp.pathElements[i] <== pathElements[i];
+        mp.pathIndices[i]  <== pathIndices[i];
+    }
+    merkleRoot <== mp.root;
+
+    // -- Step 3: bind the disclosure to the owner's viewing key --
+    component vk = ViewingKey();
+    vk.walletPrivKey <== walletPrivKey;
+
+    component tag = Poseidon(2);
+    tag.inputs[0] <== vk.viewingKey;
+    tag.inputs[1] <== commitment;
+    auditTag <== tag.out;
+}
+
+// Outputs first, then public inputs:
+// [ merkleRoot, auditTag, commitment, amount, tokenId ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,191 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";      // Num2Bits, Num2Bits_strict
+include "circomlib/circuits/comparators.circom"; // IsZero, IsEqual, LessThan, GreaterEqThan
+include "../merkle/merkle.circom";               // MerkleProof
+include "../merkle/sparse_merkle.circom";        // SMTNonMembershipIfEnabled
+include "../nullifier/nullifier.circom";         // NullifierFromCipherKey
+include "../note_commitment/note_commitment.circom"; // NoteCommitmentFromWallet
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CipherPay BalanceProof: "I hold at least `threshold` of `tokenId`"
+// Proves up to n unspent notes, all owned by the prover's wallet, sum to at
+// least a public threshold, without revealing which notes they are.
+// Assumptions:
+//  • Every note is proven against the public `merkleRoot`; the verifier checks
+//    it is a known root. Nothing is spent and no nullifier is revealed.
+//  • Every note is unspent: its nullifier is absent from the sparse Merkle
+//    tree of spent nullifiers (scripts/sparse-merkle-tree.js layout) whose
+//    root, `nullifierRoot`, the verifier checks against the pool's current one.
+//  • Notes with amount 0 are padding: they add nothing, skip both tree checks
+//    and must come after every real note.
+//  • Real notes are ordered by strictly increasing nullifier (compared as
+//    field elements), so no note is counted twice and the set has one order.
+//    It is published only as nullifierSetHash = Poseidon(k[0..n)) with
+//    k[i] = nullifier[i] for real notes and 0 for padding (n <= 16). The
+//    verifier can check that hash against later proofs for the same set; it
+//    becomes linkable once every note in the set has been spent.
+//  • Every amount is range-checked to 64 bits so the sum cannot wrap.
+// Public signals (Circom 2): outputs first, then public inputs
+// [ nullifierSetHash, merkleRoot, nullifierRoot, threshold, tokenId ]
+// ─────────────────────────────────────────────────────────────────────────────
+
+// -----------------------------------------------------------------------------
+// FieldLessThan(): a < b over whole field elements (LessThan stops at 252 bits)
+// Both sides are decomposed with Num2Bits_strict and compared as 127-bit halves.
+// -----------------------------------------------------------------------------
+template FieldLessThan() {
+    signal input in[2];
+    signal output out;
+
+    component bits[2];
+    signal half[2][2];                        // [side][0 = low 127 bits, 1 = high 127 bits]
+    for (var s = 0; s < 2; s++) {
+        bits[s] = Num2Bits_strict();
+        bits[s].in <== in[s];
+        var lo = 0;
+        var hi = 0;
+        for (var i = 0; i < 127; i++) {
+            lo += bits[s].out[i] * (1 << i);
+            hi += bits[s].out[127 + i] * (1 << i);
+        }
+        half[s][0] <== lo;
+        half[s][1] <== hi;
+    }
+
+    component hiLt = LessThan(127);
+    hiLt.in[0] <== half[0][1];
+    hiLt.in[1] <== half[1][1];
+    component hiEq = IsEqual();
+    hiEq.in[0] <== half[0][1];
+    hiEq.in[1] <== half[1][1];
+    component loLt = LessThan(127);
+    loLt.in[0] <== half[0][0];
+    loLt.in[1] <== half[1][0];
+
+    // hiLt and hiEq are never both 1
+    out <== hiLt.out + hiEq.out * loLt.out;
+}
+
+template BalanceProof(depth, n, nullifierDepth) {
+    assert(n >= 1 && n <= 16);
+
+    // === Private inputs (prover's wallet) ===
+    signal input walletPubKey;
+    signal input walletPrivKey;
+    signal input encPubKey[2];                // owner encryption key (in its cipherPayPubKey)
+
+    // === Private inputs (note preimages + membership) ===
+    signal input amount[n];                   // 0 => padding slot
+    signal input randomness[n];
+    signal input memo[n];
+    signal input pathElements[n][depth];      // siblings bottom -> top
+    signal input pathIndices[n][depth];       // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+
+    // === Private inputs (nullifier exclusion, zeros for padding) ===
+    signal input nullifierSiblings[n][nullifierDepth]; // sparse tree siblings top -> bottom, zero-padded
+    signal input nullifierOldKey[n];          // key of the leaf the path ends in (0 if empty)
+    signal input nullifierOldValue[n];        // value of that leaf (0 if empty)
+    signal input nullifierIsOld0[n];          // 1 => path ends in an empty subtree
+
+    // === Public inputs ===
+    signal input merkleRoot;                  // note tree root every real note is proven against
+    signal input nullifierRoot;               // spent-nullifier sparse tree root
+    signal input threshold;                   // u64 minimum balance
+    signal input tokenId;                     // token every note must carry
+
+    // === Public outputs ===
+    signal output nullifierSetHash;           // Poseidon(k[0..n)), see header
+
+    // -- Step 1: notes owned by the wallet, membership and non-spending --
+    component note[n];
+    component mp[n];
+    component nul[n];
+    component unspent[n];
+    component amtBits[n];
+    component isPad[n];
+    signal nullifier[n];
+    signal setKey[n];
+
+    var total = 0;
+    for (var i = 0; i < n; i++) {
+        amtBits[i] = Num2Bits(64);
+        amtBits[i].in <== amount[i];
+
+        isPad[i] = IsZero();
+        isPad[i].in <== amount[i];
+
+        note[i] = NoteCommitmentFromWallet();
+        note[i].amount        <== amount[i];
+        note[i].walletPubKey  <== walletPubKey;
+        note[i].walletPrivKey <== walletPrivKey;
+        note[i].encPubKey[0]  <== encPubKey[0];
+        note[i].encPubKey[1]  <== encPubKey[1];
+        note[i].randomness    <== randomness[i];
+        note[i].tokenId       <== tokenId;
+        note[i].memo          <== memo[i];
+
+        mp[i] = MerkleProof(depth);
+        mp[i].leaf <== note[i].commitment;
+        for (var k = 0; k < depth; k++) {
+            mp[i].pathElements[k] <== pathElements[i][k];
+            mp[i].pathIndices[k]  <== pathIndices[i][k];
+        }
+        (1 - isPad[i].out) * (mp[i].root - merkleRoot) === 0;
+
+        nul[i] = NullifierFromCipherKey();
+        nul[i].cipherPayPubKey <== note[i].derivedCipherPayPubKey;
+        nul[i].randomness      <== randomness[i];
+        nul[i].tokenId         <== tokenId;
+        nullifier[i]           <== nul[i].nullifier;
+
+        unspent[i] = SMTNonMembershipIfEnabled(nullifierDepth);
+        unspent[i].enabled <== 1 - isPad[i].out;
+        unspent[i].root    <== nullifierRoot;
+        for (var k = 0; k < nullifierDepth; k++) {
+            unspent[i].siblings[k] <== nullifierSiblings[i][k];
+        }
+        unspent[i].oldKey   <== nullifierOldKey[i];
+        unspent[i].oldValue <== nullifierOldValue[i];
+        unspent[i].isOld0   <== nullifierIsOld0[i];
+        unspent[i].key      <== nullifier[i];
+
+        setKey[i] <== (1 - isPad[i].out) * nullifier[i];
+
+        total += amount[i];
+    }
+
+    // -- Step 2: real notes first, by strictly increasing nullifier --
+    component lt[n];
+    for (var i = 0; i + 1 < n; i++) {
+        // padding is only followed by padding
+        isPad[i].out * (1 - isPad[i + 1].out) === 0;
+
+        // a real note follows a real note with a smaller nullifier
+        lt[i] = FieldLessThan();
+        lt[i].in[0] <== nullifier[i];
+        lt[i].in[1] <== nullifier[i + 1];
+        (1 - isPad[i + 1].out) * (1 - lt[i].out) === 0;
+    }
+
+    component setHash = Poseidon(n);
+    for (var i = 0; i < n; i++) {
+        setHash.inputs[i] <== setKey[i];
+    }
+    nullifierSetHash <== setHash.out;
+
+    // -- Step 3: total >= threshold --
+    // total < n * 2^64 <= 2^68, so a 70-bit comparison is exact.
+    component thresholdBits = Num2Bits(64);
+    thresholdBits.in <== threshold;
+
+    component enough = GreaterEqThan(70);
+    enough.in[0] <== total;
+    enough.in[1] <== threshold;
+    enough.out === 1;
+}
+
+// Outputs first, then public inputs:
+// [ nullifierSetHash, merkleRoot, nullifierRoot, threshold, tokenId ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,102 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";      // Num2Bits
+include "../merkle/merkle.circom";               // MerkleAppend
+include "../note_commitment/note_commitment.circom"; // NoteCommitment
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CipherPay Batch Deposit: K notes appended in one proof (single token)
+// Lets one depositor (e.g. an exchange) fund K recipients with one on-chain
+// verification instead of K.
+// Assumptions:
+//  • Notes are given as full preimages; owners are recipients' CipherPay
+//    public keys (the depositor does not hold their wallet keys).
+//  • Slots nextLeafIndex .. nextLeafIndex+K-1 are empty under oldMerkleRoot.
+//    pathElements[i] are the siblings of slot nextLeafIndex+i in the tree
+//    after notes 0..i-1 have been inserted (see MerkleAppend).
+//  • depositHash folds every (owner, amount) pair into one value:
+//      acc[0]   = nonce
+//      acc[i+1] = Poseidon(acc[i], ownerCipherPayPubKey[i], amount[i])
+//      depositHash = acc[K]
+// Public signals (Circom 2): outputs first, then public inputs
+// [ newCommitment[0..K), newMerkleRoot, newNextLeafIndex,
+//   totalAmount, depositHash, oldMerkleRoot ]
+// ─────────────────────────────────────────────────────────────────────────────
+template BatchDeposit(depth, K) {
+    // === Private inputs (K note preimages, one token) ===
+    signal input amount[K];
+    signal input ownerCipherPayPubKey[K];
+    signal input randomness[K];
+    signal input memo[K];
+    signal input tokenId;
+
+    // === Merkle tree inputs ===
+    signal input nextLeafIndex;             // index of newCommitment[0] (private)
+    signal input pathElements[K][depth];    // insertion siblings per slot
+
+    // === Public inputs (binding & history) ===
+    signal input nonce;                     // seeds depositHash
+    signal input totalAmount;               // sum(amount), moved into the pool (u64)
+    signal input depositHash;               // acc[K], see header
+    signal input oldMerkleRoot;             // must equal the tree’s current root
+
+    // === Public outputs ===
+    signal output newCommitment[K];
+    signal output newMerkleRoot;
+    signal output newNextLeafIndex;         // == nextLeafIndex + K
+
+    component note[K];
+    component amtBits[K];
+    component acc[K];
+    component app[K];
+    signal roots[K + 1];
+    signal accOut[K + 1];
+
+    roots[0]  <== oldMerkleRoot;
+    accOut[0] <== nonce;
+
+    var sum = 0;
+    for (var i = 0; i < K; i++) {
+        // -- Step 1: note commitment (amount is u64) --
+        amtBits[i] = Num2Bits(64);
+        amtBits[i].in <== amount[i];
+
+        note[i] = NoteCommitment();
+        note[i].amount          <== amount[i];
+        note[i].cipherPayPubKey <== ownerCipherPayPubKey[i];
+        note[i].randomness      <== randomness[i];
+        note[i].tokenId         <== tokenId;
+        note[i].memo            <== memo[i];
+        newCommitment[i]        <== note[i].commitment;
+
+        // -- Step 2: fold (owner, amount) into the aggregate depositHash --
+        acc[i] = Poseidon(3);
+        acc[i].inputs[0] <== accOut[i];
+        acc[i].inputs[1] <== ownerCipherPayPubKey[i];
+        acc[i].inputs[2] <== amount[i];
+        accOut[i + 1] <== acc[i].out;
+
+        // -- Step 3: append at nextLeafIndex + i (slot must be empty) --
+        app[i] = MerkleAppend(depth);
+        app[i].oldRoot <== roots[i];
+        app[i].leaf    <== newCommitment[i];
+        app[i].index   <== nextLeafIndex + i;
+        for (var k = 0; k < depth; k++) {
+            app[i].pathElements[k] <== pathElements[i][k];
+        }
+        roots[i + 1] <== app[i].newRoot;
+
+        sum += amount[i];
+    }
+
+    depositHash === accOut[K];
+
+    // -- Step 4: public total (u64) matches the notes --
+    component totalBits = Num2Bits(64);
+    totalBits.in <== totalAmount;
+    totalAmount === sum;
+
+    newMerkleRoot    <== roots[K];
+    newNextLeafIndex <== nextLeafIndex + K;
+}
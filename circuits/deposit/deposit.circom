@@ -16,6 +16,7 @@ template Deposit(depth) {
     // === Private inputs (note preimage) ===
     signal input ownerWalletPubKey;
     signal input ownerWalletPrivKey;
+    signal input ownerEncPubKey[2];
     signal input randomness;
     signal input tokenId;
     signal input memo;
@@ -54,6 +55,8 @@ template Deposit(depth) {
     note.amount        <== amount;
     note.walletPubKey  <== ownerWalletPubKey;
     note.walletPrivKey <== ownerWalletPrivKey;
+    note.encPubKey[0]  <== ownerEncPubKey[0];
+    note.encPubKey[1]  <== ownerEncPubKey[1];
     note.randomness    <== randomness;
     note.tokenId       <== tokenId;
     note.memo          <== memo;
@@ -98,4 +101,4 @@ template Deposit(depth) {
 //   amount,
 //   depositHash,
 //   oldMerkleRoot ]
-component main { public [amount, depositHash, oldMerkleRoot] } = Deposit(16);
\ No newline at end of file
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,117 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
+include "../note_commitment/note_commitment.circom";
+include "../merkle/merkle.circom";
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CipherPay Deposit with a blinded owner
+// Same statement as Deposit(depth), but the long-lived ownerCipherPayPubKey
+// never becomes public. In its place the circuit outputs a one-time
+//   ownerCommitment = Poseidon(OWNER_BLIND_TAG, ownerCipherPayPubKey, ownerBlinding)
+// and depositHash binds to it, so the program still matches depositHash to
+// the funding transaction while observers see a fresh value per deposit.
+// The note itself is a plain NoteCommitment, spendable by Transfer/Withdraw.
+// ownerBlinding must be fresh random per deposit (scripts/blinded-deposit.js).
+// ─────────────────────────────────────────────────────────────────────────────
+function OWNER_BLIND_TAG() {
+    return 0x6f62; // "ob"
+}
+
+template DepositBlinded(depth) {
+    // === Private inputs (note preimage) ===
+    signal input ownerWalletPubKey;
+    signal input ownerWalletPrivKey;
+    signal input ownerEncPubKey[2];
+    signal input randomness;
+    signal input tokenId;
+    signal input memo;
+
+    // === Private input (owner blinding) ===
+    signal input ownerBlinding;         // fresh per deposit
+
+    // === Merkle tree inputs ===
+    signal input inPathElements[depth]; // sibling hashes bottom→top
+    signal input inPathIndices[depth];  // 0 = (left=cur,right=sib), 1 = (left=sib,right=cur)
+    signal input nextLeafIndex;         // index being inserted (private)
+
+    // === Public inputs (binding & history) ===
+    signal input nonce;                 // binds depositHash
+    signal input amount;                // public amount (u64)
+    signal input depositHash;           // Poseidon(ownerCommitment, amount, nonce)
+    signal input oldMerkleRoot;         // must equal the tree’s current root
+
+    // === Public outputs ===
+    signal output newCommitment;
+    signal output ownerCommitment;      // replaces Deposit's ownerCipherPayPubKey
+    signal output newMerkleRoot;
+    signal output newNextLeafIndex;
+
+    // -- Step 0: indices must match nextLeafIndex (and range-check it) ------
+    component idxBits = Num2Bits(depth);
+    idxBits.in <== nextLeafIndex;
+    for (var i = 0; i < depth; i++) {
+        inPathIndices[i] === idxBits.out[i];
+    }
+
+    component amtBits = Num2Bits(64);
+    amtBits.in <== amount;
+
+    // -- Step 1: derive CipherPay identity + build commitment ----------------
+    component note = NoteCommitmentFromWallet();
+    note.amount        <== amount;
+    note.walletPubKey  <== ownerWalletPubKey;
+    note.walletPrivKey <== ownerWalletPrivKey;
+    note.encPubKey[0]  <== ownerEncPubKey[0];
+    note.encPubKey[1]  <== ownerEncPubKey[1];
+    note.randomness    <== randomness;
+    note.tokenId       <== tokenId;
+    note.memo          <== memo;
+
+    newCommitment <== note.commitment;
+
+    // -- Step 2: blind the owner key and bind depositHash to it --------------
+    component blind = Poseidon(3);
+    blind.inputs[0] <== OWNER_BLIND_TAG();
+    blind.inputs[1] <== note.derivedCipherPayPubKey;
+    blind.inputs[2] <== ownerBlinding;
+    ownerCommitment <== blind.out;
+
+    component depHash = Poseidon(3);
+    depHash.inputs[0] <== ownerCommitment;
+    depHash.inputs[1] <== amount;
+    depHash.inputs[2] <== nonce;
+    depositHash === depHash.out;
+
+    // -- Step 3a: verify OLD merkle root for an empty leaf at nextLeafIndex --
+    component mpOld = MerkleProof(depth);
+    mpOld.leaf <== 0; // empty slot before insertion
+    for (var i = 0; i < depth; i++) {
+        mpOld.pathElements[i] <== inPathElements[i];
+        mpOld.pathIndices[i]  <== inPathIndices[i];
+    }
+    oldMerkleRoot === mpOld.root;
+
+    // -- Step 3b: compute NEW merkle root with the new commitment ------------
+    component mpNew = MerkleProof(depth);
+    mpNew.leaf <== newCommitment;
+    for (var j = 0; j < depth; j++) {
+        mpNew.pathElements[j] <== inPathElements[j];
+        mpNew.pathIndices[j]  <== inPathIndices[j];
+    }
+    newMerkleRoot <== mpNew.root;
+
+    // -- Step 4: next index (append semantics) --------------------------------
+    newNextLeafIndex <== nextLeafIndex + 1;
+}
+
+// Public signals order (same positions as Deposit):
+// [ newCommitment,
+//   ownerCommitment,
+//   newMerkleRoot,
+//   newNextLeafIndex,
+//   amount,
+//   depositHash,
+//   oldMerkleRoot ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
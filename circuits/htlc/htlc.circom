@@ -0,0 +1,375 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";         // Num2Bits
+include "circomlib/circuits/comparators.circom";    // LessEqThan
+include "circomlib/circuits/sha256/sha256.circom";  // Sha256
+include "../merkle/merkle.circom";                  // MerkleProof, MerkleAppend
+include "../nullifier/nullifier.circom";            // NullifierFromCipherKey
+include "../note_commitment/note_commitment.circom"; // NoteCommitment*, NoteCommitmentHashlock
+include "../note_encryption/note_encryption.circom"; // NoteEncryptionFields
+
+/*
+ * CipherPay hashlock (HTLC) notes for atomic cross-chain swaps
+ *
+ * An HTLC note (NoteCommitmentHashlock) pays `recipientCipherPayPubKey` if it
+ * reveals a preimage with SHA-256(preimage) = hashlock, and returns to
+ * `senderCipherPayPubKey` after `refundTime`. SHA-256 is what HTLCs on other
+ * chains (Bitcoin, EVM) check, so both legs of a swap share one hashlock.
+ * 32-byte values travel as two 16-byte LE limbs (_lo = bytes[0..16),
+ * _hi = bytes[16..32)), the encoding of recipientOwner_lo/hi.
+ *
+ *  • HtlcLock(depth):  spends a plain note into an HTLC note (sender = spender)
+ *                      plus a change note back to the spender. encNoteHash
+ *                      binds the HTLC note's 9-field preimage, encrypted to
+ *                      the recipient, so the recipient can find and claim it.
+ *  • HtlcSpend(depth): spends an HTLC note into a plain note owned by whoever
+ *                      spends it, on one of two branches:
+ *      refund = 0 (claim):  spender is the recipient; preimage_lo/hi are public.
+ *      refund = 1 (refund): spender is the sender; refundTime <= currentTime
+ *                           (public, checked on-chain against the clock);
+ *                           preimage_lo/hi must be 0.
+ *    Both branches derive the nullifier from the recipient's key
+ *    (NullifierFromCipherKey), so a claimed note cannot be refunded or the
+ *    other way round.
+ *
+ * scripts/htlc.js creates hashlocks, computes HTLC commitments and encrypts
+ * HTLC notes.
+ */
+
+// -----------------------------------------------------------------------------
+// Sha256Limbs(): SHA-256 of 32 bytes given and returned as 16-byte LE limbs
+// -----------------------------------------------------------------------------
+template Sha256Limbs() {
+    signal input in_lo;                     // bytes[ 0..16) LE, < 2^128
+    signal input in_hi;                     // bytes[16..32) LE, < 2^128
+    signal output out_lo;
+    signal output out_hi;
+
+    component loBits = Num2Bits(128);
+    loBits.in <== in_lo;
+    component hiBits = Num2Bits(128);
+    hiBits.in <== in_hi;
+
+    // SHA-256 reads each byte most significant bit first
+    component sha = Sha256(256);
+    for (var i = 0; i < 16; i++) {
+        for (var j = 0; j < 8; j++) {
+            sha.in[8 * i + 7 - j]        <== loBits.out[8 * i + j];
+            sha.in[128 + 8 * i + 7 - j]  <== hiBits.out[8 * i + j];
+        }
+    }
+
+    var lo = 0;
+    var hi = 0;
+    for (var i = 0; i < 16; i++) {
+        for (var j = 0; j < 8; j++) {
+            lo += sha.out[8 * i + 7 - j] * (1 << (8 * i + j));
+            hi += sha.out[128 + 8 * i + 7 - j] * (1 << (8 * i + j));
+        }
+    }
+    out_lo <== lo;
+    out_hi <== hi;
+}
+
+// -----------------------------------------------------------------------------
+// HtlcLock(depth): plain note -> HTLC note + change note
+// Public signals (Circom 2): outputs first, then [encNoteHash, fee, feeRecipient_lo/hi]
+// [ htlcCommitment, changeCommitment, nullifier, merkleRoot,
+//   newMerkleRoot, newNextLeafIndex, encNoteHash, fee, feeRecipient_lo, feeRecipient_hi ]
+// -----------------------------------------------------------------------------
+template HtlcLock(depth) {
+    // === Private input note (plain, spent by the sender) ===
+    signal input inAmount;
+    signal input inSenderWalletPubKey;
+    signal input inSenderWalletPrivKey;
+    signal input inSenderEncPubKey[2];      // sender encryption key, bound into its cipherPayPubKey
+    signal input inRandomness;
+    signal input inTokenId;
+    signal input inMemo;
+    signal input inPathElements[depth];     // siblings bottom -> top
+    signal input inPathIndices[depth];      // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+
+    // === HTLC note ===
+    signal input htlcAmount;
+    signal input htlcRecipientSpendingPubKey; // recipient address, with htlcRecipientEncPubKey
+    signal input htlcRandomness;
+    signal input htlcMemo;
+    signal input hashlock_lo;               // SHA-256(preimage), bytes[ 0..16) LE
+    signal input hashlock_hi;               // SHA-256(preimage), bytes[16..32) LE
+    signal input refundTime;                // unix seconds, u64
+    signal input htlcRecipientEncPubKey[2]; // recipient BabyJubJub encryption key
+    signal input htlcEphemeralKey;          // sender's one-time scalar for the payload
+
+    // === Change note (back to the sender) ===
+    signal input changeRandomness;
+    signal input changeMemo;
+
+    // === Append both outputs at nextLeafIndex, nextLeafIndex + 1 ===
+    signal input nextLeafIndex;
+    signal input outPathElements[2][depth]; // siblings after outputs 0..j-1 (MerkleAppend)
+
+    // === Public inputs (HTLC note payload, relayer compensation) ===
+    signal input encNoteHash;               // digest of the encrypted HTLC note
+    signal input fee;
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+
+    // === Public outputs ===
+    signal output htlcCommitment;
+    signal output changeCommitment;
+    signal output nullifier;
+    signal output merkleRoot;
+    signal output newMerkleRoot;
+    signal output newNextLeafIndex;
+
+    // -- Step 1: input note commitment and membership --
+    component inNote = NoteCommitmentFromWallet();
+    inNote.amount        <== inAmount;
+    inNote.walletPubKey  <== inSenderWalletPubKey;
+    inNote.walletPrivKey <== inSenderWalletPrivKey;
+    inNote.encPubKey[0]  <== inSenderEncPubKey[0];
+    inNote.encPubKey[1]  <== inSenderEncPubKey[1];
+    inNote.randomness    <== inRandomness;
+    inNote.tokenId       <== inTokenId;
+    inNote.memo          <== inMemo;
+
+    component mpIn = MerkleProof(depth);
+    mpIn.leaf <== inNote.commitment;
+    for (var i = 0; i < depth; i++) {
+        mpIn.pathElements[i] <== inPathElements[i];
+        mpIn.pathIndices[i]  <== inPathIndices[i];
+    }
+    merkleRoot <== mpIn.root;
+
+    component nul = NullifierFromCipherKey();
+    nul.cipherPayPubKey <== inNote.derivedCipherPayPubKey;
+    nul.randomness      <== inRandomness;
+    nul.tokenId         <== inTokenId;
+    nullifier           <== nul.nullifier;
+
+    // -- Step 2: HTLC note, refundable to the spender --
+    // The recipient's key is derived from its address, so the note is
+    // claimable by whoever holds the key it is encrypted to (Step 4).
+    component recipient = CipherPayPubKey();
+    recipient.spendingPubKey <== htlcRecipientSpendingPubKey;
+    recipient.encPubKey[0]   <== htlcRecipientEncPubKey[0];
+    recipient.encPubKey[1]   <== htlcRecipientEncPubKey[1];
+
+    component htlc = NoteCommitmentHashlock();
+    htlc.amount                   <== htlcAmount;
+    htlc.recipientCipherPayPubKey <== recipient.cipherPayPubKey;
+    htlc.randomness               <== htlcRandomness;
+    htlc.tokenId                  <== inTokenId;
+    htlc.memo                     <== htlcMemo;
+    htlc.senderCipherPayPubKey    <== inNote.derivedCipherPayPubKey;
+    htlc.hashlock_lo              <== hashlock_lo;
+    htlc.hashlock_hi              <== hashlock_hi;
+    htlc.refundTime               <== refundTime;
+    htlcCommitment                <== htlc.commitment;
+
+    // refundTime must be u64, or HtlcSpend's refund branch could never pass
+    component refundBits = Num2Bits(64);
+    refundBits.in <== refundTime;
+
+    // -- Step 3: change note and conservation --
+    signal changeAmount;
+    changeAmount <== inAmount - htlcAmount - fee;
+
+    component inAmtBits = Num2Bits(64);
+    inAmtBits.in <== inAmount;
+    component htlcAmtBits = Num2Bits(64);
+    htlcAmtBits.in <== htlcAmount;
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+    component changeBits = Num2Bits(64);
+    changeBits.in <== changeAmount;
+
+    component change = NoteCommitment();
+    change.amount          <== changeAmount;
+    change.cipherPayPubKey <== inNote.derivedCipherPayPubKey;
+    change.randomness      <== changeRandomness;
+    change.tokenId         <== inTokenId;
+    change.memo            <== changeMemo;
+    changeCommitment       <== change.commitment;
+
+    // -- Step 4: bind the ciphertext digest to the HTLC note (all 9 commitment fields) --
+    component enc = NoteEncryptionFields(9);
+    enc.plaintext[0] <== htlcAmount;
+    enc.plaintext[1] <== recipient.cipherPayPubKey;
+    enc.plaintext[2] <== htlcRandomness;
+    enc.plaintext[3] <== inTokenId;
+    enc.plaintext[4] <== htlcMemo;
+    enc.plaintext[5] <== inNote.derivedCipherPayPubKey;
+    enc.plaintext[6] <== hashlock_lo;
+    enc.plaintext[7] <== hashlock_hi;
+    enc.plaintext[8] <== refundTime;
+    enc.encPubKey[0] <== htlcRecipientEncPubKey[0];
+    enc.encPubKey[1] <== htlcRecipientEncPubKey[1];
+    enc.ephemeralKey <== htlcEphemeralKey;
+    encNoteHash === enc.encNoteHash;
+
+    // -- Step 5: append htlcCommitment, changeCommitment --
+    component app1 = MerkleAppend(depth);
+    app1.oldRoot <== merkleRoot;
+    app1.leaf    <== htlcCommitment;
+    app1.index   <== nextLeafIndex;
+    for (var k = 0; k < depth; k++) {
+        app1.pathElements[k] <== outPathElements[0][k];
+    }
+
+    component app2 = MerkleAppend(depth);
+    app2.oldRoot <== app1.newRoot;
+    app2.leaf    <== changeCommitment;
+    app2.index   <== nextLeafIndex + 1;
+    for (var k = 0; k < depth; k++) {
+        app2.pathElements[k] <== outPathElements[1][k];
+    }
+    newMerkleRoot <== app2.newRoot;
+
+    newNextLeafIndex <== nextLeafIndex + 2;
+}
+
+// -----------------------------------------------------------------------------
+// HtlcSpend(depth): HTLC note -> plain note owned by the claimer or the sender
+// Public signals (Circom 2): outputs first, then public inputs
+// [ outCommitment, nullifier, merkleRoot, newMerkleRoot, newNextLeafIndex,
+//   refund, preimage_lo, preimage_hi, currentTime, fee, feeRecipient_lo, feeRecipient_hi ]
+// -----------------------------------------------------------------------------
+template HtlcSpend(depth) {
+    // === Private HTLC note ===
+    signal input amount;
+    signal input recipientCipherPayPubKey;
+    signal input randomness;
+    signal input tokenId;
+    signal input memo;
+    signal input senderCipherPayPubKey;
+    signal input hashlock_lo;
+    signal input hashlock_hi;
+    signal input refundTime;
+    signal input pathElements[depth];       // siblings bottom -> top
+    signal input pathIndices[depth];        // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+
+    // === Spender (recipient on claim, sender on refund) ===
+    signal input spenderWalletPubKey;
+    signal input spenderWalletPrivKey;
+    signal input spenderEncPubKey[2];       // spender encryption key, bound into its cipherPayPubKey
+
+    // === Output note (to the spender) ===
+    signal input outRandomness;
+    signal input outMemo;
+    signal input nextLeafIndex;
+    signal input outPathElements[depth];    // siblings of nextLeafIndex (MerkleAppend)
+
+    // === Public inputs ===
+    signal input refund;                    // 0 => claim, 1 => refund
+    signal input preimage_lo;               // claim: preimage bytes[ 0..16) LE; refund: 0
+    signal input preimage_hi;               // claim: preimage bytes[16..32) LE; refund: 0
+    signal input currentTime;               // unix seconds, checked on-chain against the clock
+    signal input fee;
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+
+    // === Public outputs ===
+    signal output outCommitment;
+    signal output nullifier;
+    signal output merkleRoot;
+    signal output newMerkleRoot;
+    signal output newNextLeafIndex;
+
+    // -- Step 1: HTLC note commitment and membership --
+    component note = NoteCommitmentHashlock();
+    note.amount                   <== amount;
+    note.recipientCipherPayPubKey <== recipientCipherPayPubKey;
+    note.randomness               <== randomness;
+    note.tokenId                  <== tokenId;
+    note.memo                     <== memo;
+    note.senderCipherPayPubKey    <== senderCipherPayPubKey;
+    note.hashlock_lo              <== hashlock_lo;
+    note.hashlock_hi              <== hashlock_hi;
+    note.refundTime               <== refundTime;
+
+    component mp = MerkleProof(depth);
+    mp.leaf <== note.commitment;
+    for (var i = 0; i < depth; i++) {
+        mp.pathElements[i] <== pathElements[i];
+        mp.pathIndices[i]  <== pathIndices[i];
+    }
+    merkleRoot <== mp.root;
+
+    // -- Step 2: the spender owns the branch's key --
+    refund * (refund - 1) === 0;
+
+    component spenderSpending = Poseidon(2);
+    spenderSpending.inputs[0] <== spenderWalletPubKey;
+    spenderSpending.inputs[1] <== spenderWalletPrivKey;
+
+    component spender = CipherPayPubKey();
+    spender.spendingPubKey <== spenderSpending.out;
+    spender.encPubKey[0]   <== spenderEncPubKey[0];
+    spender.encPubKey[1]   <== spenderEncPubKey[1];
+    spender.cipherPayPubKey === recipientCipherPayPubKey + refund * (senderCipherPayPubKey - recipientCipherPayPubKey);
+
+    // -- Step 3: claim branch reveals the preimage --
+    component sha = Sha256Limbs();
+    sha.in_lo <== preimage_lo;
+    sha.in_hi <== preimage_hi;
+    (1 - refund) * (sha.out_lo - hashlock_lo) === 0;
+    (1 - refund) * (sha.out_hi - hashlock_hi) === 0;
+    refund * preimage_lo === 0;
+    refund * preimage_hi === 0;
+
+    // -- Step 4: refund branch waits for refundTime --
+    component refundBits = Num2Bits(64);
+    refundBits.in <== refundTime;
+    component timeBits = Num2Bits(64);
+    timeBits.in <== currentTime;
+
+    component expired = LessEqThan(64);
+    expired.in[0] <== refundTime;
+    expired.in[1] <== currentTime;
+    refund * (1 - expired.out) === 0;
+
+    // -- Step 5: one nullifier for both branches --
+    component nul = NullifierFromCipherKey();
+    nul.cipherPayPubKey <== recipientCipherPayPubKey;
+    nul.randomness      <== randomness;
+    nul.tokenId         <== tokenId;
+    nullifier           <== nul.nullifier;
+
+    // -- Step 6: output note to the spender, amount - fee --
+    signal outAmount;
+    outAmount <== amount - fee;
+
+    component amtBits = Num2Bits(64);
+    amtBits.in <== amount;
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+    component outBits = Num2Bits(64);
+    outBits.in <== outAmount;
+
+    component out = NoteCommitment();
+    out.amount          <== outAmount;
+    out.cipherPayPubKey <== spender.cipherPayPubKey;
+    out.randomness      <== outRandomness;
+    out.tokenId         <== tokenId;
+    out.memo            <== outMemo;
+    outCommitment       <== out.commitment;
+
+    component app = MerkleAppend(depth);
+    app.oldRoot <== merkleRoot;
+    app.leaf    <== outCommitment;
+    app.index   <== nextLeafIndex;
+    for (var k = 0; k < depth; k++) {
+        app.pathElements[k] <== outPathElements[k];
+    }
+    newMerkleRoot <== app.newRoot;
+
+    newNextLeafIndex <== nextLeafIndex + 1;
+}
+
+// HtlcLock:  [ htlcCommitment, changeCommitment, nullifier, merkleRoot, newMerkleRoot, newNextLeafIndex,
+//              encNoteHash, fee, feeRecipient_lo, feeRecipient_hi ]
+// HtlcSpend: [ outCommitment, nullifier, merkleRoot, newMerkleRoot, newNextLeafIndex,
+//              refund, preimage_lo, preimage_hi, currentTime, fee, feeRecipient_lo, feeRecipient_hi ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
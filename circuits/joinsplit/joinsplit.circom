@@ -0,0 +1,161 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";      // Num2Bits
+include "circomlib/circuits/comparators.circom"; // IsEqual
+include "../merkle/merkle.circom";               // MerkleProof, MerkleAppend
+include "../nullifier/nullifier.circom";         // NullifierFromCipherKey
+include "../note_commitment/note_commitment.circom"; // NoteCommitment, FromWallet
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CipherPay JoinSplit: nIn input notes -> nOut output notes (single token)
+// Generalizes Transfer (1 -> 2) so several notes can be merged in one proof.
+// Assumptions:
+//  • All input notes are proven against the same `merkleRoot`, which must be
+//    the tree's current root (appends start from it, like Deposit's oldRoot).
+//  • Outputs are appended at nextLeafIndex, nextLeafIndex+1, ... in order.
+//    outPathElements[j] are the siblings of slot nextLeafIndex+j in the tree
+//    after outputs 0..j-1 have been inserted (see MerkleAppend).
+//  • Every amount is range-checked to 64 bits so the sums cannot wrap.
+// Public signals (Circom 2): outputs first, then encNoteHash[nOut]
+// [ outCommitment[0..nOut), nullifier[0..nIn), merkleRoot,
+//   newMerkleRoot, newNextLeafIndex, encNoteHash[0..nOut) ]
+// ─────────────────────────────────────────────────────────────────────────────
+template JoinSplit(depth, nIn, nOut) {
+    // === Private input notes (5-field note preimages) ===
+    signal input inAmount[nIn];
+    signal input inSenderWalletPubKey[nIn];
+    signal input inSenderWalletPrivKey[nIn];
+    signal input inSenderEncPubKey[nIn][2];
+    signal input inRandomness[nIn];
+    signal input inTokenId[nIn];
+    signal input inMemo[nIn];
+
+    // Membership proofs for the input commitments
+    signal input inPathElements[nIn][depth];  // siblings bottom -> top
+    signal input inPathIndices[nIn][depth];   // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+
+    // === Private output notes ===
+    signal input outAmount[nOut];
+    signal input outRecipientCipherPayPubKey[nOut];
+    signal input outRandomness[nOut];
+    signal input outTokenId[nOut];
+    signal input outMemo[nOut];
+
+    // === Append nOut new leaves at consecutive positions ===
+    signal input nextLeafIndex;               // index for outCommitment[0] (private)
+    signal input outPathElements[nOut][depth];
+
+    // === Public inputs (bind encrypted payloads to outputs/recipients) ===
+    signal input encNoteHash[nOut];           // Poseidon(outCommitment[j], outRecipientCipherPayPubKey[j])
+
+    // === Public outputs ===
+    signal output outCommitment[nOut];
+    signal output nullifier[nIn];
+    signal output merkleRoot;                 // root BEFORE insertions
+    signal output newMerkleRoot;              // AFTER appending every output
+    signal output newNextLeafIndex;           // == nextLeafIndex + nOut
+
+    // -- Step 1: input notes, membership and nullifiers --
+    component inNote[nIn];
+    component mpIn[nIn];
+    component nul[nIn];
+    component inAmtBits[nIn];
+
+    var inTotal = 0;
+    for (var i = 0; i < nIn; i++) {
+        inNote[i] = NoteCommitmentFromWallet();
+        inNote[i].amount        <== inAmount[i];
+        inNote[i].walletPubKey  <== inSenderWalletPubKey[i];
+        inNote[i].walletPrivKey <== inSenderWalletPrivKey[i];
+        inNote[i].encPubKey[0]  <== inSenderEncPubKey[i][0];
+        inNote[i].encPubKey[1]  <== inSenderEncPubKey[i][1];
+        inNote[i].randomness    <== inRandomness[i];
+        inNote[i].tokenId       <== inTokenId[i];
+        inNote[i].memo          <== inMemo[i];
+
+        mpIn[i] = MerkleProof(depth);
+        mpIn[i].leaf <== inNote[i].commitment;
+        for (var k = 0; k < depth; k++) {
+            mpIn[i].pathElements[k] <== inPathElements[i][k];
+            mpIn[i].pathIndices[k]  <== inPathIndices[i][k];
+        }
+
+        nul[i] = NullifierFromCipherKey();
+        nul[i].cipherPayPubKey <== inNote[i].derivedCipherPayPubKey;
+        nul[i].randomness      <== inRandomness[i];
+        nul[i].tokenId         <== inTokenId[i];
+        nullifier[i]           <== nul[i].nullifier;
+
+        inAmtBits[i] = Num2Bits(64);
+        inAmtBits[i].in <== inAmount[i];
+
+        inTokenId[i] === inTokenId[0];
+        inTotal += inAmount[i];
+    }
+
+    // Every input is proven against the same root
+    merkleRoot <== mpIn[0].root;
+    for (var i = 1; i < nIn; i++) {
+        mpIn[i].root === merkleRoot;
+    }
+
+    // The same note cannot be spent twice inside one proof
+    component nulEq[nIn][nIn];
+    for (var i = 0; i < nIn; i++) {
+        for (var j = i + 1; j < nIn; j++) {
+            nulEq[i][j] = IsEqual();
+            nulEq[i][j].in[0] <== nullifier[i];
+            nulEq[i][j].in[1] <== nullifier[j];
+            nulEq[i][j].out === 0;
+        }
+    }
+
+    // -- Step 2: output notes + ciphertext binding --
+    component outNote[nOut];
+    component bind[nOut];
+    component outAmtBits[nOut];
+
+    var outTotal = 0;
+    for (var j = 0; j < nOut; j++) {
+        outNote[j] = NoteCommitment();
+        outNote[j].amount          <== outAmount[j];
+        outNote[j].cipherPayPubKey <== outRecipientCipherPayPubKey[j];
+        outNote[j].randomness      <== outRandomness[j];
+        outNote[j].tokenId         <== outTokenId[j];
+        outNote[j].memo            <== outMemo[j];
+        outCommitment[j]           <== outNote[j].commitment;
+
+        bind[j] = Poseidon(2);
+        bind[j].inputs[0] <== outCommitment[j];
+        bind[j].inputs[1] <== outRecipientCipherPayPubKey[j];
+        encNoteHash[j] === bind[j].out;
+
+        outAmtBits[j] = Num2Bits(64);
+        outAmtBits[j].in <== outAmount[j];
+
+        outTokenId[j] === inTokenId[0];
+        outTotal += outAmount[j];
+    }
+
+    // -- Step 3: conservation over all notes --
+    inTotal === outTotal;
+
+    // -- Step 4: append outputs at nextLeafIndex .. nextLeafIndex + nOut - 1 --
+    component app[nOut];
+    signal roots[nOut + 1];
+    roots[0] <== merkleRoot;
+    for (var j = 0; j < nOut; j++) {
+        app[j] = MerkleAppend(depth);
+        app[j].oldRoot <== roots[j];
+        app[j].leaf    <== outCommitment[j];
+        app[j].index   <== nextLeafIndex + j;
+        for (var k = 0; k < depth; k++) {
+            app[j].pathElements[k] <== outPathElements[j][k];
+        }
+        roots[j + 1] <== app[j].newRoot;
+    }
+    newMerkleRoot <== roots[nOut];
+
+    newNextLeafIndex <== nextLeafIndex + nOut;
+}
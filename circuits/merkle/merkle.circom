@@ -1,6 +1,7 @@
 pragma circom 2.1.4;
 
 include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
 
 // Generic Merkle inclusion proof (depth-parametric, bottom -> top)
 // Notes:
@@ -47,6 +48,62 @@ template MerkleProof(depth) {
     root <== cur[depth];
 }
 
+// Leaf index of a Merkle path: pathIndices[i] is bit i of the index, so
+//   leafIndex = sum(pathIndices[i] * 2^i)
+// Notes:
+// - Feed it the same pathIndices[] as the MerkleProof for the leaf; that
+//   proof enforces the bits are boolean, so leafIndex < 2^depth.
+template MerkleLeafIndex(depth) {
+    signal input pathIndices[depth];      // as given to MerkleProof(depth)
+    signal output leafIndex;
+
+    var acc = 0;
+    for (var i = 0; i < depth; i++) {
+        acc += pathIndices[i] * (1 << i);
+    }
+    leafIndex <== acc;
+}
+
+// Append-only insertion into an empty slot (depth-parametric, bottom -> top)
+// Notes:
+// - Same convention as Deposit steps 3a/3b: the slot at `index` must hold the
+//   empty leaf (0) under `oldRoot`; `newRoot` is the root after writing `leaf`.
+// - `pathElements[]` are the siblings of `index` in the tree *before* this
+//   insertion. Chaining several appends (newRoot -> next oldRoot) inserts
+//   leaves at consecutive indices without any per-level carry logic.
+// - Also enforces index < 2^depth.
+template MerkleAppend(depth) {
+    // Inputs
+    signal input oldRoot;                 // root before insertion
+    signal input leaf;                    // leaf being appended
+    signal input index;                   // slot being filled
+    signal input pathElements[depth];     // siblings of `index` (bottom -> top)
+
+    // Output
+    signal output newRoot;                // root after insertion
+
+    component bits = Num2Bits(depth);
+    bits.in <== index;
+
+    // Old root must show an empty slot at `index`
+    component mpOld = MerkleProof(depth);
+    mpOld.leaf <== 0;
+    for (var i = 0; i < depth; i++) {
+        mpOld.pathElements[i] <== pathElements[i];
+        mpOld.pathIndices[i]  <== bits.out[i];
+    }
+    oldRoot === mpOld.root;
+
+    // Same path, now carrying the new leaf
+    component mpNew = MerkleProof(depth);
+    mpNew.leaf <== leaf;
+    for (var j = 0; j < depth; j++) {
+        mpNew.pathElements[j] <== pathElements[j];
+        mpNew.pathIndices[j]  <== bits.out[j];
+    }
+    newRoot <== mpNew.root;
+}
+
 // Example usage inside another circuit:
 // component mp = MerkleProof(16);
 // mp.leaf <== someCommitment;
@@ -0,0 +1,68 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/smt/smtverifier.circom";
+
+// Sparse Merkle non-membership proof (circomlib SMT layout, Poseidon hashing)
+// Notes:
+// - Leaves sit at the shallowest level where their key's low bits are unique:
+//   leaf = Poseidon(key, value, 1), inner node = Poseidon(left, right),
+//   empty subtree = 0. Bit i of the key picks the side at level i (top -> bottom).
+// - Proves `key` is absent under `root`: its path ends either in an empty
+//   subtree (`isOld0` = 1) or in the leaf of a different key
+//   (`oldKey`, `oldValue`, `isOld0` = 0).
+// - `siblings[]` are top -> bottom, zero-padded to `depth`.
+// - scripts/sparse-merkle-tree.js builds the tree and these witnesses.
+template SMTNonMembership(depth) {
+    // Inputs
+    signal input root;                    // sparse tree root
+    signal input siblings[depth];         // siblings top -> bottom, zero-padded
+    signal input oldKey;                  // key of the leaf the path ends in (0 if empty)
+    signal input oldValue;                // value of that leaf (0 if empty)
+    signal input isOld0;                  // 1 => path ends in an empty subtree
+    signal input key;                     // key proven absent
+
+    component nm = SMTNonMembershipIfEnabled(depth);
+    nm.enabled  <== 1;
+    nm.root     <== root;
+    for (var i = 0; i < depth; i++) {
+        nm.siblings[i] <== siblings[i];
+    }
+    nm.oldKey   <== oldKey;
+    nm.oldValue <== oldValue;
+    nm.isOld0   <== isOld0;
+    nm.key      <== key;
+}
+
+// SMTNonMembership, checked only when `enabled` = 1 (e.g. skipped for padding
+// slots of a fixed-size batch); with enabled = 0 pass zero siblings and keys.
+template SMTNonMembershipIfEnabled(depth) {
+    signal input enabled;                 // 0 or 1, constrained by the caller
+    signal input root;
+    signal input siblings[depth];
+    signal input oldKey;
+    signal input oldValue;
+    signal input isOld0;
+    signal input key;
+
+    isOld0 * (isOld0 - 1) === 0;
+
+    component smt = SMTVerifier(depth);
+    smt.enabled  <== enabled;
+    smt.fnc      <== 1;                   // exclusion
+    smt.root     <== root;
+    for (var i = 0; i < depth; i++) {
+        smt.siblings[i] <== siblings[i];
+    }
+    smt.oldKey   <== oldKey;
+    smt.oldValue <== oldValue;
+    smt.isOld0   <== isOld0;
+    smt.key      <== key;
+    smt.value    <== 0;
+}
+
+// Example usage inside another circuit:
+// component nm = SMTNonMembership(32);
+// nm.root <== blocklistRoot;
+// for (var i = 0; i < 32; i++) nm.siblings[i] <== siblings[i];
+// nm.oldKey <== oldKey; nm.oldValue <== oldValue; nm.isOld0 <== isOld0;
+// nm.key <== someKey;
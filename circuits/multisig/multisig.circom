@@ -0,0 +1,293 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";      // Num2Bits
+include "circomlib/circuits/eddsaposeidon.circom"; // EdDSAPoseidonVerifier
+include "../merkle/merkle.circom";               // MerkleProof, MerkleAppend
+include "../nullifier/nullifier.circom";         // NullifierFromCipherKey
+include "../note_commitment/note_commitment.circom"; // NoteCommitment
+include "../note_encryption/note_encryption.circom"; // NoteEncryption
+
+/*
+ * CipherPay k-of-n multisig notes (treasuries)
+ *
+ *   signerPubKey[i]       = BabyJubJub EdDSA public key (Ax, Ay) of signer i
+ *   ownerSpendingPubKey   = Poseidon(threshold, Ax[0], Ay[0], ..., Ax[n-1], Ay[n-1])
+ *   ownerCipherPayPubKey  = CipherPayPubKey(ownerSpendingPubKey, ownerEncPubKey)
+ *   txDigest              = Poseidon(MULTISIG_TX_TAG, nullifier, outCommitment1, outCommitment2,
+ *                                    encNote1Hash, encNote2Hash, fee, feeRecipient_lo, feeRecipient_hi)
+ *
+ * A multisig note is a plain NoteCommitment whose cipherPayPubKey binds the
+ * owner hash and the treasury's encryption key (shared by its signers), so
+ * any Transfer output can pay the address { ownerSpendingPubKey, ownerEncPubKey }.
+ * Spending verifies `threshold` EdDSA-Poseidon signatures over txDigest, so
+ * signers approve one exact spend and never hand out their private keys.
+ * The nullifier is NullifierFromCipherKey(owner, randomness, tokenId): it
+ * does not depend on which signers took part, so a note is spent once.
+ * scripts/multisig.js derives keys and owners, signs and collects signatures.
+ */
+
+function MULTISIG_TX_TAG() {
+    return 0x6d73; // "ms"
+}
+
+// -----------------------------------------------------------------------------
+// MultisigOwner(n, threshold): owner spending key for n signer public keys (n <= 7)
+// -----------------------------------------------------------------------------
+template MultisigOwner(n, threshold) {
+    assert(n >= 1 && 2 * n + 1 <= 16);
+
+    signal input signerPubKey[n][2];
+    signal output owner;
+
+    component H = Poseidon(2 * n + 1);
+    H.inputs[0] <== threshold;
+    for (var i = 0; i < n; i++) {
+        H.inputs[2 * i + 1] <== signerPubKey[i][0];
+        H.inputs[2 * i + 2] <== signerPubKey[i][1];
+    }
+    owner <== H.out;
+}
+
+// -----------------------------------------------------------------------------
+// MultisigAuth(n, threshold): exactly `threshold` enabled signers, each with
+// a valid EdDSA-Poseidon signature on `msg` under its public key. Disabled
+// slots' signatures are not checked (pass R8 = (0, 1), S = 0).
+// -----------------------------------------------------------------------------
+template MultisigAuth(n, threshold) {
+    signal input msg;
+    signal input signerPubKey[n][2];
+    signal input signerEnabled[n];          // 1 => this signer takes part
+    signal input sigR8[n][2];
+    signal input sigS[n];
+
+    component sig[n];
+    var enabled = 0;
+    for (var i = 0; i < n; i++) {
+        signerEnabled[i] * (signerEnabled[i] - 1) === 0;
+
+        sig[i] = EdDSAPoseidonVerifier();
+        sig[i].enabled <== signerEnabled[i];
+        sig[i].Ax      <== signerPubKey[i][0];
+        sig[i].Ay      <== signerPubKey[i][1];
+        sig[i].R8x     <== sigR8[i][0];
+        sig[i].R8y     <== sigR8[i][1];
+        sig[i].S       <== sigS[i];
+        sig[i].M       <== msg;
+
+        enabled += signerEnabled[i];
+    }
+    enabled === threshold;
+}
+
+// -----------------------------------------------------------------------------
+// MultisigTransfer(depth, n, threshold): Transfer of a multisig note
+// 1 input, 2 outputs, same public signals as Transfer(depth):
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// Appends use MerkleAppend: outPathElements[1] are the siblings of
+// nextLeafIndex + 1 *after* outCommitment1 is inserted (tree.appendPaths).
+// -----------------------------------------------------------------------------
+template MultisigTransfer(depth, n, threshold) {
+    // === Private input note (owned by the multisig) ===
+    signal input inAmount;
+    signal input inRandomness;
+    signal input inTokenId;
+    signal input inMemo;
+    signal input inPathElements[depth];     // siblings bottom -> top
+    signal input inPathIndices[depth];      // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+    signal input ownerEncPubKey[2];         // the multisig's encryption key, bound into its owner key
+
+    // === Signers ===
+    signal input signerPubKey[n][2];        // BabyJubJub EdDSA public keys
+    signal input signerEnabled[n];
+    signal input sigR8[n][2];               // signatures over txDigest, (0, 1) / 0 when disabled
+    signal input sigS[n];
+
+    // === Output note 1 (recipient) ===
+    signal input out1Amount;
+    signal input out1RecipientSpendingPubKey; // recipient address, with out1RecipientEncPubKey
+    signal input out1Randomness;
+    signal input out1TokenId;
+    signal input out1Memo;
+    signal input out1RecipientEncPubKey[2];
+    signal input out1EphemeralKey;
+
+    // === Output note 2 (flexible recipient, e.g. change back to the multisig) ===
+    signal input out2Amount;
+    signal input out2RecipientSpendingPubKey; // recipient address, with out2RecipientEncPubKey
+    signal input out2Randomness;
+    signal input out2TokenId;
+    signal input out2Memo;
+    signal input out2RecipientEncPubKey[2];
+    signal input out2EphemeralKey;
+
+    // === Append two new leaves at consecutive positions ===
+    signal input nextLeafIndex;
+    signal input outPathElements[2][depth]; // siblings after outputs 0..j-1 (MerkleAppend)
+
+    // === Public inputs ===
+    signal input encNote1Hash;
+    signal input encNote2Hash;
+    signal input fee;
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+
+    // === Public outputs ===
+    signal output outCommitment1;
+    signal output outCommitment2;
+    signal output nullifier;
+    signal output merkleRoot;
+    signal output newMerkleRoot1;
+    signal output newMerkleRoot2;
+    signal output newNextLeafIndex;
+
+    // -- Step 1: input note owned by the multisig, and its membership --
+    component owner = MultisigOwner(n, threshold);
+    for (var i = 0; i < n; i++) {
+        owner.signerPubKey[i][0] <== signerPubKey[i][0];
+        owner.signerPubKey[i][1] <== signerPubKey[i][1];
+    }
+
+    component ownerKey = CipherPayPubKey();
+    ownerKey.spendingPubKey <== owner.owner;
+    ownerKey.encPubKey[0]   <== ownerEncPubKey[0];
+    ownerKey.encPubKey[1]   <== ownerEncPubKey[1];
+
+    component inNote = NoteCommitment();
+    inNote.amount          <== inAmount;
+    inNote.cipherPayPubKey <== ownerKey.cipherPayPubKey;
+    inNote.randomness      <== inRandomness;
+    inNote.tokenId         <== inTokenId;
+    inNote.memo            <== inMemo;
+
+    component mpIn = MerkleProof(depth);
+    mpIn.leaf <== inNote.commitment;
+    for (var i = 0; i < depth; i++) {
+        mpIn.pathElements[i] <== inPathElements[i];
+        mpIn.pathIndices[i]  <== inPathIndices[i];
+    }
+    merkleRoot <== mpIn.root;
+
+    // -- Step 2: nullifier, independent of which signers took part --
+    component nul = NullifierFromCipherKey();
+    nul.cipherPayPubKey <== ownerKey.cipherPayPubKey;
+    nul.randomness      <== inRandomness;
+    nul.tokenId         <== inTokenId;
+    nullifier           <== nul.nullifier;
+
+    // -- Step 3: output notes, owners derived from the recipients' addresses --
+    component out1Owner = CipherPayPubKey();
+    out1Owner.spendingPubKey <== out1RecipientSpendingPubKey;
+    out1Owner.encPubKey[0]   <== out1RecipientEncPubKey[0];
+    out1Owner.encPubKey[1]   <== out1RecipientEncPubKey[1];
+
+    component out2Owner = CipherPayPubKey();
+    out2Owner.spendingPubKey <== out2RecipientSpendingPubKey;
+    out2Owner.encPubKey[0]   <== out2RecipientEncPubKey[0];
+    out2Owner.encPubKey[1]   <== out2RecipientEncPubKey[1];
+
+    component outNote1 = NoteCommitment();
+    outNote1.amount          <== out1Amount;
+    outNote1.cipherPayPubKey <== out1Owner.cipherPayPubKey;
+    outNote1.randomness      <== out1Randomness;
+    outNote1.tokenId         <== out1TokenId;
+    outNote1.memo            <== out1Memo;
+    outCommitment1           <== outNote1.commitment;
+
+    component outNote2 = NoteCommitment();
+    outNote2.amount          <== out2Amount;
+    outNote2.cipherPayPubKey <== out2Owner.cipherPayPubKey;
+    outNote2.randomness      <== out2Randomness;
+    outNote2.tokenId         <== out2TokenId;
+    outNote2.memo            <== out2Memo;
+    outCommitment2           <== outNote2.commitment;
+
+    // -- Step 4: conservation & token checks (as in Transfer) --
+    component inAmtBits = Num2Bits(64);
+    inAmtBits.in <== inAmount;
+    component out1AmtBits = Num2Bits(64);
+    out1AmtBits.in <== out1Amount;
+    component out2AmtBits = Num2Bits(64);
+    out2AmtBits.in <== out2Amount;
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+
+    inAmount    === out1Amount + out2Amount + fee;
+    out1TokenId === inTokenId;
+    out2TokenId === inTokenId;
+
+    // -- Step 5: bind ciphertext digests to the output notes --
+    component enc1 = NoteEncryption();
+    enc1.amount          <== out1Amount;
+    enc1.cipherPayPubKey <== out1Owner.cipherPayPubKey;
+    enc1.randomness      <== out1Randomness;
+    enc1.tokenId         <== out1TokenId;
+    enc1.memo            <== out1Memo;
+    enc1.encPubKey[0]    <== out1RecipientEncPubKey[0];
+    enc1.encPubKey[1]    <== out1RecipientEncPubKey[1];
+    enc1.ephemeralKey    <== out1EphemeralKey;
+    encNote1Hash === enc1.encNoteHash;
+
+    component enc2 = NoteEncryption();
+    enc2.amount          <== out2Amount;
+    enc2.cipherPayPubKey <== out2Owner.cipherPayPubKey;
+    enc2.randomness      <== out2Randomness;
+    enc2.tokenId         <== out2TokenId;
+    enc2.memo            <== out2Memo;
+    enc2.encPubKey[0]    <== out2RecipientEncPubKey[0];
+    enc2.encPubKey[1]    <== out2RecipientEncPubKey[1];
+    enc2.ephemeralKey    <== out2EphemeralKey;
+    encNote2Hash === enc2.encNoteHash;
+
+    // -- Step 6: append outCommitment1, outCommitment2 --
+    component app1 = MerkleAppend(depth);
+    app1.oldRoot <== merkleRoot;
+    app1.leaf    <== outCommitment1;
+    app1.index   <== nextLeafIndex;
+    for (var k = 0; k < depth; k++) {
+        app1.pathElements[k] <== outPathElements[0][k];
+    }
+    newMerkleRoot1 <== app1.newRoot;
+
+    component app2 = MerkleAppend(depth);
+    app2.oldRoot <== newMerkleRoot1;
+    app2.leaf    <== outCommitment2;
+    app2.index   <== nextLeafIndex + 1;
+    for (var k = 0; k < depth; k++) {
+        app2.pathElements[k] <== outPathElements[1][k];
+    }
+    newMerkleRoot2 <== app2.newRoot;
+
+    newNextLeafIndex <== nextLeafIndex + 2;
+
+    // -- Step 7: threshold of signatures over this exact spend --
+    component digest = Poseidon(9);
+    digest.inputs[0] <== MULTISIG_TX_TAG();
+    digest.inputs[1] <== nullifier;
+    digest.inputs[2] <== outCommitment1;
+    digest.inputs[3] <== outCommitment2;
+    digest.inputs[4] <== encNote1Hash;
+    digest.inputs[5] <== encNote2Hash;
+    digest.inputs[6] <== fee;
+    digest.inputs[7] <== feeRecipient_lo;
+    digest.inputs[8] <== feeRecipient_hi;
+
+    component auth = MultisigAuth(n, threshold);
+    auth.msg <== digest.out;
+    for (var i = 0; i < n; i++) {
+        auth.signerPubKey[i][0] <== signerPubKey[i][0];
+        auth.signerPubKey[i][1] <== signerPubKey[i][1];
+        auth.signerEnabled[i]   <== signerEnabled[i];
+        auth.sigR8[i][0]        <== sigR8[i][0];
+        auth.sigR8[i][1]        <== sigR8[i][1];
+        auth.sigS[i]            <== sigS[i];
+    }
+}
+
+// Outputs first, then public inputs:
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -13,9 +13,31 @@ include "circomlib/circuits/poseidon.circom";
  *      commitment = Poseidon(tag, amount, cipherPayPubKey, randomness, tokenId, memo)
  *    (adds a constant domain tag as the first input)
  *
+ *  - CipherPayPubKey():
+ *      cipherPayPubKey = Poseidon(spendingPubKey, encPubKey.x, encPubKey.y)
+ *    (the owner key every commitment binds; a sender derives it from the
+ *     recipient's address { spendingPubKey, encPubKey }, so the key a note is
+ *     encrypted to is the one its owner published)
+ *
  *  - NoteCommitmentFromWallet():
- *      cipherPayPubKey = Poseidon(walletPubKey, walletPrivKey)
+ *      spendingPubKey  = Poseidon(walletPubKey, walletPrivKey)
+ *      cipherPayPubKey = CipherPayPubKey(spendingPubKey, encPubKey)
+ *      commitment      = Poseidon(amount, cipherPayPubKey, randomness, tokenId, memo)
+ *
+ *  - NoteCommitmentFromNullifyingKey():
+ *      spendingPubKey  = Poseidon(walletPubKey, nullifyingKey)
+ *      cipherPayPubKey = CipherPayPubKey(spendingPubKey, encPubKey)
  *      commitment      = Poseidon(amount, cipherPayPubKey, randomness, tokenId, memo)
+ *    (nullifyingKey = Poseidon(NULLIFYING_KEY_TAG, walletPrivKey), see nullifier.circom)
+ *
+ *  - NoteCommitmentTimelocked():
+ *      commitment = Poseidon(NoteCommitmentTagged(TIMELOCK_NOTE_TAG), unlockTime)
+ *    (a note that cannot be spent before unlockTime, see transfer_timelock / withdraw_timelock)
+ *
+ *  - NoteCommitmentHashlock():
+ *      commitment = Poseidon(NoteCommitmentTagged(HTLC_NOTE_TAG), senderCipherPayPubKey,
+ *                            hashlock_lo, hashlock_hi, refundTime)
+ *    (HTLC note: claimable with the hashlock preimage, refundable after refundTime, see htlc)
  */
 
 // -----------------------------------------------------------------------------
@@ -24,7 +46,7 @@ include "circomlib/circuits/poseidon.circom";
 template NoteCommitment() {
     // === Private inputs ===
     signal input amount;            // token amount
-    signal input cipherPayPubKey;   // Poseidon(walletPubKey, walletPrivKey)
+    signal input cipherPayPubKey;   // CipherPayPubKey() of the owner
     signal input randomness;        // note randomness
     signal input tokenId;           // token type id
     signal input memo;              // optional memo
@@ -71,7 +93,28 @@ template NoteCommitmentTagged(tag) {
 }
 
 // -----------------------------------------------------------------------------
-// 3) Convenience variant: derive cipherPayPubKey from wallet keys inside
+// 3) Owner key: the spending key bound to the owner's encryption key.
+//    Senders compute it from the recipient's address, never take it as is.
+// -----------------------------------------------------------------------------
+template CipherPayPubKey() {
+    // === Private inputs ===
+    signal input spendingPubKey;    // Poseidon(walletPubKey, walletPrivKey | nullifyingKey)
+    signal input encPubKey[2];      // owner BabyJubJub encryption key
+
+    // === Output ===
+    signal output cipherPayPubKey;
+
+    // cipherPayPubKey = Poseidon(spendingPubKey, encPubKey.x, encPubKey.y)
+    component H = Poseidon(3);
+    H.inputs[0] <== spendingPubKey;
+    H.inputs[1] <== encPubKey[0];
+    H.inputs[2] <== encPubKey[1];
+
+    cipherPayPubKey <== H.out;
+}
+
+// -----------------------------------------------------------------------------
+// 4) Convenience variant: derive cipherPayPubKey from wallet keys inside
 //    Useful when the caller has wallet keys and wants fewer moving parts.
 // -----------------------------------------------------------------------------
 template NoteCommitmentFromWallet() {
@@ -79,6 +122,7 @@ template NoteCommitmentFromWallet() {
     signal input amount;
     signal input walletPubKey;
     signal input walletPrivKey;
+    signal input encPubKey[2];      // owner encryption key, bound into the owner key
     signal input randomness;
     signal input tokenId;
     signal input memo;
@@ -87,11 +131,57 @@ template NoteCommitmentFromWallet() {
     signal output commitment;
     signal output derivedCipherPayPubKey;
 
-    // derivedCipherPayPubKey = Poseidon(walletPubKey, walletPrivKey)
+    // spendingPubKey = Poseidon(walletPubKey, walletPrivKey)
     component ID = Poseidon(2);
     ID.inputs[0] <== walletPubKey;
     ID.inputs[1] <== walletPrivKey;
-    derivedCipherPayPubKey <== ID.out;
+
+    component owner = CipherPayPubKey();
+    owner.spendingPubKey <== ID.out;
+    owner.encPubKey[0]   <== encPubKey[0];
+    owner.encPubKey[1]   <== encPubKey[1];
+    derivedCipherPayPubKey <== owner.cipherPayPubKey;
+
+    // commitment = Poseidon(amount, derivedCipherPayPubKey, randomness, tokenId, memo)
+    component H = Poseidon(5);
+    H.inputs[0] <== amount;
+    H.inputs[1] <== derivedCipherPayPubKey;
+    H.inputs[2] <== randomness;
+    H.inputs[3] <== tokenId;
+    H.inputs[4] <== memo;
+
+    commitment <== H.out;
+}
+
+// -----------------------------------------------------------------------------
+// 5) Nullifying-key variant: the spending key is derived from the secret
+//    nullifyingKey rather than from walletPrivKey directly, so the same secret
+//    that keys the nullifier is bound into every commitment.
+// -----------------------------------------------------------------------------
+template NoteCommitmentFromNullifyingKey() {
+    // === Private inputs ===
+    signal input amount;
+    signal input walletPubKey;
+    signal input nullifyingKey;
+    signal input encPubKey[2];      // owner encryption key, bound into the owner key
+    signal input randomness;
+    signal input tokenId;
+    signal input memo;
+
+    // === Public outputs ===
+    signal output commitment;
+    signal output derivedCipherPayPubKey;
+
+    // spendingPubKey = Poseidon(walletPubKey, nullifyingKey)
+    component ID = Poseidon(2);
+    ID.inputs[0] <== walletPubKey;
+    ID.inputs[1] <== nullifyingKey;
+
+    component owner = CipherPayPubKey();
+    owner.spendingPubKey <== ID.out;
+    owner.encPubKey[0]   <== encPubKey[0];
+    owner.encPubKey[1]   <== encPubKey[1];
+    derivedCipherPayPubKey <== owner.cipherPayPubKey;
 
     // commitment = Poseidon(amount, derivedCipherPayPubKey, randomness, tokenId, memo)
     component H = Poseidon(5);
@@ -103,3 +193,82 @@ template NoteCommitmentFromWallet() {
 
     commitment <== H.out;
 }
+
+// -----------------------------------------------------------------------------
+// 6) Timelocked variant: the tagged commitment, bound to an unlock time.
+//    The tag keeps timelocked and plain commitments from ever colliding; the
+//    spending circuits enforce currentTime >= unlockTime.
+// -----------------------------------------------------------------------------
+function TIMELOCK_NOTE_TAG() {
+    return 0x746c; // "tl"
+}
+
+template NoteCommitmentTimelocked() {
+    // === Private inputs ===
+    signal input amount;
+    signal input cipherPayPubKey;
+    signal input randomness;
+    signal input tokenId;
+    signal input memo;
+    signal input unlockTime;        // unix seconds, u64
+
+    // === Public output ===
+    signal output commitment;
+
+    component tagged = NoteCommitmentTagged(TIMELOCK_NOTE_TAG());
+    tagged.amount          <== amount;
+    tagged.cipherPayPubKey <== cipherPayPubKey;
+    tagged.randomness      <== randomness;
+    tagged.tokenId         <== tokenId;
+    tagged.memo            <== memo;
+
+    // commitment = Poseidon( taggedCommitment, unlockTime )
+    component H = Poseidon(2);
+    H.inputs[0] <== tagged.commitment;
+    H.inputs[1] <== unlockTime;
+
+    commitment <== H.out;
+}
+
+// -----------------------------------------------------------------------------
+// 7) Hashlock (HTLC) variant: the tagged commitment, owned by the recipient,
+//    bound to the sender's key, a SHA-256 hashlock and a refund time.
+//    hashlock_lo / hashlock_hi are the digest's 16-byte LE limbs (same
+//    encoding as recipientOwner_lo/hi).
+// -----------------------------------------------------------------------------
+function HTLC_NOTE_TAG() {
+    return 0x6874; // "ht"
+}
+
+template NoteCommitmentHashlock() {
+    // === Private inputs ===
+    signal input amount;
+    signal input recipientCipherPayPubKey;  // claims with the preimage
+    signal input randomness;
+    signal input tokenId;
+    signal input memo;
+    signal input senderCipherPayPubKey;     // refunds after refundTime
+    signal input hashlock_lo;               // SHA-256(preimage), bytes[ 0..16) LE
+    signal input hashlock_hi;               // SHA-256(preimage), bytes[16..32) LE
+    signal input refundTime;                // unix seconds, u64
+
+    // === Public output ===
+    signal output commitment;
+
+    component tagged = NoteCommitmentTagged(HTLC_NOTE_TAG());
+    tagged.amount          <== amount;
+    tagged.cipherPayPubKey <== recipientCipherPayPubKey;
+    tagged.randomness      <== randomness;
+    tagged.tokenId         <== tokenId;
+    tagged.memo            <== memo;
+
+    // commitment = Poseidon( taggedCommitment, senderCipherPayPubKey, hashlock_lo, hashlock_hi, refundTime )
+    component H = Poseidon(5);
+    H.inputs[0] <== tagged.commitment;
+    H.inputs[1] <== senderCipherPayPubKey;
+    H.inputs[2] <== hashlock_lo;
+    H.inputs[3] <== hashlock_hi;
+    H.inputs[4] <== refundTime;
+
+    commitment <== H.out;
+}
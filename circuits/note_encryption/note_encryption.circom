@@ -0,0 +1,245 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";       // Poseidon, PoseidonEx
+include "circomlib/circuits/bitify.circom";         // Num2Bits
+include "circomlib/circuits/escalarmulany.circom";  // EscalarMulAny
+include "circomlib/circuits/escalarmulfix.circom";  // EscalarMulFix
+include "circomlib/circuits/babyjub.circom";        // BabyCheck, BabyDbl
+
+/*
+ * CipherPay note encryption (BabyJubJub ECDH + Poseidon sponge cipher)
+ *
+ *   ephemeralPubKey = ephemeralKey * Base8
+ *   sharedKey       = ephemeralKey * encPubKey          (= encPrivKey * ephemeralPubKey)
+ *   ciphertext      = PoseidonEncrypt(note preimage, sharedKey, nonce = 0)
+ *   encNoteHash     = Poseidon(ephemeralPubKey.x, ephemeralPubKey.y, ciphertext[0..7))
+ *
+ * The note preimage is the NoteCommitment input order:
+ *   [amount, cipherPayPubKey, randomness, tokenId, memo]
+ * Timelocked notes append unlockTime (6 fields, still 7 ciphertext elements).
+ *
+ * encPubKey must be a BabyJubJub point in the prime-order subgroup (as
+ * inSubgroup in scripts/note-encryption.js requires); a low-order or
+ * off-curve key would make the shared key guessable. Senders take it from
+ * the recipient's address and bind it into the recipient's cipherPayPubKey
+ * (CipherPayPubKey in note_commitment.circom).
+ *
+ * The relayed payload is (ephemeralPubKey, ciphertext); encNoteHash is its
+ * public digest. A fresh ephemeral key per note makes the fixed nonce safe.
+ * scripts/note-encryption.js is the matching off-chain implementation.
+ */
+
+// -----------------------------------------------------------------------------
+// PoseidonEncrypt(length): Poseidon duplex-sponge encryption (t = 4)
+//   state     = [0, key[0], key[1], nonce + length * 2^128]
+//   per block = permute; state[1..3] += plaintext[3b..3b+3); emit state[1..3]
+//   tag       = permute; emit state[1]
+// The plaintext is zero-padded to a multiple of 3, so the ciphertext has
+// 3 * ceil(length / 3) + 1 elements (the last one is the authentication tag).
+// -----------------------------------------------------------------------------
+template PoseidonEncrypt(length) {
+    var nBlocks = (length + 2) \ 3;
+    var TWO_128 = 340282366920938463463374607431768211456;
+
+    signal input plaintext[length];
+    signal input key[2];
+    signal input nonce;                     // < 2^128
+    signal output ciphertext[nBlocks * 3 + 1];
+
+    component nonceBits = Num2Bits(128);
+    nonceBits.in <== nonce;
+
+    component perm[nBlocks + 1];
+    for (var b = 0; b <= nBlocks; b++) {
+        perm[b] = PoseidonEx(3, 4);
+        if (b == 0) {
+            perm[b].initialState <== 0;
+            perm[b].inputs[0] <== key[0];
+            perm[b].inputs[1] <== key[1];
+            perm[b].inputs[2] <== nonce + length * TWO_128;
+        } else {
+            // absorbed state after the previous block is [s0, c0, c1, c2]
+            perm[b].initialState <== perm[b - 1].out[0];
+            for (var j = 0; j < 3; j++) {
+                perm[b].inputs[j] <== ciphertext[(b - 1) * 3 + j];
+            }
+        }
+
+        if (b < nBlocks) {
+            for (var j = 0; j < 3; j++) {
+                var idx = b * 3 + j;
+                if (idx < length) {
+                    ciphertext[idx] <== perm[b].out[j + 1] + plaintext[idx];
+                } else {
+                    ciphertext[idx] <== perm[b].out[j + 1];   // zero padding
+                }
+            }
+        }
+    }
+    ciphertext[nBlocks * 3] <== perm[nBlocks].out[1];
+}
+
+// -----------------------------------------------------------------------------
+// BabySubgroupCheck(): p is on BabyJubJub and in its prime-order subgroup.
+// The curve group has order 8 * subOrder, so p is in the subgroup iff
+// p = 8 * q for some curve point q; the witness supplies
+// q = (8^-1 mod subOrder) * p and the constraints only double it three times.
+// -----------------------------------------------------------------------------
+function babyAddVar(x1, y1, x2, y2) {
+    var a = 168700;
+    var d = 168696;
+    var tau = d * x1 * x2 * y1 * y2;
+    var r[2];
+    r[0] = (x1 * y2 + y1 * x2) / (1 + tau);
+    r[1] = (y1 * y2 - a * x1 * x2) / (1 - tau);
+    return r;
+}
+
+function babyMulVar(x, y, k) {
+    var acc[2] = [0, 1];
+    var pt[2] = [x, y];
+    var e = k;
+    while (e > 0) {
+        if (e & 1 == 1) {
+            acc = babyAddVar(acc[0], acc[1], pt[0], pt[1]);
+        }
+        pt = babyAddVar(pt[0], pt[1], pt[0], pt[1]);
+        e = e >> 1;
+    }
+    return acc;
+}
+
+template BabySubgroupCheck() {
+    // 8^-1 mod subOrder
+    var INV8 = 2394026564107420727433200628387514462817212225638746351800188703329891451411;
+
+    signal input p[2];
+
+    component onCurve = BabyCheck();
+    onCurve.x <== p[0];
+    onCurve.y <== p[1];
+
+    var qv[2] = babyMulVar(p[0], p[1], INV8);
+    signal q[2];
+    q[0] <-- qv[0];
+    q[1] <-- qv[1];
+
+    component qOnCurve = BabyCheck();
+    qOnCurve.x <== q[0];
+    qOnCurve.y <== q[1];
+
+    component dbl[3];
+    for (var i = 0; i < 3; i++) {
+        dbl[i] = BabyDbl();
+        dbl[i].x <== i == 0 ? q[0] : dbl[i - 1].xout;
+        dbl[i].y <== i == 0 ? q[1] : dbl[i - 1].yout;
+    }
+    p[0] === dbl[2].xout;
+    p[1] === dbl[2].yout;
+}
+
+// -----------------------------------------------------------------------------
+// NoteEncryptionFields(length): encrypt `length` note fields to a recipient's
+// encryption key. NoteEncryption() is the 5-field instance; note types with
+// extra fields (e.g. timelocked notes) append them to the NoteCommitment order.
+// -----------------------------------------------------------------------------
+template NoteEncryptionFields(length) {
+    var ctLength = ((length + 2) \ 3) * 3 + 1;
+
+    // === Note preimage ===
+    signal input plaintext[length];
+
+    // === Keys ===
+    signal input encPubKey[2];              // recipient BabyJubJub encryption key
+    signal input ephemeralKey;              // sender's one-time scalar, < 2^253
+
+    // === Outputs ===
+    signal output ephemeralPubKey[2];
+    signal output ciphertext[ctLength];
+    signal output encNoteHash;
+
+    // -- Step 0: the recipient key is a subgroup point --
+    component keyCheck = BabySubgroupCheck();
+    keyCheck.p[0] <== encPubKey[0];
+    keyCheck.p[1] <== encPubKey[1];
+
+    // -- Step 1: ephemeral public key --
+    component eBits = Num2Bits(253);
+    eBits.in <== ephemeralKey;
+
+    var BASE8[2] = [
+        5299619240641551281634865583518297030282874472190772894086521144482721001553,
+        16950150798460657717958625567821834550301663161624707787222815936182638968203
+    ];
+    component ephMul = EscalarMulFix(253, BASE8);
+    for (var i = 0; i < 253; i++) {
+        ephMul.e[i] <== eBits.out[i];
+    }
+    ephemeralPubKey[0] <== ephMul.out[0];
+    ephemeralPubKey[1] <== ephMul.out[1];
+
+    // -- Step 2: ECDH shared key with the recipient --
+    component shared = EscalarMulAny(253);
+    for (var i = 0; i < 253; i++) {
+        shared.e[i] <== eBits.out[i];
+    }
+    shared.p[0] <== encPubKey[0];
+    shared.p[1] <== encPubKey[1];
+
+    // -- Step 3: encrypt the preimage --
+    component enc = PoseidonEncrypt(length);
+    for (var f = 0; f < length; f++) {
+        enc.plaintext[f] <== plaintext[f];
+    }
+    enc.key[0]       <== shared.out[0];
+    enc.key[1]       <== shared.out[1];
+    enc.nonce        <== 0;
+
+    // -- Step 4: digest of the relayed payload --
+    component H = Poseidon(2 + ctLength);
+    H.inputs[0] <== ephemeralPubKey[0];
+    H.inputs[1] <== ephemeralPubKey[1];
+    for (var k = 0; k < ctLength; k++) {
+        ciphertext[k]   <== enc.ciphertext[k];
+        H.inputs[2 + k] <== enc.ciphertext[k];
+    }
+    encNoteHash <== H.out;
+}
+
+// -----------------------------------------------------------------------------
+// NoteEncryption(): encrypt one note preimage to a recipient's encryption key
+// -----------------------------------------------------------------------------
+template NoteEncryption() {
+    // === Note preimage (NoteCommitment order) ===
+    signal input amount;
+    signal input cipherPayPubKey;
+    signal input randomness;
+    signal input tokenId;
+    signal input memo;
+
+    // === Keys ===
+    signal input encPubKey[2];              // recipient BabyJubJub encryption key
+    signal input ephemeralKey;              // sender's one-time scalar, < 2^253
+
+    // === Outputs ===
+    signal output ephemeralPubKey[2];
+    signal output ciphertext[7];
+    signal output encNoteHash;
+
+    component enc = NoteEncryptionFields(5);
+    enc.plaintext[0] <== amount;
+    enc.plaintext[1] <== cipherPayPubKey;
+    enc.plaintext[2] <== randomness;
+    enc.plaintext[3] <== tokenId;
+    enc.plaintext[4] <== memo;
+    enc.encPubKey[0] <== encPubKey[0];
+    enc.encPubKey[1] <== encPubKey[1];
+    enc.ephemeralKey <== ephemeralKey;
+
+    ephemeralPubKey[0] <== enc.ephemeralPubKey[0];
+    ephemeralPubKey[1] <== enc.ephemeralPubKey[1];
+    for (var k = 0; k < 7; k++) {
+        ciphertext[k] <== enc.ciphertext[k];
+    }
+    encNoteHash <== enc.encNoteHash;
+}
@@ -1,12 +1,15 @@
 pragma circom 2.1.4;
 
 include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+include "../note_commitment/note_commitment.circom"; // CipherPayPubKey
 
 /*
  * CipherPay Nullifier family
  *
  * Base (kept compatible with your existing circuits):
- *   ownerCPPK = Poseidon(ownerWalletPubKey, ownerWalletPrivKey)
+ *   ownerCPPK = CipherPayPubKey(Poseidon(ownerWalletPubKey, ownerWalletPrivKey), ownerEncPubKey)
  *   nullifier = Poseidon(ownerCPPK, randomness, tokenId)
  *
  * Variants:
@@ -14,13 +17,30 @@ include "circomlib/circuits/poseidon.circom";
  *      nullifier = Poseidon(cipherPayPubKey, randomness, tokenId)
  *
  *  - NullifierTagged(tag):
- *      ownerCPPK = Poseidon(ownerWalletPubKey, ownerWalletPrivKey)
+ *      ownerCPPK = as in the base component
  *      nullifier = Poseidon(tag, ownerCPPK, randomness, tokenId)
  *    (compile-time tag for domain separation; prevents cross-protocol reuse)
  *
  *  - NullifierFromCipherKeyTagged(tag):
  *      nullifier = Poseidon(tag, cipherPayPubKey, randomness, tokenId)
  *
+ *  - NullifyingKey():
+ *      nullifyingKey = Poseidon(NULLIFYING_KEY_TAG, walletPrivKey)
+ *
+ *  - NullifierFromNullifyingKey():
+ *      nullifier = Poseidon(nullifyingKey, randomness, tokenId)
+ *    (secret-keyed: a note's sender knows cipherPayPubKey/randomness/tokenId
+ *     but not the recipient's nullifyingKey, so cannot precompute the nullifier)
+ *
+ *  - NullifierPositioned():
+ *      nullifier = Poseidon(POSITION_NULLIFIER_TAG, baseNullifier, leafIndex)
+ *    (bound to the leaf position, so identical commitments at different
+ *     leaves have different nullifiers; leafIndex from MerkleLeafIndex)
+ *
+ *  - NullifierMigration(depth):
+ *      legacyNullifier = baseNullifier                 if leafIndex <  migrationLeafIndex
+ *                      = Poseidon(positioned nullifier) otherwise
+ *
  * Notes:
  *  - Changing the nullifier formula (e.g., adding a tag) is a breaking change
  *    for previously created notes. Do it at a clear version boundary.
@@ -33,20 +53,26 @@ template Nullifier() {
     // === Private inputs ===
     signal input ownerWalletPubKey;     // L1 public key
     signal input ownerWalletPrivKey;    // L1 private key
+    signal input ownerEncPubKey[2];     // owner encryption key
     signal input randomness;            // same as in commitment
     signal input tokenId;               // same as in commitment
 
     // === Public output ===
     signal output nullifier;
 
-    // ownerCPPK = Poseidon(pub, priv)
+    // ownerCPPK = CipherPayPubKey(Poseidon(pub, priv), ownerEncPubKey)
     component ID = Poseidon(2);
     ID.inputs[0] <== ownerWalletPubKey;
     ID.inputs[1] <== ownerWalletPrivKey;
 
+    component owner = CipherPayPubKey();
+    owner.spendingPubKey <== ID.out;
+    owner.encPubKey[0]   <== ownerEncPubKey[0];
+    owner.encPubKey[1]   <== ownerEncPubKey[1];
+
     // nullifier = Poseidon(ownerCPPK, randomness, tokenId)
     component H = Poseidon(3);
-    H.inputs[0] <== ID.out;
+    H.inputs[0] <== owner.cipherPayPubKey;
     H.inputs[1] <== randomness;
     H.inputs[2] <== tokenId;
 
@@ -58,7 +84,7 @@ template Nullifier() {
 // -----------------------------------------------------------------------------
 template NullifierFromCipherKey() {
     // === Private inputs ===
-    signal input cipherPayPubKey;       // Poseidon(walletPubKey, walletPrivKey)
+    signal input cipherPayPubKey;       // CipherPayPubKey() of the owner
     signal input randomness;
     signal input tokenId;
 
@@ -82,6 +108,7 @@ template NullifierTagged(tag) {
     // === Private inputs ===
     signal input ownerWalletPubKey;
     signal input ownerWalletPrivKey;
+    signal input ownerEncPubKey[2];
     signal input randomness;
     signal input tokenId;
 
@@ -92,9 +119,14 @@ template NullifierTagged(tag) {
     ID.inputs[0] <== ownerWalletPubKey;
     ID.inputs[1] <== ownerWalletPrivKey;
 
+    component owner = CipherPayPubKey();
+    owner.spendingPubKey <== ID.out;
+    owner.encPubKey[0]   <== ownerEncPubKey[0];
+    owner.encPubKey[1]   <== ownerEncPubKey[1];
+
     component H = Poseidon(4);
     H.inputs[0] <== tag;         // compile-time constant
-    H.inputs[1] <== ID.out;
+    H.inputs[1] <== owner.cipherPayPubKey;
     H.inputs[2] <== randomness;
     H.inputs[3] <== tokenId;
 
@@ -118,3 +150,106 @@ template NullifierFromCipherKeyTagged(tag) {
 
     nullifier <== H.out;
 }
+
+// -----------------------------------------------------------------------------
+// 4) Nullifying-key hierarchy
+//      walletPrivKey -> nullifyingKey (secret) -> cipherPayPubKey (public)
+//    The commitment binds to cipherPayPubKey over Poseidon(walletPubKey, nullifyingKey)
+//    (see NoteCommitmentFromNullifyingKey); only the nullifyingKey holder can
+//    derive nullifiers. Notes under this hierarchy are NOT spendable by the
+//    v1 circuits and vice versa.
+// -----------------------------------------------------------------------------
+function NULLIFYING_KEY_TAG() {
+    return 0x6e6b; // "nk"
+}
+
+template NullifyingKey() {
+    // === Private input ===
+    signal input walletPrivKey;
+
+    // === Output (secret; never expose publicly) ===
+    signal output nullifyingKey;
+
+    component H = Poseidon(2);
+    H.inputs[0] <== NULLIFYING_KEY_TAG();
+    H.inputs[1] <== walletPrivKey;
+
+    nullifyingKey <== H.out;
+}
+
+template NullifierFromNullifyingKey() {
+    // === Private inputs ===
+    signal input nullifyingKey;         // NullifyingKey().nullifyingKey
+    signal input randomness;
+    signal input tokenId;
+
+    // === Public output ===
+    signal output nullifier;
+
+    component H = Poseidon(3);
+    H.inputs[0] <== nullifyingKey;
+    H.inputs[1] <== randomness;
+    H.inputs[2] <== tokenId;
+
+    nullifier <== H.out;
+}
+
+// -----------------------------------------------------------------------------
+// 5) Position-bound nullifiers (v2 spend circuits)
+//    The base nullifier does not depend on where the note sits in the tree, so
+//    two identical commitments share it and only one can ever be spent.
+//    Binding the leaf index fixes that for notes created after the upgrade.
+//
+//    Migration: at the upgrade the program stops accepting v1 spends and
+//    records migrationLeafIndex = nextLeafIndex. v2 spends publish both
+//    nullifiers and the program marks both spent:
+//      - legacy notes (leafIndex < migrationLeafIndex) publish their base
+//        nullifier as legacyNullifier, so a note already spent by a v1 proof
+//        cannot be spent again. Legacy duplicates therefore still share it.
+//      - newer notes publish a value derived from the positioned nullifier,
+//        unique per leaf and indistinguishable from a base nullifier.
+// -----------------------------------------------------------------------------
+function POSITION_NULLIFIER_TAG() {
+    return 0x706e; // "pn"
+}
+
+template NullifierPositioned() {
+    // === Private inputs ===
+    signal input baseNullifier;         // any of the nullifiers above
+    signal input leafIndex;             // MerkleLeafIndex(depth).leafIndex of the spent note
+
+    // === Public output ===
+    signal output nullifier;
+
+    component H = Poseidon(3);
+    H.inputs[0] <== POSITION_NULLIFIER_TAG();
+    H.inputs[1] <== baseNullifier;
+    H.inputs[2] <== leafIndex;
+
+    nullifier <== H.out;
+}
+
+template NullifierMigration(depth) {
+    // === Private inputs ===
+    signal input baseNullifier;         // what the v1 circuits published for this note
+    signal input nullifier;             // NullifierPositioned().nullifier
+    signal input leafIndex;             // < 2^depth (from MerkleLeafIndex)
+
+    // === Public input (pinned by the program) ===
+    signal input migrationLeafIndex;    // first leaf created after the upgrade
+
+    // === Public output ===
+    signal output legacyNullifier;
+
+    component migBits = Num2Bits(depth + 1);
+    migBits.in <== migrationLeafIndex;  // <= 2^depth
+
+    component isLegacy = LessThan(depth + 1);
+    isLegacy.in[0] <== leafIndex;
+    isLegacy.in[1] <== migrationLeafIndex;
+
+    component pad = Poseidon(1);
+    pad.inputs[0] <== nullifier;
+
+    legacyNullifier <== pad.out + isLegacy.out * (baseNullifier - pad.out);
+}
@@ -0,0 +1,182 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";      // Num2Bits
+include "circomlib/circuits/comparators.circom"; // IsEqual
+include "../merkle/merkle.circom";               // MerkleProof, MerkleAppend
+include "../nullifier/nullifier.circom";         // NullifierFromCipherKey
+include "../note_commitment/note_commitment.circom"; // NoteCommitment, FromWallet
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CipherPay SwapLeg: one party's half of a two-token exchange
+// Two parties agree on an order; party p (0 or 1) gives giveAmount[p] of
+// tokenId[p] to the other. Each party proves its own leg with its own wallet
+// key, so no private key leaves its owner. Leg `side` spends one of the
+// party's notes of tokenId[side] and creates, for the same party:
+//
+//   outCommitment[0]  receive note: giveAmount[1-side] of tokenId[1-side]
+//   outCommitment[1]  change note:  inAmount - giveAmount[side] of tokenId[side]
+//
+// Both output notes go to the party's own wallet-derived cipherPayPubKey.
+// Assumptions:
+//  • orderHash = Poseidon(tokenId[0], giveAmount[0], tokenId[1], giveAmount[1], orderNonce)
+//    is the order both parties agreed on; it fixes the exchange rate.
+//  • A leg alone mints the other party's token. The program only accepts
+//    legs in pairs, in one transaction: the same orderHash, side 0 then
+//    side 1, leg 0 appending to the tree's current root, and leg 1's
+//    merkleRoot / newNextLeafIndex continuing from leg 0's newMerkleRoot /
+//    newNextLeafIndex (+ 2). Each token is then conserved across the pair.
+//    Off-chain verifiers use verifySwap (scripts/swap.js), which takes
+//    both legs and applies the same pairing.
+//  • The spent note is proven against `merkleRoot`, the root the outputs are
+//    appended to (as in JoinSplit); outPathElements[j] are the siblings after
+//    outputs 0..j-1 (MerkleAppend).
+//  • Nullifiers are derived as in Withdraw (NullifierFromCipherKey).
+// Public signals (Circom 2): outputs first, then public inputs
+// [ outCommitment[0], outCommitment[1], nullifier, merkleRoot,
+//   newMerkleRoot, newNextLeafIndex, orderHash, side ]
+// ─────────────────────────────────────────────────────────────────────────────
+template SwapLeg(depth) {
+    // === Private inputs (this party's wallet and spent note) ===
+    signal input walletPubKey;
+    signal input walletPrivKey;
+    signal input encPubKey[2];                // owner encryption key (in its cipherPayPubKey)
+    signal input inAmount;
+    signal input inRandomness;
+    signal input inMemo;
+    signal input inPathElements[depth];       // siblings bottom -> top
+    signal input inPathIndices[depth];        // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+
+    // === Private inputs (agreed order) ===
+    signal input tokenId[2];                  // party p gives tokenId[p]
+    signal input giveAmount[2];               // amount of tokenId[p] party p hands over
+    signal input orderNonce;                  // makes orderHash unique per order
+
+    // === Private inputs (output notes) ===
+    signal input receiveRandomness;
+    signal input receiveMemo;
+    signal input changeRandomness;
+    signal input changeMemo;
+
+    // === Append two new leaves at consecutive positions ===
+    signal input nextLeafIndex;               // index for outCommitment[0] (private)
+    signal input outPathElements[2][depth];
+
+    // === Public inputs ===
+    signal input orderHash;
+    signal input side;                        // 0 or 1: this leg's party in the order
+
+    // === Public outputs ===
+    signal output outCommitment[2];           // [receive, change]
+    signal output nullifier;
+    signal output merkleRoot;                 // root BEFORE insertions
+    signal output newMerkleRoot;              // AFTER appending both outputs
+    signal output newNextLeafIndex;           // == nextLeafIndex + 2
+
+    // -- Step 1: the agreed order and this leg's side of it --
+    side * (side - 1) === 0;
+
+    component order = Poseidon(5);
+    order.inputs[0] <== tokenId[0];
+    order.inputs[1] <== giveAmount[0];
+    order.inputs[2] <== tokenId[1];
+    order.inputs[3] <== giveAmount[1];
+    order.inputs[4] <== orderNonce;
+    orderHash === order.out;
+
+    // A swap exchanges two different tokens
+    component sameToken = IsEqual();
+    sameToken.in[0] <== tokenId[0];
+    sameToken.in[1] <== tokenId[1];
+    sameToken.out === 0;
+
+    // mine = index `side`, theirs = index 1 - side
+    signal myToken;
+    signal theirToken;
+    signal myGive;
+    signal theirGive;
+    myToken    <== tokenId[0] + side * (tokenId[1] - tokenId[0]);
+    theirToken <== tokenId[0] + tokenId[1] - myToken;
+    myGive     <== giveAmount[0] + side * (giveAmount[1] - giveAmount[0]);
+    theirGive  <== giveAmount[0] + giveAmount[1] - myGive;
+
+    // -- Step 2: input note, membership and nullifier (as in Withdraw) --
+    component inNote = NoteCommitmentFromWallet();
+    inNote.amount        <== inAmount;
+    inNote.walletPubKey  <== walletPubKey;
+    inNote.walletPrivKey <== walletPrivKey;
+    inNote.encPubKey[0]  <== encPubKey[0];
+    inNote.encPubKey[1]  <== encPubKey[1];
+    inNote.randomness    <== inRandomness;
+    inNote.tokenId       <== myToken;
+    inNote.memo          <== inMemo;
+
+    component mpIn = MerkleProof(depth);
+    mpIn.leaf <== inNote.commitment;
+    for (var k = 0; k < depth; k++) {
+        mpIn.pathElements[k] <== inPathElements[k];
+        mpIn.pathIndices[k]  <== inPathIndices[k];
+    }
+    merkleRoot <== mpIn.root;
+
+    component nul = NullifierFromCipherKey();
+    nul.cipherPayPubKey <== inNote.derivedCipherPayPubKey;
+    nul.randomness      <== inRandomness;
+    nul.tokenId         <== myToken;
+    nullifier           <== nul.nullifier;
+
+    // -- Step 3: conservation of this party's token --
+    // inAmount = myGive (to the other party) + changeAmount
+    signal changeAmount;
+    changeAmount <== inAmount - myGive;
+
+    component inAmtBits = Num2Bits(64);
+    inAmtBits.in <== inAmount;
+    component giveBits[2];
+    for (var p = 0; p < 2; p++) {
+        giveBits[p] = Num2Bits(64);
+        giveBits[p].in <== giveAmount[p];
+    }
+    component changeBits = Num2Bits(64);
+    changeBits.in <== changeAmount;           // also enforces myGive <= inAmount
+
+    // -- Step 4: outputs, both to this party --
+    component receive = NoteCommitment();
+    receive.amount          <== theirGive;
+    receive.cipherPayPubKey <== inNote.derivedCipherPayPubKey;
+    receive.randomness      <== receiveRandomness;
+    receive.tokenId         <== theirToken;
+    receive.memo            <== receiveMemo;
+    outCommitment[0]        <== receive.commitment;
+
+    component change = NoteCommitment();
+    change.amount          <== changeAmount;
+    change.cipherPayPubKey <== inNote.derivedCipherPayPubKey;
+    change.randomness      <== changeRandomness;
+    change.tokenId         <== myToken;
+    change.memo            <== changeMemo;
+    outCommitment[1]       <== change.commitment;
+
+    // -- Step 5: append outputs at nextLeafIndex, nextLeafIndex + 1 --
+    component app[2];
+    signal roots[3];
+    roots[0] <== merkleRoot;
+    for (var j = 0; j < 2; j++) {
+        app[j] = MerkleAppend(depth);
+        app[j].oldRoot <== roots[j];
+        app[j].leaf    <== outCommitment[j];
+        app[j].index   <== nextLeafIndex + j;
+        for (var k = 0; k < depth; k++) {
+            app[j].pathElements[k] <== outPathElements[j][k];
+        }
+        roots[j + 1] <== app[j].newRoot;
+    }
+    newMerkleRoot <== roots[2];
+
+    newNextLeafIndex <== nextLeafIndex + 2;
+}
+
+// Outputs first, then public inputs:
+// [ outCommitment[0], outCommitment[1], nullifier, merkleRoot,
+//   newMerkleRoot, newNextLeafIndex, orderHash, side ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
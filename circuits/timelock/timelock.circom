@@ -0,0 +1,26 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/bitify.circom";       // Num2Bits
+include "circomlib/circuits/comparators.circom";  // LessEqThan
+
+// Unlock check for timelocked notes (NoteCommitmentTimelocked)
+// Notes:
+// - Enforces unlockTime <= currentTime. Both are unix seconds and range
+//   checked to 64 bits first: LessEqThan(n) is only sound for inputs < 2^n.
+// - `currentTime` is a public input of the spending circuit. The on-chain
+//   program must reject proofs whose currentTime is ahead of its clock
+//   (Solana: Clock::unix_timestamp), otherwise a prover could pick any time.
+template AssertUnlocked() {
+    signal input unlockTime;
+    signal input currentTime;
+
+    component unlockBits = Num2Bits(64);
+    unlockBits.in <== unlockTime;
+    component timeBits = Num2Bits(64);
+    timeBits.in <== currentTime;
+
+    component le = LessEqThan(64);
+    le.in[0] <== unlockTime;
+    le.in[1] <== currentTime;
+    le.out === 1;
+}
@@ -5,16 +5,23 @@ include "circomlib/circuits/bitify.circom";      // Num2Bits
 include "../merkle/merkle.circom";               // MerkleProof(depth)
 include "../nullifier/nullifier.circom";         // Nullifier*, incl. FromCipherKey
 include "../note_commitment/note_commitment.circom"; // NoteCommitment, FromWallet
+include "../note_encryption/note_encryption.circom"; // NoteEncryption
 
 // Transfer with 1 input note, 2 output notes, and append-2 Merkle updates
-// Public signals (Circom 2): outputs first, then [encNote1Hash, encNote2Hash]
+// The input may be a dummy (inIsDummy = 1, inAmount = 0): it needs no
+// membership path and merkleRoot reports dummyMerkleRoot instead, so padding
+// and fan-out transactions look like any other transfer. Its nullifier is
+// derived as usual; a fresh inRandomness keeps it unique.
+// Public signals (Circom 2): outputs first, then [encNote1Hash, encNote2Hash, fee, feeRecipient_lo/hi]
 // [ outCommitment1, outCommitment2, nullifier, merkleRoot,
-//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash ]
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
 template Transfer(depth) {
     // === Private input note (5-field note preimage) ===
     signal input inAmount;
     signal input inSenderWalletPubKey;
     signal input inSenderWalletPrivKey;
+    signal input inSenderEncPubKey[2];      // sender encryption key, bound into its cipherPayPubKey
     signal input inRandomness;
     signal input inTokenId;
     signal input inMemo;
@@ -23,28 +30,41 @@ template Transfer(depth) {
     signal input inPathElements[depth];     // siblings bottom -> top
     signal input inPathIndices[depth];      // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
 
+    // Dummy input selector
+    signal input inIsDummy;                 // 1 => zero-value input without membership
+    signal input dummyMerkleRoot;           // root to report for a dummy (a root the program accepts); ignored otherwise
+
     // === Output note 1 (recipient) ===
     signal input out1Amount;
-    signal input out1RecipientCipherPayPubKey;
+    signal input out1RecipientSpendingPubKey; // recipient address, with out1RecipientEncPubKey
     signal input out1Randomness;
     signal input out1TokenId;
     signal input out1Memo;
+    signal input out1RecipientEncPubKey[2];   // recipient BabyJubJub encryption key
+    signal input out1EphemeralKey;            // one-time ECDH scalar for this note
 
     // === Output note 2 (flexible recipient) ===
     signal input out2Amount;
-    signal input out2RecipientCipherPayPubKey;
+    signal input out2RecipientSpendingPubKey; // recipient address, with out2RecipientEncPubKey
     signal input out2Randomness;
     signal input out2TokenId;
     signal input out2Memo;
+    signal input out2RecipientEncPubKey[2];   // recipient BabyJubJub encryption key
+    signal input out2EphemeralKey;            // one-time ECDH scalar for this note
 
     // === Append two new leaves at consecutive positions ===
     signal input nextLeafIndex;             // index for outCommitment1 (private)
     signal input out1PathElements[depth];   // insertion siblings for index = nextLeafIndex
     signal input out2PathElements[depth];   // insertion siblings for index = nextLeafIndex + 1 (pre-insertion tree)
 
-    // === Public inputs (bind encrypted payloads to outputs/recipients) ===
-    signal input encNote1Hash;              // Poseidon(outCommitment1, out1RecipientCipherPayPubKey)
-    signal input encNote2Hash;              // Poseidon(outCommitment2, out2RecipientCipherPayPubKey)
+    // === Public inputs (bind encrypted payloads to output notes) ===
+    signal input encNote1Hash;              // hash of out1's ciphertext payload (NoteEncryption)
+    signal input encNote2Hash;              // hash of out2's ciphertext payload (NoteEncryption)
+
+    // === Public inputs (relayer compensation, paid out by the on-chain program) ===
+    signal input fee;                       // u64, leaves the pool to the fee recipient
+    signal input feeRecipient_lo;           // fee recipient Solana pubkey, low 128 bits (LE)
+    signal input feeRecipient_hi;           // fee recipient Solana pubkey, high 128 bits (LE)
 
     // === Public outputs ===
     signal output outCommitment1;
@@ -60,6 +80,8 @@ template Transfer(depth) {
     inNote.amount        <== inAmount;
     inNote.walletPubKey  <== inSenderWalletPubKey;
     inNote.walletPrivKey <== inSenderWalletPrivKey;
+    inNote.encPubKey[0]  <== inSenderEncPubKey[0];
+    inNote.encPubKey[1]  <== inSenderEncPubKey[1];
     inNote.randomness    <== inRandomness;
     inNote.tokenId       <== inTokenId;
     inNote.memo          <== inMemo;
@@ -74,12 +96,29 @@ template Transfer(depth) {
         mpIn.pathElements[i] <== inPathElements[i];
         mpIn.pathIndices[i]  <== inPathIndices[i];
     }
-    merkleRoot <== mpIn.root;
+
+    // A dummy input carries no value and skips the root: the proven path is
+    // replaced by dummyMerkleRoot, which the program checks like any root.
+    inIsDummy * (inIsDummy - 1) === 0;
+    inIsDummy * inAmount === 0;
+    merkleRoot <== mpIn.root + inIsDummy * (dummyMerkleRoot - mpIn.root);
 
     // -- Step 3: output notes (both can target arbitrary recipients) --
+    // Each owner key is derived from the recipient's address, so the note is
+    // owned by whoever holds the encryption key it is encrypted to (Step 6).
+    component out1Owner = CipherPayPubKey();
+    out1Owner.spendingPubKey <== out1RecipientSpendingPubKey;
+    out1Owner.encPubKey[0]   <== out1RecipientEncPubKey[0];
+    out1Owner.encPubKey[1]   <== out1RecipientEncPubKey[1];
+
+    component out2Owner = CipherPayPubKey();
+    out2Owner.spendingPubKey <== out2RecipientSpendingPubKey;
+    out2Owner.encPubKey[0]   <== out2RecipientEncPubKey[0];
+    out2Owner.encPubKey[1]   <== out2RecipientEncPubKey[1];
+
     component outNote1 = NoteCommitment();
     outNote1.amount          <== out1Amount;
-    outNote1.cipherPayPubKey <== out1RecipientCipherPayPubKey;
+    outNote1.cipherPayPubKey <== out1Owner.cipherPayPubKey;
     outNote1.randomness      <== out1Randomness;
     outNote1.tokenId         <== out1TokenId;
     outNote1.memo            <== out1Memo;
@@ -87,7 +126,7 @@ template Transfer(depth) {
 
     component outNote2 = NoteCommitment();
     outNote2.amount          <== out2Amount;
-    outNote2.cipherPayPubKey <== out2RecipientCipherPayPubKey;
+    outNote2.cipherPayPubKey <== out2Owner.cipherPayPubKey;
     outNote2.randomness      <== out2Randomness;
     outNote2.tokenId         <== out2TokenId;
     outNote2.memo            <== out2Memo;
@@ -101,20 +140,47 @@ template Transfer(depth) {
     nullifier           <== nul.nullifier;
 
     // -- Step 5: conservation & token checks --
-    inAmount    === out1Amount + out2Amount;
+    // Every amount must fit into 64 bits, otherwise an output could wrap
+    // modulo the field prime and the sum below would mint value.
+    component inAmtBits = Num2Bits(64);
+    inAmtBits.in <== inAmount;
+    component out1AmtBits = Num2Bits(64);
+    out1AmtBits.in <== out1Amount;
+    component out2AmtBits = Num2Bits(64);
+    out2AmtBits.in <== out2Amount;
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+
+    inAmount    === out1Amount + out2Amount + fee;
     out1TokenId === inTokenId;
     out2TokenId === inTokenId;
 
-    // -- Step 6: bind ciphertext tags to outputs & recipients --
-    component bind1 = Poseidon(2);
-    bind1.inputs[0] <== outCommitment1;
-    bind1.inputs[1] <== out1RecipientCipherPayPubKey;
-    encNote1Hash === bind1.out;
-
-    component bind2 = Poseidon(2);
-    bind2.inputs[0] <== outCommitment2;
-    bind2.inputs[1] <== out2RecipientCipherPayPubKey;
-    encNote2Hash === bind2.out;
+    // -- Step 6: bind ciphertext digests to the output notes --
+    // encNoteXHash hashes outX's preimage encrypted to outXRecipientEncPubKey,
+    // so the relayed payload provably decrypts to the committed note, for the
+    // key bound into the note's owner (NoteEncryption also checks it is a
+    // subgroup point).
+    component enc1 = NoteEncryption();
+    enc1.amount          <== out1Amount;
+    enc1.cipherPayPubKey <== out1Owner.cipherPayPubKey;
+    enc1.randomness      <== out1Randomness;
+    enc1.tokenId         <== out1TokenId;
+    enc1.memo            <== out1Memo;
+    enc1.encPubKey[0]    <== out1RecipientEncPubKey[0];
+    enc1.encPubKey[1]    <== out1RecipientEncPubKey[1];
+    enc1.ephemeralKey    <== out1EphemeralKey;
+    encNote1Hash === enc1.encNoteHash;
+
+    component enc2 = NoteEncryption();
+    enc2.amount          <== out2Amount;
+    enc2.cipherPayPubKey <== out2Owner.cipherPayPubKey;
+    enc2.randomness      <== out2Randomness;
+    enc2.tokenId         <== out2TokenId;
+    enc2.memo            <== out2Memo;
+    enc2.encPubKey[0]    <== out2RecipientEncPubKey[0];
+    enc2.encPubKey[1]    <== out2RecipientEncPubKey[1];
+    enc2.ephemeralKey    <== out2EphemeralKey;
+    encNote2Hash === enc2.encNoteHash;
 
     // -- Step 7: Insertion #1 (append outCommitment1 at index = nextLeafIndex) --
     component bits1 = Num2Bits(depth);
@@ -200,9 +266,13 @@ template Transfer(depth) {
 
     // final next index after two insertions
     newNextLeafIndex <== nextLeafIndex + 2;
+
+    // NOTE: no arithmetic constraints on feeRecipient_lo/hi.
+    // They are public-only for on-chain equality checking.
 }
 
 // Outputs first, then public inputs:
 // [ outCommitment1, outCommitment2, nullifier, merkleRoot,
-//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash ]
-component main { public [encNote1Hash, encNote2Hash] } = Transfer(16);
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,271 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";      // Num2Bits
+include "../merkle/merkle.circom";               // MerkleProof(depth)
+include "../nullifier/nullifier.circom";         // NullifyingKey, NullifierFromNullifyingKey
+include "../note_commitment/note_commitment.circom"; // NoteCommitment, FromNullifyingKey
+include "../note_encryption/note_encryption.circom"; // NoteEncryption
+
+// Transfer (nullifying-key hierarchy) with 1 input note, 2 output notes, and append-2 Merkle updates
+// Same statement and public signals as Transfer, but the input note is keyed by
+//   nullifyingKey = Poseidon(NULLIFYING_KEY_TAG, inSenderWalletPrivKey)
+// and nullifier = Poseidon(nullifyingKey, inRandomness, inTokenId), which the
+// note's sender cannot compute. Output notes go to recipients' nk-derived
+// addresses (spending key Poseidon(walletPubKey, nullifyingKey)).
+// Public signals (Circom 2): outputs first, then [encNote1Hash, encNote2Hash, fee, feeRecipient_lo/hi]
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+template TransferNK(depth) {
+    // === Private input note (5-field note preimage) ===
+    signal input inAmount;
+    signal input inSenderWalletPubKey;
+    signal input inSenderWalletPrivKey;
+    signal input inSenderEncPubKey[2];      // sender encryption key, bound into its cipherPayPubKey
+    signal input inRandomness;
+    signal input inTokenId;
+    signal input inMemo;
+
+    // Membership proof for the input commitment
+    signal input inPathElements[depth];     // siblings bottom -> top
+    signal input inPathIndices[depth];      // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+
+    // === Output note 1 (recipient) ===
+    signal input out1Amount;
+    signal input out1RecipientSpendingPubKey; // recipient address, with out1RecipientEncPubKey
+    signal input out1Randomness;
+    signal input out1TokenId;
+    signal input out1Memo;
+    signal input out1RecipientEncPubKey[2];   // recipient BabyJubJub encryption key
+    signal input out1EphemeralKey;            // one-time ECDH scalar for this note
+
+    // === Output note 2 (flexible recipient) ===
+    signal input out2Amount;
+    signal input out2RecipientSpendingPubKey; // recipient address, with out2RecipientEncPubKey
+    signal input out2Randomness;
+    signal input out2TokenId;
+    signal input out2Memo;
+    signal input out2RecipientEncPubKey[2];   // recipient BabyJubJub encryption key
+    signal input out2EphemeralKey;            // one-time ECDH scalar for this note
+
+    // === Append two new leaves at consecutive positions ===
+    signal input nextLeafIndex;             // index for outCommitment1 (private)
+    signal input out1PathElements[depth];   // insertion siblings for index = nextLeafIndex
+    signal input out2PathElements[depth];   // insertion siblings for index = nextLeafIndex + 1 (pre-insertion tree)
+
+    // === Public inputs (bind encrypted payloads to output notes) ===
+    signal input encNote1Hash;              // hash of out1's ciphertext payload (NoteEncryption)
+    signal input encNote2Hash;              // hash of out2's ciphertext payload (NoteEncryption)
+
+    // === Public inputs (relayer compensation, paid out by the on-chain program) ===
+    signal input fee;                       // u64, leaves the pool to the fee recipient
+    signal input feeRecipient_lo;           // fee recipient Solana pubkey, low 128 bits (LE)
+    signal input feeRecipient_hi;           // fee recipient Solana pubkey, high 128 bits (LE)
+
+    // === Public outputs ===
+    signal output outCommitment1;
+    signal output outCommitment2;
+    signal output nullifier;
+    signal output merkleRoot;               // root BEFORE insertions
+    signal output newMerkleRoot1;           // AFTER inserting outCommitment1 at nextLeafIndex
+    signal output newMerkleRoot2;           // AFTER inserting outCommitment2 at nextLeafIndex+1
+    signal output newNextLeafIndex;         // == nextLeafIndex + 2
+
+    // -- Step 1: input note commitment (derive nullifying key + sender CipherPay pubkey) --
+    component nk = NullifyingKey();
+    nk.walletPrivKey <== inSenderWalletPrivKey;
+
+    component inNote = NoteCommitmentFromNullifyingKey();
+    inNote.amount        <== inAmount;
+    inNote.walletPubKey  <== inSenderWalletPubKey;
+    inNote.nullifyingKey <== nk.nullifyingKey;
+    inNote.encPubKey[0]  <== inSenderEncPubKey[0];
+    inNote.encPubKey[1]  <== inSenderEncPubKey[1];
+    inNote.randomness    <== inRandomness;
+    inNote.tokenId       <== inTokenId;
+    inNote.memo          <== inMemo;
+
+    signal inCommitment;
+    inCommitment <== inNote.commitment;
+
+    // -- Step 2: Merkle inclusion proof for the input commitment (yields current merkleRoot) --
+    component mpIn = MerkleProof(depth);
+    mpIn.leaf <== inCommitment;
+    for (var i = 0; i < depth; i++) {
+        mpIn.pathElements[i] <== inPathElements[i];
+        mpIn.pathIndices[i]  <== inPathIndices[i];
+    }
+    merkleRoot <== mpIn.root;
+
+    // -- Step 3: output notes (both can target arbitrary recipients) --
+    // Owner keys are derived from the recipients' addresses, as in Transfer.
+    component out1Owner = CipherPayPubKey();
+    out1Owner.spendingPubKey <== out1RecipientSpendingPubKey;
+    out1Owner.encPubKey[0]   <== out1RecipientEncPubKey[0];
+    out1Owner.encPubKey[1]   <== out1RecipientEncPubKey[1];
+
+    component out2Owner = CipherPayPubKey();
+    out2Owner.spendingPubKey <== out2RecipientSpendingPubKey;
+    out2Owner.encPubKey[0]   <== out2RecipientEncPubKey[0];
+    out2Owner.encPubKey[1]   <== out2RecipientEncPubKey[1];
+
+    component outNote1 = NoteCommitment();
+    outNote1.amount          <== out1Amount;
+    outNote1.cipherPayPubKey <== out1Owner.cipherPayPubKey;
+    outNote1.randomness      <== out1Randomness;
+    outNote1.tokenId         <== out1TokenId;
+    outNote1.memo            <== out1Memo;
+    outCommitment1           <== outNote1.commitment;
+
+    component outNote2 = NoteCommitment();
+    outNote2.amount          <== out2Amount;
+    outNote2.cipherPayPubKey <== out2Owner.cipherPayPubKey;
+    outNote2.randomness      <== out2Randomness;
+    outNote2.tokenId         <== out2TokenId;
+    outNote2.memo            <== out2Memo;
+    outCommitment2           <== outNote2.commitment;
+
+    // -- Step 4: nullifier (prevents double-spend of input note) --
+    component nul = NullifierFromNullifyingKey();
+    nul.nullifyingKey   <== nk.nullifyingKey;               // secret, not the public CPPK
+    nul.randomness      <== inRandomness;
+    nul.tokenId         <== inTokenId;
+    nullifier           <== nul.nullifier;
+
+    // -- Step 5: conservation & token checks --
+    // Every amount must fit into 64 bits, otherwise an output could wrap
+    // modulo the field prime and the sum below would mint value.
+    component inAmtBits = Num2Bits(64);
+    inAmtBits.in <== inAmount;
+    component out1AmtBits = Num2Bits(64);
+    out1AmtBits.in <== out1Amount;
+    component out2AmtBits = Num2Bits(64);
+    out2AmtBits.in <== out2Amount;
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+
+    inAmount    === out1Amount + out2Amount + fee;
+    out1TokenId === inTokenId;
+    out2TokenId === inTokenId;
+
+    // -- Step 6: bind ciphertext digests to the output notes --
+    // encNoteXHash hashes outX's preimage encrypted to outXRecipientEncPubKey,
+    // so the relayed payload provably decrypts to the committed note, for the
+    // key bound into the note's owner.
+    component enc1 = NoteEncryption();
+    enc1.amount          <== out1Amount;
+    enc1.cipherPayPubKey <== out1Owner.cipherPayPubKey;
+    enc1.randomness      <== out1Randomness;
+    enc1.tokenId         <== out1TokenId;
+    enc1.memo            <== out1Memo;
+    enc1.encPubKey[0]    <== out1RecipientEncPubKey[0];
+    enc1.encPubKey[1]    <== out1RecipientEncPubKey[1];
+    enc1.ephemeralKey    <== out1EphemeralKey;
+    encNote1Hash === enc1.encNoteHash;
+
+    component enc2 = NoteEncryption();
+    enc2.amount          <== out2Amount;
+    enc2.cipherPayPubKey <== out2Owner.cipherPayPubKey;
+    enc2.randomness      <== out2Randomness;
+    enc2.tokenId         <== out2TokenId;
+    enc2.memo            <== out2Memo;
+    enc2.encPubKey[0]    <== out2RecipientEncPubKey[0];
+    enc2.encPubKey[1]    <== out2RecipientEncPubKey[1];
+    enc2.ephemeralKey    <== out2EphemeralKey;
+    encNote2Hash === enc2.encNoteHash;
+
+    // -- Step 7: Insertion #1 (append outCommitment1 at index = nextLeafIndex) --
+    component bits1 = Num2Bits(depth);
+    bits1.in <== nextLeafIndex;             // also enforces nextLeafIndex < 2^depth
+
+    signal cur1[depth + 1];
+    cur1[0] <== outCommitment1;
+
+    signal left1[depth];
+    signal right1[depth];
+    component H1[depth];
+
+    for (var j = 0; j < depth; j++) {
+        left1[j]  <== bits1.out[j] * (out1PathElements[j] - cur1[j]) + cur1[j];
+        right1[j] <== bits1.out[j] * (cur1[j] - out1PathElements[j]) + out1PathElements[j];
+
+        H1[j] = Poseidon(2);
+        H1[j].inputs[0] <== left1[j];
+        H1[j].inputs[1] <== right1[j];
+        cur1[j + 1] <== H1[j].out;
+    }
+    newMerkleRoot1 <== cur1[depth];
+
+    // -- Step 8: Insertion #2 (append outCommitment2 at index = nextLeafIndex + 1) --
+    signal nextIdx1;
+    nextIdx1 <== nextLeafIndex + 1;
+
+    component bits2 = Num2Bits(depth);
+    bits2.in <== nextIdx1;
+
+    signal cur2[depth + 1];
+    cur2[0] <== outCommitment2;
+
+    signal left2[depth];
+    signal right2[depth];
+    component H2[depth];
+
+    // LSB of nextLeafIndex (did we share a parent at L0?)
+    signal b0;
+    b0 <== bits1.out[0];
+
+    // Level 0: sibling is either out1 (if nextLeafIndex even) or pre-insertion leaf3 (if odd)
+    signal t0;
+    t0   <== out2PathElements[0] - outCommitment1;
+    signal sib0;
+    sib0 <== outCommitment1 + b0 * t0;
+
+    left2[0]  <== bits2.out[0] * (sib0 - cur2[0]) + cur2[0];
+    right2[0] <== bits2.out[0] * (cur2[0] - sib0) + sib0;
+
+    H2[0] = Poseidon(2);
+    H2[0].inputs[0] <== left2[0];
+    H2[0].inputs[1] <== right2[0];
+    cur2[1] <== H2[0].out;
+
+    // Generic levels k >= 1:
+    // replace_k = (all lower bits of nextLeafIndex are 1) * (this bit is 0)
+    // If replace_k==1, the "other half" for out2 at level k is precisely the subtree updated by out1,
+    // so we must use cur1[k]. Otherwise keep the pre-insertion sibling.
+    signal carry[depth];       // carry[k] = product(bits1[0..k-1])
+    signal replaceK[depth];    // replace flag per level
+    signal sibK[depth];        // chosen sibling per level
+
+    carry[0] <== 1;
+    for (var k = 1; k < depth; k++) {
+        carry[k]    <== carry[k-1] * bits1.out[k-1];
+        replaceK[k] <== carry[k] * (1 - bits1.out[k]);
+
+        // sibK = out2PathElements[k]  (pre)  if replaceK==0
+        //      = cur1[k]              (post) if replaceK==1
+        sibK[k] <== out2PathElements[k] + replaceK[k] * (cur1[k] - out2PathElements[k]);
+
+        left2[k]  <== bits2.out[k] * (sibK[k] - cur2[k]) + cur2[k];
+        right2[k] <== bits2.out[k] * (cur2[k] - sibK[k]) + sibK[k];
+
+        H2[k] = Poseidon(2);
+        H2[k].inputs[0] <== left2[k];
+        H2[k].inputs[1] <== right2[k];
+        cur2[k + 1] <== H2[k].out;
+    }
+
+    newMerkleRoot2 <== cur2[depth];
+
+    // final next index after two insertions
+    newNextLeafIndex <== nextLeafIndex + 2;
+
+    // NOTE: no arithmetic constraints on feeRecipient_lo/hi.
+    // They are public-only for on-chain equality checking.
+}
+
+// Outputs first, then public inputs:
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,237 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";      // Num2Bits
+include "../merkle/merkle.circom";               // MerkleProof, MerkleAppend
+include "../nullifier/nullifier.circom";         // NullifierFromCipherKey
+include "../note_commitment/note_commitment.circom"; // NoteCommitment, NoteCommitmentTimelocked
+include "../note_encryption/note_encryption.circom"; // NoteEncryptionFields
+include "../timelock/timelock.circom";           // AssertUnlocked
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CipherPay Transfer with timelocked notes (vesting, escrow)
+// Transfer(depth) with 1 input and 2 outputs, where:
+//  • The input is a plain note (inTimelocked = 0, inUnlockTime must be 0) or a
+//    timelocked note (inTimelocked = 1) whose inUnlockTime <= currentTime.
+//    Spending a plain note is how timelocked notes enter the pool.
+//  • Both outputs are timelocked notes (NoteCommitmentTimelocked) with private
+//    unlock times; outXUnlockTime = 0 makes a note spendable right away.
+//  • encNoteXHash binds the 6-field preimage [amount, cipherPayPubKey,
+//    randomness, tokenId, memo, unlockTime] so the recipient learns the lock.
+//  • Appends use MerkleAppend: outPathElements[1] are the siblings of
+//    nextLeafIndex + 1 *after* outCommitment1 is inserted (tree.appendPaths).
+// Public signals (Circom 2): Transfer's layout, then currentTime
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi, currentTime ]
+// ─────────────────────────────────────────────────────────────────────────────
+template TransferTimelock(depth) {
+    // === Private input note ===
+    signal input inAmount;
+    signal input inSenderWalletPubKey;
+    signal input inSenderWalletPrivKey;
+    signal input inSenderEncPubKey[2];      // sender encryption key, bound into its cipherPayPubKey
+    signal input inRandomness;
+    signal input inTokenId;
+    signal input inMemo;
+    signal input inTimelocked;              // 1 => timelocked commitment, 0 => plain
+    signal input inUnlockTime;              // unix seconds (0 for a plain note)
+
+    // Membership proof for the input commitment
+    signal input inPathElements[depth];     // siblings bottom -> top
+    signal input inPathIndices[depth];      // 0 => (left=cur, right=sib), 1 => (left=sib, right=cur)
+
+    // === Output note 1 (recipient) ===
+    signal input out1Amount;
+    signal input out1RecipientSpendingPubKey; // recipient address, with out1RecipientEncPubKey
+    signal input out1Randomness;
+    signal input out1TokenId;
+    signal input out1Memo;
+    signal input out1UnlockTime;            // unix seconds, 0 => unlocked
+    signal input out1RecipientEncPubKey[2];
+    signal input out1EphemeralKey;
+
+    // === Output note 2 (flexible recipient) ===
+    signal input out2Amount;
+    signal input out2RecipientSpendingPubKey; // recipient address, with out2RecipientEncPubKey
+    signal input out2Randomness;
+    signal input out2TokenId;
+    signal input out2Memo;
+    signal input out2UnlockTime;            // unix seconds, 0 => unlocked
+    signal input out2RecipientEncPubKey[2];
+    signal input out2EphemeralKey;
+
+    // === Append two new leaves at consecutive positions ===
+    signal input nextLeafIndex;             // index for outCommitment1 (private)
+    signal input outPathElements[2][depth]; // siblings after outputs 0..j-1 (MerkleAppend)
+
+    // === Public inputs ===
+    signal input encNote1Hash;
+    signal input encNote2Hash;
+    signal input fee;                       // u64, leaves the pool to the fee recipient
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+    signal input currentTime;               // unix seconds, checked on-chain against the clock
+
+    // === Public outputs ===
+    signal output outCommitment1;
+    signal output outCommitment2;
+    signal output nullifier;
+    signal output merkleRoot;               // root BEFORE insertions
+    signal output newMerkleRoot1;           // AFTER inserting outCommitment1 at nextLeafIndex
+    signal output newMerkleRoot2;           // AFTER inserting outCommitment2 at nextLeafIndex+1
+    signal output newNextLeafIndex;         // == nextLeafIndex + 2
+
+    // -- Step 1: input commitment, plain or timelocked --
+    inTimelocked * (inTimelocked - 1) === 0;
+    (1 - inTimelocked) * inUnlockTime === 0;
+
+    component inSpending = Poseidon(2);
+    inSpending.inputs[0] <== inSenderWalletPubKey;
+    inSpending.inputs[1] <== inSenderWalletPrivKey;
+
+    component inKey = CipherPayPubKey();
+    inKey.spendingPubKey <== inSpending.out;
+    inKey.encPubKey[0]   <== inSenderEncPubKey[0];
+    inKey.encPubKey[1]   <== inSenderEncPubKey[1];
+
+    component inPlain = NoteCommitment();
+    inPlain.amount          <== inAmount;
+    inPlain.cipherPayPubKey <== inKey.cipherPayPubKey;
+    inPlain.randomness      <== inRandomness;
+    inPlain.tokenId         <== inTokenId;
+    inPlain.memo            <== inMemo;
+
+    component inLocked = NoteCommitmentTimelocked();
+    inLocked.amount          <== inAmount;
+    inLocked.cipherPayPubKey <== inKey.cipherPayPubKey;
+    inLocked.randomness      <== inRandomness;
+    inLocked.tokenId         <== inTokenId;
+    inLocked.memo            <== inMemo;
+    inLocked.unlockTime      <== inUnlockTime;
+
+    signal inCommitment;
+    inCommitment <== inPlain.commitment + inTimelocked * (inLocked.commitment - inPlain.commitment);
+
+    // -- Step 2: the input is unlocked (trivially so for plain notes) --
+    component unlocked = AssertUnlocked();
+    unlocked.unlockTime  <== inUnlockTime;
+    unlocked.currentTime <== currentTime;
+
+    // -- Step 3: Merkle inclusion proof for the input commitment --
+    component mpIn = MerkleProof(depth);
+    mpIn.leaf <== inCommitment;
+    for (var i = 0; i < depth; i++) {
+        mpIn.pathElements[i] <== inPathElements[i];
+        mpIn.pathIndices[i]  <== inPathIndices[i];
+    }
+    merkleRoot <== mpIn.root;
+
+    // -- Step 4: timelocked output notes, owners derived from the recipients' addresses --
+    component out1Owner = CipherPayPubKey();
+    out1Owner.spendingPubKey <== out1RecipientSpendingPubKey;
+    out1Owner.encPubKey[0]   <== out1RecipientEncPubKey[0];
+    out1Owner.encPubKey[1]   <== out1RecipientEncPubKey[1];
+
+    component out2Owner = CipherPayPubKey();
+    out2Owner.spendingPubKey <== out2RecipientSpendingPubKey;
+    out2Owner.encPubKey[0]   <== out2RecipientEncPubKey[0];
+    out2Owner.encPubKey[1]   <== out2RecipientEncPubKey[1];
+
+    component outNote1 = NoteCommitmentTimelocked();
+    outNote1.amount          <== out1Amount;
+    outNote1.cipherPayPubKey <== out1Owner.cipherPayPubKey;
+    outNote1.randomness      <== out1Randomness;
+    outNote1.tokenId         <== out1TokenId;
+    outNote1.memo            <== out1Memo;
+    outNote1.unlockTime      <== out1UnlockTime;
+    outCommitment1           <== outNote1.commitment;
+
+    component outNote2 = NoteCommitmentTimelocked();
+    outNote2.amount          <== out2Amount;
+    outNote2.cipherPayPubKey <== out2Owner.cipherPayPubKey;
+    outNote2.randomness      <== out2Randomness;
+    outNote2.tokenId         <== out2TokenId;
+    outNote2.memo            <== out2Memo;
+    outNote2.unlockTime      <== out2UnlockTime;
+    outCommitment2           <== outNote2.commitment;
+
+    // Output unlock times must be u64 too, or AssertUnlocked could never pass
+    component out1TimeBits = Num2Bits(64);
+    out1TimeBits.in <== out1UnlockTime;
+    component out2TimeBits = Num2Bits(64);
+    out2TimeBits.in <== out2UnlockTime;
+
+    // -- Step 5: nullifier (same derivation for both input formats) --
+    component nul = NullifierFromCipherKey();
+    nul.cipherPayPubKey <== inKey.cipherPayPubKey;
+    nul.randomness      <== inRandomness;
+    nul.tokenId         <== inTokenId;
+    nullifier           <== nul.nullifier;
+
+    // -- Step 6: conservation & token checks (as in Transfer) --
+    component inAmtBits = Num2Bits(64);
+    inAmtBits.in <== inAmount;
+    component out1AmtBits = Num2Bits(64);
+    out1AmtBits.in <== out1Amount;
+    component out2AmtBits = Num2Bits(64);
+    out2AmtBits.in <== out2Amount;
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+
+    inAmount    === out1Amount + out2Amount + fee;
+    out1TokenId === inTokenId;
+    out2TokenId === inTokenId;
+
+    // -- Step 7: bind ciphertext digests to the output notes (unlockTime included) --
+    component enc1 = NoteEncryptionFields(6);
+    enc1.plaintext[0] <== out1Amount;
+    enc1.plaintext[1] <== out1Owner.cipherPayPubKey;
+    enc1.plaintext[2] <== out1Randomness;
+    enc1.plaintext[3] <== out1TokenId;
+    enc1.plaintext[4] <== out1Memo;
+    enc1.plaintext[5] <== out1UnlockTime;
+    enc1.encPubKey[0] <== out1RecipientEncPubKey[0];
+    enc1.encPubKey[1] <== out1RecipientEncPubKey[1];
+    enc1.ephemeralKey <== out1EphemeralKey;
+    encNote1Hash === enc1.encNoteHash;
+
+    component enc2 = NoteEncryptionFields(6);
+    enc2.plaintext[0] <== out2Amount;
+    enc2.plaintext[1] <== out2Owner.cipherPayPubKey;
+    enc2.plaintext[2] <== out2Randomness;
+    enc2.plaintext[3] <== out2TokenId;
+    enc2.plaintext[4] <== out2Memo;
+    enc2.plaintext[5] <== out2UnlockTime;
+    enc2.encPubKey[0] <== out2RecipientEncPubKey[0];
+    enc2.encPubKey[1] <== out2RecipientEncPubKey[1];
+    enc2.ephemeralKey <== out2EphemeralKey;
+    encNote2Hash === enc2.encNoteHash;
+
+    // -- Step 8: append outCommitment1, outCommitment2 at nextLeafIndex, nextLeafIndex + 1 --
+    component app1 = MerkleAppend(depth);
+    app1.oldRoot <== merkleRoot;
+    app1.leaf    <== outCommitment1;
+    app1.index   <== nextLeafIndex;
+    for (var k = 0; k < depth; k++) {
+        app1.pathElements[k] <== outPathElements[0][k];
+    }
+    newMerkleRoot1 <== app1.newRoot;
+
+    component app2 = MerkleAppend(depth);
+    app2.oldRoot <== newMerkleRoot1;
+    app2.leaf    <== outCommitment2;
+    app2.index   <== nextLeafIndex + 1;
+    for (var k = 0; k < depth; k++) {
+        app2.pathElements[k] <== outPathElements[1][k];
+    }
+    newMerkleRoot2 <== app2.newRoot;
+
+    newNextLeafIndex <== nextLeafIndex + 2;
+}
+
+// Outputs first, then public inputs:
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, encNote1Hash, encNote2Hash,
+//   fee, feeRecipient_lo, feeRecipient_hi, currentTime ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,147 @@
+pragma circom 2.1.4;
+
+include "../merkle/merkle.circom";               // MerkleLeafIndex(depth)
+include "../nullifier/nullifier.circom";         // NullifierPositioned, NullifierMigration
+include "../transfer/transfer.circom";           // Transfer(depth)
+
+// CipherPay Transfer v2: position-bound nullifier
+// Same statement as Transfer(depth), including dummy inputs, but `nullifier`
+// also commits to the input leaf's index (read from inPathIndices), so
+// identical commitments at different leaves can each be spent once.
+// `legacyNullifier` carries the v1 nullifier for notes below the public
+// `migrationLeafIndex`; the program marks both spent (see NullifierMigration).
+// Public signals order (outputs first, then public inputs):
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, legacyNullifier,
+//   encNote1Hash, encNote2Hash, fee, feeRecipient_lo, feeRecipient_hi, migrationLeafIndex ]
+template TransferV2(depth) {
+    // === Private inputs (as in Transfer) ===
+    signal input inAmount;
+    signal input inSenderWalletPubKey;
+    signal input inSenderWalletPrivKey;
+    signal input inSenderEncPubKey[2];
+    signal input inRandomness;
+    signal input inTokenId;
+    signal input inMemo;
+    signal input inPathElements[depth];
+    signal input inPathIndices[depth];
+    signal input inIsDummy;
+    signal input dummyMerkleRoot;
+
+    signal input out1Amount;
+    signal input out1RecipientSpendingPubKey;
+    signal input out1Randomness;
+    signal input out1TokenId;
+    signal input out1Memo;
+    signal input out1RecipientEncPubKey[2];
+    signal input out1EphemeralKey;
+
+    signal input out2Amount;
+    signal input out2RecipientSpendingPubKey;
+    signal input out2Randomness;
+    signal input out2TokenId;
+    signal input out2Memo;
+    signal input out2RecipientEncPubKey[2];
+    signal input out2EphemeralKey;
+
+    signal input nextLeafIndex;
+    signal input out1PathElements[depth];
+    signal input out2PathElements[depth];
+
+    // === Public inputs (as in Transfer) ===
+    signal input encNote1Hash;
+    signal input encNote2Hash;
+    signal input fee;
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+
+    // === Public input (migration) ===
+    signal input migrationLeafIndex;        // first leaf created after the v2 upgrade
+
+    // === Public outputs ===
+    signal output outCommitment1;
+    signal output outCommitment2;
+    signal output nullifier;                // position-bound
+    signal output merkleRoot;
+    signal output newMerkleRoot1;
+    signal output newMerkleRoot2;
+    signal output newNextLeafIndex;
+    signal output legacyNullifier;          // v1 nullifier for legacy notes
+
+    // -- Step 1: the plain transfer statement (its nullifier is the v1 one) --
+    component t = Transfer(depth);
+    t.inAmount              <== inAmount;
+    t.inSenderWalletPubKey  <== inSenderWalletPubKey;
+    t.inSenderWalletPrivKey <== inSenderWalletPrivKey;
+    t.inSenderEncPubKey[0]  <== inSenderEncPubKey[0];
+    t.inSenderEncPubKey[1]  <== inSenderEncPubKey[1];
+    t.inRandomness          <== inRandomness;
+    t.inTokenId             <== inTokenId;
+    t.inMemo                <== inMemo;
+    t.inIsDummy             <== inIsDummy;
+    t.dummyMerkleRoot       <== dummyMerkleRoot;
+
+    t.out1Amount                   <== out1Amount;
+    t.out1RecipientSpendingPubKey  <== out1RecipientSpendingPubKey;
+    t.out1Randomness               <== out1Randomness;
+    t.out1TokenId                  <== out1TokenId;
+    t.out1Memo                     <== out1Memo;
+    t.out1RecipientEncPubKey[0]    <== out1RecipientEncPubKey[0];
+    t.out1RecipientEncPubKey[1]    <== out1RecipientEncPubKey[1];
+    t.out1EphemeralKey             <== out1EphemeralKey;
+
+    t.out2Amount                   <== out2Amount;
+    t.out2RecipientSpendingPubKey  <== out2RecipientSpendingPubKey;
+    t.out2Randomness               <== out2Randomness;
+    t.out2TokenId                  <== out2TokenId;
+    t.out2Memo                     <== out2Memo;
+    t.out2RecipientEncPubKey[0]    <== out2RecipientEncPubKey[0];
+    t.out2RecipientEncPubKey[1]    <== out2RecipientEncPubKey[1];
+    t.out2EphemeralKey             <== out2EphemeralKey;
+
+    t.nextLeafIndex <== nextLeafIndex;
+    for (var i = 0; i < depth; i++) {
+        t.inPathElements[i]   <== inPathElements[i];
+        t.inPathIndices[i]    <== inPathIndices[i];
+        t.out1PathElements[i] <== out1PathElements[i];
+        t.out2PathElements[i] <== out2PathElements[i];
+    }
+
+    t.encNote1Hash    <== encNote1Hash;
+    t.encNote2Hash    <== encNote2Hash;
+    t.fee             <== fee;
+    t.feeRecipient_lo <== feeRecipient_lo;
+    t.feeRecipient_hi <== feeRecipient_hi;
+
+    outCommitment1   <== t.outCommitment1;
+    outCommitment2   <== t.outCommitment2;
+    merkleRoot       <== t.merkleRoot;
+    newMerkleRoot1   <== t.newMerkleRoot1;
+    newMerkleRoot2   <== t.newMerkleRoot2;
+    newNextLeafIndex <== t.newNextLeafIndex;
+
+    // -- Step 2: bind the nullifier to the leaf index of the input path --
+    component idx = MerkleLeafIndex(depth);
+    for (var j = 0; j < depth; j++) {
+        idx.pathIndices[j] <== inPathIndices[j];
+    }
+
+    component pos = NullifierPositioned();
+    pos.baseNullifier <== t.nullifier;
+    pos.leafIndex     <== idx.leafIndex;
+    nullifier         <== pos.nullifier;
+
+    // -- Step 3: legacy nullifier for notes created before the upgrade --
+    component mig = NullifierMigration(depth);
+    mig.baseNullifier      <== t.nullifier;
+    mig.nullifier          <== pos.nullifier;
+    mig.leafIndex          <== idx.leafIndex;
+    mig.migrationLeafIndex <== migrationLeafIndex;
+    legacyNullifier        <== mig.legacyNullifier;
+}
+
+// Outputs first, then public inputs:
+// [ outCommitment1, outCommitment2, nullifier, merkleRoot,
+//   newMerkleRoot1, newMerkleRoot2, newNextLeafIndex, legacyNullifier,
+//   encNote1Hash, encNote2Hash, fee, feeRecipient_lo, feeRecipient_hi, migrationLeafIndex ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
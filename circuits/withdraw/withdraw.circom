@@ -1,16 +1,21 @@
 pragma circom 2.1.4;
 
 include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
 include "../merkle/merkle.circom";
 include "../nullifier/nullifier.circom";
 include "../note_commitment/note_commitment.circom";
 
 // CipherPay Withdraw Circuit (parameterized Merkle depth)
 // NEW public signals order (outputs first, then public inputs):
-// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId ]
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// The note amount is split as amount = withdrawn + fee: the recipient receives
+// amount - fee and the fee recipient (relayer) receives fee.
 template Withdraw(depth) {
     // === Private inputs ===
     signal input recipientWalletPrivKey;      // recipient L1 private key
+    signal input recipientEncPubKey[2];       // recipient encryption key (in its cipherPayPubKey)
     signal input randomness;                  // note randomness
     signal input memo;                        // optional memo
     signal input pathElements[depth];         // Merkle auth path (bottom -> top)
@@ -33,6 +38,11 @@ template Withdraw(depth) {
     signal input amount;                      // note amount
     signal input tokenId;                     // note token id
 
+    // Relayer compensation (same limb encoding as recipientOwner_lo/hi)
+    signal input fee;                         // u64, taken out of `amount`
+    signal input feeRecipient_lo;             // low 128 bits (LE)
+    signal input feeRecipient_hi;             // high 128 bits (LE)
+
     // === Public outputs ===
     signal output nullifier;                  // spend nullifier (prevents reuse)
     signal output merkleRoot;                 // Merkle root of the tree
@@ -42,6 +52,8 @@ template Withdraw(depth) {
     note.amount        <== amount;
     note.walletPubKey  <== recipientWalletPubKey;
     note.walletPrivKey <== recipientWalletPrivKey;
+    note.encPubKey[0]  <== recipientEncPubKey[0];
+    note.encPubKey[1]  <== recipientEncPubKey[1];
     note.randomness    <== randomness;
     note.tokenId       <== tokenId;
     note.memo          <== memo;
@@ -49,6 +61,19 @@ template Withdraw(depth) {
     // Provided private `commitment` must match reconstructed one
     note.commitment === commitment;
 
+    // Public amount must fit into 64 bits (same bound as Deposit)
+    component amtBits = Num2Bits(64);
+    amtBits.in <== amount;
+
+    // amount = withdrawn + fee, both u64 (so fee <= amount)
+    signal withdrawn;
+    withdrawn <== amount - fee;
+
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+    component withdrawnBits = Num2Bits(64);
+    withdrawnBits.in <== withdrawn;
+
     // -- Step 2: Merkle inclusion proof (commitment ∈ tree) --
     component mp = MerkleProof(depth);
     mp.leaf <== commitment;
@@ -60,15 +85,16 @@ template Withdraw(depth) {
 
     // -- Step 3: derive nullifier (prevents double-spend) --
     component nul = NullifierFromCipherKey();
-    nul.cipherPayPubKey <== note.derivedCipherPayPubKey; // Poseidon(pub, priv)
+    nul.cipherPayPubKey <== note.derivedCipherPayPubKey; // CipherPayPubKey(Poseidon(pub, priv), enc)
     nul.randomness      <== randomness;
     nul.tokenId         <== tokenId;
     nullifier           <== nul.nullifier;
 
-    // NOTE: no arithmetic constraints on recipientOwner_lo/hi.
+    // NOTE: no arithmetic constraints on recipientOwner_lo/hi or feeRecipient_lo/hi.
     // They are public-only for on-chain equality checking.
 }
 
 // Outputs first, then declared `public` inputs become public signals in this order:
-// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId ]
-component main { public [recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId] } = Withdraw(16);
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,86 @@
+pragma circom 2.1.4;
+
+include "../merkle/merkle.circom";               // MerkleProof(depth)
+include "../withdraw/withdraw.circom";           // Withdraw(depth)
+
+// CipherPay Withdraw with association-set membership (compliant withdrawals)
+// Same statement as Withdraw(depth), plus: the spent note's commitment is a
+// leaf of a second Poseidon Merkle tree whose root, `associationRoot`, is
+// published by a compliance provider. Notes are approved by their deposit
+// commitment (Deposit's newCommitment), so only notes withdrawn as deposited
+// can prove membership. Provenance is not carried through transfers: a
+// Transfer output (including change) is a new commitment that no association
+// set lists, so its withdrawal is rejected. The association tree uses the same conventions as the note tree
+// (scripts/association-tree.js builds it).
+// Public signals order (outputs first, then public inputs):
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi, associationRoot ]
+template WithdrawAssociation(depth, associationDepth) {
+    // === Private inputs (as in Withdraw) ===
+    signal input recipientWalletPrivKey;
+    signal input recipientEncPubKey[2];
+    signal input randomness;
+    signal input memo;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal input commitment;
+
+    // === Private inputs (association-set membership) ===
+    signal input associationPathElements[associationDepth];  // siblings bottom -> top
+    signal input associationPathIndices[associationDepth];   // 0 => (left=cur,right=sib), 1 => (left=sib,right=cur)
+
+    // === Public inputs (as in Withdraw) ===
+    signal input recipientOwner_lo;
+    signal input recipientOwner_hi;
+    signal input recipientWalletPubKey;
+    signal input amount;
+    signal input tokenId;
+    signal input fee;
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+
+    // === Public inputs (compliance) ===
+    signal input associationRoot;             // approved-set root from the compliance provider
+
+    // === Public outputs ===
+    signal output nullifier;
+    signal output merkleRoot;
+
+    // -- Step 1: the plain withdraw statement --
+    component w = Withdraw(depth);
+    w.recipientWalletPrivKey <== recipientWalletPrivKey;
+    w.recipientEncPubKey[0]  <== recipientEncPubKey[0];
+    w.recipientEncPubKey[1]  <== recipientEncPubKey[1];
+    w.randomness             <== randomness;
+    w.memo                   <== memo;
+    w.commitment             <== commitment;
+    for (var i = 0; i < depth; i++) {
+        w.pathElements[i] <== pathElements[i];
+        w.pathIndices[i]  <== pathIndices[i];
+    }
+    w.recipientOwner_lo     <== recipientOwner_lo;
+    w.recipientOwner_hi     <== recipientOwner_hi;
+    w.recipientWalletPubKey <== recipientWalletPubKey;
+    w.amount                <== amount;
+    w.tokenId               <== tokenId;
+    w.fee                   <== fee;
+    w.feeRecipient_lo       <== feeRecipient_lo;
+    w.feeRecipient_hi       <== feeRecipient_hi;
+
+    nullifier  <== w.nullifier;
+    merkleRoot <== w.merkleRoot;
+
+    // -- Step 2: the same commitment is in the association set --
+    component assoc = MerkleProof(associationDepth);
+    assoc.leaf <== commitment;
+    for (var j = 0; j < associationDepth; j++) {
+        assoc.pathElements[j] <== associationPathElements[j];
+        assoc.pathIndices[j]  <== associationPathIndices[j];
+    }
+    assoc.root === associationRoot;
+}
+
+// Outputs first, then public inputs:
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi, associationRoot ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,119 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "../merkle/merkle.circom";               // MerkleProof(depth)
+include "../merkle/sparse_merkle.circom";        // SMTNonMembership(depth)
+include "../withdraw/withdraw.circom";           // Withdraw(depth)
+
+// CipherPay Withdraw with blocklist exclusion
+// Same statement as Withdraw(depth), plus: the spent note's owner key,
+// cipherPayPubKey = CipherPayPubKey(Poseidon(recipientWalletPubKey, recipientWalletPrivKey), recipientEncPubKey),
+// is *not* a key of the sparse Merkle tree whose root, `blocklistRoot`, is
+// published by a compliance provider. scripts/sparse-merkle-tree.js builds
+// the tree and the exclusion witness.
+// The blocklist names depositors, so the spent note must be a deposit
+// commitment (Deposit's newCommitment, whose owner is Deposit's
+// ownerCipherPayPubKey): its commitment is a leaf of the deposit set under the
+// public `depositRoot` (scripts/association-tree.js, buildDepositSet). A
+// Transfer output is not, so a blocklisted depositor cannot launder a note
+// through a transfer to a fresh key.
+// Public signals order (outputs first, then public inputs):
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi, blocklistRoot, depositRoot ]
+template WithdrawBlocklist(depth, blocklistDepth) {
+    // === Private inputs (as in Withdraw) ===
+    signal input recipientWalletPrivKey;
+    signal input recipientEncPubKey[2];
+    signal input randomness;
+    signal input memo;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal input commitment;
+
+    // === Private inputs (blocklist exclusion) ===
+    signal input blocklistSiblings[blocklistDepth];  // sparse tree siblings top -> bottom, zero-padded
+    signal input blocklistOldKey;                     // key of the leaf the path ends in (0 if empty)
+    signal input blocklistOldValue;                   // value of that leaf (0 if empty)
+    signal input blocklistIsOld0;                     // 1 => path ends in an empty subtree
+
+    // === Private inputs (deposit-set membership) ===
+    signal input depositPathElements[depth];          // siblings bottom -> top
+    signal input depositPathIndices[depth];           // 0 => (left=cur,right=sib), 1 => (left=sib,right=cur)
+
+    // === Public inputs (as in Withdraw) ===
+    signal input recipientOwner_lo;
+    signal input recipientOwner_hi;
+    signal input recipientWalletPubKey;
+    signal input amount;
+    signal input tokenId;
+    signal input fee;
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+
+    // === Public inputs (compliance) ===
+    signal input blocklistRoot;               // blocklist root from the compliance provider
+    signal input depositRoot;                 // root of the set of deposit commitments
+
+    // === Public outputs ===
+    signal output nullifier;
+    signal output merkleRoot;
+
+    // -- Step 1: the plain withdraw statement --
+    component w = Withdraw(depth);
+    w.recipientWalletPrivKey <== recipientWalletPrivKey;
+    w.recipientEncPubKey[0]  <== recipientEncPubKey[0];
+    w.recipientEncPubKey[1]  <== recipientEncPubKey[1];
+    w.randomness             <== randomness;
+    w.memo                   <== memo;
+    w.commitment             <== commitment;
+    for (var i = 0; i < depth; i++) {
+        w.pathElements[i] <== pathElements[i];
+        w.pathIndices[i]  <== pathIndices[i];
+    }
+    w.recipientOwner_lo     <== recipientOwner_lo;
+    w.recipientOwner_hi     <== recipientOwner_hi;
+    w.recipientWalletPubKey <== recipientWalletPubKey;
+    w.amount                <== amount;
+    w.tokenId               <== tokenId;
+    w.fee                   <== fee;
+    w.feeRecipient_lo       <== feeRecipient_lo;
+    w.feeRecipient_hi       <== feeRecipient_hi;
+
+    nullifier  <== w.nullifier;
+    merkleRoot <== w.merkleRoot;
+
+    // -- Step 2: the note is a deposit commitment, so its owner is the depositor --
+    component dep = MerkleProof(depth);
+    dep.leaf <== commitment;
+    for (var k = 0; k < depth; k++) {
+        dep.pathElements[k] <== depositPathElements[k];
+        dep.pathIndices[k]  <== depositPathIndices[k];
+    }
+    dep.root === depositRoot;
+
+    // -- Step 3: the note owner's key, as Withdraw derives it --
+    component spending = Poseidon(2);
+    spending.inputs[0] <== recipientWalletPubKey;
+    spending.inputs[1] <== recipientWalletPrivKey;
+
+    component cppk = CipherPayPubKey();
+    cppk.spendingPubKey <== spending.out;
+    cppk.encPubKey[0]   <== recipientEncPubKey[0];
+    cppk.encPubKey[1]   <== recipientEncPubKey[1];
+
+    // -- Step 4: that key is not in the blocklist --
+    component excl = SMTNonMembership(blocklistDepth);
+    excl.root <== blocklistRoot;
+    for (var j = 0; j < blocklistDepth; j++) {
+        excl.siblings[j] <== blocklistSiblings[j];
+    }
+    excl.oldKey   <== blocklistOldKey;
+    excl.oldValue <== blocklistOldValue;
+    excl.isOld0   <== blocklistIsOld0;
+    excl.key      <== cppk.cipherPayPubKey;
+}
+
+// Outputs first, then public inputs:
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi, blocklistRoot, depositRoot ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,107 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
+include "../merkle/merkle.circom";
+include "../nullifier/nullifier.circom";
+include "../note_commitment/note_commitment.circom";
+
+// CipherPay Withdraw Circuit — nullifying-key hierarchy (parameterized Merkle depth)
+// Same statement and public signals as Withdraw, but
+//   nullifyingKey   = Poseidon(NULLIFYING_KEY_TAG, recipientWalletPrivKey)
+//   cipherPayPubKey = CipherPayPubKey(Poseidon(recipientWalletPubKey, nullifyingKey), recipientEncPubKey)
+//   nullifier       = Poseidon(nullifyingKey, randomness, tokenId)
+// NEW public signals order (outputs first, then public inputs):
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// The note amount is split as amount = withdrawn + fee: the recipient receives
+// amount - fee and the fee recipient (relayer) receives fee.
+template WithdrawNK(depth) {
+    // === Private inputs ===
+    signal input recipientWalletPrivKey;      // recipient L1 private key
+    signal input recipientEncPubKey[2];       // recipient encryption key (in its cipherPayPubKey)
+    signal input randomness;                  // note randomness
+    signal input memo;                        // optional memo
+    signal input pathElements[depth];         // Merkle auth path (bottom -> top)
+    signal input pathIndices[depth];          // 0 => (left=cur,right=sib), 1 => (left=sib,right=cur)
+    signal input commitment;                  // PRIVATE: expected note commitment
+
+    // === Public inputs ===
+    //
+    // Solana recipient owner pubkey (32 bytes) split into two 128-bit LE limbs:
+    //   - recipientOwner_lo: LE integer of bytes[ 0..16)
+    //   - recipientOwner_hi: LE integer of bytes[16..32)
+    //
+    // These are *not* used in arithmetic; they are exposed so the on-chain
+    // program can reconstruct the 32-byte Pubkey and compare to recipient_owner.
+    signal input recipientOwner_lo;           // low 128 bits (LE)
+    signal input recipientOwner_hi;           // high 128 bits (LE)
+
+    // Existing UI-ish public inputs
+    signal input recipientWalletPubKey;       // recipient L1 public key
+    signal input amount;                      // note amount
+    signal input tokenId;                     // note token id
+
+    // Relayer compensation (same limb encoding as recipientOwner_lo/hi)
+    signal input fee;                         // u64, taken out of `amount`
+    signal input feeRecipient_lo;             // low 128 bits (LE)
+    signal input feeRecipient_hi;             // high 128 bits (LE)
+
+    // === Public outputs ===
+    signal output nullifier;                  // spend nullifier (prevents reuse)
+    signal output merkleRoot;                 // Merkle root of the tree
+
+    // -- Step 1: derive nullifying key + CipherPay pubkey, recompute commitment --
+    component nk = NullifyingKey();
+    nk.walletPrivKey <== recipientWalletPrivKey;
+
+    component note = NoteCommitmentFromNullifyingKey();
+    note.amount        <== amount;
+    note.walletPubKey  <== recipientWalletPubKey;
+    note.nullifyingKey <== nk.nullifyingKey;
+    note.encPubKey[0]  <== recipientEncPubKey[0];
+    note.encPubKey[1]  <== recipientEncPubKey[1];
+    note.randomness    <== randomness;
+    note.tokenId       <== tokenId;
+    note.memo          <== memo;
+
+    // Provided private `commitment` must match reconstructed one
+    note.commitment === commitment;
+
+    // Public amount must fit into 64 bits (same bound as Deposit)
+    component amtBits = Num2Bits(64);
+    amtBits.in <== amount;
+
+    // amount = withdrawn + fee, both u64 (so fee <= amount)
+    signal withdrawn;
+    withdrawn <== amount - fee;
+
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+    component withdrawnBits = Num2Bits(64);
+    withdrawnBits.in <== withdrawn;
+
+    // -- Step 2: Merkle inclusion proof (commitment ∈ tree) --
+    component mp = MerkleProof(depth);
+    mp.leaf <== commitment;
+    for (var i = 0; i < depth; i++) {
+        mp.pathElements[i] <== pathElements[i];
+        mp.pathIndices[i]  <== pathIndices[i];   // boolean enforced inside MerkleProof
+    }
+    merkleRoot <== mp.root;
+
+    // -- Step 3: derive nullifier (prevents double-spend) --
+    component nul = NullifierFromNullifyingKey();
+    nul.nullifyingKey   <== nk.nullifyingKey;            // secret, not the public CPPK
+    nul.randomness      <== randomness;
+    nul.tokenId         <== tokenId;
+    nullifier           <== nul.nullifier;
+
+    // NOTE: no arithmetic constraints on recipientOwner_lo/hi or feeRecipient_lo/hi.
+    // They are public-only for on-chain equality checking.
+}
+
+// Outputs first, then declared `public` inputs become public signals in this order:
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,132 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
+include "../merkle/merkle.circom";
+include "../nullifier/nullifier.circom";
+include "../note_commitment/note_commitment.circom";
+
+// CipherPay Partial Withdraw Circuit (parameterized Merkle depth)
+// Withdraws `withdrawAmount` out of a note and re-shields the remainder as a
+// private change note owned by the same CipherPay identity, in one proof.
+// The relayer's `fee` comes out of the note too (as in Withdraw):
+// amount = withdrawAmount + fee + change.
+// Assumptions:
+//  • The spent note is proven against `merkleRoot`, which must be the tree's
+//    current root: the change note is appended from it (MerkleAppend).
+//  • changePathElements are the siblings of slot nextLeafIndex (pre-insertion).
+// Public signals order (outputs first, then public inputs):
+// [ nullifier, merkleRoot, changeCommitment, newMerkleRoot, newNextLeafIndex,
+//   recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, withdrawAmount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+template WithdrawPartial(depth) {
+    // === Private inputs (spent note) ===
+    signal input recipientWalletPrivKey;      // recipient L1 private key
+    signal input recipientEncPubKey[2];       // recipient encryption key (in its cipherPayPubKey)
+    signal input amount;                      // PRIVATE: full note amount
+    signal input randomness;                  // note randomness
+    signal input memo;                        // optional memo
+    signal input pathElements[depth];         // Merkle auth path (bottom -> top)
+    signal input pathIndices[depth];          // 0 => (left=cur,right=sib), 1 => (left=sib,right=cur)
+    signal input commitment;                  // PRIVATE: expected note commitment
+
+    // === Private inputs (change note) ===
+    signal input changeRandomness;            // change note randomness
+    signal input changeMemo;                  // change note memo
+    signal input nextLeafIndex;               // slot for the change note
+    signal input changePathElements[depth];   // insertion siblings for index = nextLeafIndex
+
+    // === Public inputs ===
+    // Solana recipient owner pubkey as two 128-bit LE limbs (see Withdraw)
+    signal input recipientOwner_lo;           // low 128 bits (LE)
+    signal input recipientOwner_hi;           // high 128 bits (LE)
+
+    signal input recipientWalletPubKey;       // recipient L1 public key
+    signal input withdrawAmount;              // amount leaving the pool
+    signal input tokenId;                     // note token id
+
+    // Relayer compensation (same limb encoding as recipientOwner_lo/hi)
+    signal input fee;                         // u64, taken out of `amount`
+    signal input feeRecipient_lo;             // low 128 bits (LE)
+    signal input feeRecipient_hi;             // high 128 bits (LE)
+
+    // === Public outputs ===
+    signal output nullifier;                  // spend nullifier (prevents reuse)
+    signal output merkleRoot;                 // root BEFORE inserting the change note
+    signal output changeCommitment;           // commitment of the change note
+    signal output newMerkleRoot;              // AFTER inserting changeCommitment at nextLeafIndex
+    signal output newNextLeafIndex;           // == nextLeafIndex + 1
+
+    // -- Step 1: derive CipherPay pubkey + recompute commitment from preimage --
+    component note = NoteCommitmentFromWallet();
+    note.amount        <== amount;
+    note.walletPubKey  <== recipientWalletPubKey;
+    note.walletPrivKey <== recipientWalletPrivKey;
+    note.encPubKey[0]  <== recipientEncPubKey[0];
+    note.encPubKey[1]  <== recipientEncPubKey[1];
+    note.randomness    <== randomness;
+    note.tokenId       <== tokenId;
+    note.memo          <== memo;
+
+    // Provided private `commitment` must match reconstructed one
+    note.commitment === commitment;
+
+    // -- Step 2: Merkle inclusion proof (commitment ∈ tree) --
+    component mp = MerkleProof(depth);
+    mp.leaf <== commitment;
+    for (var i = 0; i < depth; i++) {
+        mp.pathElements[i] <== pathElements[i];
+        mp.pathIndices[i]  <== pathIndices[i];   // boolean enforced inside MerkleProof
+    }
+    merkleRoot <== mp.root;
+
+    // -- Step 3: derive nullifier (prevents double-spend) --
+    component nul = NullifierFromCipherKey();
+    nul.cipherPayPubKey <== note.derivedCipherPayPubKey; // CipherPayPubKey(Poseidon(pub, priv), enc)
+    nul.randomness      <== randomness;
+    nul.tokenId         <== tokenId;
+    nullifier           <== nul.nullifier;
+
+    // -- Step 4: conservation (amount = withdrawAmount + fee + change), all u64 --
+    signal changeAmount;
+    changeAmount <== amount - withdrawAmount - fee;
+
+    component amtBits = Num2Bits(64);
+    amtBits.in <== amount;
+    component wdBits = Num2Bits(64);
+    wdBits.in <== withdrawAmount;
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+    component changeBits = Num2Bits(64);
+    changeBits.in <== changeAmount;          // also enforces withdrawAmount + fee <= amount
+
+    // -- Step 5: change note back to the same identity --
+    component change = NoteCommitment();
+    change.amount          <== changeAmount;
+    change.cipherPayPubKey <== note.derivedCipherPayPubKey;
+    change.randomness      <== changeRandomness;
+    change.tokenId         <== tokenId;
+    change.memo            <== changeMemo;
+    changeCommitment       <== change.commitment;
+
+    // -- Step 6: append changeCommitment at index = nextLeafIndex --
+    component app = MerkleAppend(depth);
+    app.oldRoot <== merkleRoot;
+    app.leaf    <== changeCommitment;
+    app.index   <== nextLeafIndex;
+    for (var j = 0; j < depth; j++) {
+        app.pathElements[j] <== changePathElements[j];
+    }
+    newMerkleRoot <== app.newRoot;
+
+    newNextLeafIndex <== nextLeafIndex + 1;
+
+    // NOTE: no arithmetic constraints on recipientOwner_lo/hi or feeRecipient_lo/hi.
+    // They are public-only for on-chain equality checking.
+}
+
+// Outputs first, then declared `public` inputs become public signals in this order:
+// [ nullifier, merkleRoot, changeCommitment, newMerkleRoot, newNextLeafIndex,
+//   recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, withdrawAmount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
@@ -0,0 +1,105 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/bitify.circom";
+include "../merkle/merkle.circom";
+include "../nullifier/nullifier.circom";
+include "../note_commitment/note_commitment.circom"; // NoteCommitmentTimelocked
+include "../timelock/timelock.circom";               // AssertUnlocked
+
+// CipherPay Withdraw of a timelocked note
+// Same statement as Withdraw(depth) for a note committed with
+// NoteCommitmentTimelocked, plus: unlockTime <= currentTime (public).
+// Public signals order (outputs first, then public inputs):
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi, currentTime ]
+template WithdrawTimelock(depth) {
+    // === Private inputs ===
+    signal input recipientWalletPrivKey;      // recipient L1 private key
+    signal input recipientEncPubKey[2];       // recipient encryption key (in its cipherPayPubKey)
+    signal input randomness;                  // note randomness
+    signal input memo;                        // optional memo
+    signal input unlockTime;                  // note unlock time (unix seconds)
+    signal input pathElements[depth];         // Merkle auth path (bottom -> top)
+    signal input pathIndices[depth];          // 0 => (left=cur,right=sib), 1 => (left=sib,right=cur)
+    signal input commitment;                  // PRIVATE: expected note commitment
+
+    // === Public inputs (as in Withdraw) ===
+    signal input recipientOwner_lo;           // low 128 bits (LE)
+    signal input recipientOwner_hi;           // high 128 bits (LE)
+    signal input recipientWalletPubKey;       // recipient L1 public key
+    signal input amount;                      // note amount
+    signal input tokenId;                     // note token id
+    signal input fee;                         // u64, taken out of `amount`
+    signal input feeRecipient_lo;             // low 128 bits (LE)
+    signal input feeRecipient_hi;             // high 128 bits (LE)
+
+    // === Public inputs (timelock) ===
+    signal input currentTime;                 // unix seconds, checked on-chain against the clock
+
+    // === Public outputs ===
+    signal output nullifier;                  // spend nullifier (prevents reuse)
+    signal output merkleRoot;                 // Merkle root of the tree
+
+    // -- Step 1: derive CipherPay pubkey + recompute the timelocked commitment --
+    component spending = Poseidon(2);
+    spending.inputs[0] <== recipientWalletPubKey;
+    spending.inputs[1] <== recipientWalletPrivKey;
+
+    component cppk = CipherPayPubKey();
+    cppk.spendingPubKey <== spending.out;
+    cppk.encPubKey[0]   <== recipientEncPubKey[0];
+    cppk.encPubKey[1]   <== recipientEncPubKey[1];
+
+    component note = NoteCommitmentTimelocked();
+    note.amount          <== amount;
+    note.cipherPayPubKey <== cppk.cipherPayPubKey;
+    note.randomness      <== randomness;
+    note.tokenId         <== tokenId;
+    note.memo            <== memo;
+    note.unlockTime      <== unlockTime;
+
+    note.commitment === commitment;
+
+    // Public amount must fit into 64 bits (same bound as Deposit)
+    component amtBits = Num2Bits(64);
+    amtBits.in <== amount;
+
+    // amount = withdrawn + fee, both u64 (so fee <= amount)
+    signal withdrawn;
+    withdrawn <== amount - fee;
+
+    component feeBits = Num2Bits(64);
+    feeBits.in <== fee;
+    component withdrawnBits = Num2Bits(64);
+    withdrawnBits.in <== withdrawn;
+
+    // -- Step 2: the note is unlocked --
+    component unlocked = AssertUnlocked();
+    unlocked.unlockTime  <== unlockTime;
+    unlocked.currentTime <== currentTime;
+
+    // -- Step 3: Merkle inclusion proof (commitment ∈ tree) --
+    component mp = MerkleProof(depth);
+    mp.leaf <== commitment;
+    for (var i = 0; i < depth; i++) {
+        mp.pathElements[i] <== pathElements[i];
+        mp.pathIndices[i]  <== pathIndices[i];
+    }
+    merkleRoot <== mp.root;
+
+    // -- Step 4: derive nullifier (prevents double-spend) --
+    component nul = NullifierFromCipherKey();
+    nul.cipherPayPubKey <== cppk.cipherPayPubKey;
+    nul.randomness      <== randomness;
+    nul.tokenId         <== tokenId;
+    nullifier           <== nul.nullifier;
+
+    // NOTE: no arithmetic constraints on recipientOwner_lo/hi or feeRecipient_lo/hi.
+    // They are public-only for on-chain equality checking.
+}
+
+// Outputs first, then public inputs:
+// [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId,
+//   fee, feeRecipient_lo, feeRecipient_hi, currentTime ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
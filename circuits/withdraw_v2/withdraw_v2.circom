@@ -0,0 +1,90 @@
+pragma circom 2.1.4;
+
+include "../merkle/merkle.circom";               // MerkleLeafIndex(depth)
+include "../nullifier/nullifier.circom";         // NullifierPositioned, NullifierMigration
+include "../withdraw/withdraw.circom";           // Withdraw(depth)
+
+// CipherPay Withdraw v2: position-bound nullifier
+// Same statement as Withdraw(depth), but `nullifier` also commits to the
+// spent leaf's index (read from pathIndices), so identical commitments at
+// different leaves can each be spent once. `legacyNullifier` carries the v1
+// nullifier for notes below the public `migrationLeafIndex`; the program
+// marks both spent (see NullifierMigration in nullifier.circom).
+// Public signals order (outputs first, then public inputs):
+// [ nullifier, merkleRoot, legacyNullifier, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey,
+//   amount, tokenId, fee, feeRecipient_lo, feeRecipient_hi, migrationLeafIndex ]
+template WithdrawV2(depth) {
+    // === Private inputs (as in Withdraw) ===
+    signal input recipientWalletPrivKey;
+    signal input recipientEncPubKey[2];
+    signal input randomness;
+    signal input memo;
+    signal input pathElements[depth];
+    signal input pathIndices[depth];
+    signal input commitment;
+
+    // === Public inputs (as in Withdraw) ===
+    signal input recipientOwner_lo;
+    signal input recipientOwner_hi;
+    signal input recipientWalletPubKey;
+    signal input amount;
+    signal input tokenId;
+    signal input fee;
+    signal input feeRecipient_lo;
+    signal input feeRecipient_hi;
+
+    // === Public input (migration) ===
+    signal input migrationLeafIndex;          // first leaf created after the v2 upgrade
+
+    // === Public outputs ===
+    signal output nullifier;                  // position-bound
+    signal output merkleRoot;
+    signal output legacyNullifier;            // v1 nullifier for legacy notes
+
+    // -- Step 1: the plain withdraw statement (its nullifier is the v1 one) --
+    component w = Withdraw(depth);
+    w.recipientWalletPrivKey <== recipientWalletPrivKey;
+    w.recipientEncPubKey[0]  <== recipientEncPubKey[0];
+    w.recipientEncPubKey[1]  <== recipientEncPubKey[1];
+    w.randomness             <== randomness;
+    w.memo                   <== memo;
+    w.commitment             <== commitment;
+    for (var i = 0; i < depth; i++) {
+        w.pathElements[i] <== pathElements[i];
+        w.pathIndices[i]  <== pathIndices[i];
+    }
+    w.recipientOwner_lo     <== recipientOwner_lo;
+    w.recipientOwner_hi     <== recipientOwner_hi;
+    w.recipientWalletPubKey <== recipientWalletPubKey;
+    w.amount                <== amount;
+    w.tokenId               <== tokenId;
+    w.fee                   <== fee;
+    w.feeRecipient_lo       <== feeRecipient_lo;
+    w.feeRecipient_hi       <== feeRecipient_hi;
+
+    merkleRoot <== w.merkleRoot;
+
+    // -- Step 2: bind the nullifier to the leaf index of the proven path --
+    component idx = MerkleLeafIndex(depth);
+    for (var j = 0; j < depth; j++) {
+        idx.pathIndices[j] <== pathIndices[j];
+    }
+
+    component pos = NullifierPositioned();
+    pos.baseNullifier <== w.nullifier;
+    pos.leafIndex     <== idx.leafIndex;
+    nullifier         <== pos.nullifier;
+
+    // -- Step 3: legacy nullifier for notes created before the upgrade --
+    component mig = NullifierMigration(depth);
+    mig.baseNullifier      <== w.nullifier;
+    mig.nullifier          <== pos.nullifier;
+    mig.leafIndex          <== idx.leafIndex;
+    mig.migrationLeafIndex <== migrationLeafIndex;
+    legacyNullifier        <== mig.legacyNullifier;
+}
+
+// Outputs first, then public inputs:
+// [ nullifier, merkleRoot, legacyNullifier, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey,
+//   amount, tokenId, fee, feeRecipient_lo, feeRecipient_hi, migrationLeafIndex ]
+// `component main` is generated from circuits.config.json (scripts/setup.js).
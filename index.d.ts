@@ -0,0 +1,541 @@
+// index.d.ts
+/// <reference types="node" />
+
+/**
+ * Types for the CipherPay circuits SDK (index.js).
+ *
+ * Circuit inputs and public signals are generated from the circom sources
+ * into types/circuits.d.ts (scripts/generate-types.js), so prove(),
+ * decodePublicSignals() and encodePublicSignals() are checked against the
+ * circuit named by their first argument:
+ *
+ *   const { publicSignals } = await prove("withdraw", input);     // input: WithdrawInput
+ *   const { nullifier } = decodePublicSignals("withdraw", publicSignals);
+ *
+ * Witness builders type their `input` as the default build of each circuit
+ * (depth 16 paths); pass depth-variant inputs with an explicit build key.
+ */
+
+import type {
+  CircuitName,
+  CircuitInputs,
+  CircuitPublicSignals,
+  CircuitPublicValues,
+  FieldLike,
+  DepositInput,
+  DepositBlindedInput,
+  DepositNkInput,
+  TransferInput,
+  TransferNkInput,
+  WithdrawInput,
+  WithdrawPartialInput,
+  WithdrawNkInput,
+  BatchDeposit4Input,
+  BalanceProof4Input,
+  AuditInput,
+  SwapLegInput,
+  SwapLegPublicSignals,
+} from "./types/circuits";
+
+export * from "./types/circuits";
+
+/* -------------------------------- proving -------------------------------- */
+export interface Groth16Proof {
+  pi_a: string[];
+  pi_b: string[][];
+  pi_c: string[];
+  protocol: "groth16";
+  curve: string;
+}
+
+export interface VerificationKey {
+  protocol: string;
+  curve: string;
+  nPublic: number;
+  vk_alpha_1: string[];
+  vk_beta_2: string[][];
+  vk_gamma_2: string[][];
+  vk_delta_2: string[][];
+  vk_alphabeta_12?: unknown;
+  IC: string[][];
+}
+
+export interface ProveResult<C extends CircuitName> {
+  proof: Groth16Proof;
+  publicSignals: CircuitPublicSignals[C];
+}
+
+export interface ProveOptions {
+  buildDir?: string;
+  wasm?: string | Uint8Array;
+  zkey?: string | Uint8Array;
+}
+
+export interface VerifyOptions {
+  buildDir?: string;
+  vkey?: string | VerificationKey;
+}
+
+export function prove<C extends CircuitName>(circuit: C, input: CircuitInputs[C], opts?: ProveOptions): Promise<ProveResult<C>>;
+export function verify<C extends CircuitName>(
+  circuit: C,
+  proof: Groth16Proof,
+  publicSignals: CircuitPublicSignals[C] | string[],
+  opts?: VerifyOptions
+): Promise<boolean>;
+
+/* ------------------------------- artifacts ------------------------------- */
+export interface ManifestEntry {
+  circuit: string;
+  template: string;
+  params: Record<string, number>;
+  public: string[];
+  wasm: string;
+  zkey: string;
+  vkey: string;
+}
+
+export interface ResolvedArtifacts extends ManifestEntry {
+  key: CircuitName;
+}
+
+export const DEFAULT_BUILD_DIR: string;
+export function readManifest(buildDir?: string): Partial<Record<CircuitName, ManifestEntry>>;
+export function listCircuits(): CircuitName[];
+export function resolveArtifacts(circuit: CircuitName, opts?: { buildDir?: string; mustExist?: boolean }): ResolvedArtifacts;
+
+/* ----------------------------- public signals ---------------------------- */
+export interface PublicSignalSchema {
+  version: number;
+  circuits: Record<CircuitName, string[]>;
+}
+
+export function loadSchema(file?: string): PublicSignalSchema;
+export function publicSignalNames(circuit: CircuitName): string[];
+export function decodePublicSignals<C extends CircuitName>(
+  circuit: C,
+  publicSignals: CircuitPublicSignals[C] | string[] | Uint8Array
+): CircuitPublicValues[C];
+export function encodePublicSignals<C extends CircuitName>(
+  circuit: C,
+  values: { [K in keyof CircuitPublicValues[C]]: FieldLike | readonly unknown[] },
+  opts?: { binary?: false }
+): CircuitPublicSignals[C];
+export function encodePublicSignals<C extends CircuitName>(
+  circuit: C,
+  values: { [K in keyof CircuitPublicValues[C]]: FieldLike | readonly unknown[] },
+  opts: { binary: true }
+): Buffer;
+
+/* ---------------------------- Solana encoding ---------------------------- */
+export function encodeProof(proof: Groth16Proof): Buffer;
+export function encodePayload(proof: Groth16Proof, publicSignals: readonly FieldLike[]): Buffer;
+export function encodeVerificationKey(
+  vk: VerificationKey,
+  opts?: { endianness?: "le" | "be"; includeAlphaBeta?: boolean; nPublic?: number; force?: boolean }
+): Buffer;
+
+/* --------------------------------- trees --------------------------------- */
+export interface MerklePath {
+  leaf: bigint;
+  pathElements: bigint[];
+  pathIndices: number[];
+  root: bigint;
+}
+
+export interface MerkleTree {
+  readonly depth: number;
+  readonly zeros: bigint[];
+  readonly nextLeafIndex: number;
+  root(): bigint;
+  leaf(index: number): bigint;
+  indexOf(leaf: FieldLike): number;
+  insert(leaf: FieldLike): number;
+  path(index: number): MerklePath;
+  depositPath(): { nextLeafIndex: number; inPathElements: bigint[]; inPathIndices: number[]; oldMerkleRoot: bigint };
+  transferPaths(): { nextLeafIndex: number; out1PathElements: bigint[]; out2PathElements: bigint[]; merkleRoot: bigint };
+  appendPaths(newLeaves: FieldLike[]): { nextLeafIndex: number; pathElements: bigint[][]; oldRoot: bigint; newRoot: bigint };
+}
+
+export interface AssociationTree {
+  depth: number;
+  leaves: bigint[];
+  root: bigint;
+  has(commitment: FieldLike): boolean;
+  membershipProof(commitment: FieldLike): {
+    associationPathElements: bigint[];
+    associationPathIndices: number[];
+    associationRoot: bigint;
+  };
+}
+
+export interface DepositSet {
+  depth: number;
+  leaves: bigint[];
+  root: bigint;
+  has(commitment: FieldLike): boolean;
+  membershipProof(commitment: FieldLike): {
+    depositPathElements: bigint[];
+    depositPathIndices: number[];
+    depositRoot: bigint;
+  };
+}
+
+export interface SparseMerkleTree {
+  readonly depth: number;
+  root(): bigint;
+  has(key: FieldLike): Promise<boolean>;
+  insert(key: FieldLike, value?: FieldLike): Promise<void>;
+  delete(key: FieldLike): Promise<void>;
+  exclusionProof(key: FieldLike): Promise<{
+    blocklistSiblings: bigint[];
+    blocklistOldKey: bigint;
+    blocklistOldValue: bigint;
+    blocklistIsOld0: 0 | 1;
+    blocklistRoot: bigint;
+  }>;
+}
+
+export function buildMerkleTree(depth?: number, leaves?: FieldLike[], opts?: { startIndex?: number }): Promise<MerkleTree>;
+export function indexToPathIndices(index: number | bigint, depth: number): number[];
+/** Approved deposit commitments; transferred notes have no membership proof. */
+export function buildAssociationTree(commitments: FieldLike[], depth?: number): Promise<AssociationTree>;
+/** Every Deposit's newCommitment; WithdrawBlocklist only spends notes in it. */
+export function buildDepositSet(commitments: FieldLike[], depth?: number): Promise<DepositSet>;
+export function buildSparseMerkleTree(depth?: number, keys?: FieldLike[]): Promise<SparseMerkleTree>;
+
+/* ------------------------------ notes and keys --------------------------- */
+export interface Wallet {
+  walletPubKey: FieldLike;
+  walletPrivKey: FieldLike;
+  /** Encryption private key; deriveEncryptionKeyPair(walletPrivKey) when omitted */
+  encPrivKey?: FieldLike;
+}
+
+export interface Note {
+  amount: FieldLike;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo?: FieldLike;
+}
+
+export type EncPubKey = [bigint, bigint];
+
+/** What a wallet hands to senders; its cipherPayPubKey is derived from both keys */
+export interface CipherPayAddress {
+  spendingPubKey: bigint;
+  encPubKey: EncPubKey;
+  cipherPayPubKey: bigint;
+}
+
+export interface EncryptedNote {
+  ephemeralKey: bigint;
+  ephemeralPubKey: EncPubKey;
+  ciphertext: bigint[];
+  encNoteHash: bigint;
+}
+
+export const NOTE_FIELDS: string[];
+export const CIPHERTEXT_LENGTH: number;
+export const ENCRYPTION_KEY_TAG: bigint;
+export function generateEncryptionKeyPair(privKey?: FieldLike): Promise<{ privKey: bigint; pubKey: EncPubKey }>;
+export function deriveEncryptionKeyPair(walletPrivKey: FieldLike): Promise<{ privKey: bigint; pubKey: EncPubKey }>;
+export function deriveSharedKey(privKey: FieldLike, pubKey: EncPubKey): Promise<EncPubKey>;
+export function poseidonEncrypt(plaintext: FieldLike[], key: EncPubKey, nonce?: FieldLike): Promise<bigint[]>;
+export function poseidonDecrypt(ciphertext: FieldLike[], key: EncPubKey, length: number, nonce?: FieldLike): Promise<bigint[]>;
+export function hashEncryptedNote(payload: Pick<EncryptedNote, "ephemeralPubKey" | "ciphertext">): Promise<bigint>;
+export function encryptNote(
+  note: Record<string, FieldLike>,
+  encPubKey: EncPubKey,
+  ephemeralKey?: FieldLike,
+  fields?: string[]
+): Promise<EncryptedNote>;
+export function decryptNote(
+  payload: Pick<EncryptedNote, "ephemeralPubKey" | "ciphertext">,
+  encPrivKey: FieldLike,
+  fields?: string[]
+): Promise<Record<string, bigint>>;
+
+/** Solana pubkey as base58, 32-byte hex or bytes */
+export type SolanaPubkeyLike = string | Uint8Array | number[];
+export interface Limbs {
+  lo: string;
+  hi: string;
+}
+
+export function toLimbsFromAny(input: SolanaPubkeyLike): Limbs;
+export function limbsFromBase58(b58: string): Limbs;
+export function limbsFromHex32(hex: string): Limbs;
+export function limbsFromBytes32(bytes32: Uint8Array | number[]): Limbs;
+export function limbsToBytes32(loDec: FieldLike, hiDec: FieldLike): Uint8Array;
+export function injectRecipientOwnerLimbs<T extends object>(inputs: T, ownerAny: SolanaPubkeyLike): T & { recipientOwner_lo: string; recipientOwner_hi: string };
+export function injectFeeRecipientLimbs<T extends object>(inputs: T, feeRecipientAny: SolanaPubkeyLike): T & { feeRecipient_lo: string; feeRecipient_hi: string };
+
+export const POSITION_NULLIFIER_TAG: bigint;
+export function computeNullifier(cipherPayPubKey: FieldLike, randomness: FieldLike, tokenId: FieldLike): Promise<bigint>;
+export function computePositionedNullifier(baseNullifier: FieldLike, leafIndex: number | bigint): Promise<bigint>;
+export function isLegacyLeaf(leafIndex: number | bigint, migrationLeafIndex: number | bigint): boolean;
+export function spendNullifiers(note: {
+  cipherPayPubKey: FieldLike;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  leafIndex: number | bigint;
+  migrationLeafIndex: number | bigint;
+}): Promise<{ baseNullifier: bigint; nullifier: bigint; legacyNullifier: bigint }>;
+
+/* ----------------------------- witness builders -------------------------- */
+export interface OwnedNote {
+  amount: bigint;
+  cipherPayPubKey: bigint;
+  randomness: bigint;
+  tokenId: bigint;
+  memo: bigint;
+  commitment: bigint;
+}
+
+export interface TransferOutput extends OwnedNote {
+  payload: EncryptedNote;
+}
+
+export interface TransferParams {
+  recipient: { spendingPubKey: FieldLike; encPubKey: [FieldLike, FieldLike] };
+  amount: FieldLike;
+  fee?: FieldLike;
+  feeRecipient?: SolanaPubkeyLike;
+  memo?: FieldLike;
+  out1Randomness?: FieldLike;
+  out2Randomness?: FieldLike;
+  out1EphemeralKey?: FieldLike;
+  out2EphemeralKey?: FieldLike;
+}
+
+export function deriveSpendingPubKey(wallet: Wallet): Promise<bigint>;
+export function computeCipherPayPubKey(spendingPubKey: FieldLike, encPubKey: [FieldLike, FieldLike]): Promise<bigint>;
+export function deriveCipherPayAddress(wallet: Wallet): Promise<CipherPayAddress>;
+export function deriveCipherPayPubKey(wallet: Wallet): Promise<bigint>;
+export function computeNoteCommitment(note: Note & { cipherPayPubKey: FieldLike }): Promise<bigint>;
+export function computeDepositHash(cipherPayPubKey: FieldLike, amount: FieldLike, nonce: FieldLike): Promise<bigint>;
+export function buildDepositInput(
+  wallet: Wallet,
+  note: Omit<Note, "randomness"> & { randomness?: FieldLike },
+  tree: MerkleTree,
+  opts?: { nonce?: FieldLike }
+): Promise<{ input: DepositInput; note: OwnedNote; depositHash: bigint; nonce: bigint }>;
+export function buildTransferInput(
+  wallet: Wallet,
+  note: Note,
+  tree: MerkleTree,
+  params: TransferParams
+): Promise<{ input: TransferInput; nullifier: bigint; outputs: [TransferOutput, TransferOutput] }>;
+export function buildWithdrawInput(
+  wallet: Wallet,
+  note: Note,
+  tree: MerkleTree,
+  params: { recipientOwner: SolanaPubkeyLike; fee?: FieldLike; feeRecipient?: SolanaPubkeyLike }
+): Promise<{ input: WithdrawInput; nullifier: bigint }>;
+export function buildPartialWithdrawInput(
+  wallet: Wallet,
+  note: Note,
+  tree: MerkleTree,
+  params: {
+    recipientOwner: SolanaPubkeyLike;
+    withdrawAmount: FieldLike;
+    fee?: FieldLike;
+    feeRecipient?: SolanaPubkeyLike;
+    changeRandomness?: FieldLike;
+    changeMemo?: FieldLike;
+  }
+): Promise<{ input: WithdrawPartialInput; nullifier: bigint; change: OwnedNote }>;
+
+export const NULLIFYING_KEY_TAG: bigint;
+export function deriveNullifyingKey(walletPrivKey: FieldLike): Promise<bigint>;
+export function deriveNkCipherPayAddress(wallet: Wallet): Promise<CipherPayAddress>;
+export function deriveNkCipherPayPubKey(wallet: Wallet): Promise<bigint>;
+export function computeNkNullifier(nullifyingKey: FieldLike, randomness: FieldLike, tokenId: FieldLike): Promise<bigint>;
+export function buildDepositNkInput(
+  wallet: Wallet,
+  note: Omit<Note, "randomness"> & { randomness?: FieldLike },
+  tree: MerkleTree,
+  opts?: { nonce?: FieldLike }
+): Promise<{ input: DepositNkInput; note: OwnedNote; depositHash: bigint; nonce: bigint }>;
+export function buildTransferNkInput(
+  wallet: Wallet,
+  note: Note,
+  tree: MerkleTree,
+  params: TransferParams
+): Promise<{ input: TransferNkInput; nullifier: bigint; outputs: [TransferOutput, TransferOutput] }>;
+export function buildWithdrawNkInput(
+  wallet: Wallet,
+  note: Note,
+  tree: MerkleTree,
+  params: { recipientOwner: SolanaPubkeyLike; fee?: FieldLike; feeRecipient?: SolanaPubkeyLike }
+): Promise<{ input: WithdrawNkInput; nullifier: bigint }>;
+
+export interface BlindedDeposit {
+  cipherPayPubKey: bigint;
+  amount: bigint;
+  nonce: bigint;
+  ownerBlinding: bigint;
+  ownerCommitment: bigint;
+  depositHash: bigint;
+}
+
+export const OWNER_BLIND_TAG: bigint;
+export function computeOwnerCommitment(cipherPayPubKey: FieldLike, ownerBlinding: FieldLike): Promise<bigint>;
+export function createBlindedDeposit(params: {
+  cipherPayPubKey: FieldLike;
+  amount: FieldLike;
+  nonce?: FieldLike;
+  ownerBlinding?: FieldLike;
+}): Promise<BlindedDeposit>;
+export function openOwnerCommitment(ownerCommitment: FieldLike, cipherPayPubKey: FieldLike, ownerBlinding: FieldLike): Promise<boolean>;
+export function buildBlindedDepositInput(
+  wallet: Wallet,
+  note: Omit<Note, "amount">,
+  deposit: BlindedDeposit,
+  tree: MerkleTree
+): Promise<DepositBlindedInput>;
+
+export interface BatchDepositEntry {
+  cipherPayPubKey: FieldLike;
+  amount: FieldLike;
+  randomness?: FieldLike;
+  memo?: FieldLike;
+}
+
+export function computeBatchDepositHash(deposits: Pick<BatchDepositEntry, "cipherPayPubKey" | "amount">[], nonce: FieldLike): Promise<bigint>;
+export function buildBatchDepositInput(
+  deposits: BatchDepositEntry[],
+  tree: MerkleTree,
+  opts: { tokenId: FieldLike; nonce?: FieldLike }
+): Promise<{ input: BatchDeposit4Input; notes: OwnedNote[]; depositHash: bigint; totalAmount: bigint; nonce: bigint }>;
+
+export function buildBalanceProofInput(
+  wallet: Wallet,
+  notes: Note[],
+  tree: MerkleTree,
+  nullifierTree: SparseMerkleTree,
+  params: { n: number; threshold: FieldLike }
+): Promise<{ input: BalanceProof4Input; nullifiers: bigint[]; nullifierSetHash: bigint; total: bigint }>;
+
+export const TIMELOCK_NOTE_TAG: bigint;
+export const TIMELOCKED_NOTE_FIELDS: string[];
+export function computeTimelockedCommitment(note: Note & { cipherPayPubKey: FieldLike; unlockTime: FieldLike }): Promise<bigint>;
+export function isUnlocked(note: { unlockTime: FieldLike }, currentTime: FieldLike): boolean;
+export function encryptTimelockedNote(note: Record<string, FieldLike>, encPubKey: EncPubKey, ephemeralKey?: FieldLike): Promise<EncryptedNote>;
+export function decryptTimelockedNote(payload: Pick<EncryptedNote, "ephemeralPubKey" | "ciphertext">, encPrivKey: FieldLike): Promise<Record<string, bigint>>;
+
+export interface Hashlock {
+  preimage: Uint8Array;
+  hashlock: Uint8Array;
+  preimage_lo: bigint;
+  preimage_hi: bigint;
+  hashlock_lo: bigint;
+  hashlock_hi: bigint;
+}
+
+export const HTLC_NOTE_TAG: bigint;
+export const HTLC_NOTE_FIELDS: string[];
+export function createHashlock(preimage?: Uint8Array): Hashlock;
+export function preimageFromPublicSignals(publicSignals: readonly FieldLike[]): Uint8Array | null;
+export function computeHtlcCommitment(
+  note: Note & {
+    recipientCipherPayPubKey: FieldLike;
+    senderCipherPayPubKey: FieldLike;
+    hashlock_lo: FieldLike;
+    hashlock_hi: FieldLike;
+    refundTime: FieldLike;
+  }
+): Promise<bigint>;
+export function encryptHtlcNote(note: Record<string, FieldLike>, encPubKey: EncPubKey, ephemeralKey?: FieldLike): Promise<EncryptedNote>;
+export function decryptHtlcNote(payload: Pick<EncryptedNote, "ephemeralPubKey" | "ciphertext">, encPrivKey: FieldLike): Promise<Record<string, bigint>>;
+export function canRefund(note: { refundTime: FieldLike }, currentTime: FieldLike): boolean;
+
+/** 32-byte EdDSA private key, as bytes or 64 hex digits */
+export type SignerPrivKey = Uint8Array | string;
+
+export interface MultisigWallet {
+  signerPubKeys: [bigint, bigint][];
+  threshold: number;
+  ownerSpendingPubKey: bigint;
+  ownerEncPubKey: EncPubKey;
+  ownerCipherPayPubKey: bigint;
+}
+
+export interface SignerShare {
+  index: number;
+  digest: bigint;
+  signature: { R8: [bigint, bigint]; S: bigint };
+}
+
+export interface SigningSession<T extends object> {
+  digest: bigint;
+  addShare(share: SignerShare): Promise<void>;
+  signers(): number[];
+  isComplete(): boolean;
+  witness(): T & { signerPubKey: [string, string][]; signerEnabled: string[]; sigR8: [string, string][]; sigS: string[] };
+}
+
+export const MULTISIG_TX_TAG: bigint;
+export function deriveSignerPubKey(privKey: SignerPrivKey): Promise<[bigint, bigint]>;
+export function createMultisigWallet(
+  signerPubKeys: [FieldLike, FieldLike][],
+  threshold: number | undefined,
+  encPubKey: [FieldLike, FieldLike]
+): Promise<MultisigWallet>;
+export function multisigTxDigest(wallet: MultisigWallet, unsignedInput: Record<string, unknown>): Promise<bigint>;
+export function signerShare(wallet: MultisigWallet, privKey: SignerPrivKey, unsignedInput: object): Promise<SignerShare>;
+export function createSigningSession<T extends object>(wallet: MultisigWallet, unsignedInput: T): Promise<SigningSession<T>>;
+
+export interface SwapOrder {
+  tokenId: [bigint, bigint];
+  giveAmount: [bigint, bigint];
+  nonce: bigint;
+  orderHash: bigint;
+}
+
+export function createSwapOrder(params: { tokenId: [FieldLike, FieldLike]; giveAmount: [FieldLike, FieldLike]; nonce?: FieldLike }): Promise<SwapOrder>;
+export function buildSwapLeg(
+  order: SwapOrder,
+  side: 0 | 1,
+  wallet: Wallet,
+  note: Note,
+  tree: MerkleTree,
+  opts?: { receiveRandomness?: FieldLike; changeRandomness?: FieldLike; receiveMemo?: FieldLike; changeMemo?: FieldLike }
+): Promise<{ input: SwapLegInput; nullifier: bigint; outputs: Record<"receive" | "change", OwnedNote> }>;
+export function checkSwapLegs(
+  leg0Signals: SwapLegPublicSignals | string[] | Uint8Array,
+  leg1Signals: SwapLegPublicSignals | string[] | Uint8Array
+): { orderHash: bigint; merkleRoot: bigint; newMerkleRoot: bigint; newNextLeafIndex: bigint };
+export function verifySwap(
+  leg0: { proof: Groth16Proof; publicSignals: SwapLegPublicSignals | string[] },
+  leg1: { proof: Groth16Proof; publicSignals: SwapLegPublicSignals | string[] },
+  opts?: VerifyOptions
+): Promise<{ orderHash: bigint; merkleRoot: bigint; newMerkleRoot: bigint; newNextLeafIndex: bigint }>;
+
+export interface Disclosure {
+  leafIndex: number;
+  commitment: bigint;
+  amount: bigint;
+  tokenId: bigint;
+  merkleRoot: bigint;
+  auditTag: bigint;
+  proof: Groth16Proof;
+  publicSignals: CircuitPublicSignals["audit"];
+}
+
+export const VIEWING_KEY_TAG: bigint;
+export function deriveViewingKey(walletPrivKey: FieldLike): Promise<bigint>;
+export function computeAuditTag(viewingKey: FieldLike, commitment: FieldLike): Promise<bigint>;
+export function buildAuditInput(wallet: Wallet, note: Note & { leafIndex?: number }, tree: MerkleTree): Promise<{ leafIndex: number; input: AuditInput }>;
+export function generateDisclosureProofs(
+  wallet: Wallet,
+  notes: Array<Note & { leafIndex?: number }>,
+  tree: MerkleTree,
+  opts?: ProveOptions
+): Promise<Disclosure[]>;
+export function verifyDisclosure(
+  disclosure: { proof: Groth16Proof; publicSignals: readonly string[] },
+  viewingKey: FieldLike,
+  opts?: VerifyOptions
+): Promise<boolean>;
@@ -0,0 +1,137 @@
+// index.js
+"use strict";
+
+/**
+ * CipherPay circuits SDK.
+ *
+ * Prove and verify against the packaged build artifacts, build witness
+ * inputs, name public signals and encode proofs for the Solana program:
+ *
+ *   const sdk = require("cipherpay-circuits");
+ *
+ *   const { proof, publicSignals } = await sdk.prove("withdraw", input);
+ *   await sdk.verify("withdraw", proof, publicSignals);            // -> true
+ *   const { nullifier } = sdk.decodePublicSignals("withdraw", publicSignals);  // array or LE buffer
+ *   const payload = sdk.encodePayload(proof, publicSignals);       // 256 + 32·n bytes
+ *
+ * Circuits are named by build key (circuits.config.json), e.g. "transfer" or
+ * "withdraw_depth20". Artifacts resolve from build/manifest.json (see
+ * scripts/artifacts.js); pass { buildDir } or explicit { wasm, zkey, vkey }
+ * to use others. Public signal layouts are versioned in
+ * public-signals.schema.json (sdk.loadSchema().version).
+ */
+
+const fs = require("fs");
+const snarkjs = require("snarkjs");
+
+const { DEFAULT_BUILD_DIR, readManifest, listCircuits, resolveArtifacts, artifactsFor } = require("./scripts/artifacts");
+const {
+  loadSchema,
+  publicSignalNames,
+  decodePublicSignals,
+  encodePublicSignals,
+} = require("./scripts/public-signals");
+const { encodeProof, encodePayload, encodeVerificationKey } = require("./scripts/solana-encoding");
+
+const { buildMerkleTree, indexToPathIndices } = require("./scripts/merkle-tree");
+const { buildAssociationTree, buildDepositSet } = require("./scripts/association-tree");
+const { buildSparseMerkleTree } = require("./scripts/sparse-merkle-tree");
+const noteEncryption = require("./scripts/note-encryption");
+const recipientOwner = require("./scripts/recipient-owner");
+const nullifier = require("./scripts/nullifier");
+const witnessInputs = require("./scripts/witness-inputs");
+const nullifyingKey = require("./scripts/nullifying-key");
+const blindedDeposit = require("./scripts/blinded-deposit");
+const batchDeposit = require("./scripts/batch-deposit");
+const { buildBalanceProofInput } = require("./scripts/balance-proof");
+const timelock = require("./scripts/timelock");
+const htlc = require("./scripts/htlc");
+const multisig = require("./scripts/multisig");
+const { createSwapOrder, buildSwapLeg, checkSwapLegs, verifySwap } = require("./scripts/swap");
+const {
+  VIEWING_KEY_TAG,
+  deriveViewingKey,
+  computeAuditTag,
+  buildAuditInput,
+  generateDisclosureProofs,
+  verifyDisclosure,
+} = require("./scripts/audit");
+
+/**
+ * Groth16 proof of `input` for `circuit`.
+ * opts: { buildDir } or { wasm, zkey } (paths or buffers, as snarkjs accepts).
+ * Returns snarkjs' { proof, publicSignals }.
+ */
+async function prove(circuit, input, opts = {}) {
+  const { wasm, zkey } = artifactsFor(circuit, opts, ["wasm", "zkey"]);
+  return snarkjs.groth16.fullProve(input, wasm, zkey);
+}
+
+const vkeyCache = new Map();
+
+/**
+ * Check a proof against the circuit's verification key.
+ * opts: { buildDir } or { vkey } (path or parsed verification_key.json).
+ */
+async function verify(circuit, proof, publicSignals, opts = {}) {
+  const { vkey } = artifactsFor(circuit, opts, ["vkey"]);
+  let vk = vkey;
+  if (typeof vkey === "string") {
+    if (!vkeyCache.has(vkey)) vkeyCache.set(vkey, JSON.parse(fs.readFileSync(vkey, "utf8")));
+    vk = vkeyCache.get(vkey);
+  }
+  return snarkjs.groth16.verify(vk, publicSignals, proof);
+}
+
+module.exports = {
+  // Proving
+  prove,
+  verify,
+
+  // Artifacts
+  DEFAULT_BUILD_DIR,
+  readManifest,
+  listCircuits,
+  resolveArtifacts,
+
+  // Public signals
+  loadSchema,
+  publicSignalNames,
+  decodePublicSignals,
+  encodePublicSignals,
+
+  // Solana encoding
+  encodeProof,
+  encodePayload,
+  encodeVerificationKey,
+
+  // Trees
+  buildMerkleTree,
+  indexToPathIndices,
+  buildAssociationTree,
+  buildDepositSet,
+  buildSparseMerkleTree,
+
+  // Notes, keys and input builders
+  ...noteEncryption,
+  ...recipientOwner,
+  ...nullifier,
+  ...witnessInputs,
+  ...nullifyingKey,
+  ...blindedDeposit,
+  ...batchDeposit,
+  buildBalanceProofInput,
+  ...timelock,
+  ...htlc,
+  ...multisig,
+  createSwapOrder,
+  buildSwapLeg,
+  checkSwapLegs,
+  verifySwap,
+  VIEWING_KEY_TAG,
+  deriveViewingKey,
+  computeAuditTag,
+  buildAuditInput,
+  generateDisclosureProofs,
+  verifyDisclosure,
+};
@@ -0,0 +1,90 @@
+// scripts/artifacts.js
+"use strict";
+
+/**
+ * Locate a circuit's proving artifacts (wasm, zkey, verification key).
+ *
+ * setup.js records every build in build/manifest.json:
+ *
+ *   { "transfer": { wasm: "transfer/transfer_js/transfer.wasm",
+ *                   zkey: "transfer/transfer_final.zkey",
+ *                   vkey: "transfer/verification_key.json", ... } }
+ *
+ * Paths are relative to the build directory, which defaults to the packaged
+ * build/ (override with CIRCUITS_BUILD_DIR or { buildDir }). Keys missing
+ * from the manifest fall back to setup.js's layout for any build key in
+ * circuits.config.json, so a partially rebuilt tree still resolves.
+ *
+ *   const { wasm, zkey, vkey } = resolveArtifacts("withdraw_depth20");
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadCircuitConfig, expandBuilds } = require("./circuit-config");
+
+const DEFAULT_BUILD_DIR = process.env.CIRCUITS_BUILD_DIR || path.join(__dirname, "..", "build");
+
+function readManifest(buildDir = DEFAULT_BUILD_DIR) {
+  const file = path.join(buildDir, "manifest.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+/** Build keys from circuits.config.json, defaults and variants (e.g. "transfer", "transfer_depth20") */
+function listCircuits() {
+  return expandBuilds(loadCircuitConfig()).map((b) => b.key);
+}
+
+/**
+ * Absolute artifact paths for a build key:
+ *   { key, circuit, template, params, public, wasm, zkey, vkey }
+ * Throws for an unknown key, and (unless `mustExist` is false) when an
+ * artifact has not been built.
+ */
+function resolveArtifacts(circuit, { buildDir = DEFAULT_BUILD_DIR, mustExist = true } = {}) {
+  const build = expandBuilds(loadCircuitConfig()).find((b) => b.key === circuit);
+  const entry = readManifest(buildDir)[circuit];
+  if (!build && !entry) throw new Error(`unknown circuit '${circuit}' (see circuits.config.json)`);
+
+  const rel = entry || {
+    wasm: `${circuit}/${circuit}_js/${circuit}.wasm`,
+    zkey: `${circuit}/${circuit}_final.zkey`,
+    vkey: `${circuit}/verification_key.json`,
+  };
+  const out = {
+    key: circuit,
+    circuit: entry?.circuit ?? build.name,
+    template: entry?.template ?? build.template,
+    params: entry?.params ?? build.params,
+    public: entry?.public ?? build.public,
+    wasm: path.resolve(buildDir, rel.wasm),
+    zkey: path.resolve(buildDir, rel.zkey),
+    vkey: path.resolve(buildDir, rel.vkey),
+  };
+
+  if (mustExist) {
+    for (const kind of ["wasm", "zkey", "vkey"]) {
+      if (!fs.existsSync(out[kind])) {
+        throw new Error(`${circuit} is not built: missing ${kind} ${out[kind]} (run node scripts/setup.js ${circuit})`);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Artifacts `kinds` (e.g. ["wasm", "zkey"]) for `circuit`: those given in
+ * `opts`, the rest resolved from `opts.buildDir` (or the default build).
+ */
+function artifactsFor(circuit, opts, kinds) {
+  if (kinds.every((k) => opts[k])) return opts;
+  const resolved = resolveArtifacts(circuit, { buildDir: opts.buildDir });
+  return { ...resolved, ...Object.fromEntries(kinds.filter((k) => opts[k]).map((k) => [k, opts[k]])) };
+}
+
+module.exports = {
+  DEFAULT_BUILD_DIR,
+  readManifest,
+  listCircuits,
+  resolveArtifacts,
+  artifactsFor,
+};
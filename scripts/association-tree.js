@@ -0,0 +1,76 @@
+// scripts/association-tree.js
+"use strict";
+
+/**
+ * Association sets for WithdrawAssociation (circuits/withdraw_association/)
+ * and deposit sets for WithdrawBlocklist (circuits/withdraw_blocklist/).
+ *
+ * A compliance provider approves a set of deposit commitments and publishes
+ * the root of a Poseidon Merkle tree over them (same hashing and path
+ * conventions as the note tree, see merkle-tree.js). Leaves are deduplicated
+ * and sorted ascending, so everyone who builds the tree from the same set
+ * gets the same root.
+ *
+ * Only deposit commitments are in the set, so only a note withdrawn as
+ * deposited has a membership proof. A Transfer output is a new commitment
+ * whose deposit the circuit cannot see; membershipProof refuses it.
+ *
+ *   const set = await buildAssociationTree(approvedCommitments);  // provider
+ *   publish(set.root);
+ *   const { associationPathElements, associationPathIndices, associationRoot } =
+ *     set.membershipProof(commitment);                           // withdrawer
+ *
+ * The deposit set is the same tree over every Deposit's newCommitment, which
+ * anyone can rebuild from the Deposit proofs' public signals:
+ *
+ *   const deposits = await buildDepositSet(depositCommitments);
+ *   const { depositPathElements, depositPathIndices, depositRoot } = deposits.membershipProof(commitment);
+ */
+
+const { buildMerkleTree } = require("./merkle-tree");
+
+// Sorted, deduplicated Merkle tree over `commitments`; membershipProof names
+// its fields `${prefix}PathElements`, `${prefix}PathIndices`, `${prefix}Root`.
+async function buildCommitmentSet(commitments, depth, prefix) {
+  const leaves = [...new Set(commitments.map(BigInt))].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  if (leaves.length > 2 ** depth) {
+    throw new Error(`${leaves.length} commitments do not fit the ${prefix} tree of depth ${depth}`);
+  }
+  const tree = await buildMerkleTree(depth, leaves);
+
+  return {
+    depth,
+    leaves,
+    root: tree.root(),
+
+    has(commitment) {
+      return tree.indexOf(commitment) >= 0;
+    },
+
+    /** Circuit inputs proving `commitment` is in the set */
+    membershipProof(commitment) {
+      const index = tree.indexOf(commitment);
+      if (index < 0) throw new Error(`commitment ${commitment} is not in the ${prefix} set`);
+      const { pathElements, pathIndices, root } = tree.path(index);
+      return {
+        [`${prefix}PathElements`]: pathElements,
+        [`${prefix}PathIndices`]: pathIndices,
+        [`${prefix}Root`]: root,
+      };
+    },
+  };
+}
+
+async function buildAssociationTree(commitments, depth = 16) {
+  return buildCommitmentSet(commitments, depth, "association");
+}
+
+/** Set of deposit commitments for WithdrawBlocklist; depth is the note tree's */
+async function buildDepositSet(commitments, depth = 16) {
+  return buildCommitmentSet(commitments, depth, "deposit");
+}
+
+module.exports = {
+  buildAssociationTree,
+  buildDepositSet,
+};
@@ -0,0 +1,129 @@
+// scripts/audit.js
+"use strict";
+
+/**
+ * Audit disclosures for circuits/audit/audit.circom.
+ *
+ * Wallet side: prove, for each note, that it is in the tree and carries
+ * (commitment, amount, tokenId), tagged with the wallet's viewing key:
+ *
+ *   const tree = await buildMerkleTree(16, onChainCommitments);
+ *   const disclosures = await generateDisclosureProofs(wallet, notes, tree);
+ *
+ * Auditor side (holds viewingKey = deriveViewingKey(walletPrivKey)):
+ *
+ *   const ok = await verifyDisclosure(disclosure, viewingKey);
+ *
+ * Artifacts resolve like prove / verify in index.js: from the build manifest,
+ * or pass { buildDir }, or explicit { wasm, zkey } / { vkey }.
+ *
+ * wallet = { walletPubKey, walletPrivKey, encPrivKey? }, note = { amount, randomness, tokenId, memo, leafIndex? }.
+ * All values are BigInt (strings in publicSignals, as snarkjs returns them).
+ */
+
+const fs = require("fs");
+const snarkjs = require("snarkjs");
+const { poseidonHash: hash } = require("./poseidon");
+const { decodePublicSignals } = require("./public-signals");
+const { artifactsFor } = require("./artifacts");
+const { deriveCipherPayAddress } = require("./witness-inputs");
+
+// Must match VIEWING_KEY_TAG() in circuits/audit/audit.circom
+const VIEWING_KEY_TAG = 0x766bn;
+
+/** viewingKey = Poseidon(VIEWING_KEY_TAG, walletPrivKey) */
+async function deriveViewingKey(walletPrivKey) {
+  return hash([VIEWING_KEY_TAG, walletPrivKey]);
+}
+
+/** auditTag = Poseidon(viewingKey, commitment) */
+async function computeAuditTag(viewingKey, commitment) {
+  return hash([viewingKey, commitment]);
+}
+
+/** Note commitment for a note owned by `address` (NoteCommitmentFromWallet) */
+async function noteCommitment(address, note) {
+  return hash([note.amount, address.cipherPayPubKey, note.randomness, note.tokenId, note.memo ?? 0n]);
+}
+
+/**
+ * Audit witness for one note. The note's leaf is `note.leafIndex` when given,
+ * otherwise the first leaf of `tree` equal to its commitment.
+ */
+async function buildAuditInput(wallet, note, tree) {
+  const address = await deriveCipherPayAddress(wallet);
+  const commitment = await noteCommitment(address, note);
+
+  let leafIndex = note.leafIndex;
+  if (leafIndex == null) {
+    leafIndex = tree.indexOf(commitment);
+    if (leafIndex < 0) throw new Error(`commitment ${commitment} is not in the tree`);
+  } else if (tree.leaf(leafIndex) !== commitment) {
+    throw new Error(`leaf ${leafIndex} does not hold the note's commitment`);
+  }
+
+  const { pathElements, pathIndices } = tree.path(leafIndex);
+  return {
+    leafIndex,
+    input: {
+      walletPubKey: BigInt(wallet.walletPubKey).toString(),
+      walletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+      encPubKey: address.encPubKey.map(String),
+      randomness: BigInt(note.randomness).toString(),
+      memo: BigInt(note.memo ?? 0n).toString(),
+      pathElements: pathElements.map(String),
+      pathIndices,
+      commitment: commitment.toString(),
+      amount: BigInt(note.amount).toString(),
+      tokenId: BigInt(note.tokenId).toString(),
+    },
+  };
+}
+
+/**
+ * One Audit proof per note:
+ *   [{ leafIndex, commitment, amount, tokenId, merkleRoot, auditTag, proof, publicSignals }]
+ * opts: { buildDir } or { wasm, zkey } (paths or buffers, as snarkjs accepts).
+ */
+async function generateDisclosureProofs(wallet, notes, tree, opts = {}) {
+  const { wasm, zkey } = artifactsFor("audit", opts, ["wasm", "zkey"]);
+  const out = [];
+  for (const note of notes) {
+    const { leafIndex, input } = await buildAuditInput(wallet, note, tree);
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasm, zkey);
+    const { commitment, amount, tokenId, merkleRoot, auditTag } = decodePublicSignals("audit", publicSignals);
+    out.push({
+      leafIndex,
+      commitment,
+      amount,
+      tokenId,
+      merkleRoot,
+      auditTag,
+      proof,
+      publicSignals,
+    });
+  }
+  return out;
+}
+
+/**
+ * Auditor check: the proof verifies and its auditTag belongs to `viewingKey`.
+ * Whether `merkleRoot` is a known on-chain root is left to the caller.
+ * opts: { buildDir } or { vkey } (path or parsed verification_key.json).
+ */
+async function verifyDisclosure({ proof, publicSignals }, viewingKey, opts = {}) {
+  const { vkey } = artifactsFor("audit", opts, ["vkey"]);
+  const key = typeof vkey === "string" ? JSON.parse(fs.readFileSync(vkey, "utf8")) : vkey;
+  const { commitment, auditTag } = decodePublicSignals("audit", publicSignals);
+  if (auditTag !== (await computeAuditTag(viewingKey, commitment))) return false;
+  return snarkjs.groth16.verify(key, publicSignals, proof);
+}
+
+module.exports = {
+  VIEWING_KEY_TAG,
+  deriveViewingKey,
+  computeAuditTag,
+  buildAuditInput,
+  generateDisclosureProofs,
+  verifyDisclosure,
+};
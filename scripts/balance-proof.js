@@ -0,0 +1,104 @@
+// scripts/balance-proof.js
+"use strict";
+
+/**
+ * Off-chain side of BalanceProof (circuits/balance_proof/): prove a wallet
+ * holds at least `threshold` of one token in unspent notes.
+ *
+ *   const spent = await buildSparseMerkleTree(32, spentNullifiers);  // the pool's nullifier set
+ *   const { input, nullifierSetHash } =
+ *     await buildBalanceProofInput(wallet, notes, tree, spent, { n: 4, threshold: 250n });
+ *
+ * Notes are proven in strictly increasing nullifier order, then padded with
+ * zero-amount slots up to n, as the circuit requires; a spent note (its
+ * nullifier in `nullifierTree`) is refused. The verifier must check
+ * input.merkleRoot and input.nullifierRoot against the pool's current roots.
+ *
+ * wallet = { walletPubKey, walletPrivKey, encPrivKey? }, note = { amount, randomness, tokenId, memo }.
+ * All values are BigInt; `input` holds decimal strings for snarkjs.
+ */
+
+const { poseidonHash: hash } = require("./poseidon");
+const { deriveCipherPayAddress, computeNoteCommitment } = require("./witness-inputs");
+const { computeNullifier } = require("./nullifier");
+
+/**
+ * BalanceProof(depth, n, nullifierDepth) witness over the wallet's `notes`
+ * (at most n, one token, all in `tree`).
+ * params: { n, threshold }. Returns { input, nullifiers, nullifierSetHash, total },
+ * with `nullifiers` in proof order.
+ */
+async function buildBalanceProofInput(wallet, notes, tree, nullifierTree, params) {
+  const n = Number(params.n);
+  if (notes.length === 0 || notes.length > n) throw new Error(`a balance proof takes 1 to ${n} notes`);
+  const tokenId = BigInt(notes[0].tokenId);
+  const address = await deriveCipherPayAddress(wallet);
+  const { cipherPayPubKey } = address;
+
+  const real = [];
+  for (const note of notes) {
+    const full = {
+      amount: BigInt(note.amount),
+      cipherPayPubKey,
+      randomness: BigInt(note.randomness),
+      tokenId: BigInt(note.tokenId),
+      memo: BigInt(note.memo ?? 0n),
+    };
+    if (full.tokenId !== tokenId) throw new Error("every note must carry the same tokenId");
+    if (full.amount <= 0n || full.amount >= 1n << 64n) throw new Error("note amounts must be non-zero u64");
+    const leafIndex = tree.indexOf(await computeNoteCommitment(full));
+    if (leafIndex < 0) throw new Error("note is not in the tree");
+    const nullifier = await computeNullifier(cipherPayPubKey, full.randomness, full.tokenId);
+    if (await nullifierTree.has(nullifier)) throw new Error(`note at leaf ${leafIndex} is spent`);
+    real.push({ ...full, nullifier, ...tree.path(leafIndex), exclusion: await nullifierTree.exclusionProof(nullifier) });
+  }
+  real.sort((a, b) => (a.nullifier < b.nullifier ? -1 : a.nullifier > b.nullifier ? 1 : 0));
+  for (let i = 1; i < real.length; i++) {
+    if (real[i].nullifier === real[i - 1].nullifier) throw new Error("the same note is given twice");
+  }
+
+  const total = real.reduce((sum, note) => sum + note.amount, 0n);
+  const threshold = BigInt(params.threshold);
+  if (threshold < 0n || threshold >= 1n << 64n) throw new Error("threshold must be u64");
+  if (total < threshold) throw new Error(`notes hold ${total}, below the threshold ${threshold}`);
+
+  // Zero-amount padding: no tree checks, zero exclusion witness
+  const zeros = (len) => Array(len).fill("0");
+  const padding = Array.from({ length: n - real.length }, () => ({
+    amount: 0n,
+    randomness: 0n,
+    memo: 0n,
+    pathElements: zeros(tree.depth),
+    pathIndices: Array(tree.depth).fill(0),
+    exclusion: { blocklistSiblings: zeros(nullifierTree.depth), blocklistOldKey: 0n, blocklistOldValue: 0n, blocklistIsOld0: 0 },
+  }));
+  const slots = [...real, ...padding];
+
+  const input = {
+    walletPubKey: BigInt(wallet.walletPubKey).toString(),
+    walletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+    encPubKey: address.encPubKey.map(String),
+    amount: slots.map((s) => s.amount.toString()),
+    randomness: slots.map((s) => s.randomness.toString()),
+    memo: slots.map((s) => s.memo.toString()),
+    pathElements: slots.map((s) => s.pathElements.map(String)),
+    pathIndices: slots.map((s) => s.pathIndices),
+
+    nullifierSiblings: slots.map((s) => s.exclusion.blocklistSiblings.map(String)),
+    nullifierOldKey: slots.map((s) => s.exclusion.blocklistOldKey.toString()),
+    nullifierOldValue: slots.map((s) => s.exclusion.blocklistOldValue.toString()),
+    nullifierIsOld0: slots.map((s) => String(s.exclusion.blocklistIsOld0)),
+
+    merkleRoot: tree.root().toString(),
+    nullifierRoot: nullifierTree.root().toString(),
+    threshold: threshold.toString(),
+    tokenId: tokenId.toString(),
+  };
+  const nullifiers = real.map((note) => note.nullifier);
+  const nullifierSetHash = await hash([...nullifiers, ...padding.map(() => 0n)]);
+  return { input, nullifiers, nullifierSetHash, total };
+}
+
+module.exports = {
+  buildBalanceProofInput,
+};
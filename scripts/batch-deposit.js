@@ -0,0 +1,86 @@
+// scripts/batch-deposit.js
+"use strict";
+
+/**
+ * Off-chain side of BatchDeposit (circuits/batch_deposit/).
+ *
+ * One depositor funds K notes owned by recipients' CipherPay public keys. The
+ * funding transaction carries totalAmount and one aggregate depositHash:
+ *
+ *   acc[0]      = nonce
+ *   acc[i + 1]  = Poseidon(acc[i], ownerCipherPayPubKey[i], amount[i])
+ *   depositHash = acc[K]
+ *
+ *   const batch = await buildBatchDepositInput(deposits, tree, { tokenId: 1n });
+ *   fund(batch.totalAmount, batch.depositHash);        // then prove batch.input
+ *   batch.notes.forEach((n) => tree.insert(n.commitment));
+ *
+ * deposits = [{ cipherPayPubKey, amount, randomness?, memo? }] in leaf order,
+ * K of them for a batch_deposit_K build. All values are BigInt; `input` holds
+ * decimal strings for snarkjs.
+ */
+
+const { poseidonHash: hash, randomFieldElement } = require("./poseidon");
+const { computeNoteCommitment } = require("./witness-inputs");
+
+/** acc[K] of the fold above over [{ cipherPayPubKey, amount }] */
+async function computeBatchDepositHash(deposits, nonce) {
+  let acc = BigInt(nonce);
+  for (const { cipherPayPubKey, amount } of deposits) {
+    acc = await hash([acc, cipherPayPubKey, amount]);
+  }
+  return acc;
+}
+
+/**
+ * BatchDeposit witness appending every deposit at the tree's next slots.
+ * opts: { tokenId, nonce } (nonce is random if omitted; randomness per note too).
+ * Returns { input, notes, depositHash, totalAmount, nonce }; `notes` include the
+ * commitments to insert, in order, once the batch lands.
+ */
+async function buildBatchDepositInput(deposits, tree, opts) {
+  if (deposits.length === 0) throw new Error("a batch needs at least one deposit");
+  const tokenId = BigInt(opts.tokenId);
+  const nonce = BigInt(opts.nonce ?? randomFieldElement());
+
+  const notes = [];
+  for (const d of deposits) {
+    const amount = BigInt(d.amount);
+    if (amount < 0n || amount >= 1n << 64n) throw new Error("deposit amount must be u64");
+    const note = {
+      amount,
+      cipherPayPubKey: BigInt(d.cipherPayPubKey),
+      randomness: BigInt(d.randomness ?? randomFieldElement()),
+      tokenId,
+      memo: BigInt(d.memo ?? 0n),
+    };
+    note.commitment = await computeNoteCommitment(note);
+    notes.push(note);
+  }
+  const totalAmount = notes.reduce((sum, n) => sum + n.amount, 0n);
+  if (totalAmount >= 1n << 64n) throw new Error("totalAmount must be u64");
+  const depositHash = await computeBatchDepositHash(notes, nonce);
+  const { nextLeafIndex, pathElements, oldRoot } = tree.appendPaths(notes.map((n) => n.commitment));
+
+  const input = {
+    amount: notes.map((n) => n.amount.toString()),
+    ownerCipherPayPubKey: notes.map((n) => n.cipherPayPubKey.toString()),
+    randomness: notes.map((n) => n.randomness.toString()),
+    memo: notes.map((n) => n.memo.toString()),
+    tokenId: tokenId.toString(),
+
+    nextLeafIndex: String(nextLeafIndex),
+    pathElements: pathElements.map((p) => p.map(String)),
+
+    nonce: nonce.toString(),
+    totalAmount: totalAmount.toString(),
+    depositHash: depositHash.toString(),
+    oldMerkleRoot: oldRoot.toString(),
+  };
+  return { input, notes, depositHash, totalAmount, nonce };
+}
+
+module.exports = {
+  computeBatchDepositHash,
+  buildBatchDepositInput,
+};
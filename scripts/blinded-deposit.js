@@ -0,0 +1,97 @@
+// scripts/blinded-deposit.js
+"use strict";
+
+/**
+ * Off-chain side of DepositBlinded (circuits/deposit_blinded/).
+ *
+ * The depositor picks a fresh ownerBlinding, puts depositHash in the funding
+ * transaction, then proves the deposit; only the one-time ownerCommitment
+ * becomes public, never the long-lived cipherPayPubKey:
+ *
+ *   ownerCommitment = Poseidon(OWNER_BLIND_TAG, cipherPayPubKey, ownerBlinding)
+ *   depositHash     = Poseidon(ownerCommitment, amount, nonce)
+ *
+ *   const deposit = await createBlindedDeposit({ cipherPayPubKey, amount });
+ *   fund(deposit.depositHash);
+ *   const input = await buildBlindedDepositInput(wallet, note, deposit, tree);
+ *
+ * Keep ownerBlinding with the note if you may later need to show an auditor
+ * that a deposit was yours (openOwnerCommitment).
+ *
+ * wallet = { walletPubKey, walletPrivKey, encPrivKey? }, note = { randomness, tokenId, memo }.
+ * All values are BigInt; `input` holds decimal strings for snarkjs.
+ */
+
+const { poseidonHash: hash, randomFieldElement } = require("./poseidon");
+const { deriveCipherPayAddress } = require("./witness-inputs");
+
+const OWNER_BLIND_TAG = 0x6f62n; // "ob"
+
+async function computeOwnerCommitment(cipherPayPubKey, ownerBlinding) {
+  return hash([OWNER_BLIND_TAG, cipherPayPubKey, ownerBlinding]);
+}
+
+/**
+ * Blinding, ownerCommitment and depositHash for one deposit.
+ * Returns { cipherPayPubKey, amount, nonce, ownerBlinding, ownerCommitment, depositHash }.
+ */
+async function createBlindedDeposit({
+  cipherPayPubKey,
+  amount,
+  nonce = randomFieldElement(),
+  ownerBlinding = randomFieldElement(),
+}) {
+  const a = BigInt(amount);
+  if (a < 0n || a >= 1n << 64n) throw new Error("amount must be u64");
+  const blinding = BigInt(ownerBlinding);
+  if (blinding === 0n) throw new Error("ownerBlinding must be non-zero");
+
+  const ownerCommitment = await computeOwnerCommitment(cipherPayPubKey, blinding);
+  return {
+    cipherPayPubKey: BigInt(cipherPayPubKey),
+    amount: a,
+    nonce: BigInt(nonce),
+    ownerBlinding: blinding,
+    ownerCommitment,
+    depositHash: await hash([ownerCommitment, a, nonce]),
+  };
+}
+
+/** Whether (cipherPayPubKey, ownerBlinding) opens a published ownerCommitment */
+async function openOwnerCommitment(ownerCommitment, cipherPayPubKey, ownerBlinding) {
+  return (await computeOwnerCommitment(cipherPayPubKey, ownerBlinding)) === BigInt(ownerCommitment);
+}
+
+/** DepositBlinded witness inserting the note at the tree's next slot */
+async function buildBlindedDepositInput(wallet, note, deposit, tree) {
+  const address = await deriveCipherPayAddress(wallet);
+  if (address.cipherPayPubKey !== deposit.cipherPayPubKey) throw new Error("deposit was created for another wallet");
+  const { nextLeafIndex, inPathElements, inPathIndices, oldMerkleRoot } = tree.depositPath();
+
+  return {
+    ownerWalletPubKey: BigInt(wallet.walletPubKey).toString(),
+    ownerWalletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+    ownerEncPubKey: address.encPubKey.map(String),
+    randomness: BigInt(note.randomness).toString(),
+    tokenId: BigInt(note.tokenId).toString(),
+    memo: BigInt(note.memo ?? 0n).toString(),
+    ownerBlinding: deposit.ownerBlinding.toString(),
+
+    inPathElements: inPathElements.map(String),
+    inPathIndices,
+    nextLeafIndex: String(nextLeafIndex),
+
+    nonce: deposit.nonce.toString(),
+    amount: deposit.amount.toString(),
+    depositHash: deposit.depositHash.toString(),
+    oldMerkleRoot: oldMerkleRoot.toString(),
+  };
+}
+
+module.exports = {
+  OWNER_BLIND_TAG,
+  computeOwnerCommitment,
+  createBlindedDeposit,
+  openOwnerCommitment,
+  buildBlindedDepositInput,
+};
@@ -0,0 +1,165 @@
+// scripts/circuit-config.js
+"use strict";
+
+/**
+ * Build configuration for the circuit mains (circuits.config.json).
+ *
+ * Each entry names a template, its parameters (in template-argument order)
+ * and its public inputs. Optional `variants` override some parameters and are
+ * built side by side with the default:
+ *
+ *   transfer          -> Transfer(16)   build/transfer/
+ *   transfer_depth20  -> Transfer(20)   build/transfer_depth20/
+ *
+ * The build key (= build directory and artifact base name) is the circuit
+ * name plus one `_<param><value>` suffix per parameter that differs from the
+ * circuit's default parameter set.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const REPO_ROOT = path.join(__dirname, "..");
+const DEFAULT_CONFIG = path.join(REPO_ROOT, "circuits.config.json");
+
+function loadCircuitConfig(file = DEFAULT_CONFIG) {
+  const cfg = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!cfg || typeof cfg.circuits !== "object") {
+    throw new Error(`${file}: missing "circuits" map`);
+  }
+  for (const [name, c] of Object.entries(cfg.circuits)) {
+    for (const field of ["source", "template", "params", "public"]) {
+      if (c[field] == null) throw new Error(`${file}: circuit '${name}' is missing "${field}"`);
+    }
+    for (const v of c.variants || []) {
+      const unknown = Object.keys(v).filter((k) => !(k in c.params));
+      if (unknown.length) {
+        throw new Error(`${file}: circuit '${name}' variant sets unknown param(s) ${unknown.join(", ")}`);
+      }
+    }
+  }
+  return cfg;
+}
+
+/** Build key for a parameter set, e.g. ("transfer", {depth:20}, {depth:16}) -> "transfer_depth20" */
+function buildKey(name, params, defaults) {
+  const suffix = Object.keys(defaults)
+    .filter((k) => params[k] !== defaults[k])
+    .map((k) => `_${k}${params[k]}`)
+    .join("");
+  return name + suffix;
+}
+
+/**
+ * Flatten the config into one entry per parameter set:
+ *   { key, name, template, source, params, public, isDefault }
+ * `variants: false` skips every non-default parameter set.
+ */
+function expandBuilds(cfg, { variants = true } = {}) {
+  const out = [];
+  for (const [name, c] of Object.entries(cfg.circuits)) {
+    const sets = [c.params, ...(variants ? (c.variants || []).map((v) => ({ ...c.params, ...v })) : [])];
+    for (const params of sets) {
+      out.push({
+        key: buildKey(name, params, c.params),
+        name,
+        template: c.template,
+        source: path.resolve(REPO_ROOT, c.source),
+        params,
+        public: c.public,
+        isDefault: params === c.params,
+      });
+    }
+  }
+  return out;
+}
+
+/** Source of the generated main wrapper; includes are relative to `mainDir` */
+function renderMain(build, mainDir) {
+  const include = path.relative(mainDir, build.source).split(path.sep).join("/");
+  const args = Object.values(build.params).join(", ");
+  const pubs = build.public.join(", ");
+  return [
+    "pragma circom 2.1.4;",
+    "",
+    "// GENERATED by scripts/setup.js from circuits.config.json — do not edit.",
+    `// ${build.key}: ${build.template}(${args})`,
+    `include "${include}";`,
+    "",
+    `component main { public [${pubs}] } = ${build.template}(${args});`,
+    "",
+  ].join("\n");
+}
+
+/** Write build/<key>/<key>.circom and return its path */
+function writeMain(build, buildRoot) {
+  const dir = path.join(buildRoot, build.key);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${build.key}.circom`);
+  fs.writeFileSync(file, renderMain(build, dir));
+  return file;
+}
+
+/**
+ * Read the counts from an .r1cs header section without loading constraints
+ * (and without spinning up a curve, which would keep the process alive):
+ *   { nConstraints, nPubInputs, nOutputs, nPrvInputs, nWires }
+ */
+function readR1csHeader(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const read = (pos, len) => {
+      const b = Buffer.alloc(len);
+      fs.readSync(fd, b, 0, len, pos);
+      return b;
+    };
+    const pre = read(0, 12);
+    if (pre.toString("ascii", 0, 4) !== "r1cs") throw new Error(`${file}: not an r1cs file`);
+    const nSections = pre.readUInt32LE(8);
+
+    let pos = 12;
+    for (let i = 0; i < nSections; i++) {
+      const sh = read(pos, 12);
+      const type = sh.readUInt32LE(0);
+      const size = Number(sh.readBigUInt64LE(4));
+      pos += 12;
+      if (type === 1) {
+        const n8 = read(pos, 4).readUInt32LE(0);
+        const h = read(pos + 4 + n8, 28);
+        return {
+          nWires: h.readUInt32LE(0),
+          nOutputs: h.readUInt32LE(4),
+          nPubInputs: h.readUInt32LE(8),
+          nPrvInputs: h.readUInt32LE(12),
+          nConstraints: h.readUInt32LE(24),
+        };
+      }
+      pos += size;
+    }
+    throw new Error(`${file}: missing r1cs header section`);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Smallest ptau power that fits a circuit. snarkjs' Groth16 setup needs a
+ * domain of nConstraints + nPubInputs + nOutputs + 1 points.
+ */
+function ptauPowerFor(r1cs, minPower = 14) {
+  const need = r1cs.nConstraints + r1cs.nPubInputs + r1cs.nOutputs + 1;
+  let power = minPower;
+  while (2 ** power < need) power++;
+  return power;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadCircuitConfig,
+  buildKey,
+  expandBuilds,
+  renderMain,
+  writeMain,
+  readR1csHeader,
+  ptauPowerFor,
+};
@@ -6,142 +6,23 @@
 const fs = require("fs");
 const path = require("path");
 
-// BN254 (bn128) field prime
-const FQ =
-  21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+const {
+  normFq,
+  toBytes32,
+  parseG1,
+  parseG2,
+  encodeProof,
+  encodePublicSignals,
+} = require("./solana-encoding");
+// Public signal layouts come from public-signals.schema.json (public-signals.js).
+const { loadSchema, baseName, publicSignalNames } = require("./public-signals");
+const { loadCircuitConfig } = require("./circuit-config");
 
-/* ----------------------------- bigint helpers ---------------------------- */
-const asBig = (v) => {
-  if (typeof v === "bigint") return v;
-  if (typeof v === "number") return BigInt(v);
-  if (typeof v === "string") {
-    const s = v.trim();
-    return s.startsWith("0x") || s.startsWith("0X") ? BigInt(s) : BigInt(s);
-  }
-  if (Array.isArray(v) && v.length === 1) return asBig(v[0]);
-  throw new Error(`Cannot parse BigInt from: ${JSON.stringify(v)}`);
-};
-const normFq = (x) => {
-  let n = asBig(x) % FQ;
-  if (n < 0n) n += FQ;
-  return n;
-};
 /** little-endian 32B */
-const le32 = (x) => {
-  let v = normFq(x);
-  const b = Buffer.alloc(32);
-  for (let i = 0; i < 32; i++) {
-    b[i] = Number(v & 0xffn);
-    v >>= 8n;
-  }
-  return b;
-};
-
-/* -------------------------------- parsers -------------------------------- */
-/** G1: accept [x,y], [x,y,z], {x,y}, {"0":x,"1":y}, or [[x,y]] */
-function parseG1(p) {
-  if (Array.isArray(p)) {
-    if (p.length >= 2 && !Array.isArray(p[0])) return [asBig(p[0]), asBig(p[1])];
-    if (p.length === 1 && Array.isArray(p[0]) && p[0].length >= 2) {
-      return [asBig(p[0][0]), asBig(p[0][1])];
-    }
-  } else if (p && typeof p === "object") {
-    if ("x" in p && "y" in p) return [asBig(p.x), asBig(p.y)];
-    if ("0" in p && "1" in p) return [asBig(p["0"]), asBig(p["1"])];
-  }
-  throw new Error(`Unrecognized G1 shape: ${JSON.stringify(p)}`);
-}
-
-/** G2: accept [[x0,x1],[y0,y1]] or [[x0,x1],[y0,y1],[z0,z1]] or flat [x0,x1,y0,y1] or {x:[..],y:[..]} */
-function parseG2(p) {
-  const fq2 = (q) => {
-    if (Array.isArray(q)) {
-      if (q.length >= 2) return [asBig(q[0]), asBig(q[1])];
-    } else if (q && typeof q === "object") {
-      if ("c0" in q && "c1" in q) return [asBig(q.c0), asBig(q.c1)];
-      if ("0" in q && "1" in q) return [asBig(q["0"]), asBig(q["1"])];
-    }
-    throw new Error(`Unrecognized Fq2 shape: ${JSON.stringify(q)}`);
-  };
-
-  if (Array.isArray(p)) {
-    if (p.length === 4 && !Array.isArray(p[0])) {
-      // flat affine
-      return [asBig(p[0]), asBig(p[1]), asBig(p[2]), asBig(p[3])];
-    }
-    if (p.length >= 2 && Array.isArray(p[0]) && Array.isArray(p[1])) {
-      // affine or jacobian (ignore z)
-      const [x0, x1] = fq2(p[0]);
-      const [y0, y1] = fq2(p[1]);
-      return [x0, x1, y0, y1];
-    }
-  } else if (p && typeof p === "object") {
-    if ("x" in p && "y" in p) {
-      const [x0, x1] = fq2(p.x);
-      const [y0, y1] = fq2(p.y);
-      return [x0, x1, y0, y1];
-    }
-  }
-  throw new Error(`Unrecognized G2 shape: ${JSON.stringify(p)}`);
-}
+const le32 = (x) => toBytes32(x, "le");
 
-/* -------------------------------- encoders ------------------------------- */
-const encG1 = (p) => {
-  const [x, y] = parseG1(p);
-  return Buffer.concat([le32(x), le32(y)]); // 64 bytes
-};
-const encG2 = (p) => {
-  const [x0, x1, y0, y1] = parseG2(p);
-  return Buffer.concat([le32(x0), le32(x1), le32(y0), le32(y1)]); // 128 bytes
-};
-
-/* ------------------------------- converters ------------------------------ */
 /** 256-byte Groth16 proof: pi_a(G1)||pi_b(G2)||pi_c(G1) */
-function convertProofToBinary(proof) {
-  if (!proof || !proof.pi_a || !proof.pi_b || !proof.pi_c) {
-    throw new Error("Malformed proof: missing pi_a/pi_b/pi_c");
-  }
-  const a = encG1(proof.pi_a); // 64
-  const b = encG2(proof.pi_b); // 128
-  const c = encG1(proof.pi_c); // 64
-  return Buffer.concat([a, b, c]);
-}
-
-/* ---------------------------- labels/printing --------------------------- */
-const LABELS = {
-  deposit: [
-    "newCommitment",
-    "ownerCipherPayPubKey",
-    "newMerkleRoot",
-    "newNextLeafIndex",
-    "amount",
-    "depositHash",
-    "oldMerkleRoot",
-  ],
-  transfer: [
-    "outCommitment1",
-    "outCommitment2",
-    "nullifier",
-    "merkleRoot",
-    "newMerkleRoot1",
-    "newMerkleRoot2",
-    "newNextLeafIndex",
-    "encNote1Hash",
-    "encNote2Hash",
-  ],
-  // UPDATED withdraw layout (7 items):
-  // [ nullifier, merkleRoot, recipientOwner_lo, recipientOwner_hi, recipientWalletPubKey, amount, tokenId ]
-  withdraw: [
-    "nullifier",
-    "merkleRoot",
-    "recipientOwner_lo",
-    "recipientOwner_hi",
-    "recipientWalletPubKey",
-    "amount",
-    "tokenId",
-  ],
-};
-const baseName = (c) => c.replace(/\d+$/, "");
+const convertProofToBinary = encodeProof;
 
 /* --------------------------------- IO ----------------------------------- */
 function readJSON(p) {
@@ -152,12 +33,11 @@ function ensureDir(d) { fs.mkdirSync(d, { recursive: true }); }
 
 /* --------- public signals encoder (LE for all; limbs need no special) --- */
 function convertPublicSignalsToBinary(publicSignals /* array */, circuit) {
-  if (!Array.isArray(publicSignals)) throw new Error("publicSignals must be an array");
-
   // After the limbs refactor, EVERYTHING is encoded as 32-byte little-endian.
-  // For withdraw, indices 2 and 3 are recipientOwner_lo/hi. Each is < 2^128,
+  // For withdraw, indices 2/3 (recipientOwner_lo/hi) and 8/9 (feeRecipient_lo/hi)
+  // are limbs, as are transfer's 10/11. Each is < 2^128,
   // so their LE-encoded 32B will have the 16 low bytes carry the limb, rest zero.
-  return Buffer.concat(publicSignals.map((s) => le32(s)));
+  return encodePublicSignals(publicSignals);
 }
 
 /* ------------------------------ path helpers ---------------------------- */
@@ -213,7 +93,7 @@ async function convertOne({ circuit, inDir, outDir }) {
   );
 
   // pretty print when labels size matches
-  const labels = LABELS[baseName(circuit)];
+  const labels = baseName(circuit) in loadSchema().circuits ? publicSignalNames(circuit) : null;
   if (labels && labels.length === publicSignals.length) {
     console.log("🔎 Public signals (labeled):");
     labels.forEach((k, i) => console.log(`  ${k} = ${publicSignals[i]}`));
@@ -245,6 +125,7 @@ async function convertMany({ circuits, inDir, outDir }) {
 
 /* ------------------------------- circuit sets --------------------------- */
 const BASES = ["deposit", "transfer", "withdraw"];
+const CIRCUIT_NAMES = Object.keys(loadCircuitConfig().circuits);
 const SUFFIXES = ["", "1", "2", "3"];
 const circuitsForSuffix = (sfx) => BASES.map((b) => b + sfx);
 const allPipelineCircuits = () => SUFFIXES.flatMap((sfx) => circuitsForSuffix(sfx));
@@ -292,11 +173,11 @@ if (require.main === module) {
         process.exit(0);
       }
 
-      const validName = (n) => /^(deposit|transfer|withdraw)\d*$/.test(n);
+      const validName = (n) => baseName(n) in loadSchema().circuits;
       const bad = names.find((n) => !validName(n));
       if (bad) {
         throw new Error(
-          `Unknown circuit '${bad}'. Use deposit|transfer|withdraw optionally with suffix 1|2|3, or --all / --pipeline=A|B|C|D.`
+          `Unknown circuit '${bad}'. Use ${CIRCUIT_NAMES.join("|")} (or a _depthN variant) optionally with suffix 1|2|3, or --all / --pipeline=A|B|C|D.`
         );
       }
 
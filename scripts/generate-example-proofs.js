@@ -19,6 +19,10 @@ import { getOrCreateAssociatedTokenAccount } from "@solana/spl-token";
 /* Poseidon (BN254) — same H used by other tests (variadic) */
 import { H } from "@/services/merkle/poseidon.js";
 
+/* Public signal layout from the circuits package schema (public-signals.schema.json) */
+import circuits from "cipherpay-circuits";
+const { decodePublicSignals, deriveCipherPayAddress } = circuits;
+
 dotenv.config();
 
 /* ------------------------------------------------------------------ */
@@ -185,17 +189,6 @@ function splitPubkeyTo128_LIMBS_MATCH_SCRIPT(pk: PublicKey): { hi: bigint; lo: b
   return { hi: modF(hi), lo: modF(lo) };
 }
 
-/* Public signals order (withdraw, 7-pubs variant) */
-const PS = {
-  NULLIFIER: 0,
-  MERKLE_ROOT: 1,
-  OWNER_LO: 2,
-  OWNER_HI: 3,
-  RECIPIENT_PK: 4,
-  AMOUNT: 5,
-  TOKEN_ID: 6,
-} as const;
-
 /* ------------------------------------------------------------------ */
 /* The test: client-specified recipient ATA                           */
 /* ------------------------------------------------------------------ */
@@ -254,11 +247,14 @@ describe("E2E: withdraw via client recipient ATA", () => {
     // Randomness from WITHDRAW_INDEX (same pattern as DEPOSIT/TRANSFER)
     const randomness = feFromWithdrawIndex();
 
-    // CipherPay pubkey = Poseidon2(walletPub, walletPriv)
-    const recipientCipherPayPubKey = await H(
-      modF(recipientWalletPubKey),
-      modF(recipientWalletPrivKey)
-    );
+    // CipherPay pubkey = Poseidon3(Poseidon2(walletPub, walletPriv), encPubKey)
+    const {
+      encPubKey: recipientEncPubKey,
+      cipherPayPubKey: recipientCipherPayPubKey,
+    } = await deriveCipherPayAddress({
+      walletPubKey: modF(recipientWalletPubKey),
+      walletPrivKey: modF(recipientWalletPrivKey),
+    });
 
     // The note we’re spending (typically out2):
     const commitment = await H(
@@ -326,13 +322,18 @@ describe("E2E: withdraw via client recipient ATA", () => {
       }
     );
 
-    // 3) Build circuit witness (include owner limbs; 7-publics circuit)
+    // 3) Build circuit witness (include owner limbs; 10-publics circuit)
+    //    Self-relayed: zero fee, fee recipient = recipient owner.
     const inputSignals: Record<string, any> = {
       recipientOwner_lo: limbs.lo.toString(),
       recipientOwner_hi: limbs.hi.toString(),
+      fee: "0",
+      feeRecipient_lo: limbs.lo.toString(),
+      feeRecipient_hi: limbs.hi.toString(),
 
       recipientWalletPubKey: modF(recipientWalletPubKey).toString(),
       recipientWalletPrivKey: modF(recipientWalletPrivKey).toString(),
+      recipientEncPubKey: recipientEncPubKey.map(String),
       amount: modF(amount).toString(),
       tokenId: modF(tokenId).toString(),
       randomness: modF(randomness).toString(),
@@ -377,11 +378,14 @@ describe("E2E: withdraw via client recipient ATA", () => {
       );
     }
 
-    // Compare nullifier we recomputed vs the circuit’s PS[0] (when present)
-    if (publicSignals.length) {
-      const nfHexFromPS = BigInt(publicSignals[PS.NULLIFIER])
-        .toString(16)
-        .padStart(64, "0");
+    // Named withdraw public signals (when present)
+    const pubs = publicSignals.length
+      ? decodePublicSignals("withdraw", publicSignals)
+      : null;
+
+    // Compare nullifier we recomputed vs the circuit’s (when present)
+    if (pubs) {
+      const nfHexFromPS = pubs.nullifier.toString(16).padStart(64, "0");
       const nfHexLocal = hex64(nullifier);
       console.log("\n[withdraw:nullifier] circuit vs local", {
         circuit_ps0: nfHexFromPS,
@@ -393,10 +397,7 @@ describe("E2E: withdraw via client recipient ATA", () => {
     }
 
     // 5) Build submit body (include canonical pubs if we have them)
-    const getHex = (i: number) =>
-      publicSignals.length
-        ? BigInt(publicSignals[i]).toString(16).padStart(64, "0")
-        : "";
+    const getHex = (v: bigint) => v.toString(16).padStart(64, "0");
 
     const submitBody: any = {
       operation: "withdraw",
@@ -407,19 +408,15 @@ describe("E2E: withdraw via client recipient ATA", () => {
       publicSignals,
 
       // canonical pubs (BE hex fallback if no publicSignals)
-      nullifier: publicSignals.length ? getHex(PS.NULLIFIER) : hex64(nullifier),
-      oldMerkleRoot: publicSignals.length
-        ? getHex(PS.MERKLE_ROOT)
+      nullifier: pubs ? getHex(pubs.nullifier) : hex64(nullifier),
+      oldMerkleRoot: pubs
+        ? getHex(pubs.merkleRoot)
         : normalizeHex(prep.merkleRoot),
-      recipientWalletPubKey: publicSignals.length
-        ? getHex(PS.RECIPIENT_PK)
+      recipientWalletPubKey: pubs
+        ? getHex(pubs.recipientWalletPubKey)
         : hex64(recipientWalletPubKey),
-      amount: publicSignals.length
-        ? String(BigInt(publicSignals[PS.AMOUNT]))
-        : String(Number(amount)),
-      tokenId: publicSignals.length
-        ? String(BigInt(publicSignals[PS.TOKEN_ID]))
-        : String(Number(tokenId)),
+      amount: pubs ? String(pubs.amount) : String(Number(amount)),
+      tokenId: pubs ? String(pubs.tokenId) : String(Number(tokenId)),
 
       // client-specified recipient (owner + ATA) + **limbs matching the script**
       recipientOwner_lo: "0x" + recipientOwner_lo_hex,
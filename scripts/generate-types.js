@@ -0,0 +1,155 @@
+// scripts/generate-types.js
+"use strict";
+
+/**
+ * TypeScript definitions for every build in circuits.config.json, written to
+ * types/circuits.d.ts and shipped with the SDK (index.d.ts re-exports them).
+ *
+ * Per build key (PascalCase, e.g. withdraw_depth20 -> WithdrawDepth20):
+ *   <Name>Input          every `signal input` of the template, arrays as
+ *                        fixed-length tuples (inPathElements: Tuple<FieldLike, 16>)
+ *   <Name>PublicSignals  snarkjs publicSignals as a named tuple, in proof order
+ *   <Name>PublicValues   decodePublicSignals(key, ...) result
+ * plus the CircuitInputs / CircuitPublicSignals / CircuitPublicValues maps
+ * keyed by build key. Signal declarations come from the circom sources (same
+ * parser as public-signals.js), so renaming a signal changes the types.
+ *
+ *   node scripts/generate-types.js           # regenerate types/circuits.d.ts
+ *   node scripts/generate-types.js --check   # exit 1 if it is stale
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { loadCircuitConfig, expandBuilds } = require("./circuit-config");
+const { templateSignals, loadSchema } = require("./public-signals");
+
+const TYPES_FILE = path.join(__dirname, "..", "types", "circuits.d.ts");
+
+/** "withdraw_depth20" -> "WithdrawDepth20" */
+function typeName(key) {
+  return key
+    .split("_")
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("");
+}
+
+/** Tuple labels of a signal, row-major: "encNoteHash" [2] -> encNoteHash_0, encNoteHash_1 */
+function labels({ name, dims }) {
+  let out = [name];
+  for (const n of dims) out = out.flatMap((p) => Array.from({ length: n }, (_, i) => `${p}_${i}`));
+  return out;
+}
+
+/** Element type wrapped in one Tuple per dimension, outermost first */
+function tupleType(element, dims) {
+  return dims.reduceRight((inner, n) => `Tuple<${inner}, ${n}>`, element);
+}
+
+function renderBuild(build, seen) {
+  const name = typeName(build.key);
+  const signals = templateSignals(build);
+  const inputs = signals.filter((s) => s.kind === "input");
+  const layout = [
+    ...signals.filter((s) => s.kind === "output"),
+    ...inputs.filter((s) => build.public.includes(s.name)),
+  ];
+  const lines = [];
+
+  lines.push(`/** ${build.key}: ${build.template}(${Object.values(build.params).join(", ")}) witness input */`);
+  lines.push(`export interface ${name}Input {`);
+  for (const s of inputs) {
+    const doc = build.public.includes(s.name) ? "  /** public */\n" : "";
+    lines.push(`${doc}  ${s.name}: ${tupleType("FieldLike", s.dims)};`);
+  }
+  lines.push("}", "");
+
+  // Depth variants usually share the default build's layout: alias it
+  const layoutKey = JSON.stringify(layout);
+  const same = seen.get(layoutKey);
+  if (same) {
+    lines.push(`export type ${name}PublicSignals = ${same}PublicSignals;`);
+    lines.push(`export type ${name}PublicValues = ${same}PublicValues;`);
+  } else {
+    seen.set(layoutKey, name);
+    lines.push(`/** ${build.key} publicSignals, in proof order */`);
+    lines.push(`export type ${name}PublicSignals = [`);
+    for (const label of layout.flatMap(labels)) lines.push(`  ${label}: string,`);
+    lines.push("];", "");
+    lines.push(`/** decodePublicSignals("${build.key}", ...) */`);
+    lines.push(`export interface ${name}PublicValues {`);
+    for (const s of layout) lines.push(`  ${s.name}: ${tupleType("bigint", s.dims)};`);
+    lines.push("}");
+  }
+  return { name, text: lines.join("\n") };
+}
+
+/** Contents of types/circuits.d.ts for the current config and sources */
+function renderTypes(config = loadCircuitConfig()) {
+  const builds = expandBuilds(config);
+  const seen = new Map();
+  const rendered = builds.map((b) => ({ key: b.key, ...renderBuild(b, seen) }));
+  const map = (iface, suffix) =>
+    [`export interface ${iface} {`, ...rendered.map((r) => `  ${r.key}: ${r.name}${suffix};`), "}"].join("\n");
+
+  return [
+    "// GENERATED by scripts/generate-types.js from circuits.config.json and the circom sources — do not edit.",
+    "",
+    "/** A field element as snarkjs accepts it: decimal or 0x-hex string, number or bigint */",
+    "export type FieldLike = string | number | bigint;",
+    "",
+    "/** Fixed-length array of N elements */",
+    "export type Tuple<T, N extends number, R extends T[] = []> = R[\"length\"] extends N ? R : Tuple<T, N, [...R, T]>;",
+    "",
+    "/** `version` of public-signals.schema.json these types were generated from */",
+    `export type PublicSignalSchemaVersion = ${loadSchema().version};`,
+    "",
+    ...rendered.map((r) => r.text + "\n"),
+    map("CircuitInputs", "Input"),
+    "",
+    map("CircuitPublicSignals", "PublicSignals"),
+    "",
+    map("CircuitPublicValues", "PublicValues"),
+    "",
+    "/** Build keys of circuits.config.json */",
+    "export type CircuitName = keyof CircuitInputs;",
+    "",
+  ].join("\n");
+}
+
+/** Throw unless types/circuits.d.ts is up to date */
+function checkTypes({ file = TYPES_FILE, config } = {}) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+  if (current !== renderTypes(config)) {
+    throw new Error(`${path.relative(process.cwd(), file)} is out of date; run \`node scripts/generate-types.js\``);
+  }
+}
+
+function writeTypes({ file = TYPES_FILE, config } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, renderTypes(config));
+  return file;
+}
+
+/* ---------------------------------- CLI --------------------------------- */
+if (require.main === module) {
+  try {
+    if (process.argv.includes("--check")) {
+      checkTypes();
+      console.log("✅ types/circuits.d.ts matches the circom sources");
+    } else {
+      console.log(`✅ wrote ${path.relative(process.cwd(), writeTypes())}`);
+    }
+  } catch (e) {
+    console.error(`❌ ${e.message || e}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  TYPES_FILE,
+  typeName,
+  renderTypes,
+  checkTypes,
+  writeTypes,
+};
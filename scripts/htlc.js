@@ -0,0 +1,126 @@
+// scripts/htlc.js
+"use strict";
+
+/**
+ * Hashlock (HTLC) notes for circuits/htlc/htlc.circom.
+ *
+ *   tagged     = Poseidon(HTLC_NOTE_TAG, amount, recipientCipherPayPubKey, randomness, tokenId, memo)
+ *   commitment = Poseidon(tagged, senderCipherPayPubKey, hashlock_lo, hashlock_hi, refundTime)
+ *
+ * hashlock = SHA-256(preimage) over 32 bytes, the hash HTLCs on other chains
+ * use. Both travel as 16-byte LE limbs (recipient-owner.js encoding).
+ * HtlcLock binds the HTLC note encrypted to the recipient over all nine
+ * commitment fields (HTLC_NOTE_FIELDS):
+ *
+ *   const payload = await encryptHtlcNote(note, recipient.encPubKey);
+ *   // HtlcLock: htlcRecipientSpendingPubKey / htlcRecipientEncPubKey = the recipient's
+ *   //           address (recipientCipherPayPubKey is derived from it),
+ *   //           htlcEphemeralKey = payload.ephemeralKey, encNoteHash = payload.encNoteHash
+ *   const received = await decryptHtlcNote(payload, encPrivKey);
+ *
+ * Atomic swap, Alice (here) <-> Bob (other chain):
+ *   const lock = createHashlock();                       // Alice keeps lock.preimage secret
+ *   // Alice: HtlcLock to Bob's address with lock.hashlock_lo/hi and a refundTime;
+ *   //        Bob locks on his chain with the same 32-byte lock.hashlock and a shorter timeout
+ *   // Alice claims Bob's leg, revealing the preimage there; Bob runs HtlcSpend (refund = 0)
+ *   //        with preimage_lo/hi from it. If Bob never locks, Alice refunds after refundTime.
+ *   const preimage = preimageFromPublicSignals(publicSignals);   // watch HtlcSpend claims
+ *
+ * Values are BigInt unless noted; preimage / hashlock bytes are Uint8Array.
+ */
+
+const crypto = require("crypto");
+const { poseidonHash: hash } = require("./poseidon");
+const { limbsFromBytes32, limbsToBytes32 } = require("./recipient-owner");
+const { encryptNote, decryptNote } = require("./note-encryption");
+const { decodePublicSignals } = require("./public-signals");
+
+const HTLC_NOTE_TAG = 0x6874n; // "ht"
+const HTLC_NOTE_FIELDS = [
+  "amount",
+  "recipientCipherPayPubKey",
+  "randomness",
+  "tokenId",
+  "memo",
+  "senderCipherPayPubKey",
+  "hashlock_lo",
+  "hashlock_hi",
+  "refundTime",
+];
+const U64_MAX = (1n << 64n) - 1n;
+
+function toTime(value, name) {
+  const t = BigInt(value);
+  if (t < 0n || t > U64_MAX) throw new Error(`${name} must be a u64 unix time`);
+  return t;
+}
+
+/** Fresh (or given) 32-byte preimage and its SHA-256 hashlock, as bytes and limbs */
+function createHashlock(preimage = crypto.randomBytes(32)) {
+  const p = Uint8Array.from(preimage);
+  if (p.length !== 32) throw new Error("preimage must be 32 bytes");
+  const h = Uint8Array.from(crypto.createHash("sha256").update(p).digest());
+  const pl = limbsFromBytes32(p);
+  const hl = limbsFromBytes32(h);
+  return {
+    preimage: p,
+    hashlock: h,
+    preimage_lo: pl.lo,
+    preimage_hi: pl.hi,
+    hashlock_lo: hl.lo,
+    hashlock_hi: hl.hi,
+  };
+}
+
+/** 32-byte preimage revealed by an HtlcSpend claim (null for a refund) */
+function preimageFromPublicSignals(publicSignals) {
+  const { refund, preimage_lo, preimage_hi } = decodePublicSignals("htlc_spend", publicSignals);
+  if (refund !== 0n) return null;
+  return limbsToBytes32(preimage_lo, preimage_hi);
+}
+
+/** NoteCommitmentHashlock for `note` */
+async function computeHtlcCommitment(note) {
+  const tagged = await hash([
+    HTLC_NOTE_TAG,
+    note.amount,
+    note.recipientCipherPayPubKey,
+    note.randomness,
+    note.tokenId,
+    note.memo ?? 0n,
+  ]);
+  return hash([
+    tagged,
+    note.senderCipherPayPubKey,
+    note.hashlock_lo,
+    note.hashlock_hi,
+    toTime(note.refundTime, "refundTime"),
+  ]);
+}
+
+/** encryptNote over the 9 HTLC fields (NoteEncryptionFields(9) in HtlcLock) */
+async function encryptHtlcNote(note, encPubKey, ephemeralKey) {
+  toTime(note.refundTime, "refundTime");
+  return encryptNote(note, encPubKey, ephemeralKey, HTLC_NOTE_FIELDS);
+}
+
+/** decryptNote for an HtlcLock payload */
+async function decryptHtlcNote(payload, encPrivKey) {
+  return decryptNote(payload, encPrivKey, HTLC_NOTE_FIELDS);
+}
+
+/** Whether HtlcSpend's refund branch accepts `currentTime` */
+function canRefund(note, currentTime) {
+  return toTime(note.refundTime, "refundTime") <= toTime(currentTime, "currentTime");
+}
+
+module.exports = {
+  HTLC_NOTE_TAG,
+  HTLC_NOTE_FIELDS,
+  createHashlock,
+  preimageFromPublicSignals,
+  computeHtlcCommitment,
+  encryptHtlcNote,
+  decryptHtlcNote,
+  canRefund,
+};
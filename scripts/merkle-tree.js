@@ -0,0 +1,195 @@
+// scripts/merkle-tree.js
+"use strict";
+
+/**
+ * Off-chain incremental Poseidon Merkle tree matching the circuits:
+ *
+ *   - node = Poseidon(left, right)                      (MerkleProof, Poseidon(2))
+ *   - empty leaf = 0, zeros[l + 1] = H(zeros[l], zeros[l])   (Deposit step 3a)
+ *   - paths are bottom -> top; pathIndices[l] = bit l of the leaf index,
+ *     0 => (left = cur, right = sibling), 1 => (left = sibling, right = cur)
+ *   - leaves are appended left to right at nextLeafIndex
+ *
+ * Only non-empty nodes are stored, so depth 32 trees are cheap.
+ * All values are BigInt.
+ *
+ *   const tree = await buildMerkleTree(16);
+ *   const { nextLeafIndex, inPathElements, inPathIndices } = tree.depositPath();
+ *   tree.insert(commitment);
+ *   const { pathElements, pathIndices } = tree.path(index);
+ */
+
+const { getPoseidon } = require("./poseidon");
+
+/** Bits of `index`, LSB first (level 0 first), as 0/1 numbers */
+function indexToPathIndices(index, depth) {
+  const bits = [];
+  let i = BigInt(index);
+  for (let l = 0; l < depth; l++) {
+    bits.push(Number(i & 1n));
+    i >>= 1n;
+  }
+  return bits;
+}
+
+/** Index of the other child under the same parent (arithmetic: `^` wraps at 2^31) */
+function siblingIndex(i) {
+  return i % 2 === 0 ? i + 1 : i - 1;
+}
+
+/**
+ * Create a tree of the given depth, optionally pre-filled with `leaves`
+ * (appended in order from `opts.startIndex`, default 0; slots below it stay
+ * empty, e.g. to exercise high leaf indices of a depth-32 tree).
+ */
+async function buildMerkleTree(depth = 16, leaves = [], { startIndex = 0 } = {}) {
+  const poseidon = await getPoseidon();
+  const F = poseidon.F;
+  const hash2 = (a, b) => F.toObject(poseidon([a, b]));
+
+  const zeros = [0n];
+  for (let l = 0; l < depth; l++) zeros.push(hash2(zeros[l], zeros[l]));
+
+  const capacity = 2 ** depth;
+  // levels[l]: Map(index -> node) of non-empty nodes at level l (0 = leaves)
+  const levels = Array.from({ length: depth + 1 }, () => new Map());
+  let nextLeafIndex = startIndex;
+
+  const node = (l, i) => (levels[l].has(i) ? levels[l].get(i) : zeros[l]);
+
+  function checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= capacity) {
+      throw new Error(`leaf index ${index} out of range for depth ${depth}`);
+    }
+  }
+
+  function siblings(index) {
+    const out = [];
+    let i = index;
+    for (let l = 0; l < depth; l++) {
+      out.push(node(l, siblingIndex(i)));
+      i = Math.floor(i / 2);
+    }
+    return out;
+  }
+
+  function setLeaf(index, leaf) {
+    let i = index;
+    let cur = BigInt(leaf);
+    levels[0].set(i, cur);
+    for (let l = 0; l < depth; l++) {
+      const sib = node(l, siblingIndex(i));
+      cur = i % 2 === 0 ? hash2(cur, sib) : hash2(sib, cur);
+      i = Math.floor(i / 2);
+      levels[l + 1].set(i, cur);
+    }
+  }
+
+  const tree = {
+    depth,
+    zeros,
+
+    get nextLeafIndex() {
+      return nextLeafIndex;
+    },
+
+    root() {
+      return node(depth, 0);
+    },
+
+    leaf(index) {
+      checkIndex(index);
+      return node(0, index);
+    },
+
+    /** Index of the first inserted leaf equal to `leaf`, or -1 */
+    indexOf(leaf) {
+      const target = BigInt(leaf);
+      for (const [i, leaf] of levels[0]) {
+        if (leaf === target) return i;
+      }
+      return -1;
+    },
+
+    /** Append `leaf` at nextLeafIndex; returns its index */
+    insert(leaf) {
+      if (nextLeafIndex >= capacity) throw new Error(`tree of depth ${depth} is full`);
+      const index = nextLeafIndex;
+      setLeaf(index, leaf);
+      nextLeafIndex++;
+      return index;
+    },
+
+    /** Membership path for MerkleProof(depth): { leaf, pathElements, pathIndices, root } */
+    path(index) {
+      checkIndex(index);
+      if (index >= nextLeafIndex) throw new Error(`leaf ${index} has not been inserted`);
+      return {
+        leaf: node(0, index),
+        pathElements: siblings(index),
+        pathIndices: indexToPathIndices(index, depth),
+        root: tree.root(),
+      };
+    },
+
+    /**
+     * Deposit (and DepositNK, DepositBlinded) insertion inputs for the next empty slot.
+     * inPathIndices are the bits of nextLeafIndex, as Deposit step 0 requires.
+     */
+    depositPath() {
+      checkIndex(nextLeafIndex);
+      return {
+        nextLeafIndex,
+        inPathElements: siblings(nextLeafIndex),
+        inPathIndices: indexToPathIndices(nextLeafIndex, depth),
+        oldMerkleRoot: tree.root(),
+      };
+    },
+
+    /**
+     * Transfer's two-append inputs. Both paths are taken from the tree
+     * *before* either output is inserted: Transfer step 8 substitutes
+     * outCommitment1 / the updated subtree where slot n+1's siblings change.
+     */
+    transferPaths() {
+      checkIndex(nextLeafIndex + 1);
+      return {
+        nextLeafIndex,
+        out1PathElements: siblings(nextLeafIndex),
+        out2PathElements: siblings(nextLeafIndex + 1),
+        merkleRoot: tree.root(),
+      };
+    },
+
+    /**
+     * Chained MerkleAppend inputs (JoinSplit, BatchDeposit, WithdrawPartial):
+     * pathElements[j] are the siblings of slot nextLeafIndex + j after
+     * leaves[0..j) were inserted. Does not modify the tree.
+     */
+    appendPaths(newLeaves) {
+      checkIndex(nextLeafIndex + newLeaves.length - 1);
+      const oldRoot = tree.root();
+      const scratch = levels.map((m) => new Map(m));
+      const saved = levels.splice(0, levels.length, ...scratch);
+      try {
+        const pathElements = newLeaves.map((leaf, j) => {
+          const p = siblings(nextLeafIndex + j);
+          setLeaf(nextLeafIndex + j, leaf);
+          return p;
+        });
+        return { nextLeafIndex, pathElements, oldRoot, newRoot: tree.root() };
+      } finally {
+        levels.splice(0, levels.length, ...saved);
+      }
+    },
+  };
+
+  checkIndex(startIndex);
+  for (const leaf of leaves) tree.insert(leaf);
+  return tree;
+}
+
+module.exports = {
+  buildMerkleTree,
+  indexToPathIndices,
+};
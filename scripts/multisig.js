@@ -0,0 +1,173 @@
+// scripts/multisig.js
+"use strict";
+
+/**
+ * k-of-n multisig notes for circuits/multisig/multisig.circom.
+ *
+ *   signerPubKey         = BabyJubJub EdDSA public key [Ax, Ay] of a 32-byte private key
+ *   ownerSpendingPubKey  = Poseidon(threshold, Ax[0], Ay[0], ..., Ax[n-1], Ay[n-1])
+ *   ownerCipherPayPubKey = Poseidon(ownerSpendingPubKey, encPubKey.x, encPubKey.y)
+ *   txDigest             = Poseidon(MULTISIG_TX_TAG, nullifier, outCommitment1, outCommitment2,
+ *                                   encNote1Hash, encNote2Hash, fee, feeRecipient_lo, feeRecipient_hi)
+ *
+ * encPubKey is the treasury's encryption key, shared by its signers; senders
+ * pay the address { spendingPubKey: ownerSpendingPubKey, encPubKey }.
+ * Notes paid to ownerCipherPayPubKey are spent with MultisigTransfer. One
+ * party (the coordinator) prepares the transfer input without any signer
+ * fields, every signer recomputes txDigest from it and returns an
+ * EdDSA-Poseidon signature, and the coordinator turns `threshold`
+ * signatures into the witness:
+ *
+ *   const wallet  = await createMultisigWallet([pubA, pubB, pubC], 2, encPubKey);
+ *   const session = await createSigningSession(wallet, unsignedInput);    // coordinator
+ *   const share   = await signerShare(wallet, privKeyB, unsignedInput);   // each signer
+ *   await session.addShare(share);                                       // coordinator, x2
+ *   const input   = session.witness();                                   // -> snarkjs fullProve
+ *
+ * A share is only a signature over this one spend: private keys never leave
+ * their signers, and a signature cannot be replayed on other outputs, fees
+ * or notes.
+ *
+ * Private keys are 32-byte Buffers / Uint8Arrays or 64-digit hex strings;
+ * other values are BigInt; `unsignedInput` and the witness hold decimal strings.
+ */
+
+const { buildEddsa } = require("circomlibjs");
+const { poseidonHash: hash } = require("./poseidon");
+const { computeCipherPayPubKey, computeNoteCommitment } = require("./witness-inputs");
+const { computeNullifier } = require("./nullifier");
+
+const MULTISIG_TX_TAG = 0x6d73n; // "ms"
+const MAX_SIGNERS = 7; // owner hash is Poseidon(1 + 2n) with at most 16 inputs
+
+let eddsaPromise = null;
+async function getEddsa() {
+  if (!eddsaPromise) eddsaPromise = buildEddsa();
+  return eddsaPromise;
+}
+
+function signerKeyBytes(privKey) {
+  const bytes = typeof privKey === "string" ? Buffer.from(privKey.replace(/^0x/, ""), "hex") : Buffer.from(privKey);
+  if (bytes.length !== 32) throw new Error("signer private key must be 32 bytes");
+  return bytes;
+}
+
+/** Signer public key [Ax, Ay] for a private key */
+async function deriveSignerPubKey(privKey) {
+  const eddsa = await getEddsa();
+  return eddsa.prv2pub(signerKeyBytes(privKey)).map((c) => eddsa.F.toObject(c));
+}
+
+/** Wallet over `signerPubKeys` (order matters: it fixes the owner key), encrypted to `encPubKey` */
+async function createMultisigWallet(signerPubKeys, threshold = 2, encPubKey) {
+  const keys = signerPubKeys.map(([x, y]) => [BigInt(x), BigInt(y)]);
+  if (keys.length > MAX_SIGNERS) throw new Error(`a multisig wallet has at most ${MAX_SIGNERS} signers`);
+  if (new Set(keys.map(String)).size !== keys.length) throw new Error("signer public keys must be distinct");
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > keys.length) {
+    throw new Error(`threshold must be between 1 and ${keys.length}`);
+  }
+  if (!encPubKey) throw new Error("a multisig wallet needs the signers' shared encryption key");
+  const ownerSpendingPubKey = await hash([BigInt(threshold), ...keys.flat()]);
+  const ownerEncPubKey = encPubKey.map(BigInt);
+  return {
+    signerPubKeys: keys,
+    threshold,
+    ownerSpendingPubKey,
+    ownerEncPubKey,
+    ownerCipherPayPubKey: await computeCipherPayPubKey(ownerSpendingPubKey, ownerEncPubKey),
+  };
+}
+
+/** txDigest the signers approve, recomputed from the unsigned MultisigTransfer input */
+async function multisigTxDigest(wallet, unsignedInput) {
+  const i = unsignedInput;
+  const nullifier = await computeNullifier(wallet.ownerCipherPayPubKey, BigInt(i.inRandomness), BigInt(i.inTokenId));
+  const outCommitment = async (j) =>
+    computeNoteCommitment({
+      amount: BigInt(i[`out${j}Amount`]),
+      cipherPayPubKey: await computeCipherPayPubKey(i[`out${j}RecipientSpendingPubKey`], i[`out${j}RecipientEncPubKey`]),
+      randomness: BigInt(i[`out${j}Randomness`]),
+      tokenId: BigInt(i[`out${j}TokenId`]),
+      memo: BigInt(i[`out${j}Memo`] ?? 0n),
+    });
+  return hash([
+    MULTISIG_TX_TAG,
+    nullifier,
+    await outCommitment(1),
+    await outCommitment(2),
+    i.encNote1Hash,
+    i.encNote2Hash,
+    i.fee,
+    i.feeRecipient_lo,
+    i.feeRecipient_hi,
+  ]);
+}
+
+/** One signer's signature approving `unsignedInput` */
+async function signerShare(wallet, privKey, unsignedInput) {
+  const eddsa = await getEddsa();
+  const pubKey = String(await deriveSignerPubKey(privKey));
+  const index = wallet.signerPubKeys.findIndex((k) => String(k) === pubKey);
+  if (index < 0) throw new Error("private key does not belong to a signer of this wallet");
+  const digest = await multisigTxDigest(wallet, unsignedInput);
+  const { R8, S } = eddsa.signPoseidon(signerKeyBytes(privKey), eddsa.F.e(digest));
+  return { index, digest, signature: { R8: R8.map((c) => eddsa.F.toObject(c)), S } };
+}
+
+/** Collects signatures for one MultisigTransfer input */
+async function createSigningSession(wallet, unsignedInput) {
+  const eddsa = await getEddsa();
+  const F = eddsa.F;
+  const digest = await multisigTxDigest(wallet, unsignedInput);
+  const shares = new Map(); // index -> signature
+
+  return {
+    digest,
+
+    async addShare(share) {
+      if (share.digest !== digest) throw new Error(`signer ${share.index} approved a different transfer`);
+      if (shares.has(share.index)) throw new Error(`signer ${share.index} already signed`);
+      if (shares.size === wallet.threshold) throw new Error(`already have ${wallet.threshold} signatures`);
+      const pubKey = wallet.signerPubKeys[share.index];
+      const { R8, S } = share.signature;
+      const valid =
+        pubKey &&
+        eddsa.verifyPoseidon(F.e(digest), { R8: R8.map((c) => F.e(BigInt(c))), S: BigInt(S) }, pubKey.map((c) => F.e(c)));
+      if (!valid) throw new Error(`share ${share.index} is not a valid signature by that signer`);
+      shares.set(share.index, { R8: R8.map(BigInt), S: BigInt(S) });
+    },
+
+    signers() {
+      return [...shares.keys()].sort((a, b) => a - b);
+    },
+
+    isComplete() {
+      return shares.size === wallet.threshold;
+    },
+
+    /** Full MultisigTransfer input; absent signers get enabled 0 and signature R8 = (0, 1), S = 0 */
+    witness() {
+      if (!this.isComplete()) {
+        throw new Error(`need ${wallet.threshold} signatures, have ${shares.size}`);
+      }
+      const sig = (i) => shares.get(i) ?? { R8: [0n, 1n], S: 0n };
+      return {
+        ...unsignedInput,
+        ownerEncPubKey: wallet.ownerEncPubKey.map(String),
+        signerPubKey: wallet.signerPubKeys.map((k) => k.map(String)),
+        signerEnabled: wallet.signerPubKeys.map((_, i) => (shares.has(i) ? "1" : "0")),
+        sigR8: wallet.signerPubKeys.map((_, i) => sig(i).R8.map(String)),
+        sigS: wallet.signerPubKeys.map((_, i) => sig(i).S.toString()),
+      };
+    },
+  };
+}
+
+module.exports = {
+  MULTISIG_TX_TAG,
+  deriveSignerPubKey,
+  createMultisigWallet,
+  multisigTxDigest,
+  signerShare,
+  createSigningSession,
+};
@@ -0,0 +1,198 @@
+// scripts/note-encryption.js
+"use strict";
+
+/**
+ * Note encryption matching circuits/note_encryption/note_encryption.circom:
+ *
+ *   ephemeralPubKey = ephemeralKey * Base8                  (BabyJubJub)
+ *   sharedKey       = ephemeralKey * encPubKey = encPrivKey * ephemeralPubKey
+ *   ciphertext      = poseidonEncrypt(preimage, sharedKey, 0)   (7 elements)
+ *   encNoteHash     = Poseidon(ephemeralPubKey, ...ciphertext)
+ *
+ * preimage = [amount, cipherPayPubKey, randomness, tokenId, memo], i.e. the
+ * NoteCommitment inputs, so a recipient can recompute the commitment after
+ * decrypting. Note types with extra fields pass their own field list
+ * (timelock.js: TIMELOCKED_NOTE_FIELDS). The relayed payload is
+ * { ephemeralPubKey, ciphertext }.
+ * All values are BigInt.
+ *
+ *   const { privKey, pubKey } = await generateEncryptionKeyPair();
+ *   const payload = await encryptNote(note, pubKey);
+ *   // Transfer: outXRecipientEncPubKey = pubKey, outXEphemeralKey = payload.ephemeralKey,
+ *   //           encNoteXHash = payload.encNoteHash
+ *   const decrypted = await decryptNote(payload, privKey);
+ *
+ * A wallet's own encryption key is deriveEncryptionKeyPair(walletPrivKey); its
+ * pubKey is part of the wallet's address and of its cipherPayPubKey
+ * (scripts/witness-inputs.js), so senders cannot encrypt to any other key.
+ */
+
+const crypto = require("crypto");
+const { buildBabyjub } = require("circomlibjs");
+const { getPoseidon } = require("./poseidon");
+
+const NOTE_FIELDS = ["amount", "cipherPayPubKey", "randomness", "tokenId", "memo"];
+const CIPHERTEXT_LENGTH = 7;
+const TWO_128 = 1n << 128n;
+
+// Domain tag separating the wallet's encryption key from its other Poseidon keys
+const ENCRYPTION_KEY_TAG = 0x656bn; // "ek"
+
+let primitivesPromise = null;
+async function getPrimitives() {
+  if (!primitivesPromise) {
+    primitivesPromise = Promise.all([getPoseidon(), buildBabyjub()]).then(([poseidon, babyJub]) => ({
+      poseidon,
+      babyJub,
+    }));
+  }
+  return primitivesPromise;
+}
+
+/** Uniform non-zero scalar below the BabyJubJub subgroup order (< 2^253 as the circuit needs) */
+async function randomScalar() {
+  const { babyJub } = await getPrimitives();
+  const order = BigInt(babyJub.subOrder);
+  let s = 0n;
+  while (s === 0n) s = BigInt("0x" + crypto.randomBytes(32).toString("hex")) % order;
+  return s;
+}
+
+function toPoint(babyJub, [x, y]) {
+  const F = babyJub.F;
+  const P = [F.e(BigInt(x)), F.e(BigInt(y))];
+  if (!babyJub.inCurve(P)) throw new Error("point is not on BabyJubJub");
+  return P;
+}
+
+function fromPoint(babyJub, P) {
+  return [babyJub.F.toObject(P[0]), babyJub.F.toObject(P[1])];
+}
+
+/** Encryption key pair: pubKey = privKey * Base8 */
+async function generateEncryptionKeyPair(privKey) {
+  const { babyJub } = await getPrimitives();
+  const priv = privKey == null ? await randomScalar() : BigInt(privKey);
+  return { privKey: priv, pubKey: fromPoint(babyJub, babyJub.mulPointEscalar(babyJub.Base8, priv)) };
+}
+
+/** The wallet's encryption key pair: privKey = Poseidon(ENCRYPTION_KEY_TAG, walletPrivKey) mod subOrder */
+async function deriveEncryptionKeyPair(walletPrivKey) {
+  const { poseidon, babyJub } = await getPrimitives();
+  const seed = poseidon.F.toObject(poseidon([ENCRYPTION_KEY_TAG, BigInt(walletPrivKey)]));
+  return generateEncryptionKeyPair(seed % BigInt(babyJub.subOrder));
+}
+
+/** ECDH: privKey * pubKey, as [x, y] */
+async function deriveSharedKey(privKey, pubKey) {
+  const { babyJub } = await getPrimitives();
+  return fromPoint(babyJub, babyJub.mulPointEscalar(toPoint(babyJub, pubKey), BigInt(privKey)));
+}
+
+async function permute(state) {
+  const { poseidon } = await getPrimitives();
+  return poseidon(state.slice(1), state[0], 4).map((x) => poseidon.F.toObject(x));
+}
+
+function initialState(key, nonce, length) {
+  const n = BigInt(nonce);
+  if (n < 0n || n >= TWO_128) throw new Error("nonce must be below 2^128");
+  return [0n, BigInt(key[0]), BigInt(key[1]), n + BigInt(length) * TWO_128];
+}
+
+/** Poseidon duplex-sponge encryption (circuit template PoseidonEncrypt) */
+async function poseidonEncrypt(plaintext, key, nonce = 0n) {
+  const { poseidon } = await getPrimitives();
+  const F = poseidon.F;
+  const msg = plaintext.map((m) => F.toObject(F.e(BigInt(m))));
+  while (msg.length % 3) msg.push(0n);
+
+  let state = initialState(key, nonce, plaintext.length);
+  const ciphertext = [];
+  for (let i = 0; i < msg.length; i += 3) {
+    state = await permute(state);
+    for (let j = 0; j < 3; j++) {
+      state[j + 1] = F.toObject(F.add(F.e(state[j + 1]), F.e(msg[i + j])));
+      ciphertext.push(state[j + 1]);
+    }
+  }
+  state = await permute(state);
+  ciphertext.push(state[1]);
+  return ciphertext;
+}
+
+/** Inverse of poseidonEncrypt; throws if the tag or the padding does not check out */
+async function poseidonDecrypt(ciphertext, key, length, nonce = 0n) {
+  const { poseidon } = await getPrimitives();
+  const F = poseidon.F;
+  const nBlocks = Math.ceil(length / 3);
+  if (ciphertext.length !== nBlocks * 3 + 1) {
+    throw new Error(`ciphertext length ${ciphertext.length} does not match plaintext length ${length}`);
+  }
+
+  let state = initialState(key, nonce, length);
+  const msg = [];
+  for (let i = 0; i < nBlocks * 3; i += 3) {
+    state = await permute(state);
+    for (let j = 0; j < 3; j++) {
+      const c = BigInt(ciphertext[i + j]);
+      msg.push(F.toObject(F.sub(F.e(c), F.e(state[j + 1]))));
+      state[j + 1] = c;
+    }
+  }
+  state = await permute(state);
+  if (state[1] !== BigInt(ciphertext[nBlocks * 3])) throw new Error("ciphertext authentication failed");
+  if (msg.slice(length).some((m) => m !== 0n)) throw new Error("ciphertext padding is not zero");
+  return msg.slice(0, length);
+}
+
+/** encNoteHash of a relayed payload */
+async function hashEncryptedNote({ ephemeralPubKey, ciphertext }) {
+  const { poseidon } = await getPrimitives();
+  return poseidon.F.toObject(poseidon([...ephemeralPubKey, ...ciphertext].map(BigInt)));
+}
+
+/**
+ * Encrypt `note` ({ amount, cipherPayPubKey, randomness, tokenId, memo }) to
+ * `encPubKey`. Returns { ephemeralKey, ephemeralPubKey, ciphertext, encNoteHash };
+ * ephemeralKey is the Transfer witness input and must never be reused.
+ */
+async function encryptNote(note, encPubKey, ephemeralKey, fields = NOTE_FIELDS) {
+  const { babyJub } = await getPrimitives();
+  const P = toPoint(babyJub, encPubKey);
+  if (!babyJub.inSubgroup(P)) throw new Error("encryption key is not in the BabyJubJub subgroup");
+
+  const e = ephemeralKey == null ? await randomScalar() : BigInt(ephemeralKey);
+  if (e <= 0n || e >= 1n << 253n) throw new Error("ephemeral key must be in [1, 2^253)");
+
+  const ephemeralPubKey = fromPoint(babyJub, babyJub.mulPointEscalar(babyJub.Base8, e));
+  const sharedKey = fromPoint(babyJub, babyJub.mulPointEscalar(P, e));
+  const ciphertext = await poseidonEncrypt(fields.map((f) => BigInt(note[f] ?? 0)), sharedKey);
+  const encNoteHash = await hashEncryptedNote({ ephemeralPubKey, ciphertext });
+  return { ephemeralKey: e, ephemeralPubKey, ciphertext, encNoteHash };
+}
+
+/** Decrypt a payload with the recipient's encryption private key */
+async function decryptNote({ ephemeralPubKey, ciphertext }, encPrivKey, fields = NOTE_FIELDS) {
+  const expected = Math.ceil(fields.length / 3) * 3 + 1;
+  if (ciphertext.length !== expected) {
+    throw new Error(`note ciphertext must have ${expected} elements`);
+  }
+  const sharedKey = await deriveSharedKey(encPrivKey, ephemeralPubKey);
+  const values = await poseidonDecrypt(ciphertext, sharedKey, fields.length);
+  return Object.fromEntries(fields.map((f, i) => [f, values[i]]));
+}
+
+module.exports = {
+  NOTE_FIELDS,
+  CIPHERTEXT_LENGTH,
+  ENCRYPTION_KEY_TAG,
+  generateEncryptionKeyPair,
+  deriveEncryptionKeyPair,
+  deriveSharedKey,
+  poseidonEncrypt,
+  poseidonDecrypt,
+  hashEncryptedNote,
+  encryptNote,
+  decryptNote,
+};
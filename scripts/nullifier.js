@@ -0,0 +1,61 @@
+// scripts/nullifier.js
+"use strict";
+
+/**
+ * Off-chain nullifiers, matching circuits/nullifier/nullifier.circom.
+ *
+ * v1 circuits publish the base nullifier Poseidon(cipherPayPubKey, randomness, tokenId).
+ * TransferV2 / WithdrawV2 bind it to the spent leaf's index and also publish
+ * a legacy nullifier (NullifierMigration):
+ *
+ *   const { nullifier, legacyNullifier } = await spendNullifiers({
+ *     cipherPayPubKey, randomness, tokenId, leafIndex, migrationLeafIndex,
+ *   });
+ *
+ * Migration: when the program switches to v2 it stops accepting v1 proofs
+ * and records migrationLeafIndex = nextLeafIndex. It marks both values of
+ * every v2 spend as spent. Notes below migrationLeafIndex publish their base
+ * nullifier as legacyNullifier, so a note already spent with v1 stays spent;
+ * duplicates among those notes remain spendable once. Notes at or above it
+ * get a per-leaf value, so duplicates can each be spent.
+ *
+ * All values are BigInt.
+ */
+
+const { poseidonHash: hash } = require("./poseidon");
+
+const POSITION_NULLIFIER_TAG = 0x706en; // "pn"
+
+/** v1 nullifier (NullifierFromCipherKey) */
+async function computeNullifier(cipherPayPubKey, randomness, tokenId) {
+  return hash([cipherPayPubKey, randomness, tokenId]);
+}
+
+/** NullifierPositioned: Poseidon(POSITION_NULLIFIER_TAG, baseNullifier, leafIndex) */
+async function computePositionedNullifier(baseNullifier, leafIndex) {
+  return hash([POSITION_NULLIFIER_TAG, baseNullifier, leafIndex]);
+}
+
+/** True if the leaf predates the v2 upgrade (NullifierMigration's isLegacy) */
+function isLegacyLeaf(leafIndex, migrationLeafIndex) {
+  return BigInt(leafIndex) < BigInt(migrationLeafIndex);
+}
+
+/**
+ * Both nullifiers a v2 spend of the note at `leafIndex` publishes.
+ * Returns { baseNullifier, nullifier, legacyNullifier }.
+ */
+async function spendNullifiers({ cipherPayPubKey, randomness, tokenId, leafIndex, migrationLeafIndex }) {
+  const baseNullifier = await computeNullifier(cipherPayPubKey, randomness, tokenId);
+  const nullifier = await computePositionedNullifier(baseNullifier, leafIndex);
+  const legacyNullifier = isLegacyLeaf(leafIndex, migrationLeafIndex) ? baseNullifier : await hash([nullifier]);
+  return { baseNullifier, nullifier, legacyNullifier };
+}
+
+module.exports = {
+  POSITION_NULLIFIER_TAG,
+  computeNullifier,
+  computePositionedNullifier,
+  isLegacyLeaf,
+  spendNullifiers,
+};
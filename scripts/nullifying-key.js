@@ -0,0 +1,116 @@
+// scripts/nullifying-key.js
+"use strict";
+
+/**
+ * Nullifying-key hierarchy, matching NullifyingKey, NoteCommitmentFromNullifyingKey
+ * and NullifierFromNullifyingKey in circuits/ (the deposit_nk, transfer_nk and
+ * withdraw_nk builds):
+ *
+ *   nullifyingKey   = Poseidon(NULLIFYING_KEY_TAG, walletPrivKey)
+ *   spendingPubKey  = Poseidon(walletPubKey, nullifyingKey)
+ *   cipherPayPubKey = Poseidon(spendingPubKey, encPubKey.x, encPubKey.y)
+ *   nullifier       = Poseidon(nullifyingKey, randomness, tokenId)
+ *
+ * A note's sender knows its cipherPayPubKey but not the nullifyingKey, so it
+ * cannot compute the note's nullifier. Notes under this hierarchy are not
+ * spendable by the v1 circuits and vice versa.
+ *
+ *   const dep = await buildDepositNkInput(wallet, { amount: 100n, tokenId: 1n }, tree);
+ *   tree.insert(dep.note.commitment);                   // once the deposit lands
+ *
+ *   const tx = await buildTransferNkInput(wallet, dep.note, tree, {
+ *     recipient: await deriveNkCipherPayAddress(bob), amount: 80n,
+ *   });
+ *   const wd = await buildWithdrawNkInput(wallet, note, tree, { recipientOwner: "<base58>" });
+ *
+ * The builders take the arguments and return the values of buildDepositInput,
+ * buildTransferInput and buildWithdrawInput (scripts/witness-inputs.js);
+ * recipient is the recipient's nk-derived address. encPubKey is the wallet's
+ * encryption key, derived from walletPrivKey as for v1 wallets.
+ *
+ * wallet = { walletPubKey, walletPrivKey, encPrivKey? }, note = { amount, randomness, tokenId, memo }.
+ * All values are BigInt; `input` holds decimal strings for snarkjs.
+ */
+
+const { poseidonHash: hash } = require("./poseidon");
+const { deriveEncryptionKeyPair } = require("./note-encryption");
+const {
+  deriveCipherPayAddress,
+  buildDepositInput,
+  buildTransferInput,
+  buildWithdrawInput,
+} = require("./witness-inputs");
+
+// Must match NULLIFYING_KEY_TAG() in circuits/nullifier/nullifier.circom
+const NULLIFYING_KEY_TAG = 0x6e6bn; // "nk"
+
+/** nullifyingKey = Poseidon(NULLIFYING_KEY_TAG, walletPrivKey); never published */
+async function deriveNullifyingKey(walletPrivKey) {
+  return hash([NULLIFYING_KEY_TAG, walletPrivKey]);
+}
+
+/** The nk wallet's address { spendingPubKey, encPubKey } and its cipherPayPubKey */
+async function deriveNkCipherPayAddress(wallet) {
+  return deriveCipherPayAddress((await nkWallet(wallet)).wallet);
+}
+
+async function deriveNkCipherPayPubKey(wallet) {
+  return (await deriveNkCipherPayAddress(wallet)).cipherPayPubKey;
+}
+
+/** nullifier = Poseidon(nullifyingKey, randomness, tokenId) (NullifierFromNullifyingKey) */
+async function computeNkNullifier(nullifyingKey, randomness, tokenId) {
+  return hash([nullifyingKey, randomness, tokenId]);
+}
+
+// The nk spendingPubKey is the v1 one Poseidon(walletPubKey, walletPrivKey)
+// with nullifyingKey in the private-key slot, so the v1 builders run on this
+// wallet find, commit and pay nk-keyed notes. Its encryption key stays the
+// one of the real private key. The builders' inputs then get the real private
+// key back (the circuits derive nullifyingKey from it) and their nullifiers
+// are recomputed from nullifyingKey.
+async function nkWallet(wallet) {
+  const nullifyingKey = await deriveNullifyingKey(wallet.walletPrivKey);
+  const encPrivKey = wallet.encPrivKey ?? (await deriveEncryptionKeyPair(wallet.walletPrivKey)).privKey;
+  return { nullifyingKey, wallet: { walletPubKey: wallet.walletPubKey, walletPrivKey: nullifyingKey, encPrivKey } };
+}
+
+/** DepositNK witness; see buildDepositInput */
+async function buildDepositNkInput(wallet, note, tree, opts = {}) {
+  const nk = await nkWallet(wallet);
+  const dep = await buildDepositInput(nk.wallet, note, tree, opts);
+  return { ...dep, input: { ...dep.input, ownerWalletPrivKey: BigInt(wallet.walletPrivKey).toString() } };
+}
+
+/** TransferNK witness (no dummy-input signals); see buildTransferInput */
+async function buildTransferNkInput(wallet, note, tree, params) {
+  const nk = await nkWallet(wallet);
+  const tx = await buildTransferInput(nk.wallet, note, tree, params);
+  const { inIsDummy, dummyMerkleRoot, ...input } = tx.input;
+  return {
+    ...tx,
+    input: { ...input, inSenderWalletPrivKey: BigInt(wallet.walletPrivKey).toString() },
+    nullifier: await computeNkNullifier(nk.nullifyingKey, BigInt(note.randomness), BigInt(note.tokenId)),
+  };
+}
+
+/** WithdrawNK witness; see buildWithdrawInput */
+async function buildWithdrawNkInput(wallet, note, tree, params) {
+  const nk = await nkWallet(wallet);
+  const wd = await buildWithdrawInput(nk.wallet, note, tree, params);
+  return {
+    input: { ...wd.input, recipientWalletPrivKey: BigInt(wallet.walletPrivKey).toString() },
+    nullifier: await computeNkNullifier(nk.nullifyingKey, BigInt(note.randomness), BigInt(note.tokenId)),
+  };
+}
+
+module.exports = {
+  NULLIFYING_KEY_TAG,
+  deriveNullifyingKey,
+  deriveNkCipherPayAddress,
+  deriveNkCipherPayPubKey,
+  computeNkNullifier,
+  buildDepositNkInput,
+  buildTransferNkInput,
+  buildWithdrawNkInput,
+};
@@ -0,0 +1,39 @@
+// scripts/poseidon.js
+"use strict";
+
+/**
+ * Poseidon over BN254 with circomlib's parameters, shared by every off-chain
+ * builder so the (slow) constant setup runs once per process.
+ *
+ *   const { poseidonHash, randomFieldElement } = require("./poseidon");
+ *   const commitment = await poseidonHash([amount, cipherPayPubKey, randomness, tokenId, memo]);
+ *
+ * getPoseidon() returns circomlibjs' hasher itself (with its field `F`), for
+ * callers that hash many nodes at once (merkle-tree.js).
+ */
+
+const crypto = require("crypto");
+const { buildPoseidon } = require("circomlibjs");
+
+let poseidonPromise = null;
+async function getPoseidon() {
+  if (!poseidonPromise) poseidonPromise = buildPoseidon();
+  return poseidonPromise;
+}
+
+/** Poseidon(inputs) as a BigInt; inputs may be BigInt, number or decimal string */
+async function poseidonHash(inputs) {
+  const poseidon = await getPoseidon();
+  return poseidon.F.toObject(poseidon(inputs.map(BigInt)));
+}
+
+/** 248-bit random value (always below the field prime) */
+function randomFieldElement() {
+  return BigInt("0x" + crypto.randomBytes(31).toString("hex"));
+}
+
+module.exports = {
+  getPoseidon,
+  poseidonHash,
+  randomFieldElement,
+};
@@ -0,0 +1,316 @@
+// scripts/public-signals.js
+"use strict";
+
+/**
+ * Public signal schema: the ordered public signals of every build, derived
+ * from the circom sources and checked into public-signals.schema.json.
+ *
+ * Circom orders a proof's public signals as the main template's outputs in
+ * declaration order, then its inputs listed in `main { public [...] }`, also
+ * in declaration order (not in list order). deriveSchema() reads both from
+ * the template named in circuits.config.json; array signals are written as
+ * their declaration, e.g. "encNoteHash[2]", and flatten in row-major order.
+ *
+ *   const { nullifier, merkleRoot } = decodePublicSignals("withdraw", publicSignals);
+ *   const publicSignals = encodePublicSignals("withdraw", { nullifier, merkleRoot, ... });
+ *
+ * The schema file carries a version for consumers (relayer, on-chain
+ * program). setup.js refuses to build while the sources and the file
+ * disagree, or when a layout differs from the committed file (git HEAD) while
+ * the version does not; `node scripts/public-signals.js --write` regenerates
+ * the file and bumps the version when a layout changed. setup.js also
+ * compares each compiled .sym with the schema.
+ *
+ *   node scripts/public-signals.js --check    # exit 1 if the schema is stale
+ *   node scripts/public-signals.js --write    # regenerate (+ version bump)
+ *   node scripts/public-signals.js --check --base origin/main   # CI: bumped since main?
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const { loadCircuitConfig, expandBuilds } = require("./circuit-config");
+const { asBigInt, toBytes32, fromBytes32 } = require("./solana-encoding");
+
+const SCHEMA_FILE = path.join(__dirname, "..", "public-signals.schema.json");
+
+/* ------------------------------ derivation ------------------------------- */
+function stripComments(src) {
+  return src.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+}
+
+/** Body and parameter names of `template <name>(...) { ... }` */
+function findTemplate(src, name) {
+  const m = new RegExp(`\\btemplate\\s+${name}\\s*\\(([^)]*)\\)\\s*\\{`).exec(src);
+  if (!m) return null;
+  let depth = 1;
+  let i = m.index + m[0].length;
+  const start = i;
+  for (; i < src.length && depth > 0; i++) {
+    if (src[i] === "{") depth++;
+    else if (src[i] === "}") depth--;
+  }
+  const params = m[1].split(",").map((p) => p.trim()).filter(Boolean);
+  return { params, body: src.slice(start, i - 1) };
+}
+
+/** Evaluate a dimension expression (e.g. "nOut", "depth + 1") with the template arguments */
+function evalDim(expr, scope) {
+  const value = new Function(...Object.keys(scope), `return (${expr});`)(...Object.values(scope));
+  if (!Number.isInteger(value) || value < 0) throw new Error(`bad array size '${expr}' = ${value}`);
+  return value;
+}
+
+/** Declared `signal input` / `signal output` names with evaluated dimensions, in order */
+function declaredSignals(body, scope) {
+  const out = [];
+  const re = /\bsignal\s+(input|output)\s+([^;]+);/g;
+  let m;
+  while ((m = re.exec(body))) {
+    const decls = m[2].replace(/\{[^}]*\}/g, "").split(/<==|<--/)[0];
+    for (const decl of decls.split(",")) {
+      const d = /^\s*([A-Za-z_$][\w$]*)\s*((?:\[[^\]]+\]\s*)*)$/.exec(decl);
+      if (!d) throw new Error(`cannot parse signal declaration '${decl.trim()}'`);
+      const dims = [...d[2].matchAll(/\[([^\]]+)\]/g)].map((x) => evalDim(x[1], scope));
+      out.push({ kind: m[1], name: d[1], dims });
+    }
+  }
+  return out;
+}
+
+const declaration = ({ name, dims }) => name + dims.map((n) => `[${n}]`).join("");
+
+/**
+ * Every `signal input` / `signal output` of a build's main template, in
+ * declaration order: [{ kind: "input" | "output", name, dims }]
+ * (also used by generate-types.js).
+ */
+function templateSignals(build) {
+  const src = stripComments(fs.readFileSync(build.source, "utf8"));
+  const tpl = findTemplate(src, build.template);
+  if (!tpl) throw new Error(`${build.key}: template ${build.template} not found in ${build.source}`);
+  const args = Object.values(build.params);
+  if (args.length !== tpl.params.length) {
+    throw new Error(`${build.key}: ${build.template} takes ${tpl.params.length} parameter(s), config gives ${args.length}`);
+  }
+  const scope = Object.fromEntries(tpl.params.map((p, i) => [p, args[i]]));
+  return declaredSignals(tpl.body, scope);
+}
+
+/** Ordered public signal declarations of one build (see expandBuilds) */
+function deriveLayout(build) {
+  const signals = templateSignals(build);
+  const inputs = new Set(signals.filter((s) => s.kind === "input").map((s) => s.name));
+  const missing = build.public.filter((p) => !inputs.has(p));
+  if (missing.length) throw new Error(`${build.key}: public input(s) ${missing.join(", ")} not declared by ${build.template}`);
+
+  return [
+    ...signals.filter((s) => s.kind === "output"),
+    ...signals.filter((s) => s.kind === "input" && build.public.includes(s.name)),
+  ].map(declaration);
+}
+
+/** { buildKey: ["nullifier", "encNoteHash[2]", ...] } for every build in the config */
+function deriveSchema(config = loadCircuitConfig()) {
+  return Object.fromEntries(expandBuilds(config).map((b) => [b.key, deriveLayout(b)]));
+}
+
+/* ---------------------------- schema file -------------------------------- */
+let cached = null;
+function loadSchema(file = SCHEMA_FILE) {
+  if (file !== SCHEMA_FILE) return JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!cached) cached = JSON.parse(fs.readFileSync(file, "utf8"));
+  return cached;
+}
+
+/** Build keys whose derived layout differs from the schema file (added, removed or changed) */
+function staleLayouts(schema, derived) {
+  const keys = new Set([...Object.keys(schema.circuits), ...Object.keys(derived)]);
+  return [...keys].filter((k) => JSON.stringify(schema.circuits[k]) !== JSON.stringify(derived[k])).sort();
+}
+
+/** The schema file as committed at git `rev`, or null (not a checkout, or not committed there) */
+function committedSchema(file = SCHEMA_FILE, rev = "HEAD") {
+  try {
+    const json = execFileSync("git", ["show", `${rev}:./${path.basename(file)}`], {
+      cwd: path.dirname(file),
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Throw unless the schema file matches the circom sources and, where a
+ * layout differs from the committed schema (git `rev`, default HEAD; or pass
+ * `committed`), carries a higher version than it.
+ */
+function checkSchema({ file = SCHEMA_FILE, config, rev = "HEAD", committed = committedSchema(file, rev) } = {}) {
+  const schema = loadSchema(file);
+  const stale = staleLayouts(schema, deriveSchema(config));
+  if (stale.length) {
+    throw new Error(
+      `public signal schema v${schema.version} is out of date for ${stale.join(", ")}; ` +
+        "run `node scripts/public-signals.js --write` to regenerate it with a version bump"
+    );
+  }
+  const changed = committed ? staleLayouts(committed, schema.circuits) : [];
+  if (changed.length && !(schema.version > committed.version)) {
+    throw new Error(
+      `public signal layouts of ${changed.join(", ")} changed since the committed schema v${committed.version}, ` +
+        `but the version is still ${schema.version}; bump it (\`node scripts/public-signals.js --write\`)`
+    );
+  }
+  return schema;
+}
+
+/**
+ * Regenerate the schema file, bumping its version if any layout changed
+ * (against the file, and against the committed schema as in checkSchema).
+ */
+function writeSchema({ file = SCHEMA_FILE, config, rev = "HEAD", committed = committedSchema(file, rev) } = {}) {
+  const old = fs.existsSync(file) ? loadSchema(file) : { version: 0, circuits: {} };
+  const derived = deriveSchema(config);
+  const stale = staleLayouts(old, derived);
+  let version = stale.length ? old.version + 1 : old.version;
+  if (committed && staleLayouts(committed, derived).length) version = Math.max(version, committed.version + 1);
+  const schema = { version, circuits: derived };
+  fs.writeFileSync(file, JSON.stringify(schema, null, 2) + "\n");
+  if (file === SCHEMA_FILE) cached = schema;
+  return { schema, changed: stale };
+}
+
+/** Flat public signal names of a compiled circuit's .sym (wires 1..count are main.<name>) */
+function symPublicSignals(symFile, count) {
+  const names = [];
+  for (const line of fs.readFileSync(symFile, "utf8").split("\n")) {
+    const [, wire, , name] = line.split(",");
+    const w = Number(wire);
+    if (w >= 1 && w <= count) names[w - 1] = name.replace(/^main\./, "");
+  }
+  return names;
+}
+
+/* ------------------------------ encode/decode ---------------------------- */
+// Strip a pipeline suffix (1|2|3, e.g. "transfer1" from generate-bin-proofs.js)
+// unless the name itself is a build key (e.g. "joinsplit_2x2" ends in a digit).
+const baseName = (c) => (c in loadSchema().circuits ? c : c.replace(/\d$/, ""));
+
+/** Ordered public signal declarations of a build key */
+function layoutOf(circuit) {
+  const layout = loadSchema().circuits[baseName(circuit)];
+  if (!layout) throw new Error(`no public signal layout for '${circuit}'`);
+  return layout.map((decl) => {
+    const [, name, dimsSrc] = /^([^[]+)(.*)$/.exec(decl);
+    const dims = [...dimsSrc.matchAll(/\[(\d+)\]/g)].map((x) => Number(x[1]));
+    return { name, dims, size: dims.reduce((a, b) => a * b, 1) };
+  });
+}
+
+/** "name[i][j]" for every element of `dims`, row-major */
+function flatNames(name, dims) {
+  let names = [name];
+  for (const n of dims) names = names.flatMap((p) => Array.from({ length: n }, (_, i) => `${p}[${i}]`));
+  return names;
+}
+
+/** Ordered flat public signal names of a build key, e.g. "encNoteHash[0]" */
+function publicSignalNames(circuit) {
+  return layoutOf(circuit).flatMap((s) => flatNames(s.name, s.dims));
+}
+
+/** Nest a flat row-major list into `dims` */
+function nest(values, dims) {
+  if (dims.length === 0) return values[0];
+  const step = values.length / dims[0];
+  return Array.from({ length: dims[0] }, (_, i) => nest(values.slice(i * step, (i + 1) * step), dims.slice(1)));
+}
+
+/**
+ * { name: BigInt } (arrays as nested BigInt arrays) from snarkjs' publicSignals
+ * array or the 32-byte LE buffer of encodePublicSignals in solana-encoding.js.
+ */
+function decodePublicSignals(circuit, publicSignals) {
+  const layout = layoutOf(circuit);
+  const total = layout.reduce((n, s) => n + s.size, 0);
+
+  let values;
+  if (Buffer.isBuffer(publicSignals) || publicSignals instanceof Uint8Array) {
+    const buf = Buffer.from(publicSignals);
+    if (buf.length !== total * 32) {
+      throw new Error(`${circuit} has ${total} public signals (${total * 32} bytes), got ${buf.length} bytes`);
+    }
+    values = Array.from({ length: total }, (_, i) => fromBytes32(buf.subarray(i * 32, (i + 1) * 32)));
+  } else if (Array.isArray(publicSignals) && publicSignals.length === total) {
+    values = publicSignals.map(asBigInt);
+  } else {
+    throw new Error(`${circuit} has ${total} public signals, got ${publicSignals?.length}`);
+  }
+
+  const out = {};
+  let pos = 0;
+  for (const s of layout) {
+    out[s.name] = nest(values.slice(pos, pos + s.size), s.dims);
+    pos += s.size;
+  }
+  return out;
+}
+
+/**
+ * snarkjs-style publicSignals (decimal strings, circuit order) from named
+ * values; `{ binary: true }` returns the 32-byte LE buffer instead.
+ */
+function encodePublicSignals(circuit, values, { binary = false } = {}) {
+  const layout = layoutOf(circuit);
+  const unknown = Object.keys(values).filter((k) => !layout.some((s) => s.name === k));
+  if (unknown.length) throw new Error(`${circuit} has no public signal ${unknown.join(", ")}`);
+
+  const flat = [];
+  for (const s of layout) {
+    if (values[s.name] == null) throw new Error(`${circuit}: missing public signal ${s.name}`);
+    const v = s.dims.length ? [values[s.name]].flat(s.dims.length) : [values[s.name]];
+    if (v.length !== s.size) throw new Error(`${circuit}: ${s.name} needs ${s.size} values, got ${v.length}`);
+    flat.push(...v.map(asBigInt));
+  }
+  return binary ? Buffer.concat(flat.map((v) => toBytes32(v, "le"))) : flat.map(String);
+}
+
+/* ---------------------------------- CLI --------------------------------- */
+if (require.main === module) {
+  try {
+    const baseArg = process.argv.indexOf("--base");
+    const rev = baseArg > 0 ? process.argv[baseArg + 1] : "HEAD";
+    if (process.argv.includes("--write")) {
+      const { schema, changed } = writeSchema({ rev });
+      console.log(
+        changed.length
+          ? `✅ public signal schema v${schema.version} written (changed: ${changed.join(", ")})`
+          : `✅ public signal schema v${schema.version} unchanged`
+      );
+    } else {
+      const schema = checkSchema({ rev });
+      console.log(`✅ public signal schema v${schema.version} matches the circom sources`);
+    }
+  } catch (e) {
+    console.error(`❌ ${e.message || e}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SCHEMA_FILE,
+  templateSignals,
+  deriveSchema,
+  loadSchema,
+  checkSchema,
+  writeSchema,
+  symPublicSignals,
+  baseName,
+  publicSignalNames,
+  decodePublicSignals,
+  encodePublicSignals,
+};
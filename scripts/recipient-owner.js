@@ -6,6 +6,7 @@
  * 128-bit little-endian limbs suitable for Circom public inputs:
  *
  *   recipientOwner_lo, recipientOwner_hi  (decimal strings)
+ *   feeRecipient_lo,   feeRecipient_hi    (relayer fee recipient)
  *
  * The on-chain program can reconstruct the Pubkey as:
  *   [lo(16 bytes LE) | hi(16 bytes LE)]  => 32 bytes
@@ -124,6 +125,14 @@ function injectRecipientOwnerLimbs(inputs, ownerAny) {
   return inputs;
 }
 
+/** Same for the relayer fee recipient (transfer / withdraw `feeRecipient_lo/hi`) */
+function injectFeeRecipientLimbs(inputs, feeRecipientAny) {
+  const { lo, hi } = toLimbsFromAny(feeRecipientAny);
+  inputs.feeRecipient_lo = lo;
+  inputs.feeRecipient_hi = hi;
+  return inputs;
+}
+
 module.exports = {
   toLimbsFromAny,
   limbsFromBase58,
@@ -131,4 +140,5 @@ module.exports = {
   limbsFromBytes32,
   limbsToBytes32,
   injectRecipientOwnerLimbs,
+  injectFeeRecipientLimbs,
 };
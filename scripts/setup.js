@@ -3,6 +3,9 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const { generateZkeyAndVk } = require('./generate-zkey-vk.js');
+const { loadCircuitConfig, expandBuilds, writeMain, readR1csHeader, ptauPowerFor } = require('./circuit-config.js');
+const { checkSchema, symPublicSignals, publicSignalNames } = require('./public-signals.js');
+const { checkTypes } = require('./generate-types.js');
 
 function sh(cmd, opts = {}) {
   execSync(cmd, { stdio: 'inherit', ...opts });
@@ -31,6 +34,29 @@ function resolveCircomBin() {
   return 'circom';
 }
 
+function parseArgs(argv) {
+  const out = { only: [], variants: true };
+  for (const a of argv) {
+    if (a === '--no-variants') out.variants = false;
+    else if (a.startsWith('--')) console.warn(`Unknown arg: ${a}`);
+    else out.only.push(a);
+  }
+  return out;
+}
+
+// Shared ptau per power: generated once, reused by every circuit that fits it
+function ensurePtau(power, ptauPath, repoRoot) {
+  const ptauFinal = path.join(ptauPath, `pot${power}_final.ptau`);
+  if (fs.existsSync(ptauFinal)) {
+    console.log(`✅ Using existing ptau: ${path.relative(repoRoot, ptauFinal)}`);
+  } else {
+    console.log(`⚙️  Ensuring shared ptau (2^${power}) exists via generate-ptau.js...`);
+    const gen = path.join(__dirname, 'generate-ptau.js');
+    sh(`node "${gen}" --out "${ptauPath}" --power ${power}`, { cwd: repoRoot });
+    console.log(`✅ ptau ready at ${path.relative(repoRoot, ptauFinal)}`);
+  }
+}
+
 async function setupCircuits() {
   // --- recommend Node 18 (or 22) to avoid snarkjs CLI exit issue on Node 20 ---
   const major = parseInt(process.versions.node.split('.')[0], 10);
@@ -40,26 +66,34 @@ async function setupCircuits() {
 
   console.log('🔧 Setting up CipherPay Circuits...');
 
-  const circuits = ['transfer', 'withdraw', 'deposit'];
+  // Circuits, template parameters and depth variants come from circuits.config.json.
+  // `node scripts/setup.js transfer withdraw_depth20` builds a subset (by name or key);
+  // `--no-variants` builds only the default parameter sets.
+  const args = parseArgs(process.argv.slice(2));
+  const config = loadCircuitConfig();
+  let builds = expandBuilds(config, { variants: args.variants });
+  if (args.only.length) {
+    builds = builds.filter((b) => args.only.includes(b.key) || args.only.includes(b.name));
+    if (!builds.length) throw new Error(`No circuit matches: ${args.only.join(', ')}`);
+  }
+
+  // Public signal layouts are versioned in public-signals.schema.json: refuse to
+  // build circuits whose layout changed without regenerating (and bumping) it.
+  const schema = checkSchema({ config });
+  console.log(`🧾 Public signal schema v${schema.version}`);
+  // The SDK's types/circuits.d.ts is generated from the same sources
+  checkTypes({ config });
+
   const repoRoot = path.join(__dirname, '..');
   const buildRoot = path.join(repoRoot, 'build');
 
   if (!fs.existsSync(buildRoot)) fs.mkdirSync(buildRoot, { recursive: true });
 
   // ---- ptau settings ----
-  const ptauSize = 14;                 // adjust if your circuits need larger (2^14 >= 16384 constraints)
+  // Each circuit gets the smallest power that fits its constraint count
+  // (never below ptau.minPower), so deeper trees pick a larger ptau.
+  const minPower = config.ptau?.minPower ?? 14;
   const ptauPath = buildRoot;          // default requested
-  const ptauFinal = path.join(ptauPath, `pot${ptauSize}_final.ptau`);
-
-  // 1) Ensure ptau exists (skip generation if final file exists)
-  if (fs.existsSync(ptauFinal)) {
-    console.log(`✅ Using existing ptau: ${path.relative(repoRoot, ptauFinal)}`);
-  } else {
-    console.log('⚙️  Ensuring shared ptau exists via generate-ptau.js...');
-    const gen = path.join(__dirname, 'generate-ptau.js');
-    sh(`node "${gen}" --out "${ptauPath}" --power ${ptauSize}`, { cwd: repoRoot });
-    console.log(`✅ ptau ready at ${path.relative(repoRoot, ptauFinal)}`);
-  }
 
   // --- MINIMAL ADD: pick the compiler once and reuse ---
   const CIRCOM = resolveCircomBin();
@@ -70,37 +104,68 @@ async function setupCircuits() {
     console.log(`🧭 Using circom: ${CIRCOM}`);
   }
 
-  // 2) Compile & build each circuit
-  for (const circuitName of circuits) {
-    console.log(`\n📦 Building ${circuitName} circuit...`);
+  const manifestPath = path.join(buildRoot, 'manifest.json');
+  const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
 
-    const circuitPath = path.join(repoRoot, 'circuits', circuitName, `${circuitName}.circom`);
-    const circuitBuildDir = path.join(buildRoot, circuitName);
-    if (!fs.existsSync(circuitBuildDir)) fs.mkdirSync(circuitBuildDir, { recursive: true });
+  // 1) Generate main, compile & build each parameter set
+  for (const build of builds) {
+    const { key } = build;
+    console.log(`\n📦 Building ${key} circuit (${build.template}(${Object.values(build.params).join(', ')}))...`);
 
-    // 2a) circom compile -> r1cs + wasm
-    console.log(`  🧱 Compiling ${circuitName}...`);
+    const circuitBuildDir = path.join(buildRoot, key);
+    const circuitPath = writeMain(build, buildRoot);
+
+    // 1a) circom compile -> r1cs + wasm
+    console.log(`  🧱 Compiling ${key}...`);
     // MINIMAL CHANGE: use the resolved binary instead of bare "circom"
-    sh(`"${CIRCOM}" "${circuitPath}" --r1cs --wasm --output "${circuitBuildDir}" -l node_modules`, {
+    sh(`"${CIRCOM}" "${circuitPath}" --r1cs --wasm --sym --output "${circuitBuildDir}" -l node_modules`, {
       cwd: repoRoot,
     });
-    console.log(`  ✅ ${circuitName} compiled`);
-
-    // 2b) zkey + verification key (reuse shared ptau)
-    console.log(`  🔑 Generating zkey & vk for ${circuitName}...`);
-    await generateZkeyAndVk(circuitName, {
+    console.log(`  ✅ ${key} compiled`);
+
+    // 1b) size the ptau from the r1cs header
+    const r1cs = readR1csHeader(path.join(circuitBuildDir, `${key}.r1cs`));
+
+    // The compiled public signals must be exactly the schema's layout
+    const expected = publicSignalNames(key);
+    const compiled = symPublicSignals(path.join(circuitBuildDir, `${key}.sym`), r1cs.nOutputs + r1cs.nPubInputs);
+    if (JSON.stringify(compiled) !== JSON.stringify(expected)) {
+      throw new Error(`${key}: compiled public signals [${compiled.join(', ')}] differ from the schema [${expected.join(', ')}]`);
+    }
+    const ptauSize = ptauPowerFor(r1cs, minPower);
+    console.log(`  📏 ${r1cs.nConstraints} constraints -> ptau 2^${ptauSize}`);
+    ensurePtau(ptauSize, ptauPath, repoRoot);
+
+    // 1c) zkey + verification key (reuse shared ptau)
+    console.log(`  🔑 Generating zkey & vk for ${key}...`);
+    await generateZkeyAndVk(key, {
       autoGeneratePtau: false,     // we handled ptau already
       ptauSize,
       ptauPath,                    // <-- NEW: default is build/, you can override
     });
-    console.log(`  ✅ ${circuitName} zkey & vk ready`);
+    console.log(`  ✅ ${key} zkey & vk ready`);
+
+    // Outputs keyed by parameter set
+    manifest[key] = {
+      circuit: build.name,
+      template: build.template,
+      params: build.params,
+      public: build.public,
+      constraints: r1cs.nConstraints,
+      ptauPower: ptauSize,
+      wasm: `${key}/${key}_js/${key}.wasm`,
+      zkey: `${key}/${key}_final.zkey`,
+      vkey: `${key}/verification_key.json`,
+    };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
   }
 
   console.log('\n🎉 All circuits built successfully!');
   console.log('\n📁 Build artifacts:');
-  for (const circuitName of circuits) {
-    console.log(`  - ${circuitName}: build/${circuitName}/`);
+  for (const { key } of builds) {
+    console.log(`  - ${key}: build/${key}/`);
   }
+  console.log(`  - manifest: ${path.relative(repoRoot, manifestPath)}`);
 }
 
 setupCircuits().catch((err) => {
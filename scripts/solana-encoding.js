@@ -0,0 +1,210 @@
+// scripts/solana-encoding.js
+"use strict";
+
+/**
+ * Byte encodings the on-chain groth16-solana verifier expects (BN254).
+ *
+ *   proof          : pi_a (G1, 64) || pi_b (G2, 128) || pi_c (G1, 64) = 256 bytes, LE
+ *   public signals : 32 bytes LE per signal, in circuit order
+ *   payload        : proof || public signals
+ *   verification key, BE by default (matches cipherpay-anchor):
+ *     vk_alpha_1 (64) || vk_beta_2 (128) || vk_gamma_2 (128) || vk_delta_2 (128)
+ *     || [vk_alphabeta_12] || IC ((nPublic + 1) * 64)
+ *
+ * Used by generate-bin-proofs.js, convert-vk-bin-to-anchor.js and the SDK (index.js).
+ */
+
+// BN254 (bn128) scalar field prime
+const FQ = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+/* ----------------------------- bigint helpers ---------------------------- */
+function asBigInt(x) {
+  if (typeof x === "bigint") return x;
+  if (typeof x === "number") return BigInt(x);
+  if (typeof x === "string") return BigInt(x.trim()); // decimal or 0x-hex
+  if (Array.isArray(x) && x.length === 1) return asBigInt(x[0]);
+  if (x && typeof x === "object" && "toString" in x) return BigInt(x.toString());
+  throw new Error(`Cannot parse BigInt from: ${JSON.stringify(x)}`);
+}
+
+function normFq(x) {
+  let n = asBigInt(x) % FQ;
+  if (n < 0n) n += FQ;
+  return n;
+}
+
+/** 32-byte field element, "le" or "be" */
+function toBytes32(fe, endianness = "le") {
+  let v = normFq(fe);
+  const out = Buffer.alloc(32);
+  if (endianness === "le") {
+    for (let i = 0; i < 32; i++) { out[i] = Number(v & 0xffn); v >>= 8n; }
+  } else {
+    for (let i = 31; i >= 0; i--) { out[i] = Number(v & 0xffn); v >>= 8n; }
+  }
+  return out;
+}
+
+/** Inverse of toBytes32 (no reduction) */
+function fromBytes32(buf, endianness = "le") {
+  const bytes = Buffer.from(buf);
+  if (bytes.length !== 32) throw new Error(`expected 32 bytes, got ${bytes.length}`);
+  if (endianness === "le") bytes.reverse();
+  return BigInt("0x" + bytes.toString("hex"));
+}
+
+/* -------------------------------- parsers -------------------------------- */
+/** G1: accept [x,y], [x,y,z], {x,y}, {"0":x,"1":y}, or [[x,y]] */
+function parseG1(p) {
+  if (Array.isArray(p)) {
+    if (p.length >= 2 && !Array.isArray(p[0])) return [asBigInt(p[0]), asBigInt(p[1])];
+    if (p.length === 1 && Array.isArray(p[0]) && p[0].length >= 2) {
+      return [asBigInt(p[0][0]), asBigInt(p[0][1])];
+    }
+  } else if (p && typeof p === "object") {
+    if ("x" in p && "y" in p) return [asBigInt(p.x), asBigInt(p.y)];
+    if ("0" in p && "1" in p) return [asBigInt(p["0"]), asBigInt(p["1"])];
+  }
+  throw new Error(`Unrecognized G1 shape: ${JSON.stringify(p)}`);
+}
+
+/** G2: accept [[x0,x1],[y0,y1]] (z ignored), flat [x0,x1,y0,y1] or {x:[..],y:[..]} */
+function parseG2(p) {
+  const fq2 = (q) => {
+    if (Array.isArray(q)) {
+      if (q.length >= 2) return [asBigInt(q[0]), asBigInt(q[1])];
+    } else if (q && typeof q === "object") {
+      if ("c0" in q && "c1" in q) return [asBigInt(q.c0), asBigInt(q.c1)];
+      if ("0" in q && "1" in q) return [asBigInt(q["0"]), asBigInt(q["1"])];
+    }
+    throw new Error(`Unrecognized Fq2 shape: ${JSON.stringify(q)}`);
+  };
+
+  if (Array.isArray(p)) {
+    if (p.length === 4 && !Array.isArray(p[0])) {
+      return [asBigInt(p[0]), asBigInt(p[1]), asBigInt(p[2]), asBigInt(p[3])];
+    }
+    if (p.length >= 2 && Array.isArray(p[0]) && Array.isArray(p[1])) {
+      return [...fq2(p[0]), ...fq2(p[1])];
+    }
+  } else if (p && typeof p === "object" && "x" in p && "y" in p) {
+    return [...fq2(p.x), ...fq2(p.y)];
+  }
+  throw new Error(`Unrecognized G2 shape: ${JSON.stringify(p)}`);
+}
+
+/* -------------------------------- encoders ------------------------------- */
+function encG1(p, endianness = "le") {
+  const [x, y] = parseG1(p);
+  return Buffer.concat([toBytes32(x, endianness), toBytes32(y, endianness)]); // 64
+}
+
+function encG2(p, endianness = "le") {
+  const [x0, x1, y0, y1] = parseG2(p);
+  return Buffer.concat([
+    toBytes32(x0, endianness), toBytes32(x1, endianness),
+    toBytes32(y0, endianness), toBytes32(y1, endianness),
+  ]); // 128
+}
+
+/** Every G1 point nested anywhere in `val` (vk_alphabeta_12 comes in several shapes) */
+function collectG1PointsDeep(val, out = []) {
+  if (!val) return out;
+  if (Array.isArray(val)) {
+    const looksG1 = val.length >= 2 && !Array.isArray(val[0]) && !Array.isArray(val[1]);
+    if (looksG1) { out.push(val); return out; }
+    for (const el of val) collectG1PointsDeep(el, out);
+    return out;
+  }
+  if (typeof val === "object") {
+    if ("x" in val && "y" in val) { out.push(val); return out; }
+    for (const k of Object.keys(val)) collectG1PointsDeep(val[k], out);
+  }
+  return out;
+}
+
+/** 256-byte Groth16 proof: pi_a(G1)||pi_b(G2)||pi_c(G1), LE */
+function encodeProof(proof) {
+  if (!proof || !proof.pi_a || !proof.pi_b || !proof.pi_c) {
+    throw new Error("Malformed proof: missing pi_a/pi_b/pi_c");
+  }
+  return Buffer.concat([encG1(proof.pi_a), encG2(proof.pi_b), encG1(proof.pi_c)]);
+}
+
+/** 32 bytes LE per signal. Limbs (< 2^128) fill the low 16 bytes. */
+function encodePublicSignals(publicSignals) {
+  if (!Array.isArray(publicSignals)) throw new Error("publicSignals must be an array");
+  return Buffer.concat(publicSignals.map((s) => toBytes32(s, "le")));
+}
+
+/** proof || public signals, as submitted to the program */
+function encodePayload(proof, publicSignals) {
+  return Buffer.concat([encodeProof(proof), encodePublicSignals(publicSignals)]);
+}
+
+/**
+ * Verification key sections for groth16-solana. Throws on an unsupported key
+ * or an IC length other than nPublic + 1 (a warning instead with `force`).
+ * Returns { alpha, beta, gamma, delta, alphabeta, ic, nPublic, warnings }.
+ */
+function encodeVerificationKeySections(vk, { endianness = "be", includeAlphaBeta = false, nPublic, force = false } = {}) {
+  if (String(vk.protocol || "").toLowerCase() !== "groth16") throw new Error(`Unsupported protocol: ${vk.protocol}`);
+  const curve = String(vk.curve || "").toLowerCase();
+  if (curve !== "bn128" && curve !== "bn254") throw new Error(`Unsupported curve: ${vk.curve}`);
+
+  const icArr = Array.isArray(vk.IC) ? vk.IC : Array.isArray(vk.ic) ? vk.ic : null;
+  if (!vk.vk_alpha_1 || !vk.vk_beta_2 || !vk.vk_gamma_2 || !vk.vk_delta_2 || !icArr) {
+    throw new Error("Missing one or more required fields: vk_alpha_1, vk_beta_2, vk_gamma_2, vk_delta_2, IC");
+  }
+
+  // nPublic: explicit override, then the key's own field, then IC length - 1
+  const n = nPublic != null ? Number(nPublic) : vk.nPublic != null ? Number(vk.nPublic) : icArr.length - 1;
+  const warnings = [];
+  if (icArr.length !== n + 1) {
+    const msg = `IC length (${icArr.length}) != nPublic + 1 (${n + 1}).`;
+    if (!force) throw new Error(msg);
+    warnings.push(msg);
+  }
+
+  let alphabeta = Buffer.alloc(0);
+  if (includeAlphaBeta && vk.vk_alphabeta_12 !== undefined) {
+    const points = collectG1PointsDeep(vk.vk_alphabeta_12, []);
+    if (points.length === 0) warnings.push("vk_alphabeta_12 present but empty/unrecognized; encoding as empty.");
+    alphabeta = Buffer.concat(points.map((p) => encG1(p, endianness)));
+  }
+
+  return {
+    alpha: encG1(vk.vk_alpha_1, endianness),
+    beta: encG2(vk.vk_beta_2, endianness),
+    gamma: encG2(vk.vk_gamma_2, endianness),
+    delta: encG2(vk.vk_delta_2, endianness),
+    alphabeta,
+    ic: Buffer.concat(icArr.map((p) => encG1(p, endianness))),
+    nPublic: n,
+    warnings,
+  };
+}
+
+/** Flat verification key blob (see encodeVerificationKeySections for options) */
+function encodeVerificationKey(vk, opts = {}) {
+  const s = encodeVerificationKeySections(vk, opts);
+  return Buffer.concat([s.alpha, s.beta, s.gamma, s.delta, s.alphabeta, s.ic]);
+}
+
+module.exports = {
+  FQ,
+  asBigInt,
+  normFq,
+  toBytes32,
+  fromBytes32,
+  parseG1,
+  parseG2,
+  encG1,
+  encG2,
+  collectG1PointsDeep,
+  encodeProof,
+  encodePublicSignals,
+  encodePayload,
+  encodeVerificationKeySections,
+  encodeVerificationKey,
+};
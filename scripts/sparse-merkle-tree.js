@@ -0,0 +1,89 @@
+// scripts/sparse-merkle-tree.js
+"use strict";
+
+/**
+ * Poseidon sparse Merkle tree for SMTNonMembership (circuits/merkle/sparse_merkle.circom)
+ * and WithdrawBlocklist (circuits/withdraw_blocklist/).
+ *
+ * Same layout as circomlib's SMT: leaf = Poseidon(key, value, 1),
+ * node = Poseidon(left, right), empty subtree = 0, and bit i of the key picks
+ * the side at level i. The root only depends on the set of (key, value)
+ * pairs, never on insertion order.
+ *
+ *   const blocklist = await buildSparseMerkleTree(32, blockedCipherPayPubKeys);  // provider
+ *   publish(blocklist.root());
+ *   const { blocklistSiblings, blocklistOldKey, blocklistOldValue, blocklistIsOld0, blocklistRoot } =
+ *     await blocklist.exclusionProof(ownerCipherPayPubKey);                      // withdrawer
+ *
+ * Keys and values are BigInt; witness fields come back as BigInt too.
+ */
+
+const { newMemEmptyTrie } = require("circomlibjs");
+
+async function buildSparseMerkleTree(depth = 32, keys = []) {
+  const smt = await newMemEmptyTrie();
+  const F = smt.F;
+
+  async function find(key) {
+    const res = await smt.find(F.e(BigInt(key)));
+    return {
+      found: res.found,
+      siblings: res.siblings.map((s) => F.toObject(s)),
+      isOld0: res.isOld0,
+      oldKey: res.found ? 0n : F.toObject(res.notFoundKey),
+      oldValue: res.found ? 0n : F.toObject(res.notFoundValue),
+    };
+  }
+
+  const tree = {
+    depth,
+
+    root() {
+      return F.toObject(smt.root);
+    },
+
+    async has(key) {
+      return (await find(key)).found;
+    },
+
+    /** Adds `key` (value defaults to 1); throws if it is already present */
+    async insert(key, value = 1n) {
+      if (await tree.has(key)) throw new Error(`key ${key} is already in the tree`);
+      await smt.insert(F.e(BigInt(key)), F.e(BigInt(value)));
+    },
+
+    /** Removes `key`; throws if it is not present */
+    async delete(key) {
+      if (!(await tree.has(key))) throw new Error(`key ${key} is not in the tree`);
+      await smt.delete(F.e(BigInt(key)));
+    },
+
+    /**
+     * Witness that `key` is absent, named as WithdrawBlocklist expects it.
+     * isOld0 = 1 when the key's path ends in an empty subtree; otherwise it
+     * ends in another key's leaf, given as (oldKey, oldValue).
+     */
+    async exclusionProof(key) {
+      const res = await find(key);
+      if (res.found) throw new Error(`key ${key} is in the tree`);
+      if (res.siblings.length > depth) {
+        throw new Error(`key ${key} needs ${res.siblings.length} levels, tree depth is ${depth}`);
+      }
+      const siblings = res.siblings.concat(Array(depth - res.siblings.length).fill(0n));
+      return {
+        blocklistSiblings: siblings,
+        blocklistOldKey: res.isOld0 ? 0n : res.oldKey,
+        blocklistOldValue: res.isOld0 ? 0n : res.oldValue,
+        blocklistIsOld0: res.isOld0 ? 1 : 0,
+        blocklistRoot: tree.root(),
+      };
+    },
+  };
+
+  for (const k of keys) await tree.insert(k);
+  return tree;
+}
+
+module.exports = {
+  buildSparseMerkleTree,
+};
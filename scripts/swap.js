@@ -0,0 +1,180 @@
+// scripts/swap.js
+"use strict";
+
+/**
+ * Witness tooling for circuits/swap/swap.circom.
+ *
+ * Both parties agree on an order, then each proves its own leg with its own
+ * wallet, so no private key leaves its owner. Leg 1 appends after leg 0, so
+ * party 1 builds its leg once leg 0's output commitments are known:
+ *
+ *   const order = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+ *
+ *   const leg0 = await buildSwapLeg(order, 0, wallet0, note0, tree);     // party 0 gives 100 of token 1
+ *   const proof0 = await snarkjs.groth16.fullProve(leg0.input, ...);    // -> party 1
+ *
+ *   decodePublicSignals("swap_leg", proof0.publicSignals).outCommitment.forEach((c) => tree.insert(c));
+ *   const leg1 = await buildSwapLeg(order, 1, wallet1, note1, tree);     // party 1 gives 250 of token 2
+ *   const proof1 = await snarkjs.groth16.fullProve(leg1.input, ...);
+ *
+ *   await verifySwap(proof0, proof1);                                    // what the program checks
+ *
+ * Both proofs are submitted together; a leg is never valid on its own, so
+ * verifySwap only accepts a pair. checkSwapLegs is its pairing check alone.
+ *
+ * wallet = { walletPubKey, walletPrivKey, encPrivKey? }, note = { amount, randomness, tokenId, memo }.
+ * All values are BigInt; `input` holds decimal strings for snarkjs.
+ */
+
+const fs = require("fs");
+const snarkjs = require("snarkjs");
+const { poseidonHash: hash, randomFieldElement } = require("./poseidon");
+const { computeNullifier } = require("./nullifier");
+const { decodePublicSignals } = require("./public-signals");
+const { artifactsFor } = require("./artifacts");
+const { deriveCipherPayAddress } = require("./witness-inputs");
+
+// Output slots of a leg: [receive, change]
+const OUTPUTS = ["receive", "change"];
+
+/**
+ * Order both parties sign off on. Party p gives giveAmount[p] of tokenId[p].
+ *   orderHash = Poseidon(tokenId[0], giveAmount[0], tokenId[1], giveAmount[1], nonce)
+ */
+async function createSwapOrder({ tokenId, giveAmount, nonce = randomFieldElement() }) {
+  const t = tokenId.map(BigInt);
+  const g = giveAmount.map(BigInt);
+  if (t[0] === t[1]) throw new Error("a swap needs two different token ids");
+  if (g.some((x) => x < 0n || x >= 1n << 64n)) throw new Error("give amounts must be u64");
+
+  const n = BigInt(nonce);
+  return { tokenId: t, giveAmount: g, nonce: n, orderHash: await hash([t[0], g[0], t[1], g[1], n]) };
+}
+
+/**
+ * SwapLeg witness for party `side`, spending `note` and appending both outputs
+ * at the tree's next slots. For side 1, `tree` must already hold leg 0's
+ * outputs. `opts` may fix receiveRandomness / changeRandomness / receiveMemo /
+ * changeMemo (random randomness and zero memos by default).
+ * Returns { input, nullifier, outputs } where outputs[slot] = { commitment,
+ * amount, tokenId, cipherPayPubKey, randomness, memo } for slots receive, change.
+ */
+async function buildSwapLeg(order, side, wallet, note, tree, opts = {}) {
+  if (side !== 0 && side !== 1) throw new Error("side must be 0 or 1");
+  const other = 1 - side;
+  const tokenId = BigInt(note.tokenId);
+  const amount = BigInt(note.amount);
+  if (tokenId !== order.tokenId[side]) {
+    throw new Error(`party ${side} must spend token ${order.tokenId[side]}, note holds ${tokenId}`);
+  }
+  if (amount < order.giveAmount[side]) {
+    throw new Error(`party ${side} note holds ${amount}, order gives ${order.giveAmount[side]}`);
+  }
+
+  const address = await deriveCipherPayAddress(wallet);
+  const { cipherPayPubKey } = address;
+  const randomness = BigInt(note.randomness);
+  const memo = BigInt(note.memo ?? 0n);
+  const leafIndex = tree.indexOf(await hash([amount, cipherPayPubKey, randomness, tokenId, memo]));
+  if (leafIndex < 0) throw new Error(`party ${side} note is not in the tree`);
+  const { pathElements, pathIndices } = tree.path(leafIndex);
+
+  const notes = [
+    {
+      amount: order.giveAmount[other],
+      tokenId: order.tokenId[other],
+      cipherPayPubKey,
+      randomness: BigInt(opts.receiveRandomness ?? randomFieldElement()),
+      memo: BigInt(opts.receiveMemo ?? 0n),
+    },
+    {
+      amount: amount - order.giveAmount[side],
+      tokenId,
+      cipherPayPubKey,
+      randomness: BigInt(opts.changeRandomness ?? randomFieldElement()),
+      memo: BigInt(opts.changeMemo ?? 0n),
+    },
+  ];
+  for (const n of notes) {
+    n.commitment = await hash([n.amount, n.cipherPayPubKey, n.randomness, n.tokenId, n.memo]);
+  }
+  const { nextLeafIndex, pathElements: outPathElements } = tree.appendPaths(notes.map((n) => n.commitment));
+
+  const input = {
+    walletPubKey: BigInt(wallet.walletPubKey).toString(),
+    walletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+    encPubKey: address.encPubKey.map(String),
+    inAmount: amount.toString(),
+    inRandomness: randomness.toString(),
+    inMemo: memo.toString(),
+    inPathElements: pathElements.map(String),
+    inPathIndices: pathIndices,
+
+    tokenId: order.tokenId.map(String),
+    giveAmount: order.giveAmount.map(String),
+    orderNonce: order.nonce.toString(),
+
+    receiveRandomness: notes[0].randomness.toString(),
+    receiveMemo: notes[0].memo.toString(),
+    changeRandomness: notes[1].randomness.toString(),
+    changeMemo: notes[1].memo.toString(),
+
+    nextLeafIndex: String(nextLeafIndex),
+    outPathElements: outPathElements.map((p) => p.map(String)),
+
+    orderHash: order.orderHash.toString(),
+    side: String(side),
+  };
+  const nullifier = await computeNullifier(cipherPayPubKey, randomness, tokenId);
+  return { input, nullifier, outputs: Object.fromEntries(OUTPUTS.map((slot, j) => [slot, notes[j]])) };
+}
+
+/**
+ * The pairing the program requires of two swap_leg proofs (publicSignals as
+ * snarkjs returns them): one order, sides 0 and 1, leg 1 appending right
+ * after leg 0. Returns { orderHash, merkleRoot, newMerkleRoot, newNextLeafIndex }
+ * of the pair; merkleRoot must still be the tree's current root.
+ */
+function checkSwapLegs(leg0Signals, leg1Signals) {
+  const leg0 = decodePublicSignals("swap_leg", leg0Signals);
+  const leg1 = decodePublicSignals("swap_leg", leg1Signals);
+  if (leg0.side !== 0n || leg1.side !== 1n) throw new Error("expected legs for sides 0 and 1, in order");
+  if (leg0.orderHash !== leg1.orderHash) throw new Error("the legs fill different orders");
+  if (leg1.merkleRoot !== leg0.newMerkleRoot || leg1.newNextLeafIndex !== leg0.newNextLeafIndex + 2n) {
+    throw new Error("leg 1 does not append right after leg 0");
+  }
+  return {
+    orderHash: leg0.orderHash,
+    merkleRoot: leg0.merkleRoot,
+    newMerkleRoot: leg1.newMerkleRoot,
+    newNextLeafIndex: leg1.newNextLeafIndex,
+  };
+}
+
+/**
+ * Verify a swap: both legs ({ proof, publicSignals } as snarkjs returns them)
+ * must pair (checkSwapLegs) and verify against the swap_leg verification key.
+ * opts: { buildDir } or { vkey } (path or parsed verification_key.json).
+ * Returns checkSwapLegs' result; throws for a missing, unpaired or invalid leg.
+ */
+async function verifySwap(leg0, leg1, opts = {}) {
+  if (!leg0 || !leg1) throw new Error("a swap needs both legs; a single leg mints the other token");
+  const pair = checkSwapLegs(leg0.publicSignals, leg1.publicSignals);
+
+  const { vkey } = artifactsFor("swap_leg", opts, ["vkey"]);
+  const key = typeof vkey === "string" ? JSON.parse(fs.readFileSync(vkey, "utf8")) : vkey;
+  for (const [side, leg] of [leg0, leg1].entries()) {
+    if (!(await snarkjs.groth16.verify(key, leg.publicSignals, leg.proof))) {
+      throw new Error(`leg ${side} proof does not verify`);
+    }
+  }
+  return pair;
+}
+
+module.exports = {
+  OUTPUTS,
+  createSwapOrder,
+  buildSwapLeg,
+  checkSwapLegs,
+  verifySwap,
+};
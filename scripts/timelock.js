@@ -0,0 +1,72 @@
+// scripts/timelock.js
+"use strict";
+
+/**
+ * Timelocked notes (NoteCommitmentTimelocked in circuits/note_commitment/,
+ * spent by circuits/transfer_timelock/ and circuits/withdraw_timelock/).
+ *
+ *   tagged     = Poseidon(TIMELOCK_NOTE_TAG, amount, cipherPayPubKey, randomness, tokenId, memo)
+ *   commitment = Poseidon(tagged, unlockTime)
+ *
+ * A timelocked note can be spent once currentTime >= unlockTime, where
+ * currentTime is a public input the on-chain program checks against its clock.
+ * Encrypted timelocked notes carry unlockTime as a sixth field:
+ *
+ *   const payload = await encryptTimelockedNote(note, recipientEncPubKey);
+ *   // TransferTimelock: outXUnlockTime = note.unlockTime, encNoteXHash = payload.encNoteHash
+ *   const received = await decryptTimelockedNote(payload, encPrivKey);
+ *   if (isUnlocked(received, now)) { ... }
+ *
+ * note = { amount, cipherPayPubKey, randomness, tokenId, memo, unlockTime }; times are unix seconds (u64).
+ */
+
+const { poseidonHash: hash } = require("./poseidon");
+const { NOTE_FIELDS, encryptNote, decryptNote } = require("./note-encryption");
+
+const TIMELOCK_NOTE_TAG = 0x746cn; // "tl"
+const TIMELOCKED_NOTE_FIELDS = [...NOTE_FIELDS, "unlockTime"];
+const U64_MAX = (1n << 64n) - 1n;
+
+function toTime(value, name) {
+  const t = BigInt(value);
+  if (t < 0n || t > U64_MAX) throw new Error(`${name} must be a u64 unix time`);
+  return t;
+}
+
+/** NoteCommitmentTimelocked for `note` */
+async function computeTimelockedCommitment(note) {
+  const tagged = await hash([
+    TIMELOCK_NOTE_TAG,
+    note.amount,
+    note.cipherPayPubKey,
+    note.randomness,
+    note.tokenId,
+    note.memo ?? 0n,
+  ]);
+  return hash([tagged, toTime(note.unlockTime, "unlockTime")]);
+}
+
+/** Whether AssertUnlocked(note.unlockTime, currentTime) holds */
+function isUnlocked(note, currentTime) {
+  return toTime(note.unlockTime, "unlockTime") <= toTime(currentTime, "currentTime");
+}
+
+/** encryptNote over the 6 timelocked fields (NoteEncryptionFields(6) in the circuit) */
+async function encryptTimelockedNote(note, encPubKey, ephemeralKey) {
+  toTime(note.unlockTime, "unlockTime");
+  return encryptNote(note, encPubKey, ephemeralKey, TIMELOCKED_NOTE_FIELDS);
+}
+
+/** decryptNote for a TransferTimelock output */
+async function decryptTimelockedNote(payload, encPrivKey) {
+  return decryptNote(payload, encPrivKey, TIMELOCKED_NOTE_FIELDS);
+}
+
+module.exports = {
+  TIMELOCK_NOTE_TAG,
+  TIMELOCKED_NOTE_FIELDS,
+  computeTimelockedCommitment,
+  isUnlocked,
+  encryptTimelockedNote,
+  decryptTimelockedNote,
+};
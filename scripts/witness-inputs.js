@@ -0,0 +1,362 @@
+// scripts/witness-inputs.js
+"use strict";
+
+/**
+ * Provable witness inputs for Deposit, Transfer, Withdraw and WithdrawPartial,
+ * built from wallet keys, notes and the current tree. Every derived value is
+ * the Poseidon value the circuits recompute:
+ *
+ *   spendingPubKey  = Poseidon(walletPubKey, walletPrivKey)
+ *   cipherPayPubKey = Poseidon(spendingPubKey, encPubKey.x, encPubKey.y)
+ *   commitment      = Poseidon(amount, cipherPayPubKey, randomness, tokenId, memo)
+ *   depositHash     = Poseidon(cipherPayPubKey, amount, nonce)
+ *   nullifier       = Poseidon(cipherPayPubKey, randomness, tokenId)
+ *
+ * encPubKey is the wallet's encryption key (deriveEncryptionKeyPair in
+ * scripts/note-encryption.js, or wallet.encPrivKey when set). A wallet's
+ * address is { spendingPubKey, encPubKey }: senders derive the recipient's
+ * cipherPayPubKey from it in-circuit, so a note is always encrypted to the key
+ * its owner can decrypt with.
+ *
+ *   const dep = await buildDepositInput(wallet, { amount: 100n, tokenId: 1n }, tree);
+ *   fund(dep.depositHash);                              // then prove dep.input
+ *   tree.insert(dep.note.commitment);
+ *
+ *   const tx = await buildTransferInput(wallet, dep.note, tree, {
+ *     recipient: await deriveCipherPayAddress(bob), amount: 80n,
+ *   });
+ *
+ *   const wd = await buildWithdrawInput(wallet, note, tree, { recipientOwner: "<base58>" });
+ *   const pw = await buildPartialWithdrawInput(wallet, note, tree, { recipientOwner, withdrawAmount: 30n });
+ *   tree.insert(pw.change.commitment);                  // once the proof lands
+ *
+ * wallet = { walletPubKey, walletPrivKey, encPrivKey? }, note = { amount, randomness, tokenId, memo }.
+ * All values are BigInt; `input` holds decimal strings for snarkjs.
+ */
+
+const { poseidonHash: hash, randomFieldElement } = require("./poseidon");
+const { encryptNote, generateEncryptionKeyPair, deriveEncryptionKeyPair } = require("./note-encryption");
+const { computeNullifier } = require("./nullifier");
+const { toLimbsFromAny } = require("./recipient-owner");
+
+function toU64(value, name) {
+  const v = BigInt(value);
+  if (v < 0n || v >= 1n << 64n) throw new Error(`${name} must be u64`);
+  return v;
+}
+
+/** spendingPubKey = Poseidon(walletPubKey, walletPrivKey) */
+async function deriveSpendingPubKey(wallet) {
+  return hash([wallet.walletPubKey, wallet.walletPrivKey]);
+}
+
+/** cipherPayPubKey = Poseidon(spendingPubKey, encPubKey.x, encPubKey.y) (CipherPayPubKey) */
+async function computeCipherPayPubKey(spendingPubKey, encPubKey) {
+  return hash([BigInt(spendingPubKey), ...encPubKey.map(BigInt)]);
+}
+
+/** The wallet's encryption key pair: wallet.encPrivKey if set, else derived from walletPrivKey */
+async function walletEncryptionKeyPair(wallet) {
+  if (wallet.encPrivKey != null) return generateEncryptionKeyPair(wallet.encPrivKey);
+  return deriveEncryptionKeyPair(wallet.walletPrivKey);
+}
+
+/**
+ * The wallet's address { spendingPubKey, encPubKey }, which it hands to
+ * senders, and the cipherPayPubKey its notes are committed to.
+ */
+async function deriveCipherPayAddress(wallet) {
+  const spendingPubKey = await deriveSpendingPubKey(wallet);
+  const { pubKey: encPubKey } = await walletEncryptionKeyPair(wallet);
+  return { spendingPubKey, encPubKey, cipherPayPubKey: await computeCipherPayPubKey(spendingPubKey, encPubKey) };
+}
+
+async function deriveCipherPayPubKey(wallet) {
+  return (await deriveCipherPayAddress(wallet)).cipherPayPubKey;
+}
+
+/** NoteCommitment over { amount, cipherPayPubKey, randomness, tokenId, memo } */
+async function computeNoteCommitment(note) {
+  return hash([note.amount, note.cipherPayPubKey, note.randomness, note.tokenId, note.memo ?? 0n]);
+}
+
+async function computeDepositHash(cipherPayPubKey, amount, nonce) {
+  return hash([cipherPayPubKey, amount, nonce]);
+}
+
+/** A note owned by `address` (deriveCipherPayAddress), with cipherPayPubKey and commitment filled in */
+async function ownedNote(address, note) {
+  const full = {
+    amount: toU64(note.amount, "note amount"),
+    cipherPayPubKey: address.cipherPayPubKey,
+    randomness: BigInt(note.randomness),
+    tokenId: BigInt(note.tokenId),
+    memo: BigInt(note.memo ?? 0n),
+  };
+  full.commitment = await computeNoteCommitment(full);
+  return full;
+}
+
+/** Membership path of a wallet-owned note; throws if the note is not in `tree` */
+function notePath(tree, note) {
+  const leafIndex = tree.indexOf(note.commitment);
+  if (leafIndex < 0) throw new Error("note is not in the tree");
+  return { leafIndex, ...tree.path(leafIndex) };
+}
+
+/** feeRecipient_lo/hi limbs; a recipient is only required when fee > 0 */
+function feeRecipientLimbs(fee, feeRecipient) {
+  if (feeRecipient != null) return toLimbsFromAny(feeRecipient);
+  if (fee > 0n) throw new Error("a non-zero fee needs a feeRecipient");
+  return { lo: "0", hi: "0" };
+}
+
+/**
+ * Deposit witness inserting a new note at the tree's next slot.
+ * `note.randomness` is random if omitted; `opts.nonce` binds depositHash.
+ * Returns { input, note, depositHash, nonce }; `note` includes the commitment
+ * to insert once the deposit lands.
+ */
+async function buildDepositInput(wallet, note, tree, opts = {}) {
+  const address = await deriveCipherPayAddress(wallet);
+  const full = await ownedNote(address, { ...note, randomness: note.randomness ?? randomFieldElement() });
+  const nonce = BigInt(opts.nonce ?? randomFieldElement());
+  const depositHash = await computeDepositHash(full.cipherPayPubKey, full.amount, nonce);
+  const { nextLeafIndex, inPathElements, inPathIndices, oldMerkleRoot } = tree.depositPath();
+
+  const input = {
+    ownerWalletPubKey: BigInt(wallet.walletPubKey).toString(),
+    ownerWalletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+    ownerEncPubKey: address.encPubKey.map(String),
+    randomness: full.randomness.toString(),
+    tokenId: full.tokenId.toString(),
+    memo: full.memo.toString(),
+
+    inPathElements: inPathElements.map(String),
+    inPathIndices,
+    nextLeafIndex: String(nextLeafIndex),
+
+    nonce: nonce.toString(),
+    amount: full.amount.toString(),
+    depositHash: depositHash.toString(),
+    oldMerkleRoot: oldMerkleRoot.toString(),
+  };
+  return { input, note: full, depositHash, nonce };
+}
+
+/**
+ * Transfer witness spending the wallet's `note`: `amount` goes to `recipient`,
+ * an address { spendingPubKey, encPubKey } (deriveCipherPayAddress), and the
+ * rest minus `fee` comes back to the wallet's own address as change.
+ *
+ * params: { recipient, amount, fee = 0, feeRecipient, memo = 0,
+ *           out1Randomness, out2Randomness, out1EphemeralKey, out2EphemeralKey }
+ * (randomness and ephemeral keys are random if omitted).
+ *
+ * Returns { input, nullifier, outputs: [out1, out2] } where outputs[j] =
+ * { amount, cipherPayPubKey, randomness, tokenId, memo, commitment, payload }
+ * and payload is encryptNote's result: relay its { ephemeralPubKey, ciphertext }
+ * with the proof.
+ */
+async function buildTransferInput(wallet, note, tree, params) {
+  const address = await deriveCipherPayAddress(wallet);
+  const spent = await ownedNote(address, note);
+  const { pathElements, pathIndices } = notePath(tree, spent);
+
+  const amount = toU64(params.amount, "amount");
+  const fee = toU64(params.fee ?? 0n, "fee");
+  if (amount + fee > spent.amount) {
+    throw new Error(`note holds ${spent.amount}, transfer needs ${amount + fee} including the fee`);
+  }
+  const feeRecipient = feeRecipientLimbs(fee, params.feeRecipient);
+
+  const { spendingPubKey, encPubKey } = params.recipient;
+  if (spendingPubKey == null || !encPubKey) {
+    throw new Error("recipient must be an address { spendingPubKey, encPubKey } (deriveCipherPayAddress)");
+  }
+  const slots = [
+    {
+      amount,
+      spendingPubKey: BigInt(spendingPubKey),
+      encPubKey: encPubKey.map(BigInt),
+      randomness: params.out1Randomness,
+      memo: params.memo,
+      ephemeralKey: params.out1EphemeralKey,
+    },
+    {
+      amount: spent.amount - amount - fee,
+      spendingPubKey: address.spendingPubKey,
+      encPubKey: address.encPubKey,
+      randomness: params.out2Randomness,
+      memo: 0n,
+      ephemeralKey: params.out2EphemeralKey,
+    },
+  ];
+  const outputs = [];
+  for (const s of slots) {
+    const out = {
+      amount: s.amount,
+      cipherPayPubKey: await computeCipherPayPubKey(s.spendingPubKey, s.encPubKey),
+      randomness: BigInt(s.randomness ?? randomFieldElement()),
+      tokenId: spent.tokenId,
+      memo: BigInt(s.memo ?? 0n),
+    };
+    out.commitment = await computeNoteCommitment(out);
+    out.payload = await encryptNote(out, s.encPubKey, s.ephemeralKey);
+    outputs.push(out);
+  }
+
+  const { nextLeafIndex, out1PathElements, out2PathElements } = tree.transferPaths();
+  const noteInputs = (j) => {
+    const out = outputs[j - 1];
+    return {
+      [`out${j}Amount`]: out.amount.toString(),
+      [`out${j}RecipientSpendingPubKey`]: slots[j - 1].spendingPubKey.toString(),
+      [`out${j}Randomness`]: out.randomness.toString(),
+      [`out${j}TokenId`]: out.tokenId.toString(),
+      [`out${j}Memo`]: out.memo.toString(),
+      [`out${j}RecipientEncPubKey`]: slots[j - 1].encPubKey.map(String),
+      [`out${j}EphemeralKey`]: out.payload.ephemeralKey.toString(),
+    };
+  };
+
+  const input = {
+    inAmount: spent.amount.toString(),
+    inSenderWalletPubKey: BigInt(wallet.walletPubKey).toString(),
+    inSenderWalletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+    inSenderEncPubKey: address.encPubKey.map(String),
+    inRandomness: spent.randomness.toString(),
+    inTokenId: spent.tokenId.toString(),
+    inMemo: spent.memo.toString(),
+    inPathElements: pathElements.map(String),
+    inPathIndices: pathIndices,
+    inIsDummy: "0",
+    dummyMerkleRoot: "0",
+
+    ...noteInputs(1),
+    ...noteInputs(2),
+
+    nextLeafIndex: String(nextLeafIndex),
+    out1PathElements: out1PathElements.map(String),
+    out2PathElements: out2PathElements.map(String),
+
+    encNote1Hash: outputs[0].payload.encNoteHash.toString(),
+    encNote2Hash: outputs[1].payload.encNoteHash.toString(),
+
+    fee: fee.toString(),
+    feeRecipient_lo: feeRecipient.lo,
+    feeRecipient_hi: feeRecipient.hi,
+  };
+  const nullifier = await computeNullifier(spent.cipherPayPubKey, spent.randomness, spent.tokenId);
+  return { input, nullifier, outputs };
+}
+
+/**
+ * Withdraw witness paying the wallet's `note` out to `recipientOwner`
+ * (Solana pubkey: base58, 32-byte hex or bytes) less `fee`.
+ * params: { recipientOwner, fee = 0, feeRecipient }. Returns { input, nullifier }.
+ */
+async function buildWithdrawInput(wallet, note, tree, params) {
+  const address = await deriveCipherPayAddress(wallet);
+  const spent = await ownedNote(address, note);
+  const { pathElements, pathIndices } = notePath(tree, spent);
+
+  const fee = toU64(params.fee ?? 0n, "fee");
+  if (fee > spent.amount) throw new Error(`fee ${fee} exceeds the note amount ${spent.amount}`);
+  const owner = toLimbsFromAny(params.recipientOwner);
+  const feeRecipient = feeRecipientLimbs(fee, params.feeRecipient);
+
+  const input = {
+    recipientWalletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+    randomness: spent.randomness.toString(),
+    memo: spent.memo.toString(),
+    pathElements: pathElements.map(String),
+    pathIndices,
+    commitment: spent.commitment.toString(),
+
+    recipientOwner_lo: owner.lo,
+    recipientOwner_hi: owner.hi,
+    recipientWalletPubKey: BigInt(wallet.walletPubKey).toString(),
+    recipientEncPubKey: address.encPubKey.map(String),
+    amount: spent.amount.toString(),
+    tokenId: spent.tokenId.toString(),
+
+    fee: fee.toString(),
+    feeRecipient_lo: feeRecipient.lo,
+    feeRecipient_hi: feeRecipient.hi,
+  };
+  const nullifier = await computeNullifier(spent.cipherPayPubKey, spent.randomness, spent.tokenId);
+  return { input, nullifier };
+}
+
+/**
+ * WithdrawPartial witness paying `withdrawAmount` of the wallet's `note` out to
+ * `recipientOwner` and `fee` to `feeRecipient`; the rest comes back as a change
+ * note, appended at the tree's next slot.
+ * params: { recipientOwner, withdrawAmount, fee = 0, feeRecipient, changeRandomness, changeMemo = 0 }.
+ * Returns { input, nullifier, change } with change = { ...note fields, commitment }.
+ */
+async function buildPartialWithdrawInput(wallet, note, tree, params) {
+  const address = await deriveCipherPayAddress(wallet);
+  const spent = await ownedNote(address, note);
+  const { pathElements, pathIndices } = notePath(tree, spent);
+
+  const withdrawAmount = toU64(params.withdrawAmount, "withdrawAmount");
+  const fee = toU64(params.fee ?? 0n, "fee");
+  if (withdrawAmount + fee > spent.amount) {
+    throw new Error(`note holds ${spent.amount}, withdraw needs ${withdrawAmount + fee} including the fee`);
+  }
+  const owner = toLimbsFromAny(params.recipientOwner);
+  const feeRecipient = feeRecipientLimbs(fee, params.feeRecipient);
+
+  const change = {
+    amount: spent.amount - withdrawAmount - fee,
+    cipherPayPubKey: spent.cipherPayPubKey,
+    randomness: BigInt(params.changeRandomness ?? randomFieldElement()),
+    tokenId: spent.tokenId,
+    memo: BigInt(params.changeMemo ?? 0n),
+  };
+  change.commitment = await computeNoteCommitment(change);
+  const append = tree.appendPaths([change.commitment]);
+
+  const input = {
+    recipientWalletPrivKey: BigInt(wallet.walletPrivKey).toString(),
+    amount: spent.amount.toString(),
+    randomness: spent.randomness.toString(),
+    memo: spent.memo.toString(),
+    pathElements: pathElements.map(String),
+    pathIndices,
+    commitment: spent.commitment.toString(),
+
+    changeRandomness: change.randomness.toString(),
+    changeMemo: change.memo.toString(),
+    nextLeafIndex: String(append.nextLeafIndex),
+    changePathElements: append.pathElements[0].map(String),
+
+    recipientOwner_lo: owner.lo,
+    recipientOwner_hi: owner.hi,
+    recipientWalletPubKey: BigInt(wallet.walletPubKey).toString(),
+    recipientEncPubKey: address.encPubKey.map(String),
+    withdrawAmount: withdrawAmount.toString(),
+    tokenId: spent.tokenId.toString(),
+
+    fee: fee.toString(),
+    feeRecipient_lo: feeRecipient.lo,
+    feeRecipient_hi: feeRecipient.hi,
+  };
+  const nullifier = await computeNullifier(spent.cipherPayPubKey, spent.randomness, spent.tokenId);
+  return { input, nullifier, change };
+}
+
+module.exports = {
+  deriveSpendingPubKey,
+  computeCipherPayPubKey,
+  deriveCipherPayAddress,
+  deriveCipherPayPubKey,
+  computeNoteCommitment,
+  computeDepositHash,
+  buildDepositInput,
+  buildTransferInput,
+  buildWithdrawInput,
+  buildPartialWithdrawInput,
+};
@@ -0,0 +1,104 @@
+const { buildAssociationTree, buildDepositSet } = require('../scripts/association-tree');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const {
+    deriveCipherPayAddress,
+    buildDepositInput,
+    buildTransferInput,
+    buildWithdrawInput
+} = require('../scripts/witness-inputs');
+const { rootFromPath, witnessBuilt, calculateWitness } = require('./helpers');
+
+const alice = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+const bob = { walletPubKey: 2222222222n, walletPrivKey: 3333333333n };
+const recipientOwner = '0x' + '01'.repeat(32);
+
+// Alice and Bob each deposit; Alice then pays Bob 80 of hers, so Bob also
+// holds a Transfer output. The provider approves both deposit commitments.
+async function depositsAndTransfer() {
+    const tree = await buildMerkleTree(16, [11n]);
+    const deposits = [];
+    for (const [wallet, amount] of [[alice, 100n], [bob, 50n]]) {
+        const dep = await buildDepositInput(wallet, { amount, tokenId: 1n }, tree);
+        tree.insert(dep.note.commitment);
+        deposits.push(dep.note);
+    }
+    const tx = await buildTransferInput(alice, deposits[0], tree, { recipient: await deriveCipherPayAddress(bob), amount: 80n });
+    tx.outputs.forEach(o => tree.insert(o.commitment));
+
+    const set = await buildAssociationTree(deposits.map(n => n.commitment));
+    return { tree, set, deposits, received: tx.outputs[0] };
+}
+
+describe('Association Tree', () => {
+    it('should give the same root for the same set in any order', async () => {
+        const a = await buildAssociationTree([30n, 10n, 20n], 4);
+        const b = await buildAssociationTree(['20', 10n, 30n, 10n], 4);
+
+        expect(a.leaves).toEqual([10n, 20n, 30n]);
+        expect(b.root).toBe(a.root);
+        expect(a.root).toBe((await buildMerkleTree(4, [10n, 20n, 30n])).root());
+    });
+
+    it('should prove membership the way WithdrawAssociation checks it', async () => {
+        const set = await buildAssociationTree([30n, 10n, 20n], 4);
+        const { associationPathElements, associationPathIndices, associationRoot } = set.membershipProof(20n);
+
+        expect(associationRoot).toBe(set.root);
+        expect(associationPathElements).toHaveLength(4);
+        expect(await rootFromPath(20n, associationPathElements, associationPathIndices)).toBe(set.root);
+    });
+
+    it('should refuse commitments outside the set and oversized sets', async () => {
+        const set = await buildAssociationTree([1n, 2n], 4);
+
+        expect(set.has(2n)).toBe(true);
+        expect(set.has(3n)).toBe(false);
+        expect(() => set.membershipProof(3n)).toThrow(/not in the association set/);
+        await expect(buildAssociationTree([1n, 2n, 3n, 4n, 5n], 2)).rejects.toThrow(/do not fit/);
+    });
+
+    it('should name a deposit set\'s proof as WithdrawBlocklist expects it', async () => {
+        const set = await buildDepositSet([30n, 10n, 20n], 4);
+        const { depositPathElements, depositPathIndices, depositRoot } = set.membershipProof(20n);
+
+        expect(depositRoot).toBe((await buildAssociationTree([10n, 20n, 30n], 4)).root);
+        expect(await rootFromPath(20n, depositPathElements, depositPathIndices)).toBe(set.root);
+        expect(() => set.membershipProof(3n)).toThrow(/not in the deposit set/);
+    });
+
+    it('should have no membership proof for a transferred note', async () => {
+        const { set, deposits, received } = await depositsAndTransfer();
+
+        expect(deposits.every(n => set.has(n.commitment))).toBe(true);
+        expect(set.has(received.commitment)).toBe(false);
+        expect(() => set.membershipProof(received.commitment)).toThrow(/not in the association set/);
+    });
+
+    describe('withdraw_association circuit', () => {
+        it('should withdraw a deposited note and reject a transferred one', async () => {
+            if (!witnessBuilt('withdraw_association')) {
+                console.log('⚠️ withdraw_association circuit not built, skipping test');
+                return;
+            }
+            const { tree, set, deposits, received } = await depositsAndTransfer();
+            const assocInput = (commitment) => {
+                const proof = set.membershipProof(commitment);
+                return {
+                    associationPathElements: proof.associationPathElements.map(String),
+                    associationPathIndices: proof.associationPathIndices,
+                    associationRoot: proof.associationRoot.toString()
+                };
+            };
+
+            // [1, nullifier, merkleRoot, ...]
+            const wd = await buildWithdrawInput(bob, deposits[1], tree, { recipientOwner });
+            const witness = await calculateWitness('withdraw_association', { ...wd.input, ...assocInput(deposits[1].commitment) });
+            expect(witness.slice(1, 3)).toEqual([wd.nullifier, tree.root()]);
+
+            // Bob's transferred note under the path of the deposit it came from
+            const spent = await buildWithdrawInput(bob, received, tree, { recipientOwner });
+            await expect(calculateWitness('withdraw_association', { ...spent.input, ...assocInput(deposits[0].commitment) }))
+                .rejects.toThrow(/template WithdrawAssociation_/);
+        });
+    });
+});
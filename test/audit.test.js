@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    deriveViewingKey,
+    computeAuditTag,
+    buildAuditInput,
+    generateDisclosureProofs,
+    verifyDisclosure
+} = require('../scripts/audit');
+const { deriveCipherPayPubKey } = require('../scripts/witness-inputs');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const { poseidonHash } = require('./helpers');
+
+const wallet = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+const notes = [
+    { amount: 100n, randomness: 9876543210n, tokenId: 1n, memo: 0n },
+    { amount: 7n, randomness: 5555555555n, tokenId: 2n, memo: 42n }
+];
+
+// Tree with two foreign leaves followed by the wallet's notes
+async function walletTree() {
+    const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+    const tree = await buildMerkleTree(16, [11n, 22n]);
+    for (const n of notes) {
+        tree.insert(await poseidonHash([n.amount, cipherPayPubKey, n.randomness, n.tokenId, n.memo]));
+    }
+    return tree;
+}
+
+describe('Audit Disclosure', () => {
+    // generateDisclosureProofs / verifyDisclosure start snarkjs' curve threads
+    afterAll(async () => globalThis.curve_bn128 && globalThis.curve_bn128.terminate());
+
+    it('should derive a viewing key separate from the CipherPay pubkey', async () => {
+        const viewingKey = await deriveViewingKey(wallet.walletPrivKey);
+
+        expect(viewingKey).toBe(await poseidonHash([0x766b, wallet.walletPrivKey]));
+        expect(viewingKey).not.toBe(await deriveCipherPayPubKey(wallet));
+        expect(await computeAuditTag(viewingKey, 5n)).toBe(await poseidonHash([viewingKey, 5n]));
+    });
+
+    it('should locate each note in the tree and disclose its fields', async () => {
+        const tree = await walletTree();
+
+        for (const [i, note] of notes.entries()) {
+            const { leafIndex, input } = await buildAuditInput(wallet, note, tree);
+            expect(leafIndex).toBe(2 + i);
+            expect(BigInt(input.commitment)).toBe(tree.leaf(leafIndex));
+            expect(input.amount).toBe(note.amount.toString());
+            expect(input.tokenId).toBe(note.tokenId.toString());
+            expect(input.pathElements).toHaveLength(16);
+        }
+    });
+
+    it("should refuse notes the wallet does not own", async () => {
+        const tree = await walletTree();
+        const other = { walletPubKey: 1n, walletPrivKey: 2n };
+
+        await expect(buildAuditInput(other, notes[0], tree)).rejects.toThrow(/not in the tree/);
+        await expect(buildAuditInput(wallet, { ...notes[0], leafIndex: 3 }, tree)).rejects.toThrow(/does not hold/);
+    });
+
+    it('should resolve disclosure artifacts from { buildDir }', async () => {
+        const tree = await walletTree();
+        const buildDir = path.join(__dirname, 'no-such-build');
+        await expect(generateDisclosureProofs(wallet, [notes[0]], tree, { buildDir }))
+            .rejects.toThrow(/audit is not built: missing wasm .*no-such-build/);
+        await expect(verifyDisclosure({ proof: {}, publicSignals: [] }, 1n, { buildDir }))
+            .rejects.toThrow(/audit is not built/);
+    });
+
+    it('should prove disclosures only the viewing-key holder can attribute', async () => {
+        const buildPath = path.join(__dirname, '../build/audit');
+        const wasmPath = path.join(buildPath, 'audit_js/audit.wasm');
+        const zkeyPath = path.join(buildPath, 'audit_final.zkey');
+        const vkPath = path.join(buildPath, 'verification_key.json');
+
+        if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
+            console.log('⚠️ Audit circuit not built, skipping test');
+            return;
+        }
+
+        const tree = await walletTree();
+        const [disclosure] = await generateDisclosureProofs(wallet, [notes[0]], tree, { buildDir: path.dirname(buildPath) });
+        expect(disclosure.merkleRoot).toBe(tree.root());
+        expect(disclosure.amount).toBe(100n);
+
+        const viewingKey = await deriveViewingKey(wallet.walletPrivKey);
+        expect(await verifyDisclosure(disclosure, viewingKey, { vkey: vkPath })).toBe(true);
+        expect(await verifyDisclosure(disclosure, await deriveViewingKey(2n), { vkey: vkPath })).toBe(false);
+    }, 60000);
+});
@@ -0,0 +1,51 @@
+const { buildBalanceProofInput } = require('../scripts/balance-proof');
+const { deriveCipherPayPubKey, computeNoteCommitment } = require('../scripts/witness-inputs');
+const { computeNullifier } = require('../scripts/nullifier');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const { buildSparseMerkleTree } = require('../scripts/sparse-merkle-tree');
+const { poseidonHash } = require('./helpers');
+
+const wallet = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+const notes = [100n, 50n, 30n].map((amount, i) => ({ amount, randomness: 1000n + BigInt(i), tokenId: 1n, memo: 0n }));
+
+async function walletTree() {
+    const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+    const leaves = [];
+    for (const note of notes) leaves.push(7n, await computeNoteCommitment({ ...note, cipherPayPubKey }));
+    return buildMerkleTree(16, leaves);
+}
+
+describe('Balance Proof', () => {
+    it('should order the notes by nullifier and pad with zero-amount slots', async () => {
+        const tree = await walletTree();
+        const spent = await buildSparseMerkleTree(32, [11n]);
+        const { input, nullifiers, nullifierSetHash, total } = await buildBalanceProofInput(wallet, notes, tree, spent, { n: 4, threshold: 180n });
+
+        const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+        const expected = await Promise.all(notes.map(n => computeNullifier(cipherPayPubKey, n.randomness, 1n)));
+        expect(nullifiers).toEqual([...expected].sort((a, b) => (a < b ? -1 : 1)));
+        expect(nullifierSetHash).toBe(await poseidonHash([...nullifiers, 0n]));
+        expect(total).toBe(180n);
+
+        expect(input.amount[3]).toBe('0');
+        expect(input.nullifierSiblings[3].every(s => s === '0')).toBe(true);
+        expect(input.merkleRoot).toBe(tree.root().toString());
+        expect(input.nullifierRoot).toBe(spent.root().toString());
+        const byNullifier = new Map(expected.map((nul, i) => [nul, notes[i]]));
+        expect(input.randomness.slice(0, 3)).toEqual(nullifiers.map(nul => byNullifier.get(nul).randomness.toString()));
+    });
+
+    it('should refuse spent, missing, repeated and insufficient notes', async () => {
+        const tree = await walletTree();
+        const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+        const spent = await buildSparseMerkleTree(32, [await computeNullifier(cipherPayPubKey, notes[1].randomness, 1n)]);
+        const empty = await buildSparseMerkleTree(32);
+        const params = { n: 4, threshold: 0n };
+
+        await expect(buildBalanceProofInput(wallet, notes, tree, spent, params)).rejects.toThrow(/leaf 3 is spent/);
+        await expect(buildBalanceProofInput(wallet, [{ ...notes[0], randomness: 1n }], tree, empty, params)).rejects.toThrow(/not in the tree/);
+        await expect(buildBalanceProofInput(wallet, [notes[0], notes[0]], tree, empty, params)).rejects.toThrow(/given twice/);
+        await expect(buildBalanceProofInput(wallet, notes, tree, empty, { n: 2, threshold: 0n })).rejects.toThrow(/1 to 2 notes/);
+        await expect(buildBalanceProofInput(wallet, notes, tree, empty, { n: 4, threshold: 181n })).rejects.toThrow(/below the threshold 181/);
+    });
+});
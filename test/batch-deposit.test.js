@@ -0,0 +1,49 @@
+const { computeBatchDepositHash, buildBatchDepositInput } = require('../scripts/batch-deposit');
+const { computeNoteCommitment } = require('../scripts/witness-inputs');
+const { buildMerkleTree, indexToPathIndices } = require('../scripts/merkle-tree');
+const { poseidonHash, rootFromPath } = require('./helpers');
+
+const deposits = [
+    { cipherPayPubKey: 2222222222n, amount: 10n, randomness: 1n },
+    { cipherPayPubKey: 3333333333n, amount: 20n, randomness: 2n },
+    { cipherPayPubKey: 4444444444n, amount: 30n, randomness: 3n, memo: 9n },
+    { cipherPayPubKey: 5555555555n, amount: 40n, randomness: 4n }
+];
+
+describe('Batch Deposit', () => {
+    it('should fold every (owner, amount) pair into depositHash in order', async () => {
+        let acc = 7n;
+        for (const d of deposits) acc = await poseidonHash([acc, d.cipherPayPubKey, d.amount]);
+
+        expect(await computeBatchDepositHash(deposits, 7n)).toBe(acc);
+        expect(await computeBatchDepositHash([deposits[1], deposits[0], ...deposits.slice(2)], 7n)).not.toBe(acc);
+        expect(await computeBatchDepositHash([], 7n)).toBe(7n);
+    });
+
+    it('should build the BatchDeposit witness at the next K slots', async () => {
+        const tree = await buildMerkleTree(16, [5n, 6n, 7n]);
+        const { input, notes, depositHash, totalAmount } = await buildBatchDepositInput(deposits, tree, { tokenId: 1n, nonce: 7n });
+
+        expect(input.nextLeafIndex).toBe('3');
+        expect(input.oldMerkleRoot).toBe(tree.root().toString());
+        expect(input.totalAmount).toBe('100');
+        expect(totalAmount).toBe(100n);
+        expect(input.depositHash).toBe((await computeBatchDepositHash(deposits, 7n)).toString());
+        expect(depositHash.toString()).toBe(input.depositHash);
+        expect(notes[2].commitment).toBe(await computeNoteCommitment({ ...deposits[2], tokenId: 1n }));
+        expect(input.memo).toEqual(['0', '0', '9', '0']);
+
+        // pathElements[i] are slot 3+i's siblings once notes 0..i-1 are in
+        notes.forEach(n => tree.insert(n.commitment));
+        expect(await rootFromPath(notes[3].commitment, input.pathElements[3], indexToPathIndices(6, 16))).toBe(tree.root());
+    });
+
+    it('should reject out-of-range amounts and empty batches', async () => {
+        const tree = await buildMerkleTree(16);
+
+        await expect(buildBatchDepositInput([], tree, { tokenId: 1n })).rejects.toThrow(/at least one deposit/);
+        await expect(buildBatchDepositInput([{ ...deposits[0], amount: 2n ** 64n }], tree, { tokenId: 1n })).rejects.toThrow(/u64/);
+        await expect(buildBatchDepositInput([{ ...deposits[0], amount: 2n ** 63n }, { ...deposits[1], amount: 2n ** 63n }], tree, { tokenId: 1n }))
+            .rejects.toThrow(/totalAmount must be u64/);
+    });
+});
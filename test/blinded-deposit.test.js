@@ -0,0 +1,50 @@
+const {
+    OWNER_BLIND_TAG,
+    createBlindedDeposit,
+    openOwnerCommitment,
+    buildBlindedDepositInput
+} = require('../scripts/blinded-deposit');
+const { deriveCipherPayPubKey } = require('../scripts/witness-inputs');
+const { buildMerkleTree, indexToPathIndices } = require('../scripts/merkle-tree');
+const { poseidonHash } = require('./helpers');
+
+const wallet = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+
+describe('Blinded Deposit', () => {
+    it('should bind depositHash to a blinded owner commitment', async () => {
+        const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+        const deposit = await createBlindedDeposit({ cipherPayPubKey, amount: 100, nonce: 7, ownerBlinding: 99 });
+
+        expect(deposit.ownerCommitment).toBe(await poseidonHash([OWNER_BLIND_TAG, cipherPayPubKey, 99n]));
+        expect(deposit.depositHash).toBe(await poseidonHash([deposit.ownerCommitment, 100n, 7n]));
+        expect(await openOwnerCommitment(deposit.ownerCommitment, cipherPayPubKey, 99n)).toBe(true);
+        expect(await openOwnerCommitment(deposit.ownerCommitment, cipherPayPubKey + 1n, 99n)).toBe(false);
+    });
+
+    it('should give every deposit of the same owner a fresh commitment', async () => {
+        const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+        const a = await createBlindedDeposit({ cipherPayPubKey, amount: 100, nonce: 7 });
+        const b = await createBlindedDeposit({ cipherPayPubKey, amount: 100, nonce: 7 });
+
+        expect(a.ownerCommitment).not.toBe(b.ownerCommitment);
+        expect(a.depositHash).not.toBe(b.depositHash);
+        await expect(createBlindedDeposit({ cipherPayPubKey, amount: 1, ownerBlinding: 0 })).rejects.toThrow(/non-zero/);
+        await expect(createBlindedDeposit({ cipherPayPubKey, amount: 2n ** 64n })).rejects.toThrow(/u64/);
+    });
+
+    it('should build the DepositBlinded witness at the next slot', async () => {
+        const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+        const tree = await buildMerkleTree(16, [5n, 6n, 7n]);
+        const deposit = await createBlindedDeposit({ cipherPayPubKey, amount: 100 });
+        const input = await buildBlindedDepositInput(wallet, { randomness: 42n, tokenId: 1n }, deposit, tree);
+
+        expect(input.nextLeafIndex).toBe('3');
+        expect(input.inPathIndices).toEqual(indexToPathIndices(3, 16));
+        expect(input.oldMerkleRoot).toBe(tree.root().toString());
+        expect(input.ownerBlinding).toBe(deposit.ownerBlinding.toString());
+        expect(input).not.toHaveProperty('ownerCipherPayPubKey');
+
+        const other = { walletPubKey: 1n, walletPrivKey: 2n };
+        await expect(buildBlindedDepositInput(other, { randomness: 42n, tokenId: 1n }, deposit, tree)).rejects.toThrow(/another wallet/);
+    });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const Worker = require('web-worker');
+const { IDBFactory } = require('fake-indexeddb');
+const { createProver, createArtifactCache, loadArtifact } = require('../browser');
+const { buildDepositInput } = require('../scripts/witness-inputs');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+
+const WORKER = require.resolve('../browser/prover-worker.node.js');
+const BUILD = path.join(__dirname, '../build');
+
+// fetch() serving files under build/ at https://cdn.test/, counting requests
+function fakeFetch(requests = []) {
+    return async (url) => {
+        requests.push(url);
+        const file = path.join(BUILD, url.replace('https://cdn.test/', ''));
+        if (!fs.existsSync(file)) return { ok: false, status: 404, statusText: 'Not Found' };
+        const bytes = fs.readFileSync(file);
+        return { ok: true, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length) };
+    };
+}
+
+function memoryCache() {
+    const entries = new Map();
+    return {
+        entries,
+        get: async (url) => entries.get(url),
+        put: async (url, buffer) => { entries.set(url, buffer); },
+        delete: async (url) => { entries.delete(url); }
+    };
+}
+
+describe('Browser Prover', () => {
+    let prover;
+    afterEach(() => prover && prover.terminate());
+    // groth16.verify starts snarkjs' curve threads on this thread
+    afterAll(async () => globalThis.curve_bn128 && globalThis.curve_bn128.terminate());
+
+    it('should prove in a worker from cached URL artifacts and report phases', async () => {
+        const vkeyPath = path.join(BUILD, 'deposit/verification_key.json');
+        if (!fs.existsSync(vkeyPath) || !fs.existsSync(path.join(BUILD, 'deposit/deposit_final.zkey'))) {
+            console.log('⚠️ Deposit circuit not built, skipping test');
+            return;
+        }
+
+        const requests = [];
+        const cache = memoryCache();
+        prover = createProver({ worker: () => new Worker(WORKER), baseUrl: 'https://cdn.test/', cache, fetch: fakeFetch(requests) });
+        const tree = await buildMerkleTree(16, [11n, 22n]);
+        const { input, note } = await buildDepositInput({ walletPubKey: 1234567890n, walletPrivKey: 1111111111n }, { amount: 100n, tokenId: 1n }, tree);
+
+        const phases = [];
+        const { proof, publicSignals } = await prover.prove('deposit', input, { onProgress: ({ phase }) => phases.push(phase) });
+        const vk = JSON.parse(fs.readFileSync(vkeyPath, 'utf8'));
+
+        expect(phases).toEqual(['fetch', 'witness', 'msm', 'done']);
+        expect(await snarkjs.groth16.verify(vk, publicSignals, proof)).toBe(true);
+        expect(publicSignals[0]).toBe(note.commitment.toString());
+        expect(requests).toEqual(['https://cdn.test/deposit/deposit_js/deposit.wasm', 'https://cdn.test/deposit/deposit_final.zkey']);
+
+        await prover.prove('deposit', input);
+        expect(requests).toHaveLength(2);
+    }, 120000);
+
+    it('should evict only the artifact the worker fails to load and surface worker errors', async () => {
+        const urls = ['https://cdn.test/transfer/transfer_js/transfer.wasm', 'https://cdn.test/transfer/transfer_final.zkey'];
+        const requests = [];
+        const cache = memoryCache();
+        const fetch = async (url) => {
+            requests.push(url);
+            return { ok: true, arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer };
+        };
+        prover = createProver({ worker: () => new Worker(WORKER), baseUrl: 'https://cdn.test', cache, fetch });
+
+        // A corrupted cache entry is served without fetching, fails to compile, and is dropped
+        for (const url of urls) cache.entries.set(url, new Uint8Array([4, 5, 6]).buffer);
+        await expect(prover.prove('transfer', {})).rejects.toMatchObject({ message: /^transfer: /, artifact: 'wasm' });
+        expect(requests).toEqual([]);
+        expect([...cache.entries.keys()]).toEqual([urls[1]]);
+
+        // So the next job downloads it again
+        await expect(prover.prove('transfer', {})).rejects.toThrow(/^transfer: /);
+        expect(requests).toEqual([urls[0]]);
+        expect([...cache.entries.keys()]).toEqual([urls[1]]);
+
+        const bytes = new Uint8Array([9, 8, 7]);
+        expect(await loadArtifact(bytes.buffer)).toEqual(bytes);
+        await expect(loadArtifact('https://cdn.test/missing.zkey', { fetch: fakeFetch() })).rejects.toThrow(/404/);
+        await expect(createProver({ worker: () => new Worker(WORKER), cache: false }).prove('transfer', {})).rejects.toThrow(/baseUrl/);
+    }, 60000);
+
+    it('should keep the cache on a constraint failure and evict a zkey groth16 cannot use', async () => {
+        if (!fs.existsSync(path.join(BUILD, 'deposit/deposit_final.zkey'))) {
+            console.log('⚠️ Deposit circuit not built, skipping test');
+            return;
+        }
+
+        const wasmUrl = 'https://cdn.test/deposit/deposit_js/deposit.wasm';
+        const zkeyUrl = 'https://cdn.test/deposit/deposit_final.zkey';
+        const requests = [];
+        const cache = memoryCache();
+        prover = createProver({ worker: () => new Worker(WORKER), baseUrl: 'https://cdn.test', cache, fetch: fakeFetch(requests) });
+        const tree = await buildMerkleTree(16, [11n, 22n]);
+        const { input } = await buildDepositInput({ walletPubKey: 1234567890n, walletPrivKey: 1111111111n }, { amount: 100n, tokenId: 1n }, tree);
+
+        // A wrong depositHash fails the witness, not the artifacts
+        const err = await prover.prove('deposit', { ...input, depositHash: '1' }).catch(e => e);
+        expect(err.message).toMatch(/^deposit: .*Assert Failed/s);
+        expect(err.artifact).toBeUndefined();
+        expect([...cache.entries.keys()].sort()).toEqual([wasmUrl, zkeyUrl].sort());
+
+        // A truncated zkey: the witness still computes, the proof does not
+        const zkey = cache.entries.get(zkeyUrl);
+        cache.entries.set(zkeyUrl, zkey.slice(0, 64));
+        await expect(prover.prove('deposit', input)).rejects.toMatchObject({ artifact: 'zkey' });
+        expect([...cache.entries.keys()]).toEqual([wasmUrl]);
+        expect(requests).toEqual([wasmUrl, zkeyUrl]);
+    }, 120000);
+
+    it('should cancel a running proof and start a fresh worker for the next one', async () => {
+        let spawned = 0;
+        prover = createProver({ worker: () => { spawned++; return new Worker(WORKER); }, cache: false });
+        const artifacts = { wasm: new Uint8Array([1, 2, 3]), zkey: new Uint8Array([4, 5, 6]) };
+
+        const controller = new AbortController();
+        const phases = [];
+        const cancelled = prover.prove('withdraw', {}, {
+            ...artifacts,
+            signal: controller.signal,
+            onProgress: ({ phase }) => {
+                phases.push(phase);
+                if (phase === 'witness') controller.abort();
+            }
+        });
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+        expect(phases).toEqual(['fetch', 'witness']);
+
+        await expect(prover.prove('withdraw', {}, { ...artifacts, signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+        await expect(prover.prove('withdraw', {}, artifacts)).rejects.toThrow(/^withdraw: /);
+        expect(spawned).toBe(2);
+    }, 60000);
+
+    it('should keep artifacts in IndexedDB across cache instances', async () => {
+        expect(createArtifactCache({ indexedDB: null })).toBeNull();
+
+        const indexedDB = new IDBFactory();
+        const cache = createArtifactCache({ indexedDB });
+        const wasmUrl = 'https://cdn.test/deposit/deposit_js/deposit.wasm';
+        const zkeyUrl = 'https://cdn.test/deposit/deposit_final.zkey';
+        await cache.put(wasmUrl, new Uint8Array([0, 97, 115, 109]).buffer);
+        await cache.put(zkeyUrl, new Uint8Array([1, 2, 3]).buffer);
+
+        // A second page load opens the existing database
+        const reopened = createArtifactCache({ indexedDB });
+        expect(new Uint8Array(await reopened.get(wasmUrl))).toEqual(new Uint8Array([0, 97, 115, 109]));
+        expect(await loadArtifact(zkeyUrl, { cache: reopened, fetch: fakeFetch() })).toEqual(new Uint8Array([1, 2, 3]));
+        expect(await createArtifactCache({ indexedDB, dbName: 'other' }).get(wasmUrl)).toBeUndefined();
+
+        await reopened.delete(wasmUrl);
+        expect(await cache.get(wasmUrl)).toBeUndefined();
+        await cache.clear();
+        expect(await reopened.get(zkeyUrl)).toBeUndefined();
+    });
+});
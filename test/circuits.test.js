@@ -1,159 +1,366 @@
 const {
-    generateTransferInput,
+    generatePoseidonTransferInput,
+    generatePoseidonJoinSplitInput,
     generateDepositInput,
+    generateBatchDepositInput,
+    generateBalanceProofInput,
     generateWithdrawInput,
     generateNoteCommitmentInput,
-    generateNullifierInput
+    generateNullifierInput,
+    FIELD_PRIME,
+    poseidonHash,
+    rootFromPath,
+    witnessBuilt,
+    calculateWitness
 } = require('./helpers');
+const path = require('path');
+const { loadCircuitConfig, expandBuilds, renderMain, ptauPowerFor } = require('../scripts/circuit-config');
+const {
+    computeCipherPayPubKey,
+    deriveCipherPayAddress,
+    deriveCipherPayPubKey,
+    computeNoteCommitment,
+    buildTransferInput
+} = require('../scripts/witness-inputs');
+const { generateEncryptionKeyPair } = require('../scripts/note-encryption');
+const { deriveNkCipherPayPubKey, deriveNkCipherPayAddress, buildTransferNkInput } = require('../scripts/nullifying-key');
+const { computeNullifier } = require('../scripts/nullifier');
+const { buildBatchDepositInput } = require('../scripts/batch-deposit');
+const { buildBalanceProofInput } = require('../scripts/balance-proof');
+const { buildSparseMerkleTree } = require('../scripts/sparse-merkle-tree');
+const { buildMerkleTree, indexToPathIndices } = require('../scripts/merkle-tree');
 
 describe('CipherPay Circuit Tests', () => {
     describe('Transfer Circuit', () => {
-        it('should have correct signal structure', () => {
-            const input = generateTransferInput();
-            
+        it('should have correct signal structure', async () => {
+            const input = await generatePoseidonTransferInput();
+
             // Check input note signals
-            expect(input.inAmount).toBe(100);
-            expect(input.inSenderWalletPubKey).toBe(1234567890);
-            expect(input.inSenderWalletPrivKey).toBe(1111111111);
-            expect(input.inRandomness).toBe(9876543210);
-            expect(input.inTokenId).toBe(1);
-            expect(input.inMemo).toBe(0);
+            expect(input.inAmount).toBe('100');
+            expect(input.inSenderWalletPubKey).toBe('1234567890');
+            expect(input.inSenderWalletPrivKey).toBe('1111111111');
+            expect(input.inSenderEncPubKey).toHaveLength(2);
+            expect(input.inRandomness).toBe('9876543210');
+            expect(input.inTokenId).toBe('1');
+            expect(input.inMemo).toBe('0');
             expect(input.inPathElements).toHaveLength(16);
             expect(input.inPathIndices).toHaveLength(16);
 
             // Check output note signals
-            expect(input.out1Amount).toBe(80);
-            expect(input.out1RecipientCipherPayPubKey).toBe(2222222222);
-            expect(input.out1Randomness).toBe(4444444444);
-            expect(input.out1TokenId).toBe(1);
-            expect(input.out1Memo).toBe(0);
-            
-            expect(input.out2Amount).toBe(20);
-            expect(input.out2SenderCipherPayPubKey).toBe(3333333333);
-            expect(input.out2Randomness).toBe(5555555555);
-            expect(input.out2TokenId).toBe(1);
-            expect(input.out2Memo).toBe(0);
-
-            // Check public inputs
-            expect(input.encryptedNote).toBe(12345678901234567890);
+            expect(input.out1Amount).toBe('80');
+            expect(input.out1RecipientSpendingPubKey).toBe('2222222222');
+            expect(input.out1RecipientEncPubKey).toHaveLength(2);
+            expect(input.out2Amount).toBe('20');
+            expect(input.out2RecipientSpendingPubKey).toBe('3333333333');
+            expect(input.out2RecipientEncPubKey).toHaveLength(2);
 
             // Verify amount conservation
-            expect(input.inAmount).toBe(input.out1Amount + input.out2Amount);
+            expect(BigInt(input.inAmount)).toBe(BigInt(input.out1Amount) + BigInt(input.out2Amount) + BigInt(input.fee));
         });
 
-        it('should have correct signal count', () => {
-            const input = generateTransferInput();
-            const signalCount = Object.keys(input).length;
-            
-            // Transfer circuit should have 19 signals:
-            // - 8 input note signals (inAmount, inSenderWalletPubKey, inSenderWalletPrivKey, inRandomness, inTokenId, inMemo, inPathElements[16], inPathIndices[16])
-            // - 10 output note signals (out1Amount, out1RecipientCipherPayPubKey, out1Randomness, out1TokenId, out1Memo, out2Amount, out2SenderCipherPayPubKey, out2Randomness, out2TokenId, out2Memo)
-            // - 1 public input (encryptedNote)
-            expect(signalCount).toBe(19);
+        it('should prove the input note in the tree the outputs are appended to', async () => {
+            const input = await generatePoseidonTransferInput();
+            const spendingPubKey = await poseidonHash([input.inSenderWalletPubKey, input.inSenderWalletPrivKey]);
+            const cipherPayPubKey = await computeCipherPayPubKey(spendingPubKey, input.inSenderEncPubKey);
+            const inCommitment = await poseidonHash([input.inAmount, cipherPayPubKey, input.inRandomness, input.inTokenId, input.inMemo]);
+            const merkleRoot = await rootFromPath(inCommitment, input.inPathElements, input.inPathIndices);
+
+            // out1 fills the empty leaf at nextLeafIndex of that same tree
+            expect(input.inPathIndices[0]).toBe(1);
+            expect(input.nextLeafIndex).toBe('2');
+            expect(await rootFromPath(0n, input.out1PathElements, indexToPathIndices(2, 16))).toBe(merkleRoot);
         });
 
-        it('should validate wallet-bound identity', () => {
-            const input = generateTransferInput();
-            
+        it('should validate wallet-bound identity', async () => {
+            const input = await generatePoseidonTransferInput();
+
             // Check that wallet keys are present for identity derivation
             expect(input.inSenderWalletPubKey).toBeDefined();
             expect(input.inSenderWalletPrivKey).toBeDefined();
-            
-            // Check that CipherPay pubkeys are provided for output notes
-            expect(input.out1RecipientCipherPayPubKey).toBeDefined();
-            expect(input.out2SenderCipherPayPubKey).toBeDefined();
+
+            // Check that recipient addresses are provided for output notes
+            expect(input.out1RecipientSpendingPubKey).toBeDefined();
+            expect(input.out1RecipientEncPubKey).toBeDefined();
+            expect(input.out2RecipientSpendingPubKey).toBeDefined();
+            expect(input.out2RecipientEncPubKey).toBeDefined();
         });
 
-        it('should validate Merkle path structure', () => {
-            const input = generateTransferInput();
-            
-            // Check Merkle path arrays
-            expect(input.inPathElements).toHaveLength(16);
-            expect(input.inPathIndices).toHaveLength(16);
-            
-            // Check that all path elements are numbers
-            input.inPathElements.forEach(element => {
-                expect(typeof element).toBe('number');
+        it('should commit each output to the address its note is encrypted to', async () => {
+            if (!witnessBuilt('transfer')) {
+                console.log('⚠️ transfer circuit not built, skipping test');
+                return;
+            }
+            const alice = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+            const bob = await deriveCipherPayAddress({ walletPubKey: 2222222222n, walletPrivKey: 3333333333n });
+            const eve = await generateEncryptionKeyPair(6666666666n);
+            const note = { amount: 100n, randomness: 9876543210n, tokenId: 1n, memo: 0n };
+            const tree = await buildMerkleTree(16, [11n, await computeNoteCommitment({ ...note, cipherPayPubKey: await deriveCipherPayPubKey(alice) })]);
+
+            // [1, outCommitment1, ...]: the output is owned by Poseidon(spendingPubKey, encPubKey)
+            const { input, outputs } = await buildTransferInput(alice, note, tree, { recipient: bob, amount: 80n });
+            expect(outputs[0].cipherPayPubKey).toBe(bob.cipherPayPubKey);
+            expect((await calculateWitness('transfer', input))[1]).toBe(outputs[0].commitment);
+
+            // Encrypting to another key pays another owner, not bob
+            const misdirected = await buildTransferInput(alice, note, tree, {
+                recipient: { spendingPubKey: bob.spendingPubKey, encPubKey: eve.pubKey }, amount: 80n
             });
-            
-            input.inPathIndices.forEach(index => {
-                expect(typeof index).toBe('number');
+            expect(misdirected.outputs[0].cipherPayPubKey).not.toBe(bob.cipherPayPubKey);
+            expect((await calculateWitness('transfer', misdirected.input))[1]).toBe(misdirected.outputs[0].commitment);
+
+            // Swapping the key under a ciphertext breaks encNote1Hash
+            await expect(calculateWitness('transfer', { ...input, out1RecipientEncPubKey: eve.pubKey.map(String) }))
+                .rejects.toThrow(/template Transfer_/);
+        });
+
+        it('should only encrypt to BabyJubJub points of the prime-order subgroup', async () => {
+            if (!witnessBuilt('transfer')) {
+                console.log('⚠️ transfer circuit not built, skipping test');
+                return;
+            }
+            const input = await generatePoseidonTransferInput();
+            const [x, y] = input.out1RecipientEncPubKey.map(BigInt);
+
+            // off the curve
+            await expect(calculateWitness('transfer', { ...input, out1RecipientEncPubKey: ['1', '2'] }))
+                .rejects.toThrow(/template BabyCheck_/);
+            // the key plus the order-2 point (0, -1): on the curve, outside the subgroup
+            await expect(calculateWitness('transfer', {
+                ...input, out1RecipientEncPubKey: [FIELD_PRIME - x, FIELD_PRIME - y].map(String)
+            })).rejects.toThrow(/template BabySubgroupCheck_/);
+        });
+    });
+
+    describe('JoinSplit Circuit', () => {
+        it('should size every per-note array by nIn / nOut', async () => {
+            const { input } = await generatePoseidonJoinSplitInput({ inAmount: [10, 20, 30, 40], outAmount: [70, 30] });
+
+            ['inAmount', 'inSenderWalletPubKey', 'inSenderWalletPrivKey', 'inSenderEncPubKey', 'inRandomness', 'inTokenId', 'inMemo', 'inPathElements', 'inPathIndices']
+                .forEach(name => expect(input[name]).toHaveLength(4));
+            ['outAmount', 'outRecipientCipherPayPubKey', 'outRandomness', 'outTokenId', 'outMemo', 'outPathElements', 'encNoteHash']
+                .forEach(name => expect(input[name]).toHaveLength(2));
+
+            input.inPathElements.forEach(path => expect(path).toHaveLength(16));
+            input.outPathElements.forEach(path => expect(path).toHaveLength(16));
+        });
+
+        it('should conserve value across all notes', async () => {
+            const { input } = await generatePoseidonJoinSplitInput();
+            const sum = (xs) => xs.reduce((a, b) => a + BigInt(b), 0n);
+
+            expect(sum(input.inAmount)).toBe(sum(input.outAmount));
+        });
+
+        it('should keep a single token across all notes', async () => {
+            const { input } = await generatePoseidonJoinSplitInput({ inAmount: [10, 20, 30, 40], outAmount: [70, 30] });
+
+            [...input.inTokenId, ...input.outTokenId].forEach(tokenId => {
+                expect(tokenId).toBe(input.inTokenId[0]);
             });
         });
+
+        it('should append the outputs at tree.appendPaths and reject broken witnesses', async () => {
+            if (!witnessBuilt('joinsplit_2x2')) {
+                console.log('⚠️ joinsplit_2x2 circuit not built, skipping test');
+                return;
+            }
+            const { input, tree, outCommitments, oldRoot, newRoot } = await generatePoseidonJoinSplitInput();
+            const cipherPayPubKey = await deriveCipherPayPubKey({ walletPubKey: 1234567890n, walletPrivKey: 1111111111n });
+            const nullifiers = await Promise.all(input.inRandomness.map(r => computeNullifier(cipherPayPubKey, BigInt(r), 1n)));
+
+            // outCommitment[2], nullifier[2], merkleRoot, newMerkleRoot, newNextLeafIndex
+            const witness = await calculateWitness('joinsplit_2x2', input);
+            expect(witness.slice(1, 8)).toEqual([...outCommitments, ...nullifiers, oldRoot, newRoot, 6n]);
+
+            // Value created: the notes are consistent, only inTotal === outTotal fails
+            const { input: inflated } = await generatePoseidonJoinSplitInput({ outAmount: [70, 31] });
+            await expect(calculateWitness('joinsplit_2x2', inflated)).rejects.toThrow(/Assert Failed.*template JoinSplit_/);
+
+            // Second output's siblings taken from the tree before the first append
+            const stale = tree.appendPaths([0n, outCommitments[1]]).pathElements[1];
+            await expect(calculateWitness('joinsplit_2x2', {
+                ...input,
+                outPathElements: [input.outPathElements[0], stale.map(String)]
+            })).rejects.toThrow(/Assert Failed.*template MerkleAppend/);
+        });
     });
 
     describe('Deposit Circuit', () => {
-        it('should have correct signal structure', () => {
-            const input = generateDepositInput();
+        it('should have correct signal structure', async () => {
+            const input = await generateDepositInput();
             
             // Check private inputs
-            expect(input.ownerWalletPubKey).toBe(1234567890);
-            expect(input.ownerWalletPrivKey).toBe(1111111111);
-            expect(input.randomness).toBe(9876543210);
-            expect(input.tokenId).toBe(1);
-            expect(input.memo).toBe(0);
+            expect(input.ownerWalletPubKey).toBe('1234567890');
+            expect(input.ownerWalletPrivKey).toBe('1111111111');
+            expect(input.randomness).toBe('9876543210');
+            expect(input.tokenId).toBe('1');
+            expect(input.memo).toBe('0');
+            expect(input.inPathElements).toHaveLength(16);
+            expect(input.nextLeafIndex).toBe('0');
 
             // Check public inputs
-            expect(input.amount).toBe(100);
-            expect(input.nonce).toBe(3333333333);
+            expect(input.amount).toBe('100');
+            expect(input.nonce).toBe('3333333333');
             expect(input.depositHash).toBeDefined();
         });
 
-        it('should have correct signal count', () => {
-            const input = generateDepositInput();
+        it('should have correct signal count', async () => {
+            const input = await generateDepositInput();
             const signalCount = Object.keys(input).length;
             
-            // Deposit circuit should have 8 signals:
-            // - 5 private inputs (ownerWalletPubKey, ownerWalletPrivKey, randomness, tokenId, memo)
-            // - 3 public inputs (amount, nonce, depositHash)
-            expect(signalCount).toBe(8);
+            // Deposit circuit should have 13 signals:
+            // - 6 private inputs (ownerWalletPubKey, ownerWalletPrivKey, ownerEncPubKey[2], randomness, tokenId, memo)
+            // - 3 append inputs (inPathElements[16], inPathIndices[16], nextLeafIndex)
+            // - 4 public inputs (nonce, amount, depositHash, oldMerkleRoot)
+            expect(signalCount).toBe(13);
         });
 
-        it('should validate deposit hash binding', () => {
-            const input = generateDepositInput();
+        it('should validate deposit hash binding', async () => {
+            const input = await generateDepositInput();
             
-            // Check that deposit hash is computed from owner identity
-            expect(input.depositHash).toBeDefined();
-            expect(input.amount).toBeDefined();
-            expect(input.nonce).toBeDefined();
+            // depositHash = Poseidon(ownerCipherPayPubKey, amount, nonce)
+            const ownerSpendingPubKey = await poseidonHash([input.ownerWalletPubKey, input.ownerWalletPrivKey]);
+            const ownerCipherPayPubKey = await computeCipherPayPubKey(ownerSpendingPubKey, input.ownerEncPubKey);
+            expect(input.depositHash).toBe((await poseidonHash([ownerCipherPayPubKey, input.amount, input.nonce])).toString());
+        });
+    });
+
+    describe('Batch Deposit Circuit', () => {
+        it('should size every per-note array by K', async () => {
+            const input = await generateBatchDepositInput(4);
+
+            ['amount', 'ownerCipherPayPubKey', 'randomness', 'memo', 'pathElements']
+                .forEach(name => expect(input[name]).toHaveLength(4));
+            input.pathElements.forEach(path => expect(path).toHaveLength(16));
+        });
+
+        it('should prove the notes, total and depositHash built by buildBatchDepositInput', async () => {
+            if (!witnessBuilt('batch_deposit_4')) {
+                console.log('⚠️ batch_deposit_4 circuit not built, skipping test');
+                return;
+            }
+            const tree = await buildMerkleTree(16, [5n, 6n, 7n]);
+            const deposits = [10n, 20n, 30n, 40n].map((amount, i) => ({ cipherPayPubKey: 2222222222n + BigInt(i), amount }));
+            const { input, notes } = await buildBatchDepositInput(deposits, tree, { tokenId: 1n, nonce: 3333333333n });
+            notes.forEach(n => tree.insert(n.commitment));
+
+            // newCommitment[4], newMerkleRoot, newNextLeafIndex
+            const witness = await calculateWitness('batch_deposit_4', input);
+            expect(witness.slice(1, 7)).toEqual([...notes.map(n => n.commitment), tree.root(), 7n]);
+
+            // depositHash from another nonce no longer matches the fold
+            const { depositHash: otherHash } = await buildBatchDepositInput(deposits, tree, { tokenId: 1n, nonce: 3333333334n });
+            await expect(calculateWitness('batch_deposit_4', { ...input, depositHash: otherHash.toString() }))
+                .rejects.toThrow(/Assert Failed.*template BatchDeposit_/);
+            await expect(calculateWitness('batch_deposit_4', { ...input, totalAmount: '101' })).rejects.toThrow(/Assert Failed.*template BatchDeposit_/);
+        });
+    });
+
+    describe('Balance Proof Circuit', () => {
+        it('should size every per-note array by n', async () => {
+            const input = await generateBalanceProofInput(4);
+
+            ['amount', 'randomness', 'memo', 'pathElements', 'pathIndices',
+                'nullifierSiblings', 'nullifierOldKey', 'nullifierOldValue', 'nullifierIsOld0']
+                .forEach(name => expect(input[name]).toHaveLength(4));
+            input.pathElements.forEach(path => expect(path).toHaveLength(16));
+            input.nullifierSiblings.forEach(siblings => expect(siblings).toHaveLength(32));
+        });
+
+        it('should keep the wallet, roots, threshold and tokenId single-valued', async () => {
+            const input = await generateBalanceProofInput(4);
+
+            ['walletPubKey', 'walletPrivKey', 'merkleRoot', 'nullifierRoot', 'threshold', 'tokenId']
+                .forEach(name => expect(Array.isArray(input[name])).toBe(false));
+            expect(input.amount.reduce((a, b) => a + BigInt(b), 0n)).toBeGreaterThanOrEqual(BigInt(input.threshold));
+        });
+
+        it('should build BalanceProof(16, 4, 32) with both roots, threshold and tokenId public', () => {
+            const build = expandBuilds(loadCircuitConfig()).find(b => b.key === 'balance_proof_4');
+            const main = renderMain(build, path.join(__dirname, '../build/balance_proof_4'));
+
+            expect(main).toContain('component main { public [merkleRoot, nullifierRoot, threshold, tokenId] } = BalanceProof(16, 4, 32);');
+        });
+
+        it('should prove unspent notes in nullifier order with zero-amount padding', async () => {
+            if (!witnessBuilt('balance_proof_4')) {
+                console.log('⚠️ balance_proof_4 circuit not built, skipping test');
+                return;
+            }
+            const wallet = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+            const cipherPayPubKey = await deriveCipherPayPubKey(wallet);
+            const notes = [100n, 50n, 30n].map((amount, i) => ({ amount, randomness: 1000n + BigInt(i), tokenId: 1n, memo: 0n }));
+            const leaves = [];
+            for (const note of notes) leaves.push(7n, await computeNoteCommitment({ ...note, cipherPayPubKey }));
+            const tree = await buildMerkleTree(16, leaves);
+            const spent = await buildSparseMerkleTree(32, [11n, 22n, 33n]);
+            const { input, nullifiers, nullifierSetHash } = await buildBalanceProofInput(wallet, notes, tree, spent, { n: 4, threshold: 180n });
+
+            // nullifierSetHash; the same notes in any given order prove the same set
+            expect((await calculateWitness('balance_proof_4', input))[1]).toBe(nullifierSetHash);
+            const reordered = await buildBalanceProofInput(wallet, [...notes].reverse(), tree, spent, { n: 4, threshold: 0n });
+            expect(reordered.nullifierSetHash).toBe(nullifierSetHash);
+
+            const rejected = /Assert Failed/;
+            const swap = (xs, i, j) => xs.map((x, k) => (k === i ? xs[j] : k === j ? xs[i] : x));
+            const perNote = ['amount', 'randomness', 'memo', 'pathElements', 'pathIndices',
+                'nullifierSiblings', 'nullifierOldKey', 'nullifierOldValue', 'nullifierIsOld0'];
+            const swapped = (i, j) => Object.fromEntries(Object.entries(input).map(([k, v]) => [k, perNote.includes(k) ? swap(v, i, j) : v]));
+
+            // Out of nullifier order, or padding ahead of a real note
+            await expect(calculateWitness('balance_proof_4', swapped(0, 1))).rejects.toThrow(rejected);
+            await expect(calculateWitness('balance_proof_4', swapped(2, 3))).rejects.toThrow(rejected);
+
+            // The same note twice
+            const twice = Object.fromEntries(Object.entries(input).map(([k, v]) => [k, perNote.includes(k) ? [v[0], v[0], v[1], v[2]] : v]));
+            await expect(calculateWitness('balance_proof_4', twice)).rejects.toThrow(rejected);
+
+            // A note whose nullifier has since been spent
+            await spent.insert(nullifiers[1]);
+            await expect(calculateWitness('balance_proof_4', { ...input, nullifierRoot: spent.root().toString() }))
+                .rejects.toThrow(/Assert Failed.*template ForceEqualIfEnabled/);
+            await expect(buildBalanceProofInput(wallet, notes, tree, spent, { n: 4, threshold: 0n })).rejects.toThrow(/is spent/);
         });
     });
 
     describe('Withdraw Circuit', () => {
-        it('should have correct signal structure', () => {
-            const input = generateWithdrawInput();
+        it('should have correct signal structure', async () => {
+            const input = await generateWithdrawInput();
             
             // Check private inputs
-            expect(input.recipientWalletPrivKey).toBe(1111111111);
-            expect(input.randomness).toBe(9876543210);
-            expect(input.memo).toBe(0);
+            expect(input.recipientWalletPrivKey).toBe('1111111111');
+            expect(input.randomness).toBe('9876543210');
+            expect(input.memo).toBe('0');
             expect(input.pathElements).toHaveLength(16);
             expect(input.pathIndices).toHaveLength(16);
+            expect(input.commitment).toBeDefined();
 
             // Check public inputs
-            expect(input.recipientWalletPubKey).toBe(1234567890);
-            expect(input.amount).toBe(100);
-            expect(input.tokenId).toBe(1);
-            expect(input.commitment).toBeDefined();
+            expect(input.recipientWalletPubKey).toBe('1234567890');
+            expect(input.amount).toBe('100');
+            expect(input.tokenId).toBe('1');
+            expect(input.fee).toBe('0');
         });
 
-        it('should have correct signal count', () => {
-            const input = generateWithdrawInput();
+        it('should have correct signal count', async () => {
+            const input = await generateWithdrawInput();
             const signalCount = Object.keys(input).length;
             
-            // Withdraw circuit should have 9 signals:
-            // - 5 private inputs (recipientWalletPrivKey, randomness, memo, pathElements[16], pathIndices[16])
-            // - 4 public inputs (recipientWalletPubKey, amount, tokenId, commitment)
-            expect(signalCount).toBe(9);
+            // Withdraw circuit should have 15 signals:
+            // - 7 private inputs (recipientWalletPrivKey, recipientEncPubKey[2], randomness, memo, pathElements[16], pathIndices[16], commitment)
+            // - 8 public inputs (recipientOwner_lo/hi, recipientWalletPubKey, amount, tokenId, fee, feeRecipient_lo/hi)
+            expect(signalCount).toBe(15);
         });
 
-        it('should validate commitment verification', () => {
-            const input = generateWithdrawInput();
+        it('should validate commitment verification', async () => {
+            const input = await generateWithdrawInput();
             
-            // Check that commitment is provided for verification
-            expect(input.commitment).toBeDefined();
-            expect(input.amount).toBeDefined();
-            expect(input.tokenId).toBeDefined();
+            // commitment = Poseidon(amount, cipherPayPubKey, randomness, tokenId, memo)
+            const spendingPubKey = await poseidonHash([input.recipientWalletPubKey, input.recipientWalletPrivKey]);
+            const cipherPayPubKey = await computeCipherPayPubKey(spendingPubKey, input.recipientEncPubKey);
+            expect(input.commitment).toBe((await poseidonHash([
+                input.amount, cipherPayPubKey, input.randomness, input.tokenId, input.memo
+            ])).toString());
         });
     });
 
@@ -192,17 +399,79 @@ describe('CipherPay Circuit Tests', () => {
             const input = generateNullifierInput();
             const signalCount = Object.keys(input).length;
             
-            // Nullifier component should have 4 signals:
-            // - 4 inputs (ownerWalletPubKey, ownerWalletPrivKey, randomness, tokenId)
-            expect(signalCount).toBe(4);
+            // Nullifier component should have 5 signals:
+            // - 5 inputs (ownerWalletPubKey, ownerWalletPrivKey, ownerEncPubKey[2], randomness, tokenId)
+            expect(signalCount).toBe(5);
+        });
+    });
+
+    describe('Nullifying-Key Hierarchy', () => {
+        it('should spend a note committed under the nk-derived key and reject the v1 key', async () => {
+            if (!witnessBuilt('transfer_nk')) {
+                console.log('⚠️ transfer_nk circuit not built, skipping test');
+                return;
+            }
+
+            const alice = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+            const note = { amount: 100n, randomness: 9876543210n, tokenId: 1n, memo: 0n };
+            const nkCommitment = await computeNoteCommitment({ ...note, cipherPayPubKey: await deriveNkCipherPayPubKey(alice) });
+            const v1Commitment = await computeNoteCommitment({ ...note, cipherPayPubKey: await deriveCipherPayPubKey(alice) });
+            const bob = { walletPubKey: 2222222222n, walletPrivKey: 3333333333n };
+            const params = { recipient: await deriveNkCipherPayAddress(bob), amount: 80n };
+
+            const nkTree = await buildMerkleTree(16, [11n, nkCommitment, 22n]);
+            const { input: nkInput, nullifier } = await buildTransferNkInput(alice, note, nkTree, params);
+
+            // A v1 spend of the note; TransferNK takes the same signals minus the dummy-input pair
+            const v1Tree = await buildMerkleTree(16, [11n, v1Commitment, 22n]);
+            const { input } = await buildTransferInput(alice, note, v1Tree, params);
+            const { inIsDummy, dummyMerkleRoot, ...v1Input } = input;
+
+            // [1, outCommitment1, outCommitment2, nullifier, merkleRoot, ...]
+            const witness = await calculateWitness('transfer_nk', nkInput);
+            expect(witness[3]).toBe(nullifier);
+            expect(witness[4]).toBe(nkTree.root());
+
+            // A note committed under the v1 key is not spendable: the circuit
+            // recomputes the nk-keyed leaf, so the proof's merkleRoot is not the
+            // root of the tree holding the note and the program rejects it
+            const v1Witness = await calculateWitness('transfer_nk', v1Input);
+            expect(v1Witness[4]).not.toBe(v1Tree.root());
+            expect(v1Witness[3]).not.toBe(await poseidonHash([await deriveCipherPayPubKey(alice), note.randomness, note.tokenId]));
+        });
+    });
+
+    describe('Build Configuration', () => {
+        const config = loadCircuitConfig();
+
+        it('should keep the default parameter set under the plain circuit name', () => {
+            const transfer = expandBuilds(config).filter(b => b.name === 'transfer');
+
+            expect(transfer.map(b => b.key)).toEqual(['transfer', 'transfer_depth20', 'transfer_depth24', 'transfer_depth32']);
+            expect(transfer.map(b => b.params.depth)).toEqual([16, 20, 24, 32]);
+            expect(expandBuilds(config, { variants: false }).every(b => b.isDefault)).toBe(true);
+        });
+
+        it('should generate a main with the configured parameters and public inputs', () => {
+            const build = expandBuilds(config).find(b => b.key === 'joinsplit_4x2');
+            const main = renderMain(build, path.join(__dirname, '../build/joinsplit_4x2'));
+
+            expect(main).toContain('include "../../circuits/joinsplit/joinsplit.circom";');
+            expect(main).toContain('component main { public [encNoteHash] } = JoinSplit(16, 4, 2);');
+        });
+
+        it('should size the ptau from the constraint count', () => {
+            expect(ptauPowerFor({ nConstraints: 10473, nPubInputs: 8, nOutputs: 2 })).toBe(14);
+            expect(ptauPowerFor({ nConstraints: 29700, nPubInputs: 5, nOutputs: 7 })).toBe(15);
+            expect(ptauPowerFor({ nConstraints: 100, nPubInputs: 1, nOutputs: 1 }, 10)).toBe(10);
         });
     });
 
     describe('Circuit Features', () => {
-        it('should support privacy-enhanced design', () => {
-            const transferInput = generateTransferInput();
-            const depositInput = generateDepositInput();
-            const withdrawInput = generateWithdrawInput();
+        it('should support privacy-enhanced design', async () => {
+            const transferInput = await generatePoseidonTransferInput();
+            const depositInput = await generateDepositInput();
+            const withdrawInput = await generateWithdrawInput();
             
             // Check wallet-bound identity features
             expect(transferInput.inSenderWalletPubKey).toBeDefined();
@@ -213,17 +482,18 @@ describe('CipherPay Circuit Tests', () => {
             expect(withdrawInput.recipientWalletPrivKey).toBeDefined();
         });
 
-        it('should support encrypted note feature', () => {
-            const transferInput = generateTransferInput();
-            
-            // Check encrypted note for recipient privacy
-            expect(transferInput.encryptedNote).toBeDefined();
-            expect(typeof transferInput.encryptedNote).toBe('number');
+        it('should support encrypted note feature', async () => {
+            const transferInput = await generatePoseidonTransferInput();
+
+            // Each output binds the hash of its ciphertext for the recipient
+            expect(transferInput.encNote1Hash).toMatch(/^\d+$/);
+            expect(transferInput.encNote2Hash).toMatch(/^\d+$/);
+            expect(transferInput.encNote1Hash).not.toBe(transferInput.encNote2Hash);
         });
 
-        it('should support Merkle tree verification', () => {
-            const transferInput = generateTransferInput();
-            const withdrawInput = generateWithdrawInput();
+        it('should support Merkle tree verification', async () => {
+            const transferInput = await generatePoseidonTransferInput();
+            const withdrawInput = await generateWithdrawInput();
             
             // Check Merkle path structures
             expect(transferInput.inPathElements).toHaveLength(16);
@@ -232,20 +502,21 @@ describe('CipherPay Circuit Tests', () => {
             expect(withdrawInput.pathIndices).toHaveLength(16);
         });
 
-        it('should support amount conservation', () => {
-            const transferInput = generateTransferInput();
-            
-            // Verify input amount equals sum of output amounts
-            expect(transferInput.inAmount).toBe(transferInput.out1Amount + transferInput.out2Amount);
+        it('should support amount conservation', async () => {
+            const transferInput = await generatePoseidonTransferInput();
+
+            // Verify input amount equals sum of output amounts and the fee
+            expect(BigInt(transferInput.inAmount))
+                .toBe(BigInt(transferInput.out1Amount) + BigInt(transferInput.out2Amount) + BigInt(transferInput.fee));
         });
 
-        it('should support token consistency', () => {
-            const transferInput = generateTransferInput();
-            
+        it('should support token consistency', async () => {
+            const transferInput = await generatePoseidonTransferInput();
+
             // Verify all notes use the same token
-            expect(transferInput.inTokenId).toBe(1);
-            expect(transferInput.out1TokenId).toBe(1);
-            expect(transferInput.out2TokenId).toBe(1);
+            expect(transferInput.inTokenId).toBe('1');
+            expect(transferInput.out1TokenId).toBe('1');
+            expect(transferInput.out2TokenId).toBe('1');
         });
     });
 }); 
\ No newline at end of file
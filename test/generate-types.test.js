@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TYPES_FILE, typeName, renderTypes, checkTypes, writeTypes } = require('../scripts/generate-types');
+const { loadSchema } = require('../scripts/public-signals');
+const { loadCircuitConfig } = require('../scripts/circuit-config');
+
+describe('Generated Circuit Types', () => {
+    it('should be up to date with the circom sources', () => {
+        expect(() => checkTypes()).not.toThrow();
+        expect(fs.readFileSync(TYPES_FILE, 'utf8')).toBe(renderTypes());
+        expect(renderTypes()).toContain(`export type PublicSignalSchemaVersion = ${loadSchema().version};`);
+    });
+
+    it('should type inputs as fixed-length tuples and public signals as named tuples', () => {
+        const types = renderTypes();
+
+        expect(['deposit', 'withdraw_depth20', 'joinsplit_2x2'].map(typeName)).toEqual(['Deposit', 'WithdrawDepth20', 'Joinsplit2x2']);
+        expect(types).toMatch(/export interface DepositInput \{[^}]*inPathElements: Tuple<FieldLike, 16>;/);
+        expect(types).toMatch(/export interface DepositDepth20Input \{[^}]*inPathElements: Tuple<FieldLike, 20>;/);
+        expect(types).toMatch(/export interface Joinsplit2x2Input \{[^}]*inPathElements: Tuple<Tuple<FieldLike, 16>, 2>;/);
+        expect(types).toMatch(/export type WithdrawPublicSignals = \[\n  nullifier: string,\n  merkleRoot: string,\n  recipientOwner_lo: string,/);
+        expect(types).toContain('export type WithdrawDepth20PublicSignals = WithdrawPublicSignals;');
+        expect(types).toMatch(/export interface Joinsplit2x2PublicValues \{[^}]*nullifier: Tuple<bigint, 2>;/);
+        expect(types).toContain('  withdraw_v2: WithdrawV2Input;');
+    });
+
+    it('should go stale when a public signal changes', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cipherpay-types-')), 'circuits.d.ts');
+        writeTypes({ file });
+        expect(() => checkTypes({ file })).not.toThrow();
+
+        // Making feeRecipient_hi private drops it from the public tuple
+        const config = loadCircuitConfig();
+        config.circuits.withdraw.public = config.circuits.withdraw.public.filter(p => p !== 'feeRecipient_hi');
+        expect(() => checkTypes({ file, config })).toThrow(/out of date/);
+        const types = renderTypes(config).split('export type WithdrawPublicSignals')[1].split('];')[0];
+        expect(types).not.toContain('feeRecipient_hi');
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+});
@@ -1,123 +1,255 @@
-const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { poseidonHash } = require('../scripts/poseidon');
+const { generateEncryptionKeyPair, encryptNote } = require('../scripts/note-encryption');
+const {
+    computeCipherPayPubKey,
+    deriveCipherPayAddress,
+    deriveCipherPayPubKey,
+    computeNoteCommitment,
+    buildDepositInput,
+    buildWithdrawInput
+} = require('../scripts/witness-inputs');
+const { buildBatchDepositInput } = require('../scripts/batch-deposit');
+const { buildBalanceProofInput } = require('../scripts/balance-proof');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const { buildSparseMerkleTree } = require('../scripts/sparse-merkle-tree');
+
+// BN254 scalar field prime (circuit arithmetic is modulo this value)
+const FIELD_PRIME = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
 
-// Helper function to generate a simple Merkle tree for testing
-function generateSimpleMerkleTree(depth = 16) {
-    const pathElements = Array(depth).fill(0);
-    const pathIndices = Array(depth).fill(0);
-    
+// Wallet behind generateDepositInput / generateWithdrawInput
+const TEST_WALLET = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+const TEST_NOTE = { amount: 100n, randomness: 9876543210n, tokenId: 1n, memo: 0n };
+
+// MerkleProof(depth) in JS: fold leaf up the path, bit 0 => (cur, sib)
+async function rootFromPath(leaf, pathElements, pathIndices) {
+    let cur = BigInt(leaf);
+    for (let l = 0; l < pathElements.length; l++) {
+        cur = pathIndices[l] === 0
+            ? await poseidonHash([cur, pathElements[l]])
+            : await poseidonHash([pathElements[l], cur]);
+    }
+    return cur;
+}
+
+// setup.js artifacts of a circuits.config.json build key
+function circuitArtifacts(name) {
+    const buildPath = path.join(__dirname, '../build', name);
     return {
-        pathElements: pathElements,
-        pathIndices: pathIndices,
-        root: 0 // Simplified for testing
+        wasm: path.join(buildPath, `${name}_js/${name}.wasm`),
+        zkey: path.join(buildPath, `${name}_final.zkey`),
+        vkey: path.join(buildPath, 'verification_key.json')
     };
 }
 
-// Helper function to derive CipherPay pubkey from wallet keys (simplified for testing)
-function deriveCipherPayPubKey(walletPubKey, walletPrivKey) {
-    // Simplified derivation - in real implementation this would use Poseidon hash
-    return walletPubKey + walletPrivKey;
+// True once setup.js compiled `name` (witness tests only need the wasm)
+function witnessBuilt(name) {
+    return fs.existsSync(circuitArtifacts(name).wasm);
+}
+
+// Witness of `input` as BigInts: wire 0 is 1, then the outputs in declaration
+// order. Rejects with "Assert Failed" when a constraint does not hold.
+async function calculateWitness(name, input) {
+    const wtns = { type: 'mem' };
+    await snarkjs.wtns.calculate(input, circuitArtifacts(name).wasm, wtns);
+    return (await snarkjs.wtns.exportJson(wtns)).map(BigInt);
 }
 
-// Helper function to compute note commitment (simplified for testing)
-function computeNoteCommitment(amount, cipherPayPubKey, randomness, tokenId, memo) {
-    // Simplified commitment - in real implementation this would use Poseidon hash
-    return amount + cipherPayPubKey + randomness + tokenId + memo;
+// BatchDeposit input for K deposits of 10, 20, ... appended to a depth-16 tree
+async function generateBatchDepositInput(K = 4) {
+    const tree = await buildMerkleTree(16, [5n, 6n, 7n]);
+    const deposits = Array.from({ length: K }, (_, i) => ({
+        cipherPayPubKey: 2222222222n + BigInt(i), amount: 10n * BigInt(i + 1), randomness: 9876543210n + BigInt(i)
+    }));
+    const { input } = await buildBatchDepositInput(deposits, tree, { tokenId: 1n, nonce: 3333333333n });
+    return input;
 }
 
-// Helper function to compute deposit hash (simplified for testing)
-function computeDepositHash(ownerCipherPayPubKey, amount, nonce) {
-    // Simplified hash - in real implementation this would use Poseidon hash
-    return ownerCipherPayPubKey + amount + nonce;
+// BalanceProof input over n unspent notes of TEST_WALLET, threshold = their total
+async function generateBalanceProofInput(n = 4) {
+    const cipherPayPubKey = await deriveCipherPayPubKey(TEST_WALLET);
+    const notes = Array.from({ length: n }, (_, i) => ({
+        ...TEST_NOTE, amount: 10n * BigInt(i + 1), randomness: TEST_NOTE.randomness + BigInt(i)
+    }));
+    const leaves = [];
+    for (const note of notes) leaves.push(7n, await computeNoteCommitment({ ...note, cipherPayPubKey }));
+    const tree = await buildMerkleTree(16, leaves);
+    const spent = await buildSparseMerkleTree(32, [11n, 22n]);
+    const { input } = await buildBalanceProofInput(TEST_WALLET, notes, tree, spent, { n, threshold: 10n * BigInt(n * (n + 1) / 2) });
+    return input;
 }
 
-// Generate valid transfer input structure
-function generateTransferInput() {
-    const merkleData = generateSimpleMerkleTree(16);
-    
-    // Generate wallet keys
-    const inSenderWalletPubKey = 1234567890;
-    const inSenderWalletPrivKey = 1111111111;
-    
-    // Generate output keys
-    const out1RecipientCipherPayPubKey = 2222222222;
-    const out2SenderCipherPayPubKey = 3333333333;
-    
+// Provable deposit of TEST_NOTE by TEST_WALLET into an empty depth-16 tree
+async function generateDepositInput() {
+    const tree = await buildMerkleTree(16);
+    const { input } = await buildDepositInput(TEST_WALLET, TEST_NOTE, tree, { nonce: 3333333333n });
+    return input;
+}
+
+// Provable withdraw of TEST_NOTE, the only leaf of a depth-16 tree
+async function generateWithdrawInput() {
+    const cipherPayPubKey = await deriveCipherPayPubKey(TEST_WALLET);
+    const tree = await buildMerkleTree(16, [await computeNoteCommitment({ ...TEST_NOTE, cipherPayPubKey })]);
+    const { input } = await buildWithdrawInput(TEST_WALLET, TEST_NOTE, tree, { recipientOwner: '0x' + '01'.repeat(32) });
+    return input;
+}
+
+// Depth-16 tree holding TEST_WALLET's `note` at leaf 1, after a foreign leaf
+async function testNoteTree(note) {
+    const cipherPayPubKey = await deriveCipherPayPubKey(TEST_WALLET);
+    return buildMerkleTree(16, [11n, await computeNoteCommitment({ ...note, cipherPayPubKey })]);
+}
+
+// Transfer input spending TEST_WALLET's note at leaf 1 of a depth-16 tree and
+// appending both outputs after it (notes to fixed recipient addresses, with
+// fixed ephemeral keys). Amounts (and the relayer fee) are overridable, bypassing
+// buildTransferInput's checks, so negative tests can isolate the range
+// checks; `inIsDummy` / `dummyMerkleRoot` build a dummy input.
+async function generatePoseidonTransferInput(amounts = {}) {
+    const inAmount = BigInt(amounts.inAmount ?? 100);
+    const out1Amount = BigInt(amounts.out1Amount ?? 80);
+    const out2Amount = BigInt(amounts.out2Amount ?? 20);
+    const fee = BigInt(amounts.fee ?? 0);
+
+    const tree = await testNoteTree({ ...TEST_NOTE, amount: inAmount });
+    const inPath = tree.path(1);
+    const { nextLeafIndex, out1PathElements, out2PathElements } = tree.transferPaths();
+
+    const sender = await deriveCipherPayAddress(TEST_WALLET);
+    const out1RecipientSpendingPubKey = 2222222222n;
+    const out2RecipientSpendingPubKey = 3333333333n;
+    const out1Enc = await generateEncryptionKeyPair(6666666666n);
+    const out2Enc = await generateEncryptionKeyPair(7777777777n);
+    const encNote1 = await encryptNote({
+        amount: out1Amount, cipherPayPubKey: await computeCipherPayPubKey(out1RecipientSpendingPubKey, out1Enc.pubKey),
+        randomness: 4444444444n, tokenId: 1n, memo: 0n
+    }, out1Enc.pubKey, 8888888888n);
+    const encNote2 = await encryptNote({
+        amount: out2Amount, cipherPayPubKey: await computeCipherPayPubKey(out2RecipientSpendingPubKey, out2Enc.pubKey),
+        randomness: 5555555555n, tokenId: 1n, memo: 0n
+    }, out2Enc.pubKey, 9999999999n);
+
     return {
-        // Private inputs for input note
-        inAmount: 100,
-        inSenderWalletPubKey: inSenderWalletPubKey,
-        inSenderWalletPrivKey: inSenderWalletPrivKey,
-        inRandomness: 9876543210,
-        inTokenId: 1,
-        inMemo: 0,
-        inPathElements: merkleData.pathElements,
-        inPathIndices: merkleData.pathIndices,
-
-        // Private inputs for output notes
-        out1Amount: 80,
-        out1RecipientCipherPayPubKey: out1RecipientCipherPayPubKey,
-        out1Randomness: 4444444444,
-        out1TokenId: 1,
-        out1Memo: 0,
-        out2Amount: 20,
-        out2SenderCipherPayPubKey: out2SenderCipherPayPubKey,
-        out2Randomness: 5555555555,
-        out2TokenId: 1,
-        out2Memo: 0,
-
-        // Public inputs (encrypted note for recipient)
-        encryptedNote: 12345678901234567890 // BigInt representation of encrypted note
+        inAmount: inAmount.toString(),
+        inSenderWalletPubKey: TEST_WALLET.walletPubKey.toString(),
+        inSenderWalletPrivKey: TEST_WALLET.walletPrivKey.toString(),
+        inSenderEncPubKey: sender.encPubKey.map(String),
+        inRandomness: TEST_NOTE.randomness.toString(),
+        inTokenId: '1',
+        inMemo: '0',
+        inPathElements: inPath.pathElements.map(String),
+        inPathIndices: inPath.pathIndices,
+        inIsDummy: amounts.inIsDummy ? '1' : '0',
+        dummyMerkleRoot: BigInt(amounts.dummyMerkleRoot ?? 0).toString(),
+
+        out1Amount: out1Amount.toString(),
+        out1RecipientSpendingPubKey: out1RecipientSpendingPubKey.toString(),
+        out1Randomness: '4444444444',
+        out1TokenId: '1',
+        out1Memo: '0',
+        out1RecipientEncPubKey: out1Enc.pubKey.map(String),
+        out1EphemeralKey: encNote1.ephemeralKey.toString(),
+
+        out2Amount: out2Amount.toString(),
+        out2RecipientSpendingPubKey: out2RecipientSpendingPubKey.toString(),
+        out2Randomness: '5555555555',
+        out2TokenId: '1',
+        out2Memo: '0',
+        out2RecipientEncPubKey: out2Enc.pubKey.map(String),
+        out2EphemeralKey: encNote2.ephemeralKey.toString(),
+
+        nextLeafIndex: String(nextLeafIndex),
+        out1PathElements: out1PathElements.map(String),
+        out2PathElements: out2PathElements.map(String),
+
+        encNote1Hash: encNote1.encNoteHash.toString(),
+        encNote2Hash: encNote2.encNoteHash.toString(),
+
+        fee: fee.toString(),
+        feeRecipient_lo: '3',
+        feeRecipient_hi: '4'
     };
 }
 
-// Generate valid deposit input structure
-function generateDepositInput() {
-    const ownerWalletPubKey = 1234567890;
-    const ownerWalletPrivKey = 1111111111;
-    const ownerCipherPayPubKey = deriveCipherPayPubKey(ownerWalletPubKey, ownerWalletPrivKey);
-    const amount = 100;
-    const nonce = 3333333333;
-    const depositHash = computeDepositHash(ownerCipherPayPubKey, amount, nonce);
-    
+// Withdraw input for TEST_WALLET's note of `amount` at leaf 1 of a depth-16
+// tree; amount and fee bypass buildWithdrawInput's checks
+async function generatePoseidonWithdrawInput(amount = 100, fee = 0) {
+    const note = { ...TEST_NOTE, amount: BigInt(amount) };
+    const { encPubKey, cipherPayPubKey } = await deriveCipherPayAddress(TEST_WALLET);
+    const commitment = await computeNoteCommitment({ ...note, cipherPayPubKey });
+    const { pathElements, pathIndices } = (await testNoteTree(note)).path(1);
+
     return {
-        // Private inputs
-        ownerWalletPubKey: ownerWalletPubKey,
-        ownerWalletPrivKey: ownerWalletPrivKey,
-        randomness: 9876543210,
-        tokenId: 1,
-        memo: 0,
+        recipientWalletPrivKey: TEST_WALLET.walletPrivKey.toString(),
+        recipientEncPubKey: encPubKey.map(String),
+        randomness: TEST_NOTE.randomness.toString(),
+        memo: '0',
+        pathElements: pathElements.map(String),
+        pathIndices,
+        commitment: commitment.toString(),
+
+        recipientOwner_lo: '1',
+        recipientOwner_hi: '2',
+        recipientWalletPubKey: TEST_WALLET.walletPubKey.toString(),
+        amount: note.amount.toString(),
+        tokenId: '1',
 
-        // Public inputs
-        nonce: nonce,
-        amount: amount,
-        depositHash: depositHash
+        fee: BigInt(fee).toString(),
+        feeRecipient_lo: '3',
+        feeRecipient_hi: '4'
     };
 }
 
-// Generate valid withdraw input structure
-function generateWithdrawInput() {
-    const merkleData = generateSimpleMerkleTree(16);
-    const recipientWalletPubKey = 1234567890;
-    const recipientWalletPrivKey = 1111111111;
-    const recipientCipherPayPubKey = deriveCipherPayPubKey(recipientWalletPubKey, recipientWalletPrivKey);
-    const amount = 100;
-    const tokenId = 1;
-    const commitment = computeNoteCommitment(amount, recipientCipherPayPubKey, 9876543210, tokenId, 0);
-    
-    return {
-        // Private inputs
-        recipientWalletPrivKey: recipientWalletPrivKey,
-        randomness: 9876543210,
-        memo: 0,
-        pathElements: merkleData.pathElements,
-        pathIndices: merkleData.pathIndices,
-
-        // Public inputs
-        recipientWalletPubKey: recipientWalletPubKey,
-        amount: amount,
-        tokenId: tokenId,
-        commitment: commitment
+// JoinSplit(nIn, nOut) input from real Poseidon notes: TEST_WALLET's inputs sit
+// at odd leaves of a depth-16 tree and the outputs' append paths come from
+// tree.appendPaths. Amounts are overridable (all notes are recomputed, so only
+// the conservation check can fail); the tree, the output commitments and the
+// roots before/after the appends are returned alongside the input.
+async function generatePoseidonJoinSplitInput({ inAmount = [60, 40], outAmount = [70, 30] } = {}) {
+    const { encPubKey, cipherPayPubKey } = await deriveCipherPayAddress(TEST_WALLET);
+    const inNotes = inAmount.map((amount, i) => ({
+        ...TEST_NOTE, amount: BigInt(amount), randomness: TEST_NOTE.randomness + BigInt(i), cipherPayPubKey
+    }));
+    const leaves = [];
+    for (const note of inNotes) leaves.push(11n + BigInt(leaves.length), await computeNoteCommitment(note));
+    const tree = await buildMerkleTree(16, leaves);
+    const inPaths = inNotes.map((_, i) => tree.path(2 * i + 1));
+
+    const outNotes = outAmount.map((amount, j) => ({
+        amount: BigInt(amount), cipherPayPubKey: 2222222222n + BigInt(j), randomness: 4444444444n + BigInt(j), tokenId: 1n, memo: 0n
+    }));
+    const outCommitments = [];
+    for (const note of outNotes) outCommitments.push(await computeNoteCommitment(note));
+    const encNoteHash = [];
+    for (let j = 0; j < outNotes.length; j++) {
+        encNoteHash.push(await poseidonHash([outCommitments[j], outNotes[j].cipherPayPubKey]));
+    }
+    const { nextLeafIndex, pathElements, oldRoot, newRoot } = tree.appendPaths(outCommitments);
+
+    const input = {
+        inAmount: inNotes.map(n => n.amount.toString()),
+        inSenderWalletPubKey: inNotes.map(() => TEST_WALLET.walletPubKey.toString()),
+        inSenderWalletPrivKey: inNotes.map(() => TEST_WALLET.walletPrivKey.toString()),
+        inSenderEncPubKey: inNotes.map(() => encPubKey.map(String)),
+        inRandomness: inNotes.map(n => n.randomness.toString()),
+        inTokenId: inNotes.map(n => n.tokenId.toString()),
+        inMemo: inNotes.map(n => n.memo.toString()),
+        inPathElements: inPaths.map(p => p.pathElements.map(String)),
+        inPathIndices: inPaths.map(p => p.pathIndices),
+
+        outAmount: outNotes.map(n => n.amount.toString()),
+        outRecipientCipherPayPubKey: outNotes.map(n => n.cipherPayPubKey.toString()),
+        outRandomness: outNotes.map(n => n.randomness.toString()),
+        outTokenId: outNotes.map(n => n.tokenId.toString()),
+        outMemo: outNotes.map(n => n.memo.toString()),
+
+        nextLeafIndex: nextLeafIndex.toString(),
+        outPathElements: pathElements.map(p => p.map(String)),
+        encNoteHash: encNoteHash.map(String)
     };
+    return { input, tree, outCommitments, oldRoot, newRoot };
 }
 
 // Generate valid note commitment input structure
@@ -136,19 +268,26 @@ function generateNullifierInput() {
     return {
         ownerWalletPubKey: 1234567890,
         ownerWalletPrivKey: 1111111111,
+        ownerEncPubKey: [0, 1],
         randomness: 9876543210,
         tokenId: 1
     };
 }
 
 module.exports = {
-    generateSimpleMerkleTree,
-    deriveCipherPayPubKey,
-    computeNoteCommitment,
-    computeDepositHash,
-    generateTransferInput,
+    FIELD_PRIME,
+    poseidonHash,
+    rootFromPath,
+    circuitArtifacts,
+    witnessBuilt,
+    calculateWitness,
     generateDepositInput,
+    generateBatchDepositInput,
+    generateBalanceProofInput,
     generateWithdrawInput,
+    generatePoseidonTransferInput,
+    generatePoseidonWithdrawInput,
+    generatePoseidonJoinSplitInput,
     generateNoteCommitmentInput,
     generateNullifierInput
 }; 
\ No newline at end of file
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const {
+    HTLC_NOTE_TAG,
+    createHashlock,
+    preimageFromPublicSignals,
+    computeHtlcCommitment,
+    encryptHtlcNote,
+    decryptHtlcNote,
+    canRefund
+} = require('../scripts/htlc');
+const { limbsFromBytes32, limbsToBytes32 } = require('../scripts/recipient-owner');
+const { deriveEncryptionKeyPair } = require('../scripts/note-encryption');
+const { deriveCipherPayAddress, deriveCipherPayPubKey, computeNoteCommitment } = require('../scripts/witness-inputs');
+const { computeNullifier } = require('../scripts/nullifier');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const { poseidonHash, witnessBuilt, calculateWitness } = require('./helpers');
+
+const alice = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };   // sender
+const bob = { walletPubKey: 2234567890n, walletPrivKey: 2111111111n };     // recipient
+const REFUND_TIME = 1800000000n;
+
+// Alice's 90-unit HTLC note to Bob under `hashlock` (16-byte LE limbs), at leaf 1
+async function htlcNote(hashlock) {
+    const note = {
+        amount: 90n, recipientCipherPayPubKey: await deriveCipherPayPubKey(bob), randomness: 4444n, tokenId: 1n, memo: 0n,
+        senderCipherPayPubKey: await deriveCipherPayPubKey(alice), hashlock_lo: hashlock.lo, hashlock_hi: hashlock.hi,
+        refundTime: REFUND_TIME
+    };
+    const tree = await buildMerkleTree(16, [5n, await computeHtlcCommitment(note)]);
+    return { note, tree };
+}
+
+// HtlcSpend input for `spender` on one branch; the output note goes to the spender
+async function htlcSpendInput({ note, tree }, spender, { refund, preimage, currentTime }) {
+    const address = await deriveCipherPayAddress(spender);
+    const out = {
+        amount: note.amount, cipherPayPubKey: address.cipherPayPubKey, randomness: 7777n, tokenId: 1n, memo: 0n
+    };
+    const outCommitment = await computeNoteCommitment(out);
+    const { pathElements, pathIndices } = tree.path(1);
+    const append = tree.appendPaths([outCommitment]);
+    const input = {
+        amount: note.amount.toString(),
+        recipientCipherPayPubKey: note.recipientCipherPayPubKey.toString(),
+        randomness: note.randomness.toString(),
+        tokenId: note.tokenId.toString(),
+        memo: note.memo.toString(),
+        senderCipherPayPubKey: note.senderCipherPayPubKey.toString(),
+        hashlock_lo: note.hashlock_lo.toString(),
+        hashlock_hi: note.hashlock_hi.toString(),
+        refundTime: note.refundTime.toString(),
+        pathElements: pathElements.map(String),
+        pathIndices,
+        spenderWalletPubKey: spender.walletPubKey.toString(),
+        spenderWalletPrivKey: spender.walletPrivKey.toString(),
+        spenderEncPubKey: address.encPubKey.map(String),
+        outRandomness: out.randomness.toString(),
+        outMemo: out.memo.toString(),
+        nextLeafIndex: String(append.nextLeafIndex),
+        outPathElements: append.pathElements[0].map(String),
+        refund: refund ? '1' : '0',
+        preimage_lo: (preimage ? preimage.lo : 0n).toString(),
+        preimage_hi: (preimage ? preimage.hi : 0n).toString(),
+        currentTime: BigInt(currentTime).toString(),
+        fee: '0',
+        feeRecipient_lo: '0',
+        feeRecipient_hi: '0'
+    };
+    return { input, outCommitment };
+}
+
+describe('HTLC Notes', () => {
+    it('should hash the 32-byte preimage with SHA-256 and split both into LE limbs', () => {
+        const preimage = Buffer.alloc(32, 7);
+        const lock = createHashlock(preimage);
+        const digest = crypto.createHash('sha256').update(preimage).digest();
+
+        expect(Buffer.from(lock.hashlock).equals(digest)).toBe(true);
+        expect(Buffer.from(limbsToBytes32(lock.hashlock_lo, lock.hashlock_hi)).equals(digest)).toBe(true);
+        expect(Buffer.from(limbsToBytes32(lock.preimage_lo, lock.preimage_hi)).equals(preimage)).toBe(true);
+        expect(createHashlock().preimage).toHaveLength(32);
+        expect(() => createHashlock(Buffer.alloc(31))).toThrow(/32 bytes/);
+    });
+
+    it('should read the preimage from a claim and nothing from a refund', () => {
+        const lock = createHashlock();
+        const claim = ['1', '2', '3', '4', '5', '0', lock.preimage_lo.toString(), lock.preimage_hi.toString(), '0', '0', '0', '0'];
+        const refund = [...claim];
+        refund[5] = '1';
+
+        expect(Buffer.from(preimageFromPublicSignals(claim)).equals(Buffer.from(lock.preimage))).toBe(true);
+        expect(preimageFromPublicSignals(refund)).toBeNull();
+    });
+
+    it('should commit to the tagged note, the sender, the hashlock and the refund time', async () => {
+        const lock = createHashlock(Buffer.alloc(32, 1));
+        const note = {
+            amount: 90n, recipientCipherPayPubKey: 22n, randomness: 4444n, tokenId: 1n, memo: 0n,
+            senderCipherPayPubKey: 11n, hashlock_lo: lock.hashlock_lo, hashlock_hi: lock.hashlock_hi,
+            refundTime: 1800000000n
+        };
+        const tagged = await poseidonHash([HTLC_NOTE_TAG, 90n, 22n, 4444n, 1n, 0n]);
+
+        expect(await computeHtlcCommitment(note)).toBe(
+            await poseidonHash([tagged, 11n, lock.hashlock_lo, lock.hashlock_hi, 1800000000n])
+        );
+        expect(canRefund(note, 1799999999n)).toBe(false);
+        expect(canRefund(note, 1800000000n)).toBe(true);
+        await expect(computeHtlcCommitment({ ...note, refundTime: -1n })).rejects.toThrow(/u64/);
+    });
+
+    it('should encrypt all nine HTLC note fields to the recipient', async () => {
+        const { privKey, pubKey } = await deriveEncryptionKeyPair(bob.walletPrivKey);
+        const lock = createHashlock(Buffer.alloc(32, 1));
+        const { note } = await htlcNote({ lo: lock.hashlock_lo, hi: lock.hashlock_hi });
+        const payload = await encryptHtlcNote(note, pubKey);
+
+        expect(payload.ciphertext).toHaveLength(10);
+        expect(await decryptHtlcNote(payload, privKey)).toEqual(note);
+        await expect(encryptHtlcNote({ ...note, refundTime: 1n << 64n }, pubKey)).rejects.toThrow(/u64/);
+    });
+
+    it('should hash SHA-256 over the limbs in byte and bit order, in htlc_spend', async () => {
+        if (!witnessBuilt('htlc_spend')) {
+            console.log('⚠️ htlc_spend circuit not built, skipping test');
+            return;
+        }
+        // Distinct bytes, so any byte or limb permutation changes the digest
+        const lock = createHashlock(Uint8Array.from({ length: 32 }, (_, i) => i * 7 + 1));
+        const preimage = { lo: lock.preimage_lo, hi: lock.preimage_hi };
+        const claim = { refund: false, preimage, currentTime: 0n };
+
+        const ok = await htlcSpendInput(await htlcNote({ lo: lock.hashlock_lo, hi: lock.hashlock_hi }), bob, claim);
+        expect((await calculateWitness('htlc_spend', ok.input))[1]).toBe(ok.outCommitment);
+
+        const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest();
+        const reverseBits = (byte) => parseInt(byte.toString(2).padStart(8, '0').split('').reverse().join(''), 2);
+        const wrongOrders = [
+            limbsFromBytes32(Buffer.from(lock.hashlock).reverse()),                       // digest read big-endian
+            limbsFromBytes32(sha256(Buffer.from(lock.preimage).reverse())),               // preimage read big-endian
+            limbsFromBytes32(lock.hashlock.map(reverseBits))                              // bits LSB first
+        ];
+        for (const hashlock of wrongOrders) {
+            const { input } = await htlcSpendInput(await htlcNote(hashlock), bob, claim);
+            await expect(calculateWitness('htlc_spend', input)).rejects.toThrow(/Assert Failed.*template HtlcSpend_/);
+        }
+    });
+
+    it('should let the recipient claim with the preimage and the sender refund after refundTime, in htlc_spend', async () => {
+        if (!witnessBuilt('htlc_spend')) {
+            console.log('⚠️ htlc_spend circuit not built, skipping test');
+            return;
+        }
+        const lock = createHashlock(Buffer.alloc(32, 9));
+        const htlc = await htlcNote({ lo: lock.hashlock_lo, hi: lock.hashlock_hi });
+        const preimage = { lo: lock.preimage_lo, hi: lock.preimage_hi };
+        const nullifier = await computeNullifier(htlc.note.recipientCipherPayPubKey, htlc.note.randomness, htlc.note.tokenId);
+        const spend = async (spender, branch) => calculateWitness('htlc_spend', (await htlcSpendInput(htlc, spender, branch)).input);
+        const rejected = /Assert Failed.*template HtlcSpend_/;
+
+        // outCommitment, nullifier: one nullifier whichever branch runs
+        const claimed = await htlcSpendInput(htlc, bob, { refund: false, preimage, currentTime: 0n });
+        expect((await calculateWitness('htlc_spend', claimed.input)).slice(1, 3)).toEqual([claimed.outCommitment, nullifier]);
+        const refunded = await htlcSpendInput(htlc, alice, { refund: true, currentTime: REFUND_TIME });
+        expect((await calculateWitness('htlc_spend', refunded.input)).slice(1, 3)).toEqual([refunded.outCommitment, nullifier]);
+
+        // Claim: wrong preimage, or the sender's key
+        await expect(spend(bob, { refund: false, preimage: { lo: preimage.lo + 1n, hi: preimage.hi }, currentTime: 0n })).rejects.toThrow(rejected);
+        await expect(spend(alice, { refund: false, preimage, currentTime: 0n })).rejects.toThrow(rejected);
+
+        // Refund: before refundTime, by the recipient, or revealing a preimage
+        await expect(spend(alice, { refund: true, currentTime: REFUND_TIME - 1n })).rejects.toThrow(rejected);
+        await expect(spend(bob, { refund: true, currentTime: REFUND_TIME })).rejects.toThrow(rejected);
+        await expect(spend(alice, { refund: true, preimage, currentTime: REFUND_TIME })).rejects.toThrow(rejected);
+    });
+
+    it('should bind the encrypted HTLC note in htlc_lock', async () => {
+        if (!witnessBuilt('htlc_lock')) {
+            console.log('⚠️ htlc_lock circuit not built, skipping test');
+            return;
+        }
+        const lock = createHashlock(Buffer.alloc(32, 3));
+        const { note } = await htlcNote({ lo: lock.hashlock_lo, hi: lock.hashlock_hi });
+        const spent = { amount: 100n, cipherPayPubKey: note.senderCipherPayPubKey, randomness: 9876n, tokenId: 1n, memo: 0n };
+        const change = { ...spent, amount: spent.amount - note.amount, randomness: 5555n };
+        const tree = await buildMerkleTree(16, [5n, await computeNoteCommitment(spent)]);
+        const htlcCommitment = await computeHtlcCommitment(note);
+        const append = tree.appendPaths([htlcCommitment, await computeNoteCommitment(change)]);
+        const { pathElements, pathIndices } = tree.path(1);
+
+        const recipient = await deriveCipherPayAddress(bob);
+        const { privKey, pubKey } = await deriveEncryptionKeyPair(bob.walletPrivKey);
+        const payload = await encryptHtlcNote(note, recipient.encPubKey, 8888888888n);
+        const input = {
+            inAmount: spent.amount.toString(),
+            inSenderWalletPubKey: alice.walletPubKey.toString(),
+            inSenderWalletPrivKey: alice.walletPrivKey.toString(),
+            inSenderEncPubKey: (await deriveCipherPayAddress(alice)).encPubKey.map(String),
+            inRandomness: spent.randomness.toString(),
+            inTokenId: '1',
+            inMemo: '0',
+            inPathElements: pathElements.map(String),
+            inPathIndices: pathIndices,
+            htlcAmount: note.amount.toString(),
+            htlcRecipientSpendingPubKey: recipient.spendingPubKey.toString(),
+            htlcRandomness: note.randomness.toString(),
+            htlcMemo: '0',
+            hashlock_lo: note.hashlock_lo.toString(),
+            hashlock_hi: note.hashlock_hi.toString(),
+            refundTime: note.refundTime.toString(),
+            htlcRecipientEncPubKey: recipient.encPubKey.map(String),
+            htlcEphemeralKey: payload.ephemeralKey.toString(),
+            changeRandomness: change.randomness.toString(),
+            changeMemo: '0',
+            nextLeafIndex: String(append.nextLeafIndex),
+            outPathElements: append.pathElements.map(p => p.map(String)),
+            encNoteHash: payload.encNoteHash.toString(),
+            fee: '0',
+            feeRecipient_lo: '0',
+            feeRecipient_hi: '0'
+        };
+
+        // htlcCommitment; the recipient decrypts the note it opens
+        expect((await calculateWitness('htlc_lock', input))[1]).toBe(htlcCommitment);
+        expect(await computeHtlcCommitment(await decryptHtlcNote(payload, privKey))).toBe(htlcCommitment);
+
+        // A payload announcing another refund time does not match the locked note
+        const other = await encryptHtlcNote({ ...note, refundTime: REFUND_TIME + 1n }, pubKey, 8888888888n);
+        await expect(calculateWitness('htlc_lock', { ...input, encNoteHash: other.encNoteHash.toString() }))
+            .rejects.toThrow(/Assert Failed.*template HtlcLock_/);
+    });
+});
@@ -0,0 +1,140 @@
+const { buildMerkleTree, indexToPathIndices } = require('../scripts/merkle-tree');
+const { poseidonHash, rootFromPath } = require('./helpers');
+
+// Transfer step 8: second append from *pre-insertion* siblings of n + 1,
+// replacing the levels where outCommitment1's subtree is the sibling
+async function transferSecondRoot(n, out1, out2, out1PathElements, out2PathElements) {
+    const depth = out1PathElements.length;
+    const bits1 = indexToPathIndices(n, depth);
+    const bits2 = indexToPathIndices(n + 1, depth);
+
+    const cur1 = [BigInt(out1)];
+    for (let l = 0; l < depth; l++) {
+        cur1.push(await rootFromPath(cur1[l], [out1PathElements[l]], [bits1[l]]));
+    }
+
+    let cur = BigInt(out2);
+    let carry = 1;
+    for (let l = 0; l < depth; l++) {
+        let sib;
+        if (l === 0) {
+            sib = bits1[0] ? out2PathElements[0] : BigInt(out1);
+        } else {
+            carry *= bits1[l - 1];
+            sib = carry * (1 - bits1[l]) ? cur1[l] : out2PathElements[l];
+        }
+        cur = await rootFromPath(cur, [sib], [bits2[l]]);
+    }
+    return cur;
+}
+
+describe('Incremental Poseidon Merkle Tree', () => {
+    it('should use the empty-leaf convention for the empty root', async () => {
+        const tree = await buildMerkleTree(4);
+
+        let zero = 0n;
+        for (let l = 0; l < 4; l++) zero = await poseidonHash([zero, zero]);
+
+        expect(tree.root()).toBe(zero);
+        expect(tree.zeros[4]).toBe(zero);
+        expect(tree.nextLeafIndex).toBe(0);
+    });
+
+    it('should produce membership paths that recompute the root', async () => {
+        const tree = await buildMerkleTree(4, [11n, 22n, 33n, 44n, 55n]);
+
+        for (let i = 0; i < 5; i++) {
+            const { leaf, pathElements, pathIndices, root } = tree.path(i);
+            expect(pathIndices).toEqual(indexToPathIndices(i, 4));
+            expect(await rootFromPath(leaf, pathElements, pathIndices)).toBe(root);
+        }
+        expect(() => tree.path(5)).toThrow(/not been inserted/);
+    });
+
+    it('should give deposit paths whose indices are the bits of nextLeafIndex', async () => {
+        const tree = await buildMerkleTree(4, [11n, 22n, 33n]);
+        const { nextLeafIndex, inPathElements, inPathIndices, oldMerkleRoot } = tree.depositPath();
+
+        expect(nextLeafIndex).toBe(3);
+        expect(inPathIndices).toEqual([1, 1, 0, 0]);
+        // Deposit step 3a: the slot is empty under oldMerkleRoot
+        expect(await rootFromPath(0n, inPathElements, inPathIndices)).toBe(oldMerkleRoot);
+
+        tree.insert(99n);
+        expect(await rootFromPath(99n, inPathElements, inPathIndices)).toBe(tree.root());
+    });
+
+    it.each([4, 5, 7, 8])('should give transfer paths Transfer step 8 accepts (nextLeafIndex = %i)', async (n) => {
+        const tree = await buildMerkleTree(4, Array.from({ length: n }, (_, i) => BigInt(100 + i)));
+        const { nextLeafIndex, out1PathElements, out2PathElements, merkleRoot } = tree.transferPaths();
+
+        expect(nextLeafIndex).toBe(n);
+        expect(merkleRoot).toBe(tree.root());
+
+        tree.insert(7n);
+        const newMerkleRoot1 = tree.root();
+        tree.insert(8n);
+
+        expect(await rootFromPath(7n, out1PathElements, indexToPathIndices(n, 4))).toBe(newMerkleRoot1);
+        expect(await transferSecondRoot(n, 7n, 8n, out1PathElements, out2PathElements)).toBe(tree.root());
+    });
+
+    it('should give chained MerkleAppend paths without modifying the tree', async () => {
+        const tree = await buildMerkleTree(4, [11n, 22n, 33n]);
+        const before = tree.root();
+        const { nextLeafIndex, pathElements, oldRoot, newRoot } = tree.appendPaths([1n, 2n, 3n]);
+
+        expect(tree.root()).toBe(before);
+        expect(tree.nextLeafIndex).toBe(3);
+        expect(oldRoot).toBe(before);
+
+        let root = oldRoot;
+        for (let j = 0; j < 3; j++) {
+            const bits = indexToPathIndices(nextLeafIndex + j, 4);
+            expect(await rootFromPath(0n, pathElements[j], bits)).toBe(root);
+            root = await rootFromPath(BigInt(j + 1), pathElements[j], bits);
+        }
+        expect(root).toBe(newRoot);
+
+        [1n, 2n, 3n].forEach(leaf => tree.insert(leaf));
+        expect(tree.root()).toBe(newRoot);
+    });
+
+    it('should find inserted leaves by value', async () => {
+        const tree = await buildMerkleTree(4, [11n, 22n, 11n]);
+
+        expect(tree.indexOf(22n)).toBe(1);
+        expect(tree.indexOf('11')).toBe(0);
+        expect(tree.indexOf(0n)).toBe(-1);
+    });
+
+    it('should refuse to grow past 2^depth leaves', async () => {
+        const tree = await buildMerkleTree(2, [1n, 2n, 3n]);
+
+        expect(() => tree.transferPaths()).toThrow(/out of range/);
+        tree.insert(4n);
+        expect(() => tree.insert(5n)).toThrow(/full/);
+    });
+
+    it('should handle depth-32 trees sparsely', async () => {
+        const tree = await buildMerkleTree(32, [5n]);
+        const { pathElements, pathIndices, root } = tree.path(0);
+
+        expect(pathElements).toHaveLength(32);
+        expect(await rootFromPath(5n, pathElements, pathIndices)).toBe(root);
+    });
+
+    it('should pair siblings correctly at leaf index 2^31 and above', async () => {
+        const tree = await buildMerkleTree(32, [5n, 7n], { startIndex: 2 ** 31 });
+        const left = tree.path(2 ** 31);
+        const right = tree.path(2 ** 31 + 1);
+
+        expect(tree.nextLeafIndex).toBe(2 ** 31 + 2);
+        expect(tree.indexOf(7n)).toBe(2 ** 31 + 1);
+        expect(left.pathElements[0]).toBe(7n);
+        expect(right.pathElements[0]).toBe(5n);
+        expect(left.pathIndices[31]).toBe(1);
+        expect(await rootFromPath(5n, left.pathElements, left.pathIndices)).toBe(tree.root());
+        expect(await rootFromPath(7n, right.pathElements, right.pathIndices)).toBe(tree.root());
+    });
+});
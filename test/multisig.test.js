@@ -0,0 +1,201 @@
+const {
+    MULTISIG_TX_TAG,
+    deriveSignerPubKey,
+    createMultisigWallet,
+    multisigTxDigest,
+    signerShare,
+    createSigningSession
+} = require('../scripts/multisig');
+const { computeCipherPayPubKey, computeNoteCommitment } = require('../scripts/witness-inputs');
+const { computeNullifier } = require('../scripts/nullifier');
+const { generateEncryptionKeyPair, encryptNote } = require('../scripts/note-encryption');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const { buildEddsa } = require('circomlibjs');
+const { poseidonHash, witnessBuilt, calculateWitness } = require('./helpers');
+
+const privKeys = [1, 2, 3].map(b => Buffer.alloc(32, b));
+const outsiderKey = Buffer.alloc(32, 4);
+
+async function wallet2of3() {
+    const treasuryEnc = await generateEncryptionKeyPair(5555555555n);
+    return createMultisigWallet(await Promise.all(privKeys.map(deriveSignerPubKey)), 2, treasuryEnc.pubKey);
+}
+
+// Unsigned MultisigTransfer input spending a 100-unit note of `wallet` at leaf 1
+// of a depth-16 tree: 60 to a recipient address, the rest (less `fee`) back to
+// the multisig as change.
+async function unsignedTransferInput(wallet, { fee = 2n } = {}) {
+    const inNote = {
+        amount: 100n, cipherPayPubKey: wallet.ownerCipherPayPubKey, randomness: 9876543210n, tokenId: 1n, memo: 0n
+    };
+    const tree = await buildMerkleTree(16, [11n, await computeNoteCommitment(inNote)]);
+    const inPath = tree.path(1);
+
+    const recipientEnc = await generateEncryptionKeyPair(6666666666n);
+    const addresses = [
+        { spendingPubKey: 2222222222n, encPubKey: recipientEnc.pubKey },
+        { spendingPubKey: wallet.ownerSpendingPubKey, encPubKey: wallet.ownerEncPubKey }
+    ];
+    const outNotes = [
+        { amount: 60n, randomness: 4444444444n, tokenId: 1n, memo: 0n },
+        { amount: 40n - fee, randomness: 5555555555n, tokenId: 1n, memo: 0n }
+    ];
+    const payloads = [];
+    const commitments = [];
+    for (const [j, note] of outNotes.entries()) {
+        note.cipherPayPubKey = await computeCipherPayPubKey(addresses[j].spendingPubKey, addresses[j].encPubKey);
+        payloads.push(await encryptNote(note, addresses[j].encPubKey, 8888888888n + BigInt(j)));
+        commitments.push(await computeNoteCommitment(note));
+    }
+    const { nextLeafIndex, pathElements } = tree.appendPaths(commitments);
+
+    const outInputs = (j) => {
+        const note = outNotes[j - 1];
+        return {
+            [`out${j}Amount`]: note.amount.toString(),
+            [`out${j}RecipientSpendingPubKey`]: addresses[j - 1].spendingPubKey.toString(),
+            [`out${j}Randomness`]: note.randomness.toString(),
+            [`out${j}TokenId`]: '1',
+            [`out${j}Memo`]: '0',
+            [`out${j}RecipientEncPubKey`]: addresses[j - 1].encPubKey.map(String),
+            [`out${j}EphemeralKey`]: payloads[j - 1].ephemeralKey.toString()
+        };
+    };
+    return {
+        inAmount: '100',
+        inRandomness: inNote.randomness.toString(),
+        inTokenId: '1',
+        inMemo: '0',
+        inPathElements: inPath.pathElements.map(String),
+        inPathIndices: inPath.pathIndices,
+        ...outInputs(1),
+        ...outInputs(2),
+        nextLeafIndex: nextLeafIndex.toString(),
+        outPathElements: pathElements.map(p => p.map(String)),
+        encNote1Hash: payloads[0].encNoteHash.toString(),
+        encNote2Hash: payloads[1].encNoteHash.toString(),
+        fee: fee.toString(),
+        feeRecipient_lo: '3',
+        feeRecipient_hi: '4'
+    };
+}
+
+describe('Multisig Notes', () => {
+    it('should derive the owner from the threshold and all signer keys', async () => {
+        const wallet = await wallet2of3();
+
+        expect(wallet.signerPubKeys[1]).toEqual(await deriveSignerPubKey(privKeys[1].toString('hex')));
+        expect(wallet.ownerSpendingPubKey).toBe(await poseidonHash([2n, ...wallet.signerPubKeys.flat()]));
+        expect(wallet.ownerCipherPayPubKey).toBe(await poseidonHash([wallet.ownerSpendingPubKey, ...wallet.ownerEncPubKey]));
+        await expect(createMultisigWallet(wallet.signerPubKeys, 2)).rejects.toThrow(/encryption key/);
+        await expect(createMultisigWallet([[1n, 2n], [3n, 4n], [1n, 2n]], 2)).rejects.toThrow(/distinct/);
+        await expect(createMultisigWallet([[1n, 2n], [3n, 4n], [5n, 6n]], 4)).rejects.toThrow(/between 1 and 3/);
+        await expect(createMultisigWallet(Array.from({ length: 8 }, (_, i) => [BigInt(i), 0n]), 2))
+            .rejects.toThrow(/at most 7/);
+    });
+
+    it('should digest the nullifier, outputs, ciphertexts and fee of the spend', async () => {
+        const wallet = await wallet2of3();
+        const input = await unsignedTransferInput(wallet);
+        const nullifier = await computeNullifier(wallet.ownerCipherPayPubKey, 9876543210n, 1n);
+        const commitment = async (j) => computeNoteCommitment({
+            amount: BigInt(input[`out${j}Amount`]),
+            cipherPayPubKey: await computeCipherPayPubKey(input[`out${j}RecipientSpendingPubKey`], input[`out${j}RecipientEncPubKey`]),
+            randomness: BigInt(input[`out${j}Randomness`]),
+            tokenId: 1n,
+            memo: 0n
+        });
+
+        expect(await multisigTxDigest(wallet, input)).toBe(await poseidonHash([
+            MULTISIG_TX_TAG, nullifier, await commitment(1), await commitment(2),
+            input.encNote1Hash, input.encNote2Hash, 2n, 3n, 4n
+        ]));
+    });
+
+    it('should build the witness from any two signatures, without private keys', async () => {
+        const wallet = await wallet2of3();
+        const unsignedInput = await unsignedTransferInput(wallet);
+        const session = await createSigningSession(wallet, unsignedInput);
+
+        await session.addShare(await signerShare(wallet, privKeys[2], unsignedInput));
+        expect(session.isComplete()).toBe(false);
+        expect(() => session.witness()).toThrow(/need 2 signatures, have 1/);
+
+        const share = await signerShare(wallet, privKeys[0], unsignedInput);
+        expect(Object.keys(share).sort()).toEqual(['digest', 'index', 'signature']);
+        await session.addShare(share);
+        const input = session.witness();
+
+        expect(session.signers()).toEqual([0, 2]);
+        expect(input.ownerEncPubKey).toEqual(wallet.ownerEncPubKey.map(String));
+        expect(input.signerPubKey).toEqual(wallet.signerPubKeys.map(k => k.map(String)));
+        expect(input.signerEnabled).toEqual(['1', '0', '1']);
+        expect(input.sigR8[0]).toEqual(share.signature.R8.map(String));
+        expect(input.sigR8[1]).toEqual(['0', '1']);
+        expect(input.sigS[1]).toBe('0');
+        expect(JSON.stringify(input)).not.toContain(privKeys[0].toString('hex'));
+        expect(input.out1Amount).toBe('60');
+    });
+
+    it('should refuse outsiders, forged signatures, repeats, extra signers and other transfers', async () => {
+        const wallet = await wallet2of3();
+        const unsignedInput = await unsignedTransferInput(wallet);
+        const session = await createSigningSession(wallet, unsignedInput);
+        const share = await signerShare(wallet, privKeys[1], unsignedInput);
+
+        await expect(signerShare(wallet, outsiderKey, unsignedInput)).rejects.toThrow(/does not belong/);
+        await expect(session.addShare(await signerShare(wallet, privKeys[0], { ...unsignedInput, fee: '3' })))
+            .rejects.toThrow(/different transfer/);
+        await expect(session.addShare({ ...share, index: 0 })).rejects.toThrow(/not a valid signature/);
+
+        await session.addShare(share);
+        await expect(session.addShare(share)).rejects.toThrow(/already signed/);
+        await session.addShare(await signerShare(wallet, privKeys[0], unsignedInput));
+        await expect(session.addShare(await signerShare(wallet, privKeys[2], unsignedInput)))
+            .rejects.toThrow(/already have 2/);
+    });
+
+    describe('multisig_2of3 circuit', () => {
+        it('should accept two signatures and reject one, a wrong key or a changed spend', async () => {
+            if (!witnessBuilt('multisig_2of3')) {
+                console.log('⚠️ multisig_2of3 circuit not built, skipping test');
+                return;
+            }
+            const wallet = await wallet2of3();
+            const unsignedInput = await unsignedTransferInput(wallet);
+            const session = await createSigningSession(wallet, unsignedInput);
+            const shares = [];
+            for (const key of privKeys) shares.push(await signerShare(wallet, key, unsignedInput));
+            await session.addShare(shares[0]);
+            await session.addShare(shares[2]);
+            const input = session.witness();
+
+            const witness = await calculateWitness('multisig_2of3', input);
+            const nullifier = await computeNullifier(wallet.ownerCipherPayPubKey, 9876543210n, 1n);
+            expect(witness[3]).toBe(nullifier);
+
+            // 1-of-3: one slot switched off
+            const oneOfThree = { ...input, signerEnabled: ['1', '0', '0'] };
+            await expect(calculateWitness('multisig_2of3', oneOfThree)).rejects.toThrow(/template MultisigAuth_/);
+
+            // a wrong key: signer 1's signature in slot 0, then an outsider's over the same digest
+            const withSlot0 = ({ R8, S }) => ({
+                ...input,
+                sigR8: [R8.map(String), ...input.sigR8.slice(1)],
+                sigS: [S.toString(), ...input.sigS.slice(1)]
+            });
+            await expect(calculateWitness('multisig_2of3', withSlot0(shares[1].signature)))
+                .rejects.toThrow(/template EdDSAPoseidonVerifier_/);
+            const eddsa = await buildEddsa();
+            const forged = eddsa.signPoseidon(outsiderKey, eddsa.F.e(session.digest));
+            await expect(calculateWitness('multisig_2of3', withSlot0({ R8: forged.R8.map(c => eddsa.F.toObject(c)), S: forged.S })))
+                .rejects.toThrow(/template EdDSAPoseidonVerifier_/);
+
+            // the fee changed after signing
+            const refee = await unsignedTransferInput(wallet, { fee: 3n });
+            await expect(calculateWitness('multisig_2of3', { ...refee, ownerEncPubKey: input.ownerEncPubKey, signerPubKey: input.signerPubKey,
+                signerEnabled: input.signerEnabled, sigR8: input.sigR8, sigS: input.sigS }))
+                .rejects.toThrow(/template EdDSAPoseidonVerifier_/);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const {
+    CIPHERTEXT_LENGTH,
+    ENCRYPTION_KEY_TAG,
+    generateEncryptionKeyPair,
+    deriveEncryptionKeyPair,
+    deriveSharedKey,
+    poseidonEncrypt,
+    poseidonDecrypt,
+    hashEncryptedNote,
+    encryptNote,
+    decryptNote
+} = require('../scripts/note-encryption');
+const { FIELD_PRIME, poseidonHash } = require('./helpers');
+
+// BabyJubJub prime-order subgroup order
+const SUB_ORDER = 2736030358979909402780800718157159386076813972158567259200215660948447373041n;
+
+const note = {
+    amount: 80n,
+    cipherPayPubKey: 2222222222n,
+    randomness: 4444444444n,
+    tokenId: 1n,
+    memo: 42n
+};
+
+describe('Note Encryption', () => {
+    it('should agree on the ECDH shared key from either side', async () => {
+        const alice = await generateEncryptionKeyPair();
+        const bob = await generateEncryptionKeyPair();
+
+        expect(await deriveSharedKey(alice.privKey, bob.pubKey))
+            .toEqual(await deriveSharedKey(bob.privKey, alice.pubKey));
+    });
+
+    it('should derive the wallet encryption key from its private key', async () => {
+        const keys = await deriveEncryptionKeyPair(1111111111n);
+
+        expect(ENCRYPTION_KEY_TAG).toBe(0x656bn);
+        expect(keys.privKey).toBe((await poseidonHash([0x656bn, 1111111111n])) % SUB_ORDER);
+        expect(keys).toEqual(await generateEncryptionKeyPair(keys.privKey));
+        expect(await deriveEncryptionKeyPair(1111111111n)).toEqual(keys);
+        expect((await deriveEncryptionKeyPair(3333333333n)).pubKey).not.toEqual(keys.pubKey);
+    });
+
+    it('should round-trip the Poseidon cipher and pad to a multiple of 3', async () => {
+        const key = [123n, 456n];
+        const plaintext = [1n, 2n, 3n, 4n, FIELD_PRIME - 1n];
+        const ciphertext = await poseidonEncrypt(plaintext, key, 7n);
+
+        expect(ciphertext).toHaveLength(7);
+        expect(await poseidonDecrypt(ciphertext, key, 5, 7n)).toEqual(plaintext);
+        await expect(poseidonDecrypt(ciphertext, key, 5, 8n)).rejects.toThrow(/authentication/);
+    });
+
+    it('should decrypt a note for the recipient into its commitment preimage', async () => {
+        const recipient = await generateEncryptionKeyPair();
+        const payload = await encryptNote(note, recipient.pubKey);
+
+        expect(payload.ciphertext).toHaveLength(CIPHERTEXT_LENGTH);
+        expect(payload.encNoteHash).toBe(await hashEncryptedNote(payload));
+
+        const decrypted = await decryptNote(payload, recipient.privKey);
+        expect(decrypted).toEqual(note);
+        expect(await poseidonHash(Object.values(decrypted)))
+            .toBe(await poseidonHash([note.amount, note.cipherPayPubKey, note.randomness, note.tokenId, note.memo]));
+    });
+
+    it('should reject the wrong key and tampered ciphertexts', async () => {
+        const recipient = await generateEncryptionKeyPair();
+        const other = await generateEncryptionKeyPair();
+        const payload = await encryptNote(note, recipient.pubKey);
+
+        await expect(decryptNote(payload, other.privKey)).rejects.toThrow(/authentication/);
+
+        const tampered = { ...payload, ciphertext: [...payload.ciphertext] };
+        tampered.ciphertext[0] += 1n;
+        await expect(decryptNote(tampered, recipient.privKey)).rejects.toThrow(/authentication/);
+    });
+
+    it('should be deterministic for a fixed ephemeral key', async () => {
+        const recipient = await generateEncryptionKeyPair(6666666666n);
+        const a = await encryptNote(note, recipient.pubKey, 8888888888n);
+        const b = await encryptNote(note, recipient.pubKey, 8888888888n);
+        const c = await encryptNote(note, recipient.pubKey);
+
+        expect(a).toEqual(b);
+        expect(c.encNoteHash).not.toBe(a.encNoteHash);
+    });
+
+    it('should refuse keys the circuit cannot use', async () => {
+        const recipient = await generateEncryptionKeyPair();
+
+        await expect(encryptNote(note, [1n, 2n])).rejects.toThrow(/not on BabyJubJub/);
+        // recipient.pubKey plus the order-2 point (0, -1): on the curve, outside the subgroup
+        const [x, y] = recipient.pubKey;
+        await expect(encryptNote(note, [FIELD_PRIME - x, FIELD_PRIME - y])).rejects.toThrow(/subgroup/);
+        await expect(encryptNote(note, recipient.pubKey, 0n)).rejects.toThrow(/ephemeral key/);
+        await expect(encryptNote(note, recipient.pubKey, 1n << 253n)).rejects.toThrow(/ephemeral key/);
+    });
+});
@@ -0,0 +1,38 @@
+const {
+    POSITION_NULLIFIER_TAG,
+    computeNullifier,
+    computePositionedNullifier,
+    isLegacyLeaf,
+    spendNullifiers
+} = require('../scripts/nullifier');
+const { poseidonHash } = require('./helpers');
+
+const note = { cipherPayPubKey: 1234567n, randomness: 9876543210n, tokenId: 1n };
+
+describe('Nullifiers', () => {
+    it('should match the v1 and position-bound circuit formulas', async () => {
+        const base = await computeNullifier(note.cipherPayPubKey, note.randomness, note.tokenId);
+
+        expect(base).toBe(await poseidonHash([1234567n, 9876543210n, 1n]));
+        expect(await computePositionedNullifier(base, 5n)).toBe(await poseidonHash([POSITION_NULLIFIER_TAG, base, 5n]));
+    });
+
+    it('should give duplicate commitments at different leaves different nullifiers', async () => {
+        const a = await spendNullifiers({ ...note, leafIndex: 10, migrationLeafIndex: 8 });
+        const b = await spendNullifiers({ ...note, leafIndex: 11, migrationLeafIndex: 8 });
+
+        expect(a.baseNullifier).toBe(b.baseNullifier);
+        expect(a.nullifier).not.toBe(b.nullifier);
+        expect(a.legacyNullifier).not.toBe(b.legacyNullifier);
+        expect(a.legacyNullifier).toBe(await poseidonHash([a.nullifier]));
+    });
+
+    it('should publish the v1 nullifier for notes created before the upgrade', async () => {
+        const legacy = await spendNullifiers({ ...note, leafIndex: 7, migrationLeafIndex: 8 });
+
+        expect(isLegacyLeaf(7, 8)).toBe(true);
+        expect(isLegacyLeaf(8, 8)).toBe(false);
+        expect(legacy.legacyNullifier).toBe(legacy.baseNullifier);
+        expect(legacy.nullifier).toBe(await computePositionedNullifier(legacy.baseNullifier, 7n));
+    });
+});
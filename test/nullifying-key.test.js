@@ -0,0 +1,91 @@
+const {
+    NULLIFYING_KEY_TAG,
+    deriveNullifyingKey,
+    deriveNkCipherPayAddress,
+    deriveNkCipherPayPubKey,
+    computeNkNullifier,
+    buildDepositNkInput,
+    buildTransferNkInput,
+    buildWithdrawNkInput
+} = require('../scripts/nullifying-key');
+const { deriveCipherPayAddress, deriveCipherPayPubKey, computeNoteCommitment } = require('../scripts/witness-inputs');
+const { deriveEncryptionKeyPair } = require('../scripts/note-encryption');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const { poseidonHash, witnessBuilt, calculateWitness } = require('./helpers');
+
+const alice = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+const note = { amount: 100n, randomness: 9876543210n, tokenId: 1n, memo: 0n };
+
+// Tree holding alice's note under the nk-derived key at leaf 1
+async function nkTree() {
+    const cipherPayPubKey = await deriveNkCipherPayPubKey(alice);
+    return buildMerkleTree(16, [11n, await computeNoteCommitment({ ...note, cipherPayPubKey }), 22n]);
+}
+
+describe('Nullifying-Key Hierarchy', () => {
+    it('should derive nk, the cipherPayPubKey and the nullifier as the circuits do', async () => {
+        const nk = await deriveNullifyingKey(alice.walletPrivKey);
+
+        expect(NULLIFYING_KEY_TAG).toBe(0x6e6bn);
+        expect(nk).toBe(await poseidonHash([0x6e6bn, alice.walletPrivKey]));
+        // Same encryption key as the v1 address: it derives from the real private key
+        const { pubKey } = await deriveEncryptionKeyPair(alice.walletPrivKey);
+        const address = await deriveNkCipherPayAddress(alice);
+        expect(address.spendingPubKey).toBe(await poseidonHash([alice.walletPubKey, nk]));
+        expect(address.encPubKey).toEqual(pubKey);
+        expect(await deriveNkCipherPayPubKey(alice)).toBe(await poseidonHash([address.spendingPubKey, ...pubKey]));
+        expect(await deriveNkCipherPayPubKey(alice)).not.toBe(await deriveCipherPayPubKey(alice));
+        expect(await computeNkNullifier(nk, note.randomness, note.tokenId)).toBe(await poseidonHash([nk, note.randomness, note.tokenId]));
+    });
+
+    it('should build deposit, transfer and withdraw inputs carrying the real private key', async () => {
+        const tree = await nkTree();
+        const nk = await deriveNullifyingKey(alice.walletPrivKey);
+        const cipherPayPubKey = await deriveNkCipherPayPubKey(alice);
+
+        const dep = await buildDepositNkInput(alice, { amount: 50n, tokenId: 1n }, tree, { nonce: 7n });
+        expect(dep.input.ownerWalletPrivKey).toBe(alice.walletPrivKey.toString());
+        expect(dep.note.cipherPayPubKey).toBe(cipherPayPubKey);
+        expect(dep.depositHash).toBe(await poseidonHash([cipherPayPubKey, 50n, 7n]));
+
+        const bob = await deriveNkCipherPayAddress({ walletPubKey: 2222222222n, walletPrivKey: 3333333333n });
+        const tx = await buildTransferNkInput(alice, note, tree, { recipient: bob, amount: 80n });
+        expect(tx.input.inSenderWalletPrivKey).toBe(alice.walletPrivKey.toString());
+        expect(tx.input).not.toHaveProperty('inIsDummy');
+        expect(tx.input.inPathIndices[0]).toBe(1);
+        expect(tx.outputs[0].cipherPayPubKey).toBe(bob.cipherPayPubKey);
+        expect(tx.outputs[1].cipherPayPubKey).toBe(cipherPayPubKey);
+        expect(tx.input.inSenderEncPubKey).toEqual((await deriveCipherPayAddress(alice)).encPubKey.map(String));
+        expect(tx.nullifier).toBe(await computeNkNullifier(nk, note.randomness, note.tokenId));
+        expect(JSON.stringify(tx.input)).not.toContain(nk.toString());
+
+        const wd = await buildWithdrawNkInput(alice, note, tree, { recipientOwner: '0x' + '01'.repeat(32) });
+        expect(wd.input.recipientWalletPrivKey).toBe(alice.walletPrivKey.toString());
+        expect(wd.nullifier).toBe(tx.nullifier);
+
+        // A note committed under the v1 key is not an nk note
+        const v1Tree = await buildMerkleTree(16, [await computeNoteCommitment({ ...note, cipherPayPubKey: await deriveCipherPayPubKey(alice) })]);
+        await expect(buildWithdrawNkInput(alice, note, v1Tree, { recipientOwner: '0x' + '01'.repeat(32) })).rejects.toThrow(/not in the tree/);
+    });
+
+    describe('_nk circuits', () => {
+        it('should accept deposit_nk and withdraw_nk inputs from the builders', async () => {
+            if (!witnessBuilt('deposit_nk') || !witnessBuilt('withdraw_nk')) {
+                console.log('⚠️ deposit_nk / withdraw_nk circuits not built, skipping test');
+                return;
+            }
+            const tree = await nkTree();
+
+            // [1, newCommitment, ownerCipherPayPubKey, newMerkleRoot, newNextLeafIndex, ...]
+            const dep = await buildDepositNkInput(alice, { amount: 50n, tokenId: 1n }, tree);
+            const depWitness = await calculateWitness('deposit_nk', dep.input);
+            tree.insert(dep.note.commitment);
+            expect(depWitness.slice(1, 5)).toEqual([dep.note.commitment, dep.note.cipherPayPubKey, tree.root(), 4n]);
+
+            // [1, nullifier, merkleRoot, ...]
+            const wd = await buildWithdrawNkInput(alice, note, tree, { recipientOwner: '0x' + '01'.repeat(32) });
+            const wdWitness = await calculateWitness('withdraw_nk', wd.input);
+            expect(wdWitness.slice(1, 3)).toEqual([wd.nullifier, tree.root()]);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    SCHEMA_FILE,
+    deriveSchema,
+    loadSchema,
+    checkSchema,
+    writeSchema,
+    publicSignalNames,
+    decodePublicSignals,
+    encodePublicSignals
+} = require('../scripts/public-signals');
+const { loadCircuitConfig } = require('../scripts/circuit-config');
+const { encodePublicSignals: encodeLE } = require('../scripts/solana-encoding');
+
+describe('Public Signal Schema', () => {
+    it('should match the circom sources', () => {
+        const schema = checkSchema();
+
+        expect(Number.isInteger(schema.version) && schema.version > 0).toBe(true);
+        expect(schema.circuits).toEqual(deriveSchema());
+        expect(schema.circuits.withdraw_v2).toEqual([
+            'nullifier', 'merkleRoot', 'legacyNullifier',
+            'recipientOwner_lo', 'recipientOwner_hi', 'recipientWalletPubKey', 'amount', 'tokenId',
+            'fee', 'feeRecipient_lo', 'feeRecipient_hi', 'migrationLeafIndex'
+        ]);
+        expect(schema.circuits.joinsplit_4x2).toContain('nullifier[4]');
+    });
+
+    it('should only accept a changed layout with a version bump', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cipherpay-schema-')), 'schema.json');
+        fs.copyFileSync(SCHEMA_FILE, file);
+        const { version } = loadSchema();
+
+        // Same sources: --write keeps the version
+        expect(writeSchema({ file }).schema.version).toBe(version);
+
+        const config = loadCircuitConfig();
+        config.circuits.withdraw.public = config.circuits.withdraw.public.filter(p => p !== 'feeRecipient_hi');
+        expect(() => checkSchema({ file, config })).toThrow(/out of date for withdraw, withdraw_depth20/);
+
+        const { schema, changed } = writeSchema({ file, config });
+        expect(schema.version).toBe(version + 1);
+        expect(changed).toEqual(['withdraw', 'withdraw_depth20', 'withdraw_depth24', 'withdraw_depth32']);
+        expect(checkSchema({ file, config }).version).toBe(version + 1);
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it('should require a version above the committed schema for a changed layout', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cipherpay-schema-')), 'schema.json');
+        const committed = loadSchema();
+        const config = loadCircuitConfig();
+        config.circuits.withdraw.public = config.circuits.withdraw.public.filter(p => p !== 'feeRecipient_hi');
+
+        // Layouts edited to match the sources, version left alone
+        fs.writeFileSync(file, JSON.stringify({ version: committed.version, circuits: deriveSchema(config) }));
+        expect(() => checkSchema({ file, config, committed }))
+            .toThrow(/withdraw, withdraw_depth20, .* changed since the committed schema v\d+, but the version is still/);
+        expect(() => checkSchema({ file, config, committed: null })).not.toThrow();
+
+        // --write bumps past the committed version although the file matches the sources
+        const { schema, changed } = writeSchema({ file, config, committed });
+        expect(changed).toEqual([]);
+        expect(schema.version).toBe(committed.version + 1);
+        expect(checkSchema({ file, config, committed }).version).toBe(committed.version + 1);
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it('should encode and decode named signals, arrays and LE buffers', () => {
+        const signals = ['10', '11', '20', '21', '30', '40', '50', '60', '61'];
+        const decoded = decodePublicSignals('joinsplit_2x2', signals);
+
+        expect(publicSignalNames('joinsplit_2x2').slice(0, 3)).toEqual(['outCommitment[0]', 'outCommitment[1]', 'nullifier[0]']);
+        expect(decoded.nullifier).toEqual([20n, 21n]);
+        expect(decoded.newNextLeafIndex).toBe(50n);
+        expect(decodePublicSignals('joinsplit_2x2', encodeLE(signals))).toEqual(decoded);
+        expect(encodePublicSignals('joinsplit_2x2', decoded)).toEqual(signals);
+        expect(encodePublicSignals('joinsplit_2x2', decoded, { binary: true })).toEqual(encodeLE(signals));
+
+        expect(() => encodePublicSignals('joinsplit_2x2', { ...decoded, fee: 1n })).toThrow(/no public signal fee/);
+        expect(() => encodePublicSignals('joinsplit_2x2', { ...decoded, nullifier: [1n] })).toThrow(/needs 2 values/);
+        expect(() => decodePublicSignals('joinsplit_2x2', Buffer.alloc(32))).toThrow(/288 bytes/);
+    });
+});
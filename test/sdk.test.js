@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sdk = require('..');
+
+const FQ = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// Shape-only points (not on the curve): enough to check the byte layout
+const g1 = (i) => [String(i), String(i + 1), '1'];
+const g2 = (i) => [[String(i), String(i + 1)], [String(i + 2), String(i + 3)], ['1', '0']];
+
+describe('SDK', () => {
+    it('should resolve artifacts from the manifest, falling back to the setup layout', () => {
+        const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cipherpay-build-'));
+        fs.writeFileSync(path.join(buildDir, 'manifest.json'), JSON.stringify({
+            withdraw: { circuit: 'withdraw', wasm: 'w/w.wasm', zkey: 'w/w.zkey', vkey: 'w/vk.json' }
+        }));
+
+        const fromManifest = sdk.resolveArtifacts('withdraw', { buildDir, mustExist: false });
+        expect(fromManifest.zkey).toBe(path.join(buildDir, 'w/w.zkey'));
+
+        const fromLayout = sdk.resolveArtifacts('transfer_depth20', { buildDir, mustExist: false });
+        expect(fromLayout.wasm).toBe(path.join(buildDir, 'transfer_depth20/transfer_depth20_js/transfer_depth20.wasm'));
+        expect(fromLayout.params).toEqual({ depth: 20 });
+        expect(sdk.listCircuits()).toContain('transfer_depth20');
+
+        expect(() => sdk.resolveArtifacts('withdraw', { buildDir })).toThrow(/withdraw is not built/);
+        expect(() => sdk.resolveArtifacts('nope', { buildDir })).toThrow(/unknown circuit/);
+        fs.rmSync(buildDir, { recursive: true, force: true });
+    });
+
+    it('should name public signals by circuit layout', () => {
+        const signals = ['11', '22', '1', '2', '33', '100', '1', '0', '3', '4'];
+        const decoded = sdk.decodePublicSignals('withdraw_depth20', signals);
+
+        expect(sdk.publicSignalNames('withdraw')[0]).toBe('nullifier');
+        expect(decoded.nullifier).toBe(11n);
+        expect(decoded.feeRecipient_hi).toBe(4n);
+        expect(() => sdk.decodePublicSignals('withdraw', signals.slice(1))).toThrow(/has 10 public signals, got 9/);
+    });
+
+    it('should encode proofs LE and verification keys BE for the Solana program', () => {
+        const proof = { pi_a: g1(5), pi_b: g2(7), pi_c: g1(11) };
+        const payload = sdk.encodePayload(proof, ['1', (FQ + 2n).toString()]);
+
+        expect(payload).toHaveLength(256 + 64);
+        expect(payload[0]).toBe(5);                 // pi_a.x, little-endian
+        expect(payload[64]).toBe(7);                // pi_b.x0
+        expect(payload[256 + 32]).toBe(2);         // signals are reduced mod p
+        expect(sdk.encodeProof(proof)).toEqual(payload.subarray(0, 256));
+
+        const vk = {
+            protocol: 'groth16', curve: 'bn128', nPublic: 1,
+            vk_alpha_1: g1(1), vk_beta_2: g2(2), vk_gamma_2: g2(3), vk_delta_2: g2(4), IC: [g1(8), g1(9)]
+        };
+        const bytes = sdk.encodeVerificationKey(vk);
+        expect(bytes).toHaveLength(64 + 3 * 128 + 2 * 64);
+        expect(bytes[31]).toBe(1);                  // alpha.x, big-endian
+        expect(() => sdk.encodeVerificationKey({ ...vk, nPublic: 2 })).toThrow(/IC length/);
+    });
+});
@@ -0,0 +1,145 @@
+const { buildSparseMerkleTree } = require('../scripts/sparse-merkle-tree');
+const { buildDepositSet } = require('../scripts/association-tree');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const {
+    deriveCipherPayAddress,
+    deriveCipherPayPubKey,
+    buildDepositInput,
+    buildTransferInput,
+    buildWithdrawInput
+} = require('../scripts/witness-inputs');
+const { poseidonHash, witnessBuilt, calculateWitness } = require('./helpers');
+
+const alice = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };   // blocklisted depositor
+const carol = { walletPubKey: 4444444444n, walletPrivKey: 5555555555n };
+const fresh = { walletPubKey: 6666666666n, walletPrivKey: 7777777777n };   // a new key of alice's
+const recipientOwner = '0x' + '01'.repeat(32);
+
+// Alice and Carol deposit, Alice is blocklisted and moves 80 of her deposit
+// to a fresh key with a transfer
+async function blocklistScenario() {
+    const tree = await buildMerkleTree(16, [11n]);
+    const deposits = [];
+    for (const [wallet, amount] of [[alice, 100n], [carol, 50n]]) {
+        const dep = await buildDepositInput(wallet, { amount, tokenId: 1n }, tree);
+        tree.insert(dep.note.commitment);
+        deposits.push(dep.note);
+    }
+    const tx = await buildTransferInput(alice, deposits[0], tree, { recipient: await deriveCipherPayAddress(fresh), amount: 80n });
+    tx.outputs.forEach(o => tree.insert(o.commitment));
+
+    return {
+        tree,
+        deposits,
+        moved: tx.outputs[0],
+        depositSet: await buildDepositSet(deposits.map(n => n.commitment)),
+        blocklist: await buildSparseMerkleTree(32, [await deriveCipherPayPubKey(alice)])
+    };
+}
+
+// WithdrawBlocklist input for `wallet` spending `note`, proving `depositOf` in the deposit set
+async function blocklistWithdrawInput(s, wallet, note, depositOf = note.commitment) {
+    const wd = await buildWithdrawInput(wallet, note, s.tree, { recipientOwner });
+    const exclusion = await s.blocklist.exclusionProof(await deriveCipherPayPubKey(wallet));
+    const deposit = s.depositSet.membershipProof(depositOf);
+    return {
+        nullifier: wd.nullifier,
+        input: {
+            ...wd.input,
+            blocklistSiblings: exclusion.blocklistSiblings.map(String),
+            blocklistOldKey: exclusion.blocklistOldKey.toString(),
+            blocklistOldValue: exclusion.blocklistOldValue.toString(),
+            blocklistIsOld0: String(exclusion.blocklistIsOld0),
+            blocklistRoot: exclusion.blocklistRoot.toString(),
+            depositPathElements: deposit.depositPathElements.map(String),
+            depositPathIndices: deposit.depositPathIndices,
+            depositRoot: deposit.depositRoot.toString()
+        }
+    };
+}
+
+// SMTVerifier exclusion in JS: hash the old leaf (or 0) and fold it up the
+// key's path, bit i of the key picking the side at level i
+async function rootFromExclusion(key, proof) {
+    const { blocklistSiblings: siblings, blocklistOldKey, blocklistOldValue, blocklistIsOld0 } = proof;
+    let levels = siblings.length;
+    while (levels > 0 && siblings[levels - 1] === 0n) levels--;
+    let cur = blocklistIsOld0 ? 0n : await poseidonHash([blocklistOldKey, blocklistOldValue, 1n]);
+    for (let l = levels - 1; l >= 0; l--) {
+        cur = (BigInt(key) >> BigInt(l)) & 1n
+            ? await poseidonHash([siblings[l], cur])
+            : await poseidonHash([cur, siblings[l]]);
+    }
+    return cur;
+}
+
+describe('Sparse Merkle Tree', () => {
+    it('should give the same root for the same keys in any order', async () => {
+        const a = await buildSparseMerkleTree(32, [5n, 9n, 12n]);
+        const b = await buildSparseMerkleTree(32, [12n, 5n]);
+        await b.insert(9n);
+
+        expect(b.root()).toBe(a.root());
+        expect((await buildSparseMerkleTree(32)).root()).toBe(0n);
+
+        await b.delete(9n);
+        expect(b.root()).toBe((await buildSparseMerkleTree(32, [5n, 12n])).root());
+    });
+
+    it('should prove exclusion the way SMTNonMembership checks it', async () => {
+        const tree = await buildSparseMerkleTree(32, [5n, 9n, 12n]);
+
+        for (const key of [13n, 2n, 1n << 40n]) {
+            const proof = await tree.exclusionProof(key);
+            expect(proof.blocklistSiblings).toHaveLength(32);
+            expect(proof.blocklistRoot).toBe(tree.root());
+            expect(await rootFromExclusion(key, proof)).toBe(tree.root());
+        }
+
+        const ended = await tree.exclusionProof(13n);     // ...01101 ends at key 5's leaf (...00101)
+        expect([ended.blocklistIsOld0, ended.blocklistOldKey, ended.blocklistOldValue]).toEqual([0, 5n, 1n]);
+        const empty = await tree.exclusionProof(3n);      // ...11: no key ends in binary 11
+        expect([empty.blocklistIsOld0, empty.blocklistOldKey, empty.blocklistOldValue]).toEqual([1, 0n, 0n]);
+    });
+
+    it('should refuse blocked keys, duplicates and paths deeper than the tree', async () => {
+        const tree = await buildSparseMerkleTree(4, [5n]);
+
+        expect(await tree.has(5n)).toBe(true);
+        await expect(tree.exclusionProof(5n)).rejects.toThrow(/is in the tree/);
+        await expect(tree.insert(5n)).rejects.toThrow(/already in the tree/);
+        await expect(tree.delete(6n)).rejects.toThrow(/not in the tree/);
+
+        await tree.insert(5n + (1n << 5n));                // same low 5 bits as 5
+        await expect(tree.exclusionProof(5n + (1n << 6n))).rejects.toThrow(/needs \d+ levels, tree depth is 4/);
+    });
+
+    it('should only clear deposit commitments, not notes a blocklisted depositor transferred', async () => {
+        const s = await blocklistScenario();
+
+        expect(s.depositSet.has(s.deposits[1].commitment)).toBe(true);
+        await expect(blocklistWithdrawInput(s, alice, s.deposits[0])).rejects.toThrow(/is in the tree/);
+        // the fresh key is not blocked, but its note is no deposit
+        expect(await s.blocklist.has(await deriveCipherPayPubKey(fresh))).toBe(false);
+        await expect(blocklistWithdrawInput(s, fresh, s.moved)).rejects.toThrow(/not in the deposit set/);
+    });
+
+    describe('withdraw_blocklist circuit', () => {
+        it('should withdraw a cleared deposit and reject a blocklisted depositor\'s transferred note', async () => {
+            if (!witnessBuilt('withdraw_blocklist')) {
+                console.log('⚠️ withdraw_blocklist circuit not built, skipping test');
+                return;
+            }
+            const s = await blocklistScenario();
+
+            // [1, nullifier, merkleRoot, ...]
+            const ok = await blocklistWithdrawInput(s, carol, s.deposits[1]);
+            const witness = await calculateWitness('withdraw_blocklist', ok.input);
+            expect(witness.slice(1, 3)).toEqual([ok.nullifier, s.tree.root()]);
+
+            // the transferred note under the deposit path of the note it came from
+            const moved = await blocklistWithdrawInput(s, fresh, s.moved, s.deposits[0].commitment);
+            await expect(calculateWitness('withdraw_blocklist', moved.input)).rejects.toThrow(/template WithdrawBlocklist_/);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { createSwapOrder, buildSwapLeg, checkSwapLegs, verifySwap } = require('../scripts/swap');
+const { deriveCipherPayPubKey } = require('../scripts/witness-inputs');
+const { buildMerkleTree, indexToPathIndices } = require('../scripts/merkle-tree');
+const { poseidonHash, witnessBuilt, calculateWitness } = require('./helpers');
+
+const wallets = [
+    { walletPubKey: 1234567890n, walletPrivKey: 1111111111n },
+    { walletPubKey: 2222222222n, walletPrivKey: 3333333333n }
+];
+const notes = [
+    { amount: 150n, randomness: 9876543210n, tokenId: 1n, memo: 0n },
+    { amount: 250n, randomness: 5555555555n, tokenId: 2n, memo: 0n }
+];
+
+// Tree holding both parties' notes among foreign leaves
+async function swapTree() {
+    const leaves = [11n];
+    for (const [p, n] of notes.entries()) {
+        const cipherPayPubKey = await deriveCipherPayPubKey(wallets[p]);
+        leaves.push(await poseidonHash([n.amount, cipherPayPubKey, n.randomness, n.tokenId, n.memo]), 22n);
+    }
+    return buildMerkleTree(16, leaves);
+}
+
+// Both legs of `order`, leg 1 built after leg 0's outputs are in `tree`.
+// signals[p] is leg p's expected publicSignals.
+async function buildBothLegs(order, tree) {
+    const legs = [];
+    const signals = [];
+    for (const p of [0, 1]) {
+        const merkleRoot = tree.root();
+        const leg = await buildSwapLeg(order, p, wallets[p], notes[p], tree);
+        const outs = [leg.outputs.receive.commitment, leg.outputs.change.commitment];
+        outs.forEach(c => tree.insert(c));
+        legs.push(leg);
+        signals.push([...outs, leg.nullifier, merkleRoot, tree.root(), BigInt(tree.nextLeafIndex), order.orderHash, BigInt(p)]
+            .map(String));
+    }
+    return { legs, signals };
+}
+
+describe('Shielded Swap', () => {
+    it('should hash the order over both tokens, amounts and the nonce', async () => {
+        const order = await createSwapOrder({ tokenId: [1, 2], giveAmount: [100, 250], nonce: 7 });
+
+        expect(order.orderHash).toBe(await poseidonHash([1n, 100n, 2n, 250n, 7n]));
+        await expect(createSwapOrder({ tokenId: [1, 1], giveAmount: [1, 1] })).rejects.toThrow(/different token/);
+        await expect(createSwapOrder({ tokenId: [1, 2], giveAmount: [2n ** 64n, 1] })).rejects.toThrow(/u64/);
+    });
+
+    it('should let each party build its leg from its own note', async () => {
+        const tree = await swapTree();
+        const order = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+        const leg = await buildSwapLeg(order, 1, wallets[1], notes[1], tree);
+
+        expect(leg.input.inPathIndices).toEqual(indexToPathIndices(3, 16));
+        expect(leg.input.side).toBe('1');
+        expect(leg.input.orderHash).toBe(order.orderHash.toString());
+        expect(leg.nullifier).toBe(await poseidonHash([leg.outputs.change.cipherPayPubKey, notes[1].randomness, 2n]));
+
+        await expect(buildSwapLeg(order, 0, wallets[1], notes[1], tree)).rejects.toThrow(/must spend token 1/);
+        await expect(buildSwapLeg(order, 1, wallets[1], { ...notes[1], amount: 249n }, tree)).rejects.toThrow(/order gives 250/);
+        await expect(buildSwapLeg(order, 0, wallets[1], notes[0], tree)).rejects.toThrow(/not in the tree/);
+    });
+
+    it('should give each party the other token and its own change, without the other wallet', async () => {
+        const tree = await swapTree();
+        const order = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+        const { legs } = await buildBothLegs(order, tree);
+        const [o0, o1] = legs.map(l => l.outputs);
+
+        expect([o0.receive.amount, o0.receive.tokenId]).toEqual([250n, 2n]);
+        expect([o0.change.amount, o0.change.tokenId]).toEqual([50n, 1n]);
+        expect([o1.receive.amount, o1.receive.tokenId]).toEqual([100n, 1n]);
+        expect([o1.change.amount, o1.change.tokenId]).toEqual([0n, 2n]);
+        expect(o0.receive.cipherPayPubKey).toBe(o0.change.cipherPayPubKey);
+
+        expect(legs[0].input.nextLeafIndex).toBe('5');
+        expect(legs[1].input.nextLeafIndex).toBe('7');
+        const leaked = JSON.stringify(legs[1].input);
+        expect(leaked).not.toContain(wallets[0].walletPrivKey.toString());
+    });
+
+    it('should pair legs of one order, leg 1 appending right after leg 0', async () => {
+        const tree = await swapTree();
+        const order = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+        const rootBefore = tree.root();
+        const { signals } = await buildBothLegs(order, tree);
+
+        expect(checkSwapLegs(signals[0], signals[1])).toEqual({
+            orderHash: order.orderHash, merkleRoot: rootBefore, newMerkleRoot: tree.root(), newNextLeafIndex: 9n
+        });
+        expect(() => checkSwapLegs(signals[1], signals[0])).toThrow(/sides 0 and 1/);
+
+        const otherOrder = [...signals[1]];
+        otherOrder[6] = '42';
+        expect(() => checkSwapLegs(signals[0], otherOrder)).toThrow(/different orders/);
+
+        const detached = [...signals[1]];
+        detached[3] = rootBefore.toString();
+        expect(() => checkSwapLegs(signals[0], detached)).toThrow(/right after leg 0/);
+    });
+
+    it('should refuse to verify a lone leg or legs that do not pair, before any proof check', async () => {
+        const tree = await swapTree();
+        const order = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+        const { signals } = await buildBothLegs(order, tree);
+        const leg = (publicSignals) => ({ proof: {}, publicSignals });
+
+        await expect(verifySwap(leg(signals[0]))).rejects.toThrow(/needs both legs/);
+        await expect(verifySwap(leg(signals[0]), null, { vkey: {} })).rejects.toThrow(/needs both legs/);
+        await expect(verifySwap(leg(signals[0]), leg(signals[0]), { vkey: {} })).rejects.toThrow(/sides 0 and 1/);
+
+        const otherOrder = [...signals[1]];
+        otherOrder[6] = '42';
+        await expect(verifySwap(leg(signals[0]), leg(otherOrder), { vkey: {} })).rejects.toThrow(/different orders/);
+    });
+
+    describe('swap_leg circuit', () => {
+        // verifySwap's groth16.verify starts snarkjs' curve threads on this thread
+        afterAll(async () => globalThis.curve_bn128 && globalThis.curve_bn128.terminate());
+
+        it('should verify a proven pair and reject a leg from another swap', async () => {
+            const buildPath = path.join(__dirname, '../build/swap_leg');
+            if (!fs.existsSync(path.join(buildPath, 'swap_leg_final.zkey'))) {
+                console.log('⚠️ swap_leg circuit not built, skipping test');
+                return;
+            }
+            const prove = async (tree, order) => {
+                const { legs } = await buildBothLegs(order, tree);
+                const proofs = [];
+                for (const leg of legs) {
+                    proofs.push(await snarkjs.groth16.fullProve(leg.input,
+                        path.join(buildPath, 'swap_leg_js/swap_leg.wasm'), path.join(buildPath, 'swap_leg_final.zkey')));
+                }
+                return proofs;
+            };
+            const buildDir = path.dirname(buildPath);
+            const tree = await swapTree();
+            const rootBefore = tree.root();
+            const order = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+            const [proof0, proof1] = await prove(tree, order);
+
+            expect(await verifySwap(proof0, proof1, { buildDir })).toEqual({
+                orderHash: order.orderHash, merkleRoot: rootBefore, newMerkleRoot: tree.root(), newNextLeafIndex: 9n
+            });
+            await expect(verifySwap(proof0, undefined, { buildDir })).rejects.toThrow(/needs both legs/);
+
+            // a valid leg 1 of a different order on a different tree does not pair with leg 0
+            const other = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+            const [, foreign1] = await prove(await swapTree(), other);
+            await expect(verifySwap(proof0, foreign1, { buildDir })).rejects.toThrow(/different orders/);
+
+            // a leg whose proof was not made for its signals
+            await expect(verifySwap(proof0, { ...proof1, proof: proof0.proof }, { buildDir })).rejects.toThrow(/leg 1 proof does not verify/);
+        }, 120000);
+
+        it('should prove each leg and reject a wrong side, order or give amount', async () => {
+            if (!witnessBuilt('swap_leg')) {
+                console.log('⚠️ swap_leg circuit not built, skipping test');
+                return;
+            }
+            const tree = await swapTree();
+            const order = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [100n, 250n] });
+            const { legs, signals } = await buildBothLegs(order, tree);
+
+            for (const p of [0, 1]) {
+                const witness = await calculateWitness('swap_leg', legs[p].input);
+                expect(witness.slice(1, 9).map(String)).toEqual(signals[p]);
+            }
+
+            // leg 0's witness claimed as side 1: the note holds token 1, not token 2
+            await expect(calculateWitness('swap_leg', { ...legs[0].input, side: '1' }))
+                .rejects.toThrow(/Assert Failed/);
+            await expect(calculateWitness('swap_leg', { ...legs[0].input, side: '2' }))
+                .rejects.toThrow(/template SwapLeg_/);
+
+            // a better rate than the order hash fixes
+            await expect(calculateWitness('swap_leg', { ...legs[0].input, giveAmount: ['100', '300'] }))
+                .rejects.toThrow(/template SwapLeg_/);
+
+            // giving more than the note holds
+            const greedy = await createSwapOrder({ tokenId: [1n, 2n], giveAmount: [151n, 250n], nonce: order.nonce });
+            await expect(calculateWitness('swap_leg', {
+                ...legs[0].input, giveAmount: ['151', '250'], orderHash: greedy.orderHash.toString()
+            })).rejects.toThrow(/template Num2Bits_/);
+        });
+    });
+});
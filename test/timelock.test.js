@@ -0,0 +1,163 @@
+const {
+    TIMELOCK_NOTE_TAG,
+    computeTimelockedCommitment,
+    isUnlocked,
+    encryptTimelockedNote,
+    decryptTimelockedNote
+} = require('../scripts/timelock');
+const { generateEncryptionKeyPair, decryptNote } = require('../scripts/note-encryption');
+const { computeCipherPayPubKey, deriveCipherPayAddress, computeNoteCommitment } = require('../scripts/witness-inputs');
+const { computeNullifier } = require('../scripts/nullifier');
+const { buildMerkleTree } = require('../scripts/merkle-tree');
+const { poseidonHash, witnessBuilt, calculateWitness } = require('./helpers');
+
+const note = {
+    amount: 100n, cipherPayPubKey: 2222222222n, randomness: 4444444444n, tokenId: 1n, memo: 0n,
+    unlockTime: 1700000000n
+};
+
+const wallet = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+
+// The wallet's input note (timelocked, or plain with inTimelocked = 0) at leaf 1
+async function spentNote(timelocked) {
+    const { encPubKey, cipherPayPubKey } = await deriveCipherPayAddress(wallet);
+    const spent = { ...note, cipherPayPubKey, unlockTime: timelocked ? note.unlockTime : 0n };
+    const commitment = timelocked ? await computeTimelockedCommitment(spent) : await computeNoteCommitment(spent);
+    const tree = await buildMerkleTree(16, [5n, commitment]);
+    const nullifier = await computeNullifier(cipherPayPubKey, spent.randomness, spent.tokenId);
+    return { spent, encPubKey, commitment, tree, nullifier, ...tree.path(1) };
+}
+
+// TransferTimelock input spending spentNote(timelocked) into 80 (locked) + 20 (unlocked) at currentTime
+async function transferTimelockInput({ timelocked = true, inUnlockTime, currentTime }) {
+    const { spent, encPubKey, tree, nullifier, pathElements, pathIndices } = await spentNote(timelocked);
+    const { pubKey } = await generateEncryptionKeyPair(6666666666n);
+    const spending = [2222222222n, 3333333333n];
+    const outs = [
+        { amount: 80n, randomness: 1n, tokenId: 1n, memo: 0n, unlockTime: 1800000000n },
+        { amount: 20n, randomness: 2n, tokenId: 1n, memo: 0n, unlockTime: 0n }
+    ];
+    for (const [j, out] of outs.entries()) out.cipherPayPubKey = await computeCipherPayPubKey(spending[j], pubKey);
+    const payloads = await Promise.all(outs.map((out, j) => encryptTimelockedNote(out, pubKey, 8888888888n + BigInt(j))));
+    const append = tree.appendPaths(await Promise.all(outs.map(computeTimelockedCommitment)));
+    const outFields = (j) => {
+        const out = outs[j - 1];
+        return {
+            [`out${j}Amount`]: out.amount.toString(),
+            [`out${j}RecipientSpendingPubKey`]: spending[j - 1].toString(),
+            [`out${j}Randomness`]: out.randomness.toString(),
+            [`out${j}TokenId`]: out.tokenId.toString(),
+            [`out${j}Memo`]: out.memo.toString(),
+            [`out${j}UnlockTime`]: out.unlockTime.toString(),
+            [`out${j}RecipientEncPubKey`]: pubKey.map(String),
+            [`out${j}EphemeralKey`]: payloads[j - 1].ephemeralKey.toString(),
+            [`encNote${j}Hash`]: payloads[j - 1].encNoteHash.toString()
+        };
+    };
+    const input = {
+        inAmount: spent.amount.toString(),
+        inSenderWalletPubKey: wallet.walletPubKey.toString(),
+        inSenderWalletPrivKey: wallet.walletPrivKey.toString(),
+        inSenderEncPubKey: encPubKey.map(String),
+        inRandomness: spent.randomness.toString(),
+        inTokenId: spent.tokenId.toString(),
+        inMemo: spent.memo.toString(),
+        inTimelocked: timelocked ? '1' : '0',
+        inUnlockTime: BigInt(inUnlockTime ?? spent.unlockTime).toString(),
+        inPathElements: pathElements.map(String),
+        inPathIndices: pathIndices,
+        ...outFields(1),
+        ...outFields(2),
+        nextLeafIndex: String(append.nextLeafIndex),
+        outPathElements: append.pathElements.map(p => p.map(String)),
+        fee: '0',
+        feeRecipient_lo: '0',
+        feeRecipient_hi: '0',
+        currentTime: BigInt(currentTime).toString()
+    };
+    return { input, nullifier };
+}
+
+describe('Timelocked Notes', () => {
+    it('should commit to the tagged note and the unlock time', async () => {
+        const tagged = await poseidonHash([TIMELOCK_NOTE_TAG, 100n, 2222222222n, 4444444444n, 1n, 0n]);
+        const commitment = await computeTimelockedCommitment(note);
+
+        expect(commitment).toBe(await poseidonHash([tagged, 1700000000n]));
+        expect(commitment).not.toBe(await poseidonHash([100n, 2222222222n, 4444444444n, 1n, 0n]));
+        expect(await computeTimelockedCommitment({ ...note, unlockTime: 1700000001n })).not.toBe(commitment);
+    });
+
+    it('should unlock at unlockTime, not before', () => {
+        expect(isUnlocked(note, 1699999999n)).toBe(false);
+        expect(isUnlocked(note, 1700000000)).toBe(true);
+        expect(isUnlocked({ ...note, unlockTime: 0n }, 0n)).toBe(true);
+        expect(() => isUnlocked({ ...note, unlockTime: 1n << 64n }, 0n)).toThrow(/u64/);
+    });
+
+    it('should carry the unlock time through note encryption', async () => {
+        const { privKey, pubKey } = await generateEncryptionKeyPair();
+        const payload = await encryptTimelockedNote(note, pubKey);
+
+        expect(payload.ciphertext).toHaveLength(7);
+        expect(await decryptTimelockedNote(payload, privKey)).toEqual(note);
+        // A plain-note decryption uses a different length domain and fails authentication
+        await expect(decryptNote(payload, privKey)).rejects.toThrow(/authentication failed/);
+    });
+
+    it('should spend a timelocked note from unlockTime on, in withdraw_timelock', async () => {
+        if (!witnessBuilt('withdraw_timelock')) {
+            console.log('⚠️ withdraw_timelock circuit not built, skipping test');
+            return;
+        }
+        const { spent, encPubKey, commitment, tree, nullifier, pathElements, pathIndices } = await spentNote(true);
+        const input = {
+            recipientWalletPrivKey: wallet.walletPrivKey.toString(),
+            recipientEncPubKey: encPubKey.map(String),
+            randomness: spent.randomness.toString(),
+            memo: spent.memo.toString(),
+            unlockTime: spent.unlockTime.toString(),
+            pathElements: pathElements.map(String),
+            pathIndices,
+            commitment: commitment.toString(),
+            recipientOwner_lo: '1',
+            recipientOwner_hi: '2',
+            recipientWalletPubKey: wallet.walletPubKey.toString(),
+            amount: spent.amount.toString(),
+            tokenId: spent.tokenId.toString(),
+            fee: '0',
+            feeRecipient_lo: '0',
+            feeRecipient_hi: '0',
+            currentTime: '1700000000'
+        };
+
+        // nullifier, merkleRoot
+        const witness = await calculateWitness('withdraw_timelock', input);
+        expect(witness.slice(1, 3)).toEqual([nullifier, tree.root()]);
+
+        await expect(calculateWitness('withdraw_timelock', { ...input, currentTime: '1699999999' }))
+            .rejects.toThrow(/Assert Failed.*template AssertUnlocked/);
+    });
+
+    it('should spend timelocked inputs from unlockTime on and plain inputs only without a lock, in transfer_timelock', async () => {
+        if (!witnessBuilt('transfer_timelock')) {
+            console.log('⚠️ transfer_timelock circuit not built, skipping test');
+            return;
+        }
+        // outCommitment1, outCommitment2, nullifier
+        const locked = await transferTimelockInput({ currentTime: 1700000000n });
+        expect((await calculateWitness('transfer_timelock', locked.input))[3]).toBe(locked.nullifier);
+
+        const early = await transferTimelockInput({ currentTime: 1699999999n });
+        await expect(calculateWitness('transfer_timelock', early.input))
+            .rejects.toThrow(/Assert Failed.*template AssertUnlocked/);
+
+        const plain = await transferTimelockInput({ timelocked: false, currentTime: 1700000000n });
+        expect((await calculateWitness('transfer_timelock', plain.input))[3]).toBe(plain.nullifier);
+
+        // A plain note cannot carry an unlock time, even one that has passed
+        const plainWithLock = await transferTimelockInput({ timelocked: false, inUnlockTime: 5n, currentTime: 1700000000n });
+        await expect(calculateWitness('transfer_timelock', plainWithLock.input))
+            .rejects.toThrow(/Assert Failed.*template TransferTimelock_/);
+    });
+});
@@ -0,0 +1,115 @@
+const {
+    computeCipherPayPubKey,
+    deriveCipherPayAddress,
+    deriveCipherPayPubKey,
+    buildDepositInput,
+    buildTransferInput,
+    buildWithdrawInput,
+    buildPartialWithdrawInput
+} = require('../scripts/witness-inputs');
+const { deriveEncryptionKeyPair, decryptNote } = require('../scripts/note-encryption');
+const { buildMerkleTree, indexToPathIndices } = require('../scripts/merkle-tree');
+const { poseidonHash } = require('./helpers');
+
+const alice = { walletPubKey: 1234567890n, walletPrivKey: 1111111111n };
+const bob = { walletPubKey: 2222222222n, walletPrivKey: 3333333333n };
+const note = { amount: 100n, randomness: 9876543210n, tokenId: 1n, memo: 0n };
+
+// Tree holding Alice's note between two foreign leaves
+async function aliceTree() {
+    const cipherPayPubKey = await deriveCipherPayPubKey(alice);
+    const commitment = await poseidonHash([note.amount, cipherPayPubKey, note.randomness, note.tokenId, note.memo]);
+    return buildMerkleTree(16, [11n, commitment, 22n]);
+}
+
+describe('Witness Input Builders', () => {
+    it('should derive the address and the cipherPayPubKey binding its encryption key', async () => {
+        const address = await deriveCipherPayAddress(alice);
+        const spendingPubKey = await poseidonHash([alice.walletPubKey, alice.walletPrivKey]);
+        const { pubKey } = await deriveEncryptionKeyPair(alice.walletPrivKey);
+
+        expect(address.spendingPubKey).toBe(spendingPubKey);
+        expect(address.encPubKey).toEqual(pubKey);
+        expect(address.cipherPayPubKey).toBe(await poseidonHash([spendingPubKey, ...pubKey]));
+        expect(await computeCipherPayPubKey(spendingPubKey, pubKey.map(String))).toBe(address.cipherPayPubKey);
+        expect(await deriveCipherPayPubKey(alice)).toBe(address.cipherPayPubKey);
+
+        // A wallet may bring its own encryption key
+        const custom = await deriveCipherPayAddress({ ...alice, encPrivKey: 6666666666n });
+        expect(custom.spendingPubKey).toBe(spendingPubKey);
+        expect(custom.cipherPayPubKey).not.toBe(address.cipherPayPubKey);
+    });
+
+    it('should bind the deposit hash and insertion path to the Poseidon note', async () => {
+        const tree = await aliceTree();
+        const { input, note: built, depositHash } = await buildDepositInput(alice, { amount: 50n, tokenId: 2n }, tree, { nonce: 7n });
+        const { encPubKey, cipherPayPubKey } = await deriveCipherPayAddress(alice);
+
+        expect(built.cipherPayPubKey).toBe(cipherPayPubKey);
+        expect(input.ownerEncPubKey).toEqual(encPubKey.map(String));
+        expect(built.commitment).toBe(await poseidonHash([50n, cipherPayPubKey, built.randomness, 2n, 0n]));
+        expect(depositHash).toBe(await poseidonHash([cipherPayPubKey, 50n, 7n]));
+        expect(input.depositHash).toBe(depositHash.toString());
+        expect(input.inPathIndices).toEqual(indexToPathIndices(3, 16));
+        expect(input.oldMerkleRoot).toBe(tree.root().toString());
+        await expect(buildDepositInput(alice, { amount: 2n ** 64n, tokenId: 1n }, tree)).rejects.toThrow(/u64/);
+    });
+
+    it('should split a transfer into a decryptable payment and change', async () => {
+        const tree = await aliceTree();
+        const recipient = await deriveCipherPayAddress(bob);
+        const { input, nullifier, outputs } = await buildTransferInput(alice, note, tree, {
+            recipient, amount: 70n, fee: 5n, feeRecipient: '0x' + '22'.repeat(32)
+        });
+        const sender = await deriveCipherPayAddress(alice);
+        const { cipherPayPubKey } = sender;
+
+        expect(outputs.map(o => o.amount)).toEqual([70n, 25n]);
+        expect(outputs[0].cipherPayPubKey).toBe(recipient.cipherPayPubKey);
+        expect(outputs[1].cipherPayPubKey).toBe(cipherPayPubKey);
+        expect(input.out1RecipientSpendingPubKey).toBe(recipient.spendingPubKey.toString());
+        expect(input.out1RecipientEncPubKey).toEqual(recipient.encPubKey.map(String));
+        expect(input.out2RecipientEncPubKey).toEqual(sender.encPubKey.map(String));
+        expect(nullifier).toBe(await poseidonHash([cipherPayPubKey, note.randomness, note.tokenId]));
+        expect(input.inPathIndices).toEqual(indexToPathIndices(1, 16));
+        expect(input.encNote1Hash).toBe(outputs[0].payload.encNoteHash.toString());
+        expect(input.nextLeafIndex).toBe('3');
+
+        const received = await decryptNote(outputs[0].payload, (await deriveEncryptionKeyPair(bob.walletPrivKey)).privKey);
+        expect(await poseidonHash(Object.values(received))).toBe(outputs[0].commitment);
+        const change = await decryptNote(outputs[1].payload, (await deriveEncryptionKeyPair(alice.walletPrivKey)).privKey);
+        expect(change.cipherPayPubKey).toBe(cipherPayPubKey);
+
+        const params = { recipient, amount: 96n, fee: 5n, feeRecipient: '0x' + '22'.repeat(32) };
+        await expect(buildTransferInput(alice, note, tree, params)).rejects.toThrow(/including the fee/);
+        await expect(buildTransferInput(alice, note, tree, { ...params, amount: 1n, feeRecipient: undefined })).rejects.toThrow(/feeRecipient/);
+        await expect(buildTransferInput(alice, note, tree, { ...params, amount: 1n, recipient: { cipherPayPubKey, encPubKey: recipient.encPubKey } }))
+            .rejects.toThrow(/address/);
+    });
+
+    it('should only withdraw notes the wallet owns in the tree', async () => {
+        const tree = await aliceTree();
+        const { input, nullifier } = await buildWithdrawInput(alice, note, tree, { recipientOwner: '0x' + '01'.repeat(32) });
+
+        expect(input.commitment).toBe(tree.leaf(1).toString());
+        expect(input.recipientEncPubKey).toEqual((await deriveCipherPayAddress(alice)).encPubKey.map(String));
+        expect(input.pathElements).toEqual(tree.path(1).pathElements.map(String));
+        expect([input.fee, input.feeRecipient_lo, input.feeRecipient_hi]).toEqual(['0', '0', '0']);
+        expect(nullifier).toBe(await poseidonHash([await deriveCipherPayPubKey(alice), note.randomness, note.tokenId]));
+
+        await expect(buildWithdrawInput(bob, note, tree, { recipientOwner: '0x' + '01'.repeat(32) })).rejects.toThrow(/not in the tree/);
+    });
+
+    it('should re-shield the rest of a partial withdraw at the next slot', async () => {
+        const tree = await aliceTree();
+        const params = { recipientOwner: '0x' + '01'.repeat(32), withdrawAmount: 60n, fee: 5n, feeRecipient: '0x' + '22'.repeat(32) };
+        const { input, change } = await buildPartialWithdrawInput(alice, note, tree, params);
+
+        expect(change.amount).toBe(35n);
+        expect(change.cipherPayPubKey).toBe(await deriveCipherPayPubKey(alice));
+        expect(input.nextLeafIndex).toBe('3');
+        expect(input.changePathElements).toEqual(tree.appendPaths([change.commitment]).pathElements[0].map(String));
+
+        await expect(buildPartialWithdrawInput(alice, note, tree, { ...params, withdrawAmount: 96n })).rejects.toThrow(/including the fee/);
+    });
+});
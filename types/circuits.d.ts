@@ -0,0 +1,1630 @@
+// GENERATED by scripts/generate-types.js from circuits.config.json and the circom sources — do not edit.
+
+/** A field element as snarkjs accepts it: decimal or 0x-hex string, number or bigint */
+export type FieldLike = string | number | bigint;
+
+/** Fixed-length array of N elements */
+export type Tuple<T, N extends number, R extends T[] = []> = R["length"] extends N ? R : Tuple<T, N, [...R, T]>;
+
+/** `version` of public-signals.schema.json these types were generated from */
+export type PublicSignalSchemaVersion = 6;
+
+/** transfer: Transfer(16) witness input */
+export interface TransferInput {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  inIsDummy: FieldLike;
+  dummyMerkleRoot: FieldLike;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  out1PathElements: Tuple<FieldLike, 16>;
+  out2PathElements: Tuple<FieldLike, 16>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+/** transfer publicSignals, in proof order */
+export type TransferPublicSignals = [
+  outCommitment1: string,
+  outCommitment2: string,
+  nullifier: string,
+  merkleRoot: string,
+  newMerkleRoot1: string,
+  newMerkleRoot2: string,
+  newNextLeafIndex: string,
+  encNote1Hash: string,
+  encNote2Hash: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+];
+
+/** decodePublicSignals("transfer", ...) */
+export interface TransferPublicValues {
+  outCommitment1: bigint;
+  outCommitment2: bigint;
+  nullifier: bigint;
+  merkleRoot: bigint;
+  newMerkleRoot1: bigint;
+  newMerkleRoot2: bigint;
+  newNextLeafIndex: bigint;
+  encNote1Hash: bigint;
+  encNote2Hash: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+}
+
+/** transfer_depth20: Transfer(20) witness input */
+export interface TransferDepth20Input {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 20>;
+  inPathIndices: Tuple<FieldLike, 20>;
+  inIsDummy: FieldLike;
+  dummyMerkleRoot: FieldLike;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  out1PathElements: Tuple<FieldLike, 20>;
+  out2PathElements: Tuple<FieldLike, 20>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type TransferDepth20PublicSignals = TransferPublicSignals;
+export type TransferDepth20PublicValues = TransferPublicValues;
+
+/** transfer_depth24: Transfer(24) witness input */
+export interface TransferDepth24Input {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 24>;
+  inPathIndices: Tuple<FieldLike, 24>;
+  inIsDummy: FieldLike;
+  dummyMerkleRoot: FieldLike;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  out1PathElements: Tuple<FieldLike, 24>;
+  out2PathElements: Tuple<FieldLike, 24>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type TransferDepth24PublicSignals = TransferPublicSignals;
+export type TransferDepth24PublicValues = TransferPublicValues;
+
+/** transfer_depth32: Transfer(32) witness input */
+export interface TransferDepth32Input {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 32>;
+  inPathIndices: Tuple<FieldLike, 32>;
+  inIsDummy: FieldLike;
+  dummyMerkleRoot: FieldLike;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  out1PathElements: Tuple<FieldLike, 32>;
+  out2PathElements: Tuple<FieldLike, 32>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type TransferDepth32PublicSignals = TransferPublicSignals;
+export type TransferDepth32PublicValues = TransferPublicValues;
+
+/** withdraw: Withdraw(16) witness input */
+export interface WithdrawInput {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  commitment: FieldLike;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+/** withdraw publicSignals, in proof order */
+export type WithdrawPublicSignals = [
+  nullifier: string,
+  merkleRoot: string,
+  recipientOwner_lo: string,
+  recipientOwner_hi: string,
+  recipientWalletPubKey: string,
+  amount: string,
+  tokenId: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+];
+
+/** decodePublicSignals("withdraw", ...) */
+export interface WithdrawPublicValues {
+  nullifier: bigint;
+  merkleRoot: bigint;
+  recipientOwner_lo: bigint;
+  recipientOwner_hi: bigint;
+  recipientWalletPubKey: bigint;
+  amount: bigint;
+  tokenId: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+}
+
+/** withdraw_depth20: Withdraw(20) witness input */
+export interface WithdrawDepth20Input {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 20>;
+  pathIndices: Tuple<FieldLike, 20>;
+  commitment: FieldLike;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type WithdrawDepth20PublicSignals = WithdrawPublicSignals;
+export type WithdrawDepth20PublicValues = WithdrawPublicValues;
+
+/** withdraw_depth24: Withdraw(24) witness input */
+export interface WithdrawDepth24Input {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 24>;
+  pathIndices: Tuple<FieldLike, 24>;
+  commitment: FieldLike;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type WithdrawDepth24PublicSignals = WithdrawPublicSignals;
+export type WithdrawDepth24PublicValues = WithdrawPublicValues;
+
+/** withdraw_depth32: Withdraw(32) witness input */
+export interface WithdrawDepth32Input {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 32>;
+  pathIndices: Tuple<FieldLike, 32>;
+  commitment: FieldLike;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type WithdrawDepth32PublicSignals = WithdrawPublicSignals;
+export type WithdrawDepth32PublicValues = WithdrawPublicValues;
+
+/** withdraw_association: WithdrawAssociation(16, 16) witness input */
+export interface WithdrawAssociationInput {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  commitment: FieldLike;
+  associationPathElements: Tuple<FieldLike, 16>;
+  associationPathIndices: Tuple<FieldLike, 16>;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+  /** public */
+  associationRoot: FieldLike;
+}
+
+/** withdraw_association publicSignals, in proof order */
+export type WithdrawAssociationPublicSignals = [
+  nullifier: string,
+  merkleRoot: string,
+  recipientOwner_lo: string,
+  recipientOwner_hi: string,
+  recipientWalletPubKey: string,
+  amount: string,
+  tokenId: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+  associationRoot: string,
+];
+
+/** decodePublicSignals("withdraw_association", ...) */
+export interface WithdrawAssociationPublicValues {
+  nullifier: bigint;
+  merkleRoot: bigint;
+  recipientOwner_lo: bigint;
+  recipientOwner_hi: bigint;
+  recipientWalletPubKey: bigint;
+  amount: bigint;
+  tokenId: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+  associationRoot: bigint;
+}
+
+/** withdraw_blocklist: WithdrawBlocklist(16, 32) witness input */
+export interface WithdrawBlocklistInput {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  commitment: FieldLike;
+  blocklistSiblings: Tuple<FieldLike, 32>;
+  blocklistOldKey: FieldLike;
+  blocklistOldValue: FieldLike;
+  blocklistIsOld0: FieldLike;
+  depositPathElements: Tuple<FieldLike, 16>;
+  depositPathIndices: Tuple<FieldLike, 16>;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+  /** public */
+  blocklistRoot: FieldLike;
+  /** public */
+  depositRoot: FieldLike;
+}
+
+/** withdraw_blocklist publicSignals, in proof order */
+export type WithdrawBlocklistPublicSignals = [
+  nullifier: string,
+  merkleRoot: string,
+  recipientOwner_lo: string,
+  recipientOwner_hi: string,
+  recipientWalletPubKey: string,
+  amount: string,
+  tokenId: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+  blocklistRoot: string,
+  depositRoot: string,
+];
+
+/** decodePublicSignals("withdraw_blocklist", ...) */
+export interface WithdrawBlocklistPublicValues {
+  nullifier: bigint;
+  merkleRoot: bigint;
+  recipientOwner_lo: bigint;
+  recipientOwner_hi: bigint;
+  recipientWalletPubKey: bigint;
+  amount: bigint;
+  tokenId: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+  blocklistRoot: bigint;
+  depositRoot: bigint;
+}
+
+/** withdraw_timelock: WithdrawTimelock(16) witness input */
+export interface WithdrawTimelockInput {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  unlockTime: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  commitment: FieldLike;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+  /** public */
+  currentTime: FieldLike;
+}
+
+/** withdraw_timelock publicSignals, in proof order */
+export type WithdrawTimelockPublicSignals = [
+  nullifier: string,
+  merkleRoot: string,
+  recipientOwner_lo: string,
+  recipientOwner_hi: string,
+  recipientWalletPubKey: string,
+  amount: string,
+  tokenId: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+  currentTime: string,
+];
+
+/** decodePublicSignals("withdraw_timelock", ...) */
+export interface WithdrawTimelockPublicValues {
+  nullifier: bigint;
+  merkleRoot: bigint;
+  recipientOwner_lo: bigint;
+  recipientOwner_hi: bigint;
+  recipientWalletPubKey: bigint;
+  amount: bigint;
+  tokenId: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+  currentTime: bigint;
+}
+
+/** transfer_timelock: TransferTimelock(16) witness input */
+export interface TransferTimelockInput {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inTimelocked: FieldLike;
+  inUnlockTime: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1UnlockTime: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2UnlockTime: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  outPathElements: Tuple<Tuple<FieldLike, 16>, 2>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+  /** public */
+  currentTime: FieldLike;
+}
+
+/** transfer_timelock publicSignals, in proof order */
+export type TransferTimelockPublicSignals = [
+  outCommitment1: string,
+  outCommitment2: string,
+  nullifier: string,
+  merkleRoot: string,
+  newMerkleRoot1: string,
+  newMerkleRoot2: string,
+  newNextLeafIndex: string,
+  encNote1Hash: string,
+  encNote2Hash: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+  currentTime: string,
+];
+
+/** decodePublicSignals("transfer_timelock", ...) */
+export interface TransferTimelockPublicValues {
+  outCommitment1: bigint;
+  outCommitment2: bigint;
+  nullifier: bigint;
+  merkleRoot: bigint;
+  newMerkleRoot1: bigint;
+  newMerkleRoot2: bigint;
+  newNextLeafIndex: bigint;
+  encNote1Hash: bigint;
+  encNote2Hash: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+  currentTime: bigint;
+}
+
+/** withdraw_partial: WithdrawPartial(16) witness input */
+export interface WithdrawPartialInput {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  amount: FieldLike;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  commitment: FieldLike;
+  changeRandomness: FieldLike;
+  changeMemo: FieldLike;
+  nextLeafIndex: FieldLike;
+  changePathElements: Tuple<FieldLike, 16>;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  withdrawAmount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+/** withdraw_partial publicSignals, in proof order */
+export type WithdrawPartialPublicSignals = [
+  nullifier: string,
+  merkleRoot: string,
+  changeCommitment: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  recipientOwner_lo: string,
+  recipientOwner_hi: string,
+  recipientWalletPubKey: string,
+  withdrawAmount: string,
+  tokenId: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+];
+
+/** decodePublicSignals("withdraw_partial", ...) */
+export interface WithdrawPartialPublicValues {
+  nullifier: bigint;
+  merkleRoot: bigint;
+  changeCommitment: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  recipientOwner_lo: bigint;
+  recipientOwner_hi: bigint;
+  recipientWalletPubKey: bigint;
+  withdrawAmount: bigint;
+  tokenId: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+}
+
+/** deposit: Deposit(16) witness input */
+export interface DepositInput {
+  ownerWalletPubKey: FieldLike;
+  ownerWalletPrivKey: FieldLike;
+  ownerEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  nextLeafIndex: FieldLike;
+  nonce: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  depositHash: FieldLike;
+  /** public */
+  oldMerkleRoot: FieldLike;
+}
+
+/** deposit publicSignals, in proof order */
+export type DepositPublicSignals = [
+  newCommitment: string,
+  ownerCipherPayPubKey: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  amount: string,
+  depositHash: string,
+  oldMerkleRoot: string,
+];
+
+/** decodePublicSignals("deposit", ...) */
+export interface DepositPublicValues {
+  newCommitment: bigint;
+  ownerCipherPayPubKey: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  amount: bigint;
+  depositHash: bigint;
+  oldMerkleRoot: bigint;
+}
+
+/** deposit_depth20: Deposit(20) witness input */
+export interface DepositDepth20Input {
+  ownerWalletPubKey: FieldLike;
+  ownerWalletPrivKey: FieldLike;
+  ownerEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo: FieldLike;
+  inPathElements: Tuple<FieldLike, 20>;
+  inPathIndices: Tuple<FieldLike, 20>;
+  nextLeafIndex: FieldLike;
+  nonce: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  depositHash: FieldLike;
+  /** public */
+  oldMerkleRoot: FieldLike;
+}
+
+export type DepositDepth20PublicSignals = DepositPublicSignals;
+export type DepositDepth20PublicValues = DepositPublicValues;
+
+/** deposit_depth24: Deposit(24) witness input */
+export interface DepositDepth24Input {
+  ownerWalletPubKey: FieldLike;
+  ownerWalletPrivKey: FieldLike;
+  ownerEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo: FieldLike;
+  inPathElements: Tuple<FieldLike, 24>;
+  inPathIndices: Tuple<FieldLike, 24>;
+  nextLeafIndex: FieldLike;
+  nonce: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  depositHash: FieldLike;
+  /** public */
+  oldMerkleRoot: FieldLike;
+}
+
+export type DepositDepth24PublicSignals = DepositPublicSignals;
+export type DepositDepth24PublicValues = DepositPublicValues;
+
+/** deposit_depth32: Deposit(32) witness input */
+export interface DepositDepth32Input {
+  ownerWalletPubKey: FieldLike;
+  ownerWalletPrivKey: FieldLike;
+  ownerEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo: FieldLike;
+  inPathElements: Tuple<FieldLike, 32>;
+  inPathIndices: Tuple<FieldLike, 32>;
+  nextLeafIndex: FieldLike;
+  nonce: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  depositHash: FieldLike;
+  /** public */
+  oldMerkleRoot: FieldLike;
+}
+
+export type DepositDepth32PublicSignals = DepositPublicSignals;
+export type DepositDepth32PublicValues = DepositPublicValues;
+
+/** joinsplit_2x2: JoinSplit(16, 2, 2) witness input */
+export interface Joinsplit2x2Input {
+  inAmount: Tuple<FieldLike, 2>;
+  inSenderWalletPubKey: Tuple<FieldLike, 2>;
+  inSenderWalletPrivKey: Tuple<FieldLike, 2>;
+  inSenderEncPubKey: Tuple<Tuple<FieldLike, 2>, 2>;
+  inRandomness: Tuple<FieldLike, 2>;
+  inTokenId: Tuple<FieldLike, 2>;
+  inMemo: Tuple<FieldLike, 2>;
+  inPathElements: Tuple<Tuple<FieldLike, 16>, 2>;
+  inPathIndices: Tuple<Tuple<FieldLike, 16>, 2>;
+  outAmount: Tuple<FieldLike, 2>;
+  outRecipientCipherPayPubKey: Tuple<FieldLike, 2>;
+  outRandomness: Tuple<FieldLike, 2>;
+  outTokenId: Tuple<FieldLike, 2>;
+  outMemo: Tuple<FieldLike, 2>;
+  nextLeafIndex: FieldLike;
+  outPathElements: Tuple<Tuple<FieldLike, 16>, 2>;
+  /** public */
+  encNoteHash: Tuple<FieldLike, 2>;
+}
+
+/** joinsplit_2x2 publicSignals, in proof order */
+export type Joinsplit2x2PublicSignals = [
+  outCommitment_0: string,
+  outCommitment_1: string,
+  nullifier_0: string,
+  nullifier_1: string,
+  merkleRoot: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  encNoteHash_0: string,
+  encNoteHash_1: string,
+];
+
+/** decodePublicSignals("joinsplit_2x2", ...) */
+export interface Joinsplit2x2PublicValues {
+  outCommitment: Tuple<bigint, 2>;
+  nullifier: Tuple<bigint, 2>;
+  merkleRoot: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  encNoteHash: Tuple<bigint, 2>;
+}
+
+/** joinsplit_4x2: JoinSplit(16, 4, 2) witness input */
+export interface Joinsplit4x2Input {
+  inAmount: Tuple<FieldLike, 4>;
+  inSenderWalletPubKey: Tuple<FieldLike, 4>;
+  inSenderWalletPrivKey: Tuple<FieldLike, 4>;
+  inSenderEncPubKey: Tuple<Tuple<FieldLike, 2>, 4>;
+  inRandomness: Tuple<FieldLike, 4>;
+  inTokenId: Tuple<FieldLike, 4>;
+  inMemo: Tuple<FieldLike, 4>;
+  inPathElements: Tuple<Tuple<FieldLike, 16>, 4>;
+  inPathIndices: Tuple<Tuple<FieldLike, 16>, 4>;
+  outAmount: Tuple<FieldLike, 2>;
+  outRecipientCipherPayPubKey: Tuple<FieldLike, 2>;
+  outRandomness: Tuple<FieldLike, 2>;
+  outTokenId: Tuple<FieldLike, 2>;
+  outMemo: Tuple<FieldLike, 2>;
+  nextLeafIndex: FieldLike;
+  outPathElements: Tuple<Tuple<FieldLike, 16>, 2>;
+  /** public */
+  encNoteHash: Tuple<FieldLike, 2>;
+}
+
+/** joinsplit_4x2 publicSignals, in proof order */
+export type Joinsplit4x2PublicSignals = [
+  outCommitment_0: string,
+  outCommitment_1: string,
+  nullifier_0: string,
+  nullifier_1: string,
+  nullifier_2: string,
+  nullifier_3: string,
+  merkleRoot: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  encNoteHash_0: string,
+  encNoteHash_1: string,
+];
+
+/** decodePublicSignals("joinsplit_4x2", ...) */
+export interface Joinsplit4x2PublicValues {
+  outCommitment: Tuple<bigint, 2>;
+  nullifier: Tuple<bigint, 4>;
+  merkleRoot: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  encNoteHash: Tuple<bigint, 2>;
+}
+
+/** deposit_blinded: DepositBlinded(16) witness input */
+export interface DepositBlindedInput {
+  ownerWalletPubKey: FieldLike;
+  ownerWalletPrivKey: FieldLike;
+  ownerEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo: FieldLike;
+  ownerBlinding: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  nextLeafIndex: FieldLike;
+  nonce: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  depositHash: FieldLike;
+  /** public */
+  oldMerkleRoot: FieldLike;
+}
+
+/** deposit_blinded publicSignals, in proof order */
+export type DepositBlindedPublicSignals = [
+  newCommitment: string,
+  ownerCommitment: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  amount: string,
+  depositHash: string,
+  oldMerkleRoot: string,
+];
+
+/** decodePublicSignals("deposit_blinded", ...) */
+export interface DepositBlindedPublicValues {
+  newCommitment: bigint;
+  ownerCommitment: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  amount: bigint;
+  depositHash: bigint;
+  oldMerkleRoot: bigint;
+}
+
+/** deposit_nk: DepositNK(16) witness input */
+export interface DepositNkInput {
+  ownerWalletPubKey: FieldLike;
+  ownerWalletPrivKey: FieldLike;
+  ownerEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  nextLeafIndex: FieldLike;
+  nonce: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  depositHash: FieldLike;
+  /** public */
+  oldMerkleRoot: FieldLike;
+}
+
+export type DepositNkPublicSignals = DepositPublicSignals;
+export type DepositNkPublicValues = DepositPublicValues;
+
+/** transfer_nk: TransferNK(16) witness input */
+export interface TransferNkInput {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  out1PathElements: Tuple<FieldLike, 16>;
+  out2PathElements: Tuple<FieldLike, 16>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type TransferNkPublicSignals = TransferPublicSignals;
+export type TransferNkPublicValues = TransferPublicValues;
+
+/** withdraw_nk: WithdrawNK(16) witness input */
+export interface WithdrawNkInput {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  commitment: FieldLike;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type WithdrawNkPublicSignals = WithdrawPublicSignals;
+export type WithdrawNkPublicValues = WithdrawPublicValues;
+
+/** batch_deposit_4: BatchDeposit(16, 4) witness input */
+export interface BatchDeposit4Input {
+  amount: Tuple<FieldLike, 4>;
+  ownerCipherPayPubKey: Tuple<FieldLike, 4>;
+  randomness: Tuple<FieldLike, 4>;
+  memo: Tuple<FieldLike, 4>;
+  tokenId: FieldLike;
+  nextLeafIndex: FieldLike;
+  pathElements: Tuple<Tuple<FieldLike, 16>, 4>;
+  nonce: FieldLike;
+  /** public */
+  totalAmount: FieldLike;
+  /** public */
+  depositHash: FieldLike;
+  /** public */
+  oldMerkleRoot: FieldLike;
+}
+
+/** batch_deposit_4 publicSignals, in proof order */
+export type BatchDeposit4PublicSignals = [
+  newCommitment_0: string,
+  newCommitment_1: string,
+  newCommitment_2: string,
+  newCommitment_3: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  totalAmount: string,
+  depositHash: string,
+  oldMerkleRoot: string,
+];
+
+/** decodePublicSignals("batch_deposit_4", ...) */
+export interface BatchDeposit4PublicValues {
+  newCommitment: Tuple<bigint, 4>;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  totalAmount: bigint;
+  depositHash: bigint;
+  oldMerkleRoot: bigint;
+}
+
+/** swap_leg: SwapLeg(16) witness input */
+export interface SwapLegInput {
+  walletPubKey: FieldLike;
+  walletPrivKey: FieldLike;
+  encPubKey: Tuple<FieldLike, 2>;
+  inAmount: FieldLike;
+  inRandomness: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  tokenId: Tuple<FieldLike, 2>;
+  giveAmount: Tuple<FieldLike, 2>;
+  orderNonce: FieldLike;
+  receiveRandomness: FieldLike;
+  receiveMemo: FieldLike;
+  changeRandomness: FieldLike;
+  changeMemo: FieldLike;
+  nextLeafIndex: FieldLike;
+  outPathElements: Tuple<Tuple<FieldLike, 16>, 2>;
+  /** public */
+  orderHash: FieldLike;
+  /** public */
+  side: FieldLike;
+}
+
+/** swap_leg publicSignals, in proof order */
+export type SwapLegPublicSignals = [
+  outCommitment_0: string,
+  outCommitment_1: string,
+  nullifier: string,
+  merkleRoot: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  orderHash: string,
+  side: string,
+];
+
+/** decodePublicSignals("swap_leg", ...) */
+export interface SwapLegPublicValues {
+  outCommitment: Tuple<bigint, 2>;
+  nullifier: bigint;
+  merkleRoot: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  orderHash: bigint;
+  side: bigint;
+}
+
+/** balance_proof_4: BalanceProof(16, 4, 32) witness input */
+export interface BalanceProof4Input {
+  walletPubKey: FieldLike;
+  walletPrivKey: FieldLike;
+  encPubKey: Tuple<FieldLike, 2>;
+  amount: Tuple<FieldLike, 4>;
+  randomness: Tuple<FieldLike, 4>;
+  memo: Tuple<FieldLike, 4>;
+  pathElements: Tuple<Tuple<FieldLike, 16>, 4>;
+  pathIndices: Tuple<Tuple<FieldLike, 16>, 4>;
+  nullifierSiblings: Tuple<Tuple<FieldLike, 32>, 4>;
+  nullifierOldKey: Tuple<FieldLike, 4>;
+  nullifierOldValue: Tuple<FieldLike, 4>;
+  nullifierIsOld0: Tuple<FieldLike, 4>;
+  /** public */
+  merkleRoot: FieldLike;
+  /** public */
+  nullifierRoot: FieldLike;
+  /** public */
+  threshold: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+}
+
+/** balance_proof_4 publicSignals, in proof order */
+export type BalanceProof4PublicSignals = [
+  nullifierSetHash: string,
+  merkleRoot: string,
+  nullifierRoot: string,
+  threshold: string,
+  tokenId: string,
+];
+
+/** decodePublicSignals("balance_proof_4", ...) */
+export interface BalanceProof4PublicValues {
+  nullifierSetHash: bigint;
+  merkleRoot: bigint;
+  nullifierRoot: bigint;
+  threshold: bigint;
+  tokenId: bigint;
+}
+
+/** audit: Audit(16) witness input */
+export interface AuditInput {
+  walletPubKey: FieldLike;
+  walletPrivKey: FieldLike;
+  encPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  /** public */
+  commitment: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+}
+
+/** audit publicSignals, in proof order */
+export type AuditPublicSignals = [
+  merkleRoot: string,
+  auditTag: string,
+  commitment: string,
+  amount: string,
+  tokenId: string,
+];
+
+/** decodePublicSignals("audit", ...) */
+export interface AuditPublicValues {
+  merkleRoot: bigint;
+  auditTag: bigint;
+  commitment: bigint;
+  amount: bigint;
+  tokenId: bigint;
+}
+
+/** multisig_2of3: MultisigTransfer(16, 3, 2) witness input */
+export interface Multisig2of3Input {
+  inAmount: FieldLike;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  ownerEncPubKey: Tuple<FieldLike, 2>;
+  signerPubKey: Tuple<Tuple<FieldLike, 2>, 3>;
+  signerEnabled: Tuple<FieldLike, 3>;
+  sigR8: Tuple<Tuple<FieldLike, 2>, 3>;
+  sigS: Tuple<FieldLike, 3>;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  outPathElements: Tuple<Tuple<FieldLike, 16>, 2>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+export type Multisig2of3PublicSignals = TransferPublicSignals;
+export type Multisig2of3PublicValues = TransferPublicValues;
+
+/** htlc_lock: HtlcLock(16) witness input */
+export interface HtlcLockInput {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  htlcAmount: FieldLike;
+  htlcRecipientSpendingPubKey: FieldLike;
+  htlcRandomness: FieldLike;
+  htlcMemo: FieldLike;
+  hashlock_lo: FieldLike;
+  hashlock_hi: FieldLike;
+  refundTime: FieldLike;
+  htlcRecipientEncPubKey: Tuple<FieldLike, 2>;
+  htlcEphemeralKey: FieldLike;
+  changeRandomness: FieldLike;
+  changeMemo: FieldLike;
+  nextLeafIndex: FieldLike;
+  outPathElements: Tuple<Tuple<FieldLike, 16>, 2>;
+  /** public */
+  encNoteHash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+/** htlc_lock publicSignals, in proof order */
+export type HtlcLockPublicSignals = [
+  htlcCommitment: string,
+  changeCommitment: string,
+  nullifier: string,
+  merkleRoot: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  encNoteHash: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+];
+
+/** decodePublicSignals("htlc_lock", ...) */
+export interface HtlcLockPublicValues {
+  htlcCommitment: bigint;
+  changeCommitment: bigint;
+  nullifier: bigint;
+  merkleRoot: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  encNoteHash: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+}
+
+/** htlc_spend: HtlcSpend(16) witness input */
+export interface HtlcSpendInput {
+  amount: FieldLike;
+  recipientCipherPayPubKey: FieldLike;
+  randomness: FieldLike;
+  tokenId: FieldLike;
+  memo: FieldLike;
+  senderCipherPayPubKey: FieldLike;
+  hashlock_lo: FieldLike;
+  hashlock_hi: FieldLike;
+  refundTime: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  spenderWalletPubKey: FieldLike;
+  spenderWalletPrivKey: FieldLike;
+  spenderEncPubKey: Tuple<FieldLike, 2>;
+  outRandomness: FieldLike;
+  outMemo: FieldLike;
+  nextLeafIndex: FieldLike;
+  outPathElements: Tuple<FieldLike, 16>;
+  /** public */
+  refund: FieldLike;
+  /** public */
+  preimage_lo: FieldLike;
+  /** public */
+  preimage_hi: FieldLike;
+  /** public */
+  currentTime: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+}
+
+/** htlc_spend publicSignals, in proof order */
+export type HtlcSpendPublicSignals = [
+  outCommitment: string,
+  nullifier: string,
+  merkleRoot: string,
+  newMerkleRoot: string,
+  newNextLeafIndex: string,
+  refund: string,
+  preimage_lo: string,
+  preimage_hi: string,
+  currentTime: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+];
+
+/** decodePublicSignals("htlc_spend", ...) */
+export interface HtlcSpendPublicValues {
+  outCommitment: bigint;
+  nullifier: bigint;
+  merkleRoot: bigint;
+  newMerkleRoot: bigint;
+  newNextLeafIndex: bigint;
+  refund: bigint;
+  preimage_lo: bigint;
+  preimage_hi: bigint;
+  currentTime: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+}
+
+/** transfer_v2: TransferV2(16) witness input */
+export interface TransferV2Input {
+  inAmount: FieldLike;
+  inSenderWalletPubKey: FieldLike;
+  inSenderWalletPrivKey: FieldLike;
+  inSenderEncPubKey: Tuple<FieldLike, 2>;
+  inRandomness: FieldLike;
+  inTokenId: FieldLike;
+  inMemo: FieldLike;
+  inPathElements: Tuple<FieldLike, 16>;
+  inPathIndices: Tuple<FieldLike, 16>;
+  inIsDummy: FieldLike;
+  dummyMerkleRoot: FieldLike;
+  out1Amount: FieldLike;
+  out1RecipientSpendingPubKey: FieldLike;
+  out1Randomness: FieldLike;
+  out1TokenId: FieldLike;
+  out1Memo: FieldLike;
+  out1RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out1EphemeralKey: FieldLike;
+  out2Amount: FieldLike;
+  out2RecipientSpendingPubKey: FieldLike;
+  out2Randomness: FieldLike;
+  out2TokenId: FieldLike;
+  out2Memo: FieldLike;
+  out2RecipientEncPubKey: Tuple<FieldLike, 2>;
+  out2EphemeralKey: FieldLike;
+  nextLeafIndex: FieldLike;
+  out1PathElements: Tuple<FieldLike, 16>;
+  out2PathElements: Tuple<FieldLike, 16>;
+  /** public */
+  encNote1Hash: FieldLike;
+  /** public */
+  encNote2Hash: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+  /** public */
+  migrationLeafIndex: FieldLike;
+}
+
+/** transfer_v2 publicSignals, in proof order */
+export type TransferV2PublicSignals = [
+  outCommitment1: string,
+  outCommitment2: string,
+  nullifier: string,
+  merkleRoot: string,
+  newMerkleRoot1: string,
+  newMerkleRoot2: string,
+  newNextLeafIndex: string,
+  legacyNullifier: string,
+  encNote1Hash: string,
+  encNote2Hash: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+  migrationLeafIndex: string,
+];
+
+/** decodePublicSignals("transfer_v2", ...) */
+export interface TransferV2PublicValues {
+  outCommitment1: bigint;
+  outCommitment2: bigint;
+  nullifier: bigint;
+  merkleRoot: bigint;
+  newMerkleRoot1: bigint;
+  newMerkleRoot2: bigint;
+  newNextLeafIndex: bigint;
+  legacyNullifier: bigint;
+  encNote1Hash: bigint;
+  encNote2Hash: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+  migrationLeafIndex: bigint;
+}
+
+/** withdraw_v2: WithdrawV2(16) witness input */
+export interface WithdrawV2Input {
+  recipientWalletPrivKey: FieldLike;
+  recipientEncPubKey: Tuple<FieldLike, 2>;
+  randomness: FieldLike;
+  memo: FieldLike;
+  pathElements: Tuple<FieldLike, 16>;
+  pathIndices: Tuple<FieldLike, 16>;
+  commitment: FieldLike;
+  /** public */
+  recipientOwner_lo: FieldLike;
+  /** public */
+  recipientOwner_hi: FieldLike;
+  /** public */
+  recipientWalletPubKey: FieldLike;
+  /** public */
+  amount: FieldLike;
+  /** public */
+  tokenId: FieldLike;
+  /** public */
+  fee: FieldLike;
+  /** public */
+  feeRecipient_lo: FieldLike;
+  /** public */
+  feeRecipient_hi: FieldLike;
+  /** public */
+  migrationLeafIndex: FieldLike;
+}
+
+/** withdraw_v2 publicSignals, in proof order */
+export type WithdrawV2PublicSignals = [
+  nullifier: string,
+  merkleRoot: string,
+  legacyNullifier: string,
+  recipientOwner_lo: string,
+  recipientOwner_hi: string,
+  recipientWalletPubKey: string,
+  amount: string,
+  tokenId: string,
+  fee: string,
+  feeRecipient_lo: string,
+  feeRecipient_hi: string,
+  migrationLeafIndex: string,
+];
+
+/** decodePublicSignals("withdraw_v2", ...) */
+export interface WithdrawV2PublicValues {
+  nullifier: bigint;
+  merkleRoot: bigint;
+  legacyNullifier: bigint;
+  recipientOwner_lo: bigint;
+  recipientOwner_hi: bigint;
+  recipientWalletPubKey: bigint;
+  amount: bigint;
+  tokenId: bigint;
+  fee: bigint;
+  feeRecipient_lo: bigint;
+  feeRecipient_hi: bigint;
+  migrationLeafIndex: bigint;
+}
+
+export interface CircuitInputs {
+  transfer: TransferInput;
+  transfer_depth20: TransferDepth20Input;
+  transfer_depth24: TransferDepth24Input;
+  transfer_depth32: TransferDepth32Input;
+  withdraw: WithdrawInput;
+  withdraw_depth20: WithdrawDepth20Input;
+  withdraw_depth24: WithdrawDepth24Input;
+  withdraw_depth32: WithdrawDepth32Input;
+  withdraw_association: WithdrawAssociationInput;
+  withdraw_blocklist: WithdrawBlocklistInput;
+  withdraw_timelock: WithdrawTimelockInput;
+  transfer_timelock: TransferTimelockInput;
+  withdraw_partial: WithdrawPartialInput;
+  deposit: DepositInput;
+  deposit_depth20: DepositDepth20Input;
+  deposit_depth24: DepositDepth24Input;
+  deposit_depth32: DepositDepth32Input;
+  joinsplit_2x2: Joinsplit2x2Input;
+  joinsplit_4x2: Joinsplit4x2Input;
+  deposit_blinded: DepositBlindedInput;
+  deposit_nk: DepositNkInput;
+  transfer_nk: TransferNkInput;
+  withdraw_nk: WithdrawNkInput;
+  batch_deposit_4: BatchDeposit4Input;
+  swap_leg: SwapLegInput;
+  balance_proof_4: BalanceProof4Input;
+  audit: AuditInput;
+  multisig_2of3: Multisig2of3Input;
+  htlc_lock: HtlcLockInput;
+  htlc_spend: HtlcSpendInput;
+  transfer_v2: TransferV2Input;
+  withdraw_v2: WithdrawV2Input;
+}
+
+export interface CircuitPublicSignals {
+  transfer: TransferPublicSignals;
+  transfer_depth20: TransferDepth20PublicSignals;
+  transfer_depth24: TransferDepth24PublicSignals;
+  transfer_depth32: TransferDepth32PublicSignals;
+  withdraw: WithdrawPublicSignals;
+  withdraw_depth20: WithdrawDepth20PublicSignals;
+  withdraw_depth24: WithdrawDepth24PublicSignals;
+  withdraw_depth32: WithdrawDepth32PublicSignals;
+  withdraw_association: WithdrawAssociationPublicSignals;
+  withdraw_blocklist: WithdrawBlocklistPublicSignals;
+  withdraw_timelock: WithdrawTimelockPublicSignals;
+  transfer_timelock: TransferTimelockPublicSignals;
+  withdraw_partial: WithdrawPartialPublicSignals;
+  deposit: DepositPublicSignals;
+  deposit_depth20: DepositDepth20PublicSignals;
+  deposit_depth24: DepositDepth24PublicSignals;
+  deposit_depth32: DepositDepth32PublicSignals;
+  joinsplit_2x2: Joinsplit2x2PublicSignals;
+  joinsplit_4x2: Joinsplit4x2PublicSignals;
+  deposit_blinded: DepositBlindedPublicSignals;
+  deposit_nk: DepositNkPublicSignals;
+  transfer_nk: TransferNkPublicSignals;
+  withdraw_nk: WithdrawNkPublicSignals;
+  batch_deposit_4: BatchDeposit4PublicSignals;
+  swap_leg: SwapLegPublicSignals;
+  balance_proof_4: BalanceProof4PublicSignals;
+  audit: AuditPublicSignals;
+  multisig_2of3: Multisig2of3PublicSignals;
+  htlc_lock: HtlcLockPublicSignals;
+  htlc_spend: HtlcSpendPublicSignals;
+  transfer_v2: TransferV2PublicSignals;
+  withdraw_v2: WithdrawV2PublicSignals;
+}
+
+export interface CircuitPublicValues {
+  transfer: TransferPublicValues;
+  transfer_depth20: TransferDepth20PublicValues;
+  transfer_depth24: TransferDepth24PublicValues;
+  transfer_depth32: TransferDepth32PublicValues;
+  withdraw: WithdrawPublicValues;
+  withdraw_depth20: WithdrawDepth20PublicValues;
+  withdraw_depth24: WithdrawDepth24PublicValues;
+  withdraw_depth32: WithdrawDepth32PublicValues;
+  withdraw_association: WithdrawAssociationPublicValues;
+  withdraw_blocklist: WithdrawBlocklistPublicValues;
+  withdraw_timelock: WithdrawTimelockPublicValues;
+  transfer_timelock: TransferTimelockPublicValues;
+  withdraw_partial: WithdrawPartialPublicValues;
+  deposit: DepositPublicValues;
+  deposit_depth20: DepositDepth20PublicValues;
+  deposit_depth24: DepositDepth24PublicValues;
+  deposit_depth32: DepositDepth32PublicValues;
+  joinsplit_2x2: Joinsplit2x2PublicValues;
+  joinsplit_4x2: Joinsplit4x2PublicValues;
+  deposit_blinded: DepositBlindedPublicValues;
+  deposit_nk: DepositNkPublicValues;
+  transfer_nk: TransferNkPublicValues;
+  withdraw_nk: WithdrawNkPublicValues;
+  batch_deposit_4: BatchDeposit4PublicValues;
+  swap_leg: SwapLegPublicValues;
+  balance_proof_4: BalanceProof4PublicValues;
+  audit: AuditPublicValues;
+  multisig_2of3: Multisig2of3PublicValues;
+  htlc_lock: HtlcLockPublicValues;
+  htlc_spend: HtlcSpendPublicValues;
+  transfer_v2: TransferV2PublicValues;
+  withdraw_v2: WithdrawV2PublicValues;
+}
+
+/** Build keys of circuits.config.json */
+export type CircuitName = keyof CircuitInputs;